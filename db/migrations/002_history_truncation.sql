@@ -0,0 +1,8 @@
+-- Migration: 002_history_truncation
+-- Description: Record whether an account's fetched history hit the pagination ceiling
+-- Date: 2026-10-19
+
+ALTER TABLE account_metrics_snapshot
+    ADD COLUMN IF NOT EXISTS history_truncated BOOLEAN NOT NULL DEFAULT FALSE;
+
+INSERT INTO schema_migrations (version) VALUES ('002');
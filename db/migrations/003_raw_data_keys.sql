@@ -0,0 +1,28 @@
+-- Migration: 003_raw_data_keys
+-- Description: Natural dedupe keys and full payloads for raw_trades / raw_positions
+-- Date: 2026-10-19
+
+-- ============================================================================
+-- raw_trades: one row per /activity record per run
+-- ============================================================================
+ALTER TABLE raw_trades
+    ADD COLUMN IF NOT EXISTS transaction_hash VARCHAR(66),
+    ADD COLUMN IF NOT EXISTS activity_type VARCHAR(20),   -- TRADE, REDEEM, SPLIT, MERGE, ...
+    ADD COLUMN IF NOT EXISTS dedupe_key VARCHAR(255),     -- tx_hash:type:condition_id:outcome
+    ADD COLUMN IF NOT EXISTS raw JSONB;                   -- Full API record (for replay)
+
+CREATE UNIQUE INDEX IF NOT EXISTS idx_raw_trades_run_key ON raw_trades(run_id, address, dedupe_key);
+CREATE INDEX IF NOT EXISTS idx_raw_trades_run_id ON raw_trades(run_id);
+
+-- ============================================================================
+-- raw_positions: one row per open / closed position per run
+-- ============================================================================
+ALTER TABLE raw_positions
+    ADD COLUMN IF NOT EXISTS market_title TEXT,
+    ADD COLUMN IF NOT EXISTS dedupe_key VARCHAR(255),     -- condition_id:outcome:open|closed
+    ADD COLUMN IF NOT EXISTS raw JSONB;                   -- Full API record (for replay)
+
+CREATE UNIQUE INDEX IF NOT EXISTS idx_raw_positions_run_key ON raw_positions(run_id, address, dedupe_key);
+CREATE INDEX IF NOT EXISTS idx_raw_positions_run_id ON raw_positions(run_id);
+
+INSERT INTO schema_migrations (version) VALUES ('003');
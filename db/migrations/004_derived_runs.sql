@@ -0,0 +1,12 @@
+-- Migration: 004_derived_runs
+-- Description: Track derived (re-scored) runs, their parent run and scoring config
+-- Date: 2026-10-19
+
+ALTER TABLE runs
+    ADD COLUMN IF NOT EXISTS run_type VARCHAR(20) NOT NULL DEFAULT 'sync' CHECK (run_type IN ('sync', 'derived')),
+    ADD COLUMN IF NOT EXISTS parent_run_id UUID REFERENCES runs(id),
+    ADD COLUMN IF NOT EXISTS scoring_config JSONB;  -- Scorer weights used for this run's ranking
+
+CREATE INDEX IF NOT EXISTS idx_runs_parent_run_id ON runs(parent_run_id) WHERE parent_run_id IS NOT NULL;
+
+INSERT INTO schema_migrations (version) VALUES ('004');
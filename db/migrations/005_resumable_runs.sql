@@ -0,0 +1,36 @@
+-- Migration: 005_resumable_runs
+-- Description: Per-address work queue for runs, resume path and stale detection
+-- Date: 2026-10-19
+
+-- ============================================================================
+-- runs: 'resumed' (running again after a crash) and 'stale' (heartbeat lost)
+-- ============================================================================
+ALTER TABLE runs DROP CONSTRAINT IF EXISTS runs_status_check;
+ALTER TABLE runs ADD CONSTRAINT runs_status_check
+    CHECK (status IN ('running', 'resumed', 'completed', 'failed', 'stale'));
+
+ALTER TABLE runs
+    ADD COLUMN IF NOT EXISTS heartbeat_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+    ADD COLUMN IF NOT EXISTS resumed_at TIMESTAMPTZ,
+    ADD COLUMN IF NOT EXISTS resume_count INTEGER NOT NULL DEFAULT 0;
+
+-- ============================================================================
+-- Table: run_addresses
+-- Purpose: Work queue - per-address progress within a run
+-- ============================================================================
+CREATE TABLE IF NOT EXISTS run_addresses (
+    run_id UUID NOT NULL REFERENCES runs(id) ON DELETE CASCADE,
+    address VARCHAR(42) NOT NULL,
+    position INTEGER NOT NULL,  -- Processing order within the run
+    status VARCHAR(20) NOT NULL DEFAULT 'pending'
+        CHECK (status IN ('pending', 'fetched', 'scored', 'stored', 'failed')),
+    attempts INTEGER NOT NULL DEFAULT 0,
+    error_message TEXT,
+    updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+    
+    PRIMARY KEY (run_id, address)
+);
+
+CREATE INDEX IF NOT EXISTS idx_run_addresses_status ON run_addresses(run_id, status);
+
+INSERT INTO schema_migrations (version) VALUES ('005');
@@ -0,0 +1,28 @@
+-- Migration: 006_trade_stream_discovery
+-- Description: Discovery stats on seed_addresses and trade-stream high-water marks
+-- Date: 2026-10-19
+
+-- ============================================================================
+-- seed_addresses: what the discovery daemon has seen per wallet
+-- ============================================================================
+ALTER TABLE seed_addresses
+    ADD COLUMN IF NOT EXISTS first_seen_at TIMESTAMPTZ,    -- Earliest trade seen on the stream
+    ADD COLUMN IF NOT EXISTS last_seen_at TIMESTAMPTZ,     -- Latest trade seen on the stream
+    ADD COLUMN IF NOT EXISTS trade_count INTEGER NOT NULL DEFAULT 0,
+    ADD COLUMN IF NOT EXISTS notional_usd DECIMAL(20, 4) NOT NULL DEFAULT 0;  -- sum(size * price)
+
+CREATE INDEX IF NOT EXISTS idx_seed_addresses_trade_count ON seed_addresses(trade_count DESC);
+
+-- ============================================================================
+-- Table: discovery_state
+-- Purpose: High-water mark per polled stream (so polls never re-scan old trades)
+-- ============================================================================
+CREATE TABLE IF NOT EXISTS discovery_state (
+    stream VARCHAR(100) PRIMARY KEY,   -- 'trades'
+    last_timestamp BIGINT,             -- Unix seconds of the newest trade processed
+    last_trade_ids TEXT[],             -- Keys of trades at last_timestamp (ties)
+    trades_processed BIGINT NOT NULL DEFAULT 0,
+    updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+INSERT INTO schema_migrations (version) VALUES ('006');
@@ -0,0 +1,35 @@
+-- Migration: 007_market_discovery
+-- Description: Participants discovered from specific markets (--discover-market)
+-- Date: 2026-10-19
+
+-- ============================================================================
+-- Table: market_participants
+-- Purpose: Every wallet that traded a scraped market, tagged with that market
+-- ============================================================================
+CREATE TABLE IF NOT EXISTS market_participants (
+    condition_id VARCHAR(100) NOT NULL,
+    address VARCHAR(42) NOT NULL,
+    
+    -- Market info
+    market_slug TEXT,
+    market_title TEXT,
+    
+    -- Participation
+    first_trade_at TIMESTAMPTZ,
+    last_trade_at TIMESTAMPTZ,
+    entry_rank INTEGER,               -- 1 = earliest trader in the market
+    trade_count INTEGER NOT NULL DEFAULT 0,
+    notional_usd DECIMAL(20, 4) NOT NULL DEFAULT 0,
+    
+    -- Tracking
+    run_id UUID REFERENCES runs(id) ON DELETE SET NULL,  -- Last run that scraped the market
+    discovered_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+    updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+    
+    PRIMARY KEY (condition_id, address)
+);
+
+CREATE INDEX IF NOT EXISTS idx_market_participants_address ON market_participants(address);
+CREATE INDEX IF NOT EXISTS idx_market_participants_entry ON market_participants(condition_id, entry_rank);
+
+INSERT INTO schema_migrations (version) VALUES ('007');
@@ -0,0 +1,32 @@
+-- Migration: 008_discovery_provenance
+-- Description: Every method an account was discovered by, with first-seen per method
+-- Date: 2026-10-19
+
+-- ============================================================================
+-- Table: account_discoveries
+-- Purpose: Provenance - one row per (account, method, source)
+--   method: 'seed_db' | 'seed_file' | 'trades_stream' | 'market_scrape'
+--   source_ref: seed source, seed file path or market conditionId ('' if none)
+-- ============================================================================
+CREATE TABLE IF NOT EXISTS account_discoveries (
+    address VARCHAR(42) NOT NULL REFERENCES accounts(address),
+    method VARCHAR(50) NOT NULL,
+    source_ref TEXT NOT NULL DEFAULT '',
+    first_seen_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+    last_seen_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+    first_run_id UUID REFERENCES runs(id) ON DELETE SET NULL,
+    last_run_id UUID REFERENCES runs(id) ON DELETE SET NULL,
+    
+    PRIMARY KEY (address, method, source_ref)
+);
+
+CREATE INDEX IF NOT EXISTS idx_account_discoveries_method ON account_discoveries(method);
+
+-- Per-run provenance, kept with the work queue so resumed runs retain it
+ALTER TABLE run_addresses
+    ADD COLUMN IF NOT EXISTS discovery JSONB;  -- [{ method, sourceRef }]
+
+COMMENT ON COLUMN accounts.discovery_method IS
+    'First method the account was discovered by; see account_discoveries for all of them';
+
+INSERT INTO schema_migrations (version) VALUES ('008');
@@ -0,0 +1,14 @@
+-- Migration: 009_windowed_metrics
+-- Description: Per-window (7d / 30d / 90d / all) metrics on snapshots and the window a selection used
+-- Date: 2026-10-19
+
+-- { "7d": { strictWinRate, winCount, lossCount, closedPositions,
+--           totalVolumeUsd, totalTrades, realizedPnl, compositeScore }, ... }
+ALTER TABLE account_metrics_snapshot
+    ADD COLUMN IF NOT EXISTS window_metrics JSONB;
+
+-- Window the selector filtered and ranked on; the stored metrics are that window's
+ALTER TABLE selected_accounts
+    ADD COLUMN IF NOT EXISTS selection_window VARCHAR(10) NOT NULL DEFAULT 'all';
+
+INSERT INTO schema_migrations (version) VALUES ('009');
@@ -0,0 +1,9 @@
+-- Migration: 010_win_rate_estimates
+-- Description: Beta-shrunk win rate and Wilson lower bound per snapshot
+-- Date: 2026-10-19
+
+ALTER TABLE account_metrics_snapshot
+    ADD COLUMN IF NOT EXISTS shrunk_win_rate DECIMAL(6, 4),
+    ADD COLUMN IF NOT EXISTS win_rate_lower_bound DECIMAL(6, 4);
+
+INSERT INTO schema_migrations (version) VALUES ('010');
@@ -0,0 +1,16 @@
+-- Migration: 011_pnl_metrics
+-- Description: PnL-based performance metrics per snapshot (from closed positions)
+-- Date: 2026-10-19
+
+ALTER TABLE account_metrics_snapshot
+    ADD COLUMN IF NOT EXISTS closed_realized_pnl DECIMAL(20, 4),
+    ADD COLUMN IF NOT EXISTS capital_deployed DECIMAL(20, 4),
+    ADD COLUMN IF NOT EXISTS roi DECIMAL(12, 6),                 -- closed realized PnL / capital deployed
+    ADD COLUMN IF NOT EXISTS avg_win DECIMAL(20, 4),
+    ADD COLUMN IF NOT EXISTS avg_loss DECIMAL(20, 4),            -- positive number
+    ADD COLUMN IF NOT EXISTS profit_factor DECIMAL(12, 4),       -- gross profit / gross loss
+    ADD COLUMN IF NOT EXISTS return_volatility DECIMAL(12, 6),   -- stdev of per-position returns
+    ADD COLUMN IF NOT EXISTS sharpe_ratio DECIMAL(12, 6),        -- mean / stdev of per-position returns
+    ADD COLUMN IF NOT EXISTS max_drawdown DECIMAL(20, 4);        -- USD, cumulative realized PnL by resolvedAt
+
+INSERT INTO schema_migrations (version) VALUES ('011');
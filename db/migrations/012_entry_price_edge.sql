@@ -0,0 +1,12 @@
+-- Migration: 012_entry_price_edge
+-- Description: Entry-price edge and Brier-style calibration per snapshot
+-- Date: 2026-10-19
+
+ALTER TABLE account_metrics_snapshot
+    ADD COLUMN IF NOT EXISTS mean_edge DECIMAL(8, 6),        -- mean(result - avgPrice) over closed positions
+    ADD COLUMN IF NOT EXISTS brier_score DECIMAL(8, 6),      -- mean((avgPrice - result)^2)
+    ADD COLUMN IF NOT EXISTS avg_entry_price DECIMAL(8, 6),
+    ADD COLUMN IF NOT EXISTS edge_positions INTEGER,
+    ADD COLUMN IF NOT EXISTS edge_score DECIMAL(6, 4);       -- shrunk edge on a 0-1 scale (winRateBasis 'edge')
+
+INSERT INTO schema_migrations (version) VALUES ('012');
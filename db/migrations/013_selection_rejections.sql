@@ -0,0 +1,27 @@
+-- Migration: 013_selection_rejections
+-- Description: Accounts rejected by the selector, with the failing criteria and near misses
+-- Date: 2026-10-19
+
+-- ============================================================================
+-- Table: rejected_accounts
+-- Purpose: Why each candidate of a run was not selected
+--   reasons: criteria names ('minTrades', 'minWinRate', ...), 'rule: <text>'
+--            for failed selection rules, or 'missingWindow'
+--   failed_criteria: [{ criterion, value, threshold }] for the fixed thresholds
+--   near_miss: failed only thresholds, each within the run's nearMissMargin
+-- ============================================================================
+CREATE TABLE IF NOT EXISTS rejected_accounts (
+    run_id UUID NOT NULL REFERENCES runs(id) ON DELETE CASCADE,
+    address VARCHAR(42) NOT NULL REFERENCES accounts(address),
+    reasons TEXT[] NOT NULL,
+    failed_criteria JSONB,
+    near_miss BOOLEAN NOT NULL DEFAULT FALSE,
+    selection_score DECIMAL(10, 4),
+    selection_window VARCHAR(10) DEFAULT 'all',
+    
+    PRIMARY KEY (run_id, address)
+);
+
+CREATE INDEX IF NOT EXISTS idx_rejected_accounts_near_miss ON rejected_accounts(run_id) WHERE near_miss;
+
+INSERT INTO schema_migrations (version) VALUES ('013');
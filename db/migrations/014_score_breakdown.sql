@@ -0,0 +1,10 @@
+-- Migration: 014_score_breakdown
+-- Description: Store the composite score's breakdown with each snapshot for reports
+-- Date: 2026-10-19
+
+-- Scorer scoreBreakdown (win rate basis, prior and per-component contributions)
+-- of the all-time composite score
+ALTER TABLE account_metrics_snapshot
+    ADD COLUMN IF NOT EXISTS score_breakdown JSONB;
+
+INSERT INTO schema_migrations (version) VALUES ('014');
@@ -0,0 +1,47 @@
+-- Migration: 015_signals
+-- Description: Copy-trade signals from `npm run watch` and the position state it diffs against
+-- Date: 2026-10-19
+
+-- ============================================================================
+-- Table: signals
+-- Purpose: Position changes of selected traders
+--   signal_type: new_position, size_increase, exit, market_resolved
+--   dedupe_key: address:conditionId:outcome:type:size before>after@time of the
+--               newest activity behind it; a change already recorded is
+--               never emitted again
+--   notional_usd: size change x trade price (cost basis for market_resolved)
+-- ============================================================================
+CREATE TABLE IF NOT EXISTS signals (
+    id BIGSERIAL PRIMARY KEY,
+    dedupe_key TEXT NOT NULL UNIQUE,
+    signal_type VARCHAR(20) NOT NULL
+        CHECK (signal_type IN ('new_position', 'size_increase', 'exit', 'market_resolved')),
+    address VARCHAR(42) NOT NULL,
+    source_run_id UUID REFERENCES runs(id) ON DELETE SET NULL,   -- Run whose selection was watched
+    condition_id VARCHAR(100) NOT NULL,
+    outcome VARCHAR(100),
+    title TEXT,
+    size DECIMAL(20, 8),
+    previous_size DECIMAL(20, 8),
+    price DECIMAL(10, 6),
+    notional_usd DECIMAL(20, 4),
+    payload JSONB NOT NULL,            -- Signal as emitted (NDJSON line)
+    detected_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_signals_detected_at ON signals(detected_at DESC);
+CREATE INDEX IF NOT EXISTS idx_signals_address ON signals(address, detected_at DESC);
+
+-- ============================================================================
+-- Table: watch_state
+-- Purpose: Last known open positions per watched address, so restarts diff
+--          against what was seen instead of re-announcing every position
+-- ============================================================================
+CREATE TABLE IF NOT EXISTS watch_state (
+    address VARCHAR(42) PRIMARY KEY,
+    positions JSONB NOT NULL,          -- positionKey => { size, avgPrice, curPrice, redeemable, ... }
+    activity_mark BIGINT,              -- Unix seconds of the newest /activity record seen
+    updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+INSERT INTO schema_migrations (version) VALUES ('015');
@@ -0,0 +1,40 @@
+-- Migration: 016_market_consensus
+-- Description: Per-run aggregation of the selected accounts' open positions by market outcome
+-- Date: 2026-10-19
+
+-- ============================================================================
+-- Table: market_consensus
+-- Purpose: Which market outcomes a run's selected accounts are concentrated in
+--   holders: selected accounts with an open position in the outcome
+--   holder_share: holders / selected accounts
+--   exposure_usd / cost_usd: current value and cost basis of their positions
+--   opposing_*: selected accounts holding other outcomes of the same market
+--   net_direction: long when exposure_usd > opposing_exposure_usd, short when below
+-- ============================================================================
+CREATE TABLE IF NOT EXISTS market_consensus (
+    run_id UUID NOT NULL REFERENCES runs(id) ON DELETE CASCADE,
+    condition_id VARCHAR(100) NOT NULL,
+    outcome VARCHAR(50) NOT NULL,
+    title TEXT,
+    slug TEXT,
+    holders INTEGER NOT NULL,
+    holder_share DECIMAL(10, 4),
+    total_size DECIMAL(20, 8),
+    exposure_usd DECIMAL(20, 4),
+    cost_usd DECIMAL(20, 4),
+    unrealized_pnl_usd DECIMAL(20, 4),
+    avg_entry_price DECIMAL(10, 6),        -- Size-weighted across holders
+    current_price DECIMAL(10, 6),
+    price_change DECIMAL(10, 6),           -- current_price - avg_entry_price
+    opposing_holders INTEGER NOT NULL DEFAULT 0,
+    opposing_exposure_usd DECIMAL(20, 4),
+    net_exposure_usd DECIMAL(20, 4),
+    net_direction VARCHAR(10) CHECK (net_direction IN ('long', 'short', 'flat')),
+    holder_positions JSONB NOT NULL,       -- [{ address, rank, size, avg_price, current_value }]
+
+    PRIMARY KEY (run_id, condition_id, outcome)
+);
+
+CREATE INDEX IF NOT EXISTS idx_market_consensus_holders ON market_consensus(run_id, holders DESC, exposure_usd DESC);
+
+INSERT INTO schema_migrations (version) VALUES ('016');
@@ -0,0 +1,43 @@
+-- Migration: 017_markets
+-- Description: Market metadata cache from the Gamma API and per-category account metrics
+-- Date: 2026-10-19
+
+-- ============================================================================
+-- Table: markets
+-- Purpose: Metadata of the markets accounts traded, keyed by conditionId
+--   category: normalized category (politics, sports, crypto, economics,
+--             culture, science, world, other) derived from the Gamma
+--             category, tags and question
+--   gamma_category / tags: as reported by the Gamma API
+--   resolved_outcome: outcome priced at 1 once the market is closed
+-- Open markets are refetched once fetched_at is older than MARKET_CACHE_HOURS;
+-- closed markets are never refetched.
+-- ============================================================================
+CREATE TABLE IF NOT EXISTS markets (
+    condition_id VARCHAR(100) PRIMARY KEY,
+    slug TEXT,
+    question TEXT,
+    category VARCHAR(20) NOT NULL DEFAULT 'other',
+    gamma_category TEXT,
+    tags TEXT[] NOT NULL DEFAULT '{}',
+    outcomes TEXT[] NOT NULL DEFAULT '{}',
+    end_date TIMESTAMPTZ,
+    closed BOOLEAN NOT NULL DEFAULT FALSE,
+    resolved_outcome VARCHAR(100),
+    volume_usd DECIMAL(20, 4),
+    liquidity_usd DECIMAL(20, 4),
+    fetched_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_markets_category ON markets(category);
+
+-- { "sports": { strictWinRate, winCount, lossCount, closedPositions, closedShare,
+--               totalVolumeUsd, totalTrades, realizedPnl, compositeScore, ... }, ... }
+ALTER TABLE account_metrics_snapshot
+    ADD COLUMN IF NOT EXISTS category_metrics JSONB;
+
+-- Category the selector filtered and ranked on (NULL = all markets)
+ALTER TABLE selected_accounts
+    ADD COLUMN IF NOT EXISTS selection_category VARCHAR(20);
+
+INSERT INTO schema_migrations (version) VALUES ('017');
@@ -0,0 +1,15 @@
+-- Migration: 018_wash_trading
+-- Description: Wash-trading patterns and the resulting suspicion per snapshot
+-- Date: 2026-10-19
+
+-- { roundTrips, roundTripVolumeUsd, roundTripShare, churnPositions, churnShare,
+--   sharedTrades, sharedShare, counterpartyCount, counterparties: [{ address, trades }] }
+-- (shared* / counterparties only for accounts sharing transactions with other wallets of the run)
+ALTER TABLE account_metrics_snapshot
+    ADD COLUMN IF NOT EXISTS wash_metrics JSONB;
+
+-- Largest share among the flagged patterns (0 = no suspicious_* tag); penalized in score
+ALTER TABLE account_metrics_snapshot
+    ADD COLUMN IF NOT EXISTS suspicion_score DECIMAL(10, 4);
+
+INSERT INTO schema_migrations (version) VALUES ('018');
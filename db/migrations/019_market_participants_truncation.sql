@@ -0,0 +1,10 @@
+-- Migration: 019_market_participants_truncation
+-- Description: Record whether a scraped market's trades hit the pagination ceiling
+-- Date: 2026-10-19
+
+-- TRUE when the market's earliest trades were not fetched: entry_rank is
+-- then relative to the trades that were
+ALTER TABLE market_participants
+    ADD COLUMN IF NOT EXISTS history_truncated BOOLEAN NOT NULL DEFAULT FALSE;
+
+INSERT INTO schema_migrations (version) VALUES ('019');
@@ -1,23 +1,126 @@
 /**
  * Acceptance Report Generator
- * 
- * Usage: 
- *   npm run report -- <run-id>
+ *
+ * Usage:
+ *   npm run report -- <run-id> [options]
  *   npm run report  # uses latest run
- * 
- * Generates a detailed Markdown report for a sync run.
+ *
+ * Options:
+ *   --format <f>   md, json, csv or html; repeat or comma-separate for several (default: md)
+ *   --out <path>   Output file, or directory for several formats (default: reports/)
+ *   --stdout       Write the report to stdout instead of a file (one format)
+ *   --top <n>      Selected accounts listed in the Markdown report (default: 10, 0 = all)
+ *
+ * Generates a report for a sync run: Markdown (acceptance report), JSON
+ * (versioned schema of the full selection), CSV (selected accounts) or
+ * self-contained HTML with sortable tables.
  */
 
 const { query, close } = require('../src/db');
+const { REPORT_FORMATS, parseFormats, buildReport, renderReport } = require('../src/report');
 const fs = require('fs');
 const path = require('path');
 
-async function generateReport(runId) {
+function showHelp() {
+  console.log(`
+Usage: npm run report -- [run-id] [options]
+
+Generate a report for a run (default: the latest run).
+
+Options:
+  --format <f>   md, json, csv or html; repeat or comma-separate for several (default: md)
+  --out <path>   Output file, or directory for several formats (default: reports/)
+  --stdout       Write the report to stdout instead of a file (one format)
+  --top <n>      Selected accounts listed in the Markdown report (default: 10, 0 = all)
+  --help, -h     Show this help message
+
+Examples:
+  npm run report -- --format md,json,csv,html
+  npm run report -- 3f2b... --format json --stdout | jq '.selected[0]'
+  npm run report -- --format csv --out selected.csv
+`);
+  process.exit(0);
+}
+
+function parseArgs() {
+  const args = process.argv.slice(2);
+  const options = {
+    runId: null,
+    formats: [],
+    out: null,
+    stdout: false,
+    top: 10
+  };
+
+  for (let i = 0; i < args.length; i++) {
+    switch (args[i]) {
+      case '--help':
+      case '-h':
+        showHelp();
+        break;
+      case '--format':
+        options.formats.push(args[++i] || '');
+        break;
+      case '--out':
+        options.out = args[++i];
+        break;
+      case '--stdout':
+        options.stdout = true;
+        break;
+      case '--top':
+        options.top = parseInt(args[++i]);
+        break;
+      default:
+        if (!args[i].startsWith('--') && !options.runId) {
+          options.runId = args[i];
+        }
+    }
+  }
+
+  options.formats = parseFormats(options.formats);
+  if (options.stdout && options.formats.length > 1) {
+    throw new Error('--stdout takes a single --format');
+  }
+  return options;
+}
+
+/**
+ * Decide where each format is written
+ * --out is a directory when it already is one, ends with a separator or
+ * several formats are requested without an extension to replace; otherwise
+ * it is the file for a single format, or the base name for several.
+ * @param {Object} options - Parsed options
+ * @param {string} runId - Run reported
+ * @returns {Object} - format => file path
+ */
+function outputPaths(options, runId) {
+  const timestamp = new Date().toISOString().replace(/[:.]/g, '-').slice(0, 19);
+  const defaultName = format => `report-${runId.slice(0, 8)}-${timestamp}.${REPORT_FORMATS[format]}`;
+  const out = options.out || path.join(__dirname, '..', 'reports');
+  const isDirectory = !options.out
+    || /[\\/]$/.test(out)
+    || (fs.existsSync(out) && fs.statSync(out).isDirectory())
+    || (options.formats.length > 1 && path.extname(out) === '');
+
+  const paths = {};
+  for (const format of options.formats) {
+    if (isDirectory) {
+      paths[format] = path.join(out, defaultName(format));
+    } else if (options.formats.length === 1) {
+      paths[format] = out;
+    } else {
+      paths[format] = `${out.slice(0, -path.extname(out).length)}.${REPORT_FORMATS[format]}`;
+    }
+  }
+  return paths;
+}
+
+async function generateReport(options) {
   try {
     // Get run info
     let runQuery;
-    if (runId) {
-      runQuery = await query('SELECT * FROM runs WHERE id = $1', [runId]);
+    if (options.runId) {
+      runQuery = await query('SELECT * FROM runs WHERE id = $1', [options.runId]);
     } else {
       runQuery = await query('SELECT * FROM runs ORDER BY started_at DESC LIMIT 1');
     }
@@ -30,151 +133,72 @@ async function generateReport(runId) {
     const run = runQuery.rows[0];
     const actualRunId = run.id;
     
-    // Get selected accounts
+    // Get selected accounts with this run's snapshot (metrics and score breakdown)
     const selectedQuery = await query(`
-      SELECT sa.*, a.strict_win_rate, a.proxy_win_rate, a.total_volume_usd, a.total_trades
+      SELECT sa.address, sa.selection_score, sa.reason_tags, sa.selection_window,
+             s.strict_win_rate, s.proxy_win_rate, s.shrunk_win_rate, s.win_rate_lower_bound,
+             s.win_count, s.loss_count, s.closed_positions, s.total_trades, s.total_volume_usd,
+             s.realized_pnl, s.roi, s.profit_factor, s.sharpe_ratio, s.max_drawdown,
+             s.confidence_score, s.mean_edge, s.brier_score, s.score_breakdown
       FROM selected_accounts sa
-      JOIN accounts a ON sa.address = a.address
+      LEFT JOIN account_metrics_snapshot s ON s.run_id = sa.run_id AND s.address = sa.address
       WHERE sa.run_id = $1
-      ORDER BY sa.selection_score DESC
+      ORDER BY sa.selection_score DESC, sa.address
+    `, [actualRunId]);
+    
+    // Get near misses (rejected accounts closest to passing)
+    const nearMissQuery = await query(`
+      SELECT address, selection_score, failed_criteria
+      FROM rejected_accounts
+      WHERE run_id = $1 AND near_miss
+      ORDER BY selection_score DESC
+      LIMIT 10
     `, [actualRunId]);
     
-    const selectedAccounts = selectedQuery.rows;
+    // Get market consensus (outcomes held by several selected accounts)
+    const consensusQuery = await query(`
+      SELECT * FROM market_consensus
+      WHERE run_id = $1 AND holders >= 2
+      ORDER BY holders DESC, exposure_usd DESC, condition_id
+      LIMIT 10
+    `, [actualRunId]);
     
     // Get snapshots count
     const snapshotQuery = await query(
       'SELECT COUNT(*) as count FROM account_metrics_snapshot WHERE run_id = $1',
       [actualRunId]
     );
-    const snapshotCount = parseInt(snapshotQuery.rows[0].count);
-    
-    // Parse stats
-    const stats = run.stats || {};
-    const config = run.config || {};
-    const errorSummary = stats.error_summary || {};
     
-    // Calculate metrics
-    const avgWinRate = selectedAccounts.length > 0
-      ? selectedAccounts.reduce((sum, a) => sum + (a.strict_win_rate || a.proxy_win_rate || 0), 0) / selectedAccounts.length
-      : 0;
-    const avgVolume = selectedAccounts.length > 0
-      ? selectedAccounts.reduce((sum, a) => sum + (a.total_volume_usd || 0), 0) / selectedAccounts.length
-      : 0;
-    const avgScore = selectedAccounts.length > 0
-      ? selectedAccounts.reduce((sum, a) => sum + (a.selection_score || 0), 0) / selectedAccounts.length
-      : 0;
-    const topScore = selectedAccounts.length > 0 ? selectedAccounts[0].selection_score : null;
+    const report = buildReport({
+      run,
+      selected: selectedQuery.rows,
+      nearMisses: nearMissQuery.rows,
+      consensus: consensusQuery.rows,
+      snapshotCount: parseInt(snapshotQuery.rows[0].count)
+    });
     
-    // Calculate duration
-    const duration = run.completed_at && run.started_at
-      ? Math.round((new Date(run.completed_at) - new Date(run.started_at)) / 1000)
-      : 0;
-    
-    // Generate report
-    const report = `# Polymarket Winner Scanner - Sync Run Report
-
-**Run ID**: \`${actualRunId}\`
-**Date**: ${run.started_at ? new Date(run.started_at).toISOString() : 'N/A'}
-**Status**: ${run.status}
-
----
-
-## Summary
-
-| Metric | Value |
-|--------|-------|
-| Accounts Processed | ${stats.accounts_processed || 0} |
-| Accounts Selected | ${selectedAccounts.length} |
-| Accounts Failed | ${stats.accounts_failed || 0} |
-| Average Win Rate | ${(avgWinRate * 100).toFixed(1)}% |
-| Average Volume | $${avgVolume.toFixed(2)} |
-| Average Score | ${avgScore.toFixed(4)} |
-| Top Score | ${topScore !== null ? topScore.toFixed(4) : 'N/A'} |
-
----
-
-## Configuration
-
-\`\`\`json
-${JSON.stringify(config, null, 2)}
-\`\`\`
-
----
-
-## Top Selected Accounts
-
-| Rank | Address | Win Rate | Volume (USD) | Score | Tags |
-|------|---------|----------|--------------|-------|------|
-${selectedAccounts.slice(0, 10).map((acc, i) => {
-  const winRate = ((acc.strict_win_rate || acc.proxy_win_rate || 0) * 100).toFixed(1);
-  const volume = (acc.total_volume_usd || 0).toFixed(2);
-  const score = (acc.selection_score || 0).toFixed(4);
-  const tags = acc.reason_tags || [];
-  return `| ${i + 1} | \`${acc.address.slice(0, 10)}...\` | ${winRate}% | $${volume} | ${score} | ${tags.slice(0, 3).join(', ')} |`;
-}).join('\n')}
-
-${selectedAccounts.length === 0 ? '_No accounts selected in this run_' : ''}
-
----
-
-## Error Summary
-
-${errorSummary.hasErrors ? `
-**Total Errors**: ${errorSummary.error_count}
-
-| Error Type | Count |
-|------------|-------|
-${Object.entries(errorSummary.errors_by_type || {}).map(([type, count]) => `| ${type} | ${count} |`).join('\n')}
-
-### Sample Errors
-${(errorSummary.sample_errors || []).map(e => `
-**${e.type}** (${e.count} occurrences):
-${e.samples.map(s => `- \`${s.address?.slice(0, 10) || 'N/A'}...\`: ${s.message}`).join('\n')}
-`).join('\n')}
-` : '_No errors occurred during this run_'}
-
----
-
-## Run Statistics
-
-- **Started**: ${run.started_at || 'N/A'}
-- **Completed**: ${run.completed_at || 'N/A'}
-- **Duration**: ${duration} seconds
-- **Snapshots Created**: ${snapshotCount}
-
----
-
-## Next Steps
-
-1. Review selected accounts for investment consideration
-2. Monitor top performers for continued success
-3. Adjust thresholds if needed for future runs
-
----
-
-*Generated by polymarket-winner-scanner*
-`;
-
-    // Write report
-    const reportsDir = path.join(__dirname, '..', 'reports');
-    if (!fs.existsSync(reportsDir)) {
-      fs.mkdirSync(reportsDir, { recursive: true });
+    if (options.stdout) {
+      process.stdout.write(renderReport(report, options.formats[0], { top: options.top }));
+      return [];
     }
     
-    const timestamp = new Date().toISOString().replace(/[:.]/g, '-').slice(0, 19);
-    const filename = `report-${actualRunId.slice(0, 8)}-${timestamp}.md`;
-    const filepath = path.join(reportsDir, filename);
-    
-    fs.writeFileSync(filepath, report);
+    // Write one file per format
+    const paths = outputPaths(options, actualRunId);
+    for (const [format, filepath] of Object.entries(paths)) {
+      fs.mkdirSync(path.dirname(filepath), { recursive: true });
+      fs.writeFileSync(filepath, renderReport(report, format, { top: options.top }));
+    }
     
     console.log(`\n========== Report Generated ==========`);
     console.log(`Run ID: ${actualRunId}`);
     console.log(`Status: ${run.status}`);
-    console.log(`Accounts Selected: ${selectedAccounts.length}`);
-    console.log(`Report saved to: ${filepath}`);
+    console.log(`Accounts Selected: ${report.summary.accounts_selected}`);
+    for (const [format, filepath] of Object.entries(paths)) {
+      console.log(`Report (${format}) saved to: ${filepath}`);
+    }
     console.log(`======================================\n`);
     
-    return filepath;
+    return Object.values(paths);
     
   } catch (error) {
     console.error('Failed to generate report:', error.message);
@@ -184,6 +208,12 @@ ${e.samples.map(s => `- \`${s.address?.slice(0, 10) || 'N/A'}...\`: ${s.message}
   }
 }
 
-// Parse args
-const runIdArg = process.argv[2];
-generateReport(runIdArg);
+let options;
+try {
+  options = parseArgs();
+} catch (error) {
+  console.error(`Failed to generate report: ${error.message}`);
+  process.exit(1);
+}
+
+generateReport(options);
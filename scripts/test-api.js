@@ -0,0 +1,160 @@
+/**
+ * Test script for the HTTP API (offline: in-memory storage, local port)
+ * Run: node scripts/test-api.js
+ */
+
+const http = require('http');
+const { ApiServer, matchRoute, parsePagination, etagFor, matchesEtag } = require('../src/api');
+
+const RUN_IDS = [
+  '11111111-1111-4111-8111-111111111111',
+  '22222222-2222-4222-8222-222222222222',
+  '33333333-3333-4333-8333-333333333333'
+];
+
+// In-memory stand-in for Storage: same method names and return shapes
+function fakeStorage() {
+  const runs = RUN_IDS.map((id, i) => ({ id, status: 'completed', run_type: 'sync', started_at: new Date(Date.UTC(2026, 9, i + 1)) }));
+  const selected = [
+    { rank: '1', address: '0xaaa', selection_score: '0.8123', reason_tags: ['high_winrate'] },
+    { rank: '2', address: '0xbbb', selection_score: '0.7000', reason_tags: [] }
+  ];
+  const calls = [];
+  return {
+    calls,
+    async listRuns(options) {
+      calls.push(['listRuns', options]);
+      return { rows: runs.slice(options.offset, options.offset + options.limit), total: runs.length };
+    },
+    async getRun(id) {
+      return runs.find(r => r.id === id) || null;
+    },
+    async listSelectedAccounts(runId, options) {
+      return { rows: selected.slice(options.offset, options.offset + options.limit), total: selected.length };
+    },
+    async getAccount(address) {
+      return address === '0xaaa' ? { address, total_trades: 80, realized_pnl: '1200.5000' } : null;
+    },
+    async loadAccountTimeline() {
+      return [
+        { run_id: RUN_IDS[0], started_at: runs[0].started_at, score: '0.7', selected_rank: null, reasons: ['minWinRate'] },
+        { run_id: RUN_IDS[1], started_at: runs[1].started_at, score: '0.8', selected_rank: '1', reasons: null }
+      ];
+    },
+    async listAccountSnapshots(address, options) {
+      calls.push(['listAccountSnapshots', options]);
+      return { rows: [{ run_id: RUN_IDS[1], score: '0.8000', selected: true }], total: 1 };
+    },
+    async loadLeaderboard(options) {
+      calls.push(['loadLeaderboard', options]);
+      return { run: runs[2], rows: [{ address: '0xbbb', sort_value: '0.9', selected: false }], total: 1 };
+    }
+  };
+}
+
+function get(port, path, options = {}) {
+  return new Promise((resolve, reject) => {
+    const req = http.request({ host: '127.0.0.1', port, path, method: options.method || 'GET', headers: options.headers }, res => {
+      let body = '';
+      res.on('data', chunk => { body += chunk; });
+      res.on('end', () => resolve({ status: res.statusCode, headers: res.headers, body: body ? JSON.parse(body) : null }));
+    });
+    req.on('error', reject);
+    req.end();
+  });
+}
+
+function expect(condition, message) {
+  if (!condition) throw new Error(message);
+}
+
+function testHelpers() {
+  console.log('=== API Helpers Test ===\n');
+
+  expect(matchRoute('/runs/abc/selected/').handler === 'listSelected', 'Trailing slash should be ignored');
+  expect(matchRoute('/accounts/0x%41').params.address === '0xA', 'Path parameters should be decoded');
+  expect(matchRoute('/nope') === null, 'Unknown path should not match');
+  console.log('✓ Routes match with decoded parameters');
+
+  const page = parsePagination(new URLSearchParams('limit=20&offset=40'));
+  expect(page.limit === 20 && page.offset === 40, `Unexpected page ${JSON.stringify(page)}`);
+  for (const bad of ['limit=0', 'limit=501', 'offset=-1', 'limit=abc']) {
+    let status = null;
+    try {
+      parsePagination(new URLSearchParams(bad));
+    } catch (error) {
+      status = error.status;
+    }
+    expect(status === 400, `${bad} should be rejected with 400`);
+  }
+  console.log('✓ Pagination defaults and bounds');
+
+  const etag = etagFor('{"a":1}');
+  expect(matchesEtag(`W/${etag}, "other"`, etag) && matchesEtag('*', etag), 'If-None-Match lists and * should match');
+  expect(!matchesEtag('"other"', etag) && !matchesEtag(undefined, etag), 'Different or missing tags should not match');
+  console.log('✓ ETag matching\n');
+}
+
+async function testServer() {
+  console.log('=== API Server Test ===\n');
+
+  const storage = fakeStorage();
+  const api = new ApiServer({ storage, logger: { error() {} } });
+  const { port } = await api.listen(0, '127.0.0.1');
+
+  try {
+    const first = await get(port, '/runs?limit=2');
+    expect(first.status === 200 && first.body.data.length === 2, `Expected 2 runs, got ${first.status}`);
+    expect(first.body.pagination.total === 3 && first.body.pagination.next_offset === 2, `Unexpected pagination ${JSON.stringify(first.body.pagination)}`);
+    const last = await get(port, '/runs?limit=2&offset=2');
+    expect(last.body.data.length === 1 && last.body.pagination.next_offset === null, 'Last page should have no next_offset');
+    console.log('✓ /runs pages with total and next_offset');
+
+    const cached = await get(port, '/runs?limit=2', { headers: { 'If-None-Match': first.headers.etag } });
+    expect(cached.status === 304 && cached.body === null, `Expected 304 without body, got ${cached.status}`);
+    console.log(`✓ Matching If-None-Match answered with 304 (ETag ${first.headers.etag.slice(0, 12)}...)`);
+
+    const selected = await get(port, `/runs/${RUN_IDS[0]}/selected`);
+    expect(selected.body.data[0].rank === 1 && selected.body.data[0].selection_score === 0.8123, 'Ranks and DECIMALs should be numbers');
+    const missing = await get(port, '/runs/not-a-uuid');
+    expect(missing.status === 404 && missing.body.error, 'Unknown run should be 404');
+    console.log('✓ /runs/:id/selected parses numerics; unknown runs are 404');
+
+    const account = await get(port, '/accounts/0xAAA');
+    expect(account.status === 200 && account.body.data.realized_pnl === 1200.5, 'Account should be found case-insensitively');
+    expect(account.body.data.selection_summary.timesSelected === 1 && account.body.data.latest_snapshot.selectedRank === 1, 'Account should carry its selection summary');
+    const snapshots = await get(port, '/accounts/0xaaa/snapshots?include_derived=true&limit=10');
+    const snapshotCall = storage.calls.find(c => c[0] === 'listAccountSnapshots')[1];
+    expect(snapshots.body.data.length === 1 && snapshotCall.includeDerived && snapshotCall.limit === 10, 'Snapshots should pass paging and include_derived');
+    expect((await get(port, '/accounts/0xccc')).status === 404, 'Unknown account should be 404');
+    console.log('✓ /accounts/:address and /snapshots');
+
+    const board = await get(port, '/leaderboard?window=30d&sort=pnl&limit=5&offset=5');
+    const boardCall = storage.calls.find(c => c[0] === 'loadLeaderboard')[1];
+    expect(board.body.run_id === RUN_IDS[2] && board.body.data[0].rank === 6, `Unexpected leaderboard ${JSON.stringify(board.body)}`);
+    expect(boardCall.window === '30d' && boardCall.sort === 'pnl' && boardCall.offset === 5, 'Leaderboard should pass window, sort and paging');
+    expect((await get(port, '/leaderboard?window=1y')).status === 400, 'Unknown window should be 400');
+    expect((await get(port, '/leaderboard?sort=luck')).status === 400, 'Unknown sort should be 400');
+    console.log('✓ /leaderboard ranks from offset and validates window and sort');
+
+    const post = await get(port, '/runs', { method: 'POST' });
+    expect(post.status === 405 && post.headers.allow === 'GET, HEAD', 'POST should be 405');
+    expect((await get(port, '/unknown')).status === 404, 'Unknown path should be 404');
+    console.log('✓ Unsupported methods and paths rejected\n');
+  } finally {
+    await api.close();
+  }
+}
+
+async function runTests() {
+  try {
+    testHelpers();
+    await testServer();
+    console.log('=== All Tests Passed ===');
+  } catch (error) {
+    console.error('Test failed:', error.message);
+    process.exit(1);
+  }
+}
+
+runTests();
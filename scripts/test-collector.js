@@ -3,7 +3,152 @@
  * Run: node scripts/test-collector.js
  */
 
-const { PolymarketCollector } = require('../src/collector');
+const { PolymarketCollector, RateLimiter, CooldownState, parseRetryAfter, activityKey } = require('../src/collector');
+const { mapWithConcurrency } = require('../src/pool');
+const { aggregateWallets } = require('../src/discover');
+
+async function testPagination() {
+  console.log('=== Pagination Test (offline) ===\n');
+  
+  const collector = new PolymarketCollector({ logger: { info() {}, warn() {} } });
+  
+  // Fake endpoint: 120 records, newest first, one per second
+  const history = Array.from({ length: 120 }, (_, i) => ({ id: i, timestamp: 1000 - i }));
+  const fetchPage = async ({ limit, offset, before }) => history
+    .filter(r => !before || r.timestamp <= before)
+    .slice(offset, offset + limit);
+  
+  const full = await collector.fetchPaginated(fetchPage, {
+    pageSize: 25, maxOffset: 50, maxRecords: 1000, timeKey: 'timestamp', keyOf: r => r.id
+  });
+  if (full.records.length !== 120 || full.truncated) {
+    throw new Error(`Expected 120 untruncated records, got ${full.records.length} (truncated=${full.truncated})`);
+  }
+  console.log('✓ Paged full history across before-windows without duplicates');
+  
+  const capped = await collector.fetchPaginated(fetchPage, {
+    pageSize: 25, maxOffset: 50, maxRecords: 60, timeKey: 'timestamp', keyOf: r => r.id
+  });
+  if (capped.records.length !== 60 || !capped.truncated) {
+    throw new Error(`Expected 60 truncated records, got ${capped.records.length} (truncated=${capped.truncated})`);
+  }
+  console.log('✓ Stopped at ceiling and flagged truncation');
+  
+  // Two fills of one outcome in the same transaction are distinct records
+  const fill = { transactionHash: '0xf', type: 'TRADE', conditionId: '0xc', outcome: 'Yes', timestamp: 100, size: 10 };
+  if (activityKey(fill) === activityKey({ ...fill, size: 4 })) {
+    throw new Error('Fills of one transaction should have distinct activity keys');
+  }
+  console.log('✓ Activity keys keep every fill of a transaction');
+  
+  // Open positions are paged too, and flag truncation at the ceiling
+  const paged = new PolymarketCollector({ logger: { info() {}, warn() {} }, maxHistoryRecords: 4 });
+  const open = Array.from({ length: 6 }, (_, i) => ({ conditionId: `0xp${i}`, outcome: 'Yes', size: 10, avgPrice: 0.5, currentValue: 5 }));
+  paged.fetchPositions = async (address, { limit, offset = 0 }) => open.slice(offset, offset + limit);
+  paged.fetchAllClosedPositions = async () => ({ records: [], truncated: false });
+  paged.fetchAllActivity = async () => ({ records: [], truncated: false });
+  const pagedMetrics = await paged.fetchAccountMetrics('0xpaged');
+  if (pagedMetrics.positionsCount !== 4 || pagedMetrics._truncatedEndpoints.join() !== 'positions' || !pagedMetrics.historyTruncated) {
+    throw new Error(`Open positions not paged: ${pagedMetrics.positionsCount} (${pagedMetrics._truncatedEndpoints})`);
+  }
+  console.log('✓ Open positions paged up to the ceiling and flagged truncated\n');
+}
+
+async function testConcurrency() {
+  console.log('=== Concurrency Test (offline) ===\n');
+  
+  // Sliding window: never more than `limit` grants in any window, FIFO order
+  const limiter = new RateLimiter(3, 200);
+  const start = Date.now();
+  const order = [];
+  const times = await Promise.all([0, 1, 2, 3, 4, 5].map(i => limiter.acquire().then(() => {
+    order.push(i);
+    return Date.now() - start;
+  })));
+  const overLimit = times.slice(3).some((t, i) => t - times[i] < 195);
+  if (overLimit || order.join(',') !== '0,1,2,3,4,5') {
+    throw new Error(`Sliding window violated: times=${times.join(', ')}ms order=${order.join(',')}`);
+  }
+  console.log(`✓ Rate limiter granted 3 per window in FIFO order: ${times.join(', ')}ms`);
+  
+  // Retry-After pauses the endpoint and counters are tracked
+  const paused = new RateLimiter(100, 1000, { cooldown: new CooldownState({ consecutive429Threshold: 2, cooldownMs: 150 }) });
+  await paused.acquire();
+  const pauseMs = paused.onRateLimited(parseRetryAfter('0.1'));
+  const pauseStart = Date.now();
+  await paused.acquire();
+  const waited = Date.now() - pauseStart;
+  paused.onRateLimited(null);   // Second consecutive 429 triggers the shared cooldown
+  const stats = paused.getStats();
+  if (pauseMs < 90 || waited < 90 || stats.rateLimited !== 2 || stats.waits !== 1 || paused.cooldown.cooldowns !== 1) {
+    throw new Error(`429 handling wrong: pause=${pauseMs} waited=${waited} stats=${JSON.stringify(stats)}`);
+  }
+  console.log(`✓ Retry-After paused ${waited}ms, cooldown after repeated 429s, stats=${JSON.stringify(stats)}`);
+  
+  // Worker pool keeps input order and never exceeds its bound
+  let inFlight = 0;
+  let maxInFlight = 0;
+  const results = await mapWithConcurrency([30, 5, 20, 10, 15], 2, async (ms) => {
+    inFlight++;
+    maxInFlight = Math.max(maxInFlight, inFlight);
+    await new Promise(resolve => setTimeout(resolve, ms));
+    inFlight--;
+    return ms;
+  });
+  if (results.join(',') !== '30,5,20,10,15' || maxInFlight > 2) {
+    throw new Error(`Worker pool broke order or bound: [${results}] maxInFlight=${maxInFlight}`);
+  }
+  console.log('✓ Worker pool preserved input order with at most 2 in flight\n');
+}
+
+async function testTradeStream() {
+  console.log('=== Trade Stream Test (offline) ===\n');
+  
+  const collector = new PolymarketCollector({ logger: { info() {}, warn() {} } });
+  let stream = [
+    { transactionHash: '0xa', proxyWallet: '0x1', asset: 'A', side: 'BUY', size: 10, price: 0.5, timestamp: 100 },
+    { transactionHash: '0xb', proxyWallet: '0x2', asset: 'A', side: 'SELL', size: 4, price: 0.5, timestamp: 100 },
+    { transactionHash: '0xc', proxyWallet: '0x1', asset: 'B', side: 'BUY', size: 2, price: 0.25, timestamp: 90 }
+  ];
+  collector.fetchTrades = async ({ limit, offset }) => ({ trades: stream.slice(offset, offset + limit) });
+  
+  // First poll: no mark, reads only the first page
+  const first = await collector.fetchTradesSince(null, { pageSize: 2 });
+  if (first.trades.length !== 2 || first.mark.lastTimestamp !== 100 || first.mark.lastTradeIds.length !== 2) {
+    throw new Error(`Unexpected first poll: ${JSON.stringify(first)}`);
+  }
+  
+  // New trades arrive, including one at the mark's timestamp
+  stream = [
+    { transactionHash: '0xe', proxyWallet: '0x3', asset: 'A', side: 'BUY', size: 20, price: 0.1, timestamp: 110 },
+    { transactionHash: '0xd', proxyWallet: '0x3', asset: 'A', side: 'BUY', size: 5, price: 0.2, timestamp: 100 },
+    ...stream
+  ];
+  const second = await collector.fetchTradesSince(first.mark, { pageSize: 2, maxPages: 5 });
+  if (second.trades.map(t => t.transactionHash).join(',') !== '0xe,0xd' || second.gap || second.mark.lastTimestamp !== 110) {
+    throw new Error(`Unexpected second poll: ${JSON.stringify(second)}`);
+  }
+  console.log('✓ Polls return only trades past the high-water mark');
+  
+  const wallets = aggregateWallets([...first.trades, ...second.trades]);
+  const wallet3 = wallets.find(w => w.address === '0x3');
+  if (wallets.length !== 3 || wallet3.tradeCount !== 2 || wallet3.notionalUsd !== 3 || wallet3.firstSeen !== 100) {
+    throw new Error(`Unexpected wallet aggregation: ${JSON.stringify(wallets)}`);
+  }
+  console.log('✓ Wallets aggregated with trade count, notional and first seen');
+  
+  // Market discovery: participants ordered by first trade
+  const marketId = '0x' + 'ab'.repeat(32);
+  collector.fetchTrades = async ({ limit, offset, market, takerOnly }) => {
+    if (market !== marketId || takerOnly !== false) throw new Error('Market trades must be unfiltered by taker side');
+    return { trades: stream.slice(offset, offset + limit) };
+  };
+  const discovered = await collector.discoverTradersFromMarket(marketId, { pageSize: 2 });
+  if (discovered.participants.map(p => `${p.entryRank}:${p.address}`).join(',') !== '1:0x1,2:0x2,3:0x3' || discovered.tradeCount !== 5) {
+    throw new Error(`Unexpected market participants: ${JSON.stringify(discovered.participants)}`);
+  }
+  console.log('✓ Market participants discovered in entry order\n');
+}
 
 async function testCollector() {
   console.log('=== Collector Module Test ===\n');
@@ -65,4 +210,11 @@ async function testCollector() {
 }
 
 // Run tests
-testCollector();
+testPagination()
+  .then(testConcurrency)
+  .then(testTradeStream)
+  .then(testCollector)
+  .catch(error => {
+    console.error('Test failed:', error.message);
+    process.exit(1);
+  });
@@ -0,0 +1,162 @@
+/**
+ * Test script for Notifier module (offline: local stub webhook receiver)
+ * Run: node scripts/test-notifier.js
+ */
+
+const http = require('http');
+const {
+  Notifier, parseWebhookSpec, runCompletedEvent, signalEvent, formatPayload, signPayload
+} = require('../src/notifier');
+
+const SECRET = 'test-secret';
+
+/**
+ * Stub receiver: records every request and answers with the queued statuses
+ * (200 once the queue is empty)
+ */
+function startReceiver() {
+  const receiver = { requests: [], statuses: [], retryAfter: '0' };
+  receiver.server = http.createServer((req, res) => {
+    let body = '';
+    req.on('data', chunk => { body += chunk; });
+    req.on('end', () => {
+      receiver.requests.push({ path: req.url, headers: req.headers, body });
+      const status = receiver.statuses.shift() || 200;
+      res.writeHead(status, status === 429 ? { 'Retry-After': receiver.retryAfter } : {});
+      res.end();
+    });
+  });
+  return new Promise(resolve => {
+    receiver.server.listen(0, '127.0.0.1', () => {
+      receiver.url = `http://127.0.0.1:${receiver.server.address().port}`;
+      resolve(receiver);
+    });
+  });
+}
+
+function expect(condition, message) {
+  if (!condition) throw new Error(message);
+}
+
+const selectionDiff = {
+  previous_run_id: 'run-0',
+  retained_count: 5,
+  churn_rate: 0.1667,
+  added: [{ address: '0xnew1', rank: 2, score: 0.81234 }],
+  dropped: [{ address: '0xold1', previousRank: 4, previousScore: 0.7 }]
+};
+
+function testPayloads() {
+  console.log('=== Webhook Payload Test ===\n');
+
+  expect(parseWebhookSpec('https://hooks.slack.com/services/T/B/X').format === 'slack', 'Slack URL should be detected');
+  expect(parseWebhookSpec('https://discord.com/api/webhooks/1/abc').format === 'discord', 'Discord URL should be detected');
+  expect(parseWebhookSpec('https://example.com/hook').format === 'json', 'Other URLs should get JSON');
+  expect(parseWebhookSpec('slack=https://chat.example.com/hook').format === 'slack', 'Explicit format should win');
+  for (const bad of ['teams=https://example.com', 'ftp://example.com', 'not a url']) {
+    let rejected = false;
+    try {
+      parseWebhookSpec(bad);
+    } catch (error) {
+      rejected = true;
+    }
+    expect(rejected, `${bad} should be rejected`);
+  }
+  console.log('✓ Webhook specs: formats detected by host or prefix, invalid ones rejected');
+
+  const event = runCompletedEvent({ runId: 'run-1', stats: { accounts_processed: 50, accounts_selected: 6 }, selectionDiff });
+  const json = formatPayload(event, 'json', new Date('2026-01-01T00:00:00Z'));
+  expect(json.event === 'run.completed' && json.changes.added[0].address === '0xnew1' && json.changes.dropped[0].previous_rank === 4, 'JSON payload should list changes');
+  const slack = formatPayload(event, 'slack');
+  expect(slack.text.includes('*Newly selected*') && slack.text.includes('`0xnew1`') && slack.text.includes('was #4'), `Slack text wrong: ${slack.text}`);
+  const many = runCompletedEvent({
+    runId: 'run-2',
+    selectionDiff: { ...selectionDiff, added: Array.from({ length: 200 }, (_, i) => ({ address: `0x${'a'.repeat(40)}${i}`, rank: i + 1, score: 0.5 })) }
+  });
+  const discord = formatPayload(many, 'discord');
+  expect(discord.content.includes('**Newly selected**') && discord.content.includes('…and 190 more') && discord.content.length <= 2000, 'Discord content should be capped');
+  const signal = signalEvent({
+    type: 'new_position', address: '0xabc', rank: 3, condition_id: 'c1', outcome: 'Yes', title: 'Will it rain?',
+    size: 1000, previous_size: 0, price: 0.42, notional_usd: 420
+  });
+  const signalText = formatPayload(signal, 'slack').text;
+  expect(signalText.startsWith('*New position* #3 `0xabc`') && signalText.includes('Will it rain? [Yes]') && signalText.includes('$420.00'), `Signal text wrong: ${signalText}`);
+  expect(formatPayload(signal, 'json').signal.notional_usd === 420, 'JSON signal payload should carry the signal');
+  console.log('✓ JSON, Slack and Discord payloads for runs and signals\n');
+}
+
+async function testDelivery() {
+  console.log('=== Webhook Delivery Test ===\n');
+
+  const receiver = await startReceiver();
+  const logger = { info() {}, warn() {}, error() {} };
+  try {
+    const notifier = new Notifier({
+      webhooks: [{ url: `${receiver.url}/hook`, format: 'json' }],
+      secret: SECRET,
+      logger,
+      retryDelayMs: 10
+    });
+
+    receiver.statuses = [503, 500];
+    const [retried] = await notifier.runCompleted({ runId: 'run-1', stats: {}, selectionDiff });
+    expect(retried.ok && retried.attempts === 3 && receiver.requests.length === 3, `Expected success on attempt 3, got ${JSON.stringify(retried)}`);
+    console.log(`✓ Retried 5xx with backoff: delivered on attempt ${retried.attempts}`);
+
+    const { headers, body } = receiver.requests[2];
+    const expected = signPayload(SECRET, headers['x-scanner-timestamp'], body);
+    expect(headers['x-scanner-signature'] === expected && headers['content-type'] === 'application/json', 'Signature should verify against timestamp and body');
+    expect(JSON.parse(body).changes.added[0].address === '0xnew1', 'Body should be the JSON payload');
+    console.log(`✓ HMAC signature verifies (${expected.slice(0, 19)}...)`);
+
+    receiver.requests = [];
+    receiver.statuses = [429];
+    const [limited] = await notifier.runFailed({ runId: 'run-1', error: 'boom' });
+    expect(limited.ok && limited.attempts === 2 && JSON.parse(receiver.requests[1].body).error === 'boom', '429 should be retried');
+    receiver.requests = [];
+    receiver.statuses = [400];
+    const [rejected] = await notifier.runFailed({ runId: 'run-1', error: 'boom' });
+    expect(!rejected.ok && rejected.attempts === 1 && rejected.status === 400 && receiver.requests.length === 1, '4xx should not be retried');
+    console.log('✓ 429 retried, other 4xx given up after one attempt');
+
+    receiver.requests = [];
+    receiver.statuses = [503, 503, 503];
+    const failing = new Notifier({ webhooks: [{ url: `${receiver.url}/hook`, format: 'slack' }], logger, maxRetries: 2, retryDelayMs: 10 });
+    const [exhausted] = await failing.runFailed({ runId: 'run-1', error: 'boom' });
+    expect(!exhausted.ok && exhausted.attempts === 3, `Expected 3 failed attempts, got ${JSON.stringify(exhausted)}`);
+    expect(!receiver.requests[0].headers['x-scanner-signature'], 'Requests without a secret should be unsigned');
+    console.log('✓ Gave up after max retries without throwing; unsigned without a secret');
+
+    receiver.requests = [];
+    receiver.statuses = [429];
+    receiver.retryAfter = '3600';
+    const delays = [];
+    const capped = new Notifier({ webhooks: [{ url: `${receiver.url}/hook`, format: 'json' }], logger, retryDelayMs: 10, maxRetryAfterMs: 50 });
+    capped.sleep = async ms => { delays.push(ms); };
+    const [afterCap] = await capped.runFailed({ runId: 'run-1', error: 'boom' });
+    expect(afterCap.ok && delays.join() === '50', `Retry-After should be capped at 50ms, waited ${delays}`);
+    console.log('✓ Retry-After of an hour capped at maxRetryAfterMs');
+
+    receiver.requests = [];
+    const chat = new Notifier({ webhooks: [{ url: `${receiver.url}/hook`, format: 'slack' }, { url: `${receiver.url}/json`, format: 'json' }], logger });
+    const [unformatted, raw] = await chat.signal({ type: 'exit', address: '0xa', size: 0, previous_size: 10, price: null, notional_usd: null });
+    expect(!unformatted.ok && unformatted.attempts === 0 && /format/.test(unformatted.error), `Formatting error should be a failed delivery: ${JSON.stringify(unformatted)}`);
+    expect(raw.ok && receiver.requests.length === 1, 'Other webhooks should still be delivered');
+    console.log('✓ Malformed event recorded as a failed delivery, not thrown\n');
+  } finally {
+    receiver.server.close();
+  }
+}
+
+async function runTests() {
+  try {
+    testPayloads();
+    await testDelivery();
+    console.log('=== All Tests Passed ===');
+  } catch (error) {
+    console.error('Test failed:', error.message);
+    process.exit(1);
+  }
+}
+
+runTests();
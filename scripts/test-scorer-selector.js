@@ -5,6 +5,19 @@
 
 const { AccountScorer } = require('../src/scorer');
 const { AccountSelector } = require('../src/selector');
+const { PolymarketCollector } = require('../src/collector');
+const { createScorer, loadProfile } = require('../src/strategies');
+const { parseRule, loadRulesFile } = require('../src/rules');
+const { toSelection, buildSelectionDiff } = require('../src/churn');
+const { toTimelineEntry, summarizeTimeline, sparkline } = require('../src/timeline');
+const { REPORT_SCHEMA_VERSION, parseFormats, buildReport, renderReport } = require('../src/report');
+const { toPositionState, diffPositions, advanceActivityMark } = require('../src/signals');
+const { buildConsensus, toConsensusEntry, summarizeConsensus } = require('../src/holdings');
+const { MarketCatalog, categorize, toMarketRecord } = require('../src/markets');
+const { detectWashTrading, detectRoundTrips, findCounterpartyOverlaps } = require('../src/wash');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
 
 function testScorer() {
   console.log('=== Scorer Module Test ===\n');
@@ -118,13 +131,951 @@ function testSelector() {
   // Test updating criteria
   console.log('\n--- Test criteria update ---');
   selector.updateCriteria({ minWinRate: 0.55, topN: 3 });
+  try {
+    selector.updateCriteria({ window: '14d', topN: 1 });
+    throw new Error('updateCriteria should reject unknown windows');
+  } catch (error) {
+    if (!error.message.startsWith('Unknown metrics window') || selector.topN !== 3) throw error;
+  }
   const result2 = selector.select(accounts);
   console.log(`After update: selected ${result2._stats.selectedCount} (top 3 with minWinRate=0.55)`);
   
   console.log('\n=== Selector Tests Passed ===\n');
 }
 
+function testWindows() {
+  console.log('=== Windowed Metrics Test ===\n');
+  
+  const collector = new PolymarketCollector({ logger: { info() {}, warn() {}, error() {} } });
+  const scorer = new AccountScorer();
+  const asOf = Date.parse('2026-10-01T00:00:00Z');
+  const daysAgo = days => Math.floor((asOf - days * 86400000) / 1000);
+  
+  // Great last year, losing this month
+  const fadedClosed = [
+    ...Array.from({ length: 20 }, (_, i) => ({ realizedPnl: 100, resolvedAt: new Date((daysAgo(300 + i)) * 1000).toISOString() })),
+    ...Array.from({ length: 5 }, (_, i) => ({ realizedPnl: -50, resolvedAt: new Date((daysAgo(3 + i)) * 1000).toISOString() }))
+  ];
+  const fadedActivity = [
+    ...Array.from({ length: 40 }, (_, i) => ({ usdcSize: 500, timestamp: daysAgo(300 + i) })),
+    ...Array.from({ length: 10 }, (_, i) => ({ usdcSize: 100, timestamp: daysAgo(2 + i) }))
+  ];
+  // Average all-time, winning this month
+  const risingClosed = [
+    ...Array.from({ length: 10 }, (_, i) => ({ realizedPnl: -20, resolvedAt: daysAgo(200 + i) })),
+    ...Array.from({ length: 8 }, (_, i) => ({ realizedPnl: 40, resolvedAt: daysAgo(5 + i) }))
+  ];
+  const risingActivity = Array.from({ length: 30 }, (_, i) => ({ usdcSize: 200, timestamp: daysAgo(1 + i) }));
+  
+  const positions = [{ cashPnl: 1, realizedPnl: 7 }, { cashPnl: -1 }];
+  const faded = scorer.score(collector.calculateMetrics('0xfaded', positions, fadedClosed, fadedActivity, { asOf }));
+  const rising = scorer.score(collector.calculateMetrics('0xrising', positions, risingClosed, risingActivity, { asOf }));
+  
+  const w = faded.windows;
+  if (w.all.strictWinRate !== 0.8 || w['30d'].strictWinRate !== 0 || w['7d'].lossCount !== 5 ||
+      w['30d'].totalTrades !== 10 || w['30d'].realizedPnl !== -250 || w['90d'].proxyWinRate !== null) {
+    throw new Error(`Window metrics wrong: ${JSON.stringify(w)}`);
+  }
+  // Every window sums closed positions; open positions' PnL stays in the headline only
+  if (w.all.realizedPnl !== 1750 || faded.realizedPnl !== 7) {
+    throw new Error(`'all' window PnL ${w.all.realizedPnl} should sum closed positions`);
+  }
+  if (w.all.compositeScore !== faded.compositeScore) {
+    throw new Error(`'all' window score ${w.all.compositeScore} != headline ${faded.compositeScore}`);
+  }
+  console.log(`✓ 0xfaded: all-time win rate ${w.all.strictWinRate}, 30d ${w['30d'].strictWinRate} (PnL ${w['30d'].realizedPnl})`);
+  
+  const criteria = { minTrades: 5, minVolume: 100, minWinRate: 0.5, minConfidence: 0, topN: 5 };
+  const allTime = new AccountSelector(criteria).select([faded, rising]);
+  const recent = new AccountSelector({ ...criteria, window: '30d' }).select([faded, rising]);
+  if (allTime.selected[0].address !== '0xfaded' || recent.selected.length !== 1 ||
+      recent.selected[0].address !== '0xrising' || recent.selected[0].selectionWindow !== '30d') {
+    throw new Error(`Window selection wrong: all=${allTime.selected.map(a => a.address)} 30d=${recent.selected.map(a => a.address)}`);
+  }
+  console.log(`✓ all-time selects ${allTime.selected.map(a => a.address).join(', ')}; --window 30d selects ${recent.selected.map(a => a.address).join(', ')}`);
+  
+  let rejected = false;
+  try {
+    new AccountSelector({ window: '14d' });
+  } catch (error) {
+    rejected = true;
+  }
+  if (!rejected) throw new Error('Unknown window was accepted');
+  console.log('✓ Unknown window rejected');
+  
+  console.log('\n=== Windowed Metrics Tests Passed ===\n');
+}
+
+function testWinRateEstimates() {
+  console.log('=== Win Rate Shrinkage Test ===\n');
+  
+  const scorer = new AccountScorer();
+  const base = { totalVolumeUsd: 20000, confidenceScore: 0.5, totalTrades: 500, realizedPnl: 1000 };
+  const lucky = { ...base, address: '0xlucky', strictWinRate: 1, winCount: 3, lossCount: 0, closedPositions: 3 };
+  const proven = { ...base, address: '0xproven', strictWinRate: 0.65, winCount: 260, lossCount: 140, closedPositions: 400 };
+  
+  const scoredLucky = scorer.score(lucky);
+  const scoredProven = scorer.score(proven);
+  if (scoredProven.compositeScore <= scoredLucky.compositeScore) {
+    throw new Error(`3-0 (${scoredLucky.compositeScore}) still beats 260-140 (${scoredProven.compositeScore})`);
+  }
+  if (Math.abs(scoredLucky.winRateLowerBound - 0.4385) > 0.0001 || scoredLucky.shrunkWinRate !== 0.6154) {
+    throw new Error(`Estimates wrong: ${JSON.stringify(scoredLucky.scoreBreakdown)}`);
+  }
+  console.log(`✓ 3-0: shrunk ${scoredLucky.shrunkWinRate}, Wilson LB ${scoredLucky.winRateLowerBound}, score ${scoredLucky.compositeScore}`);
+  console.log(`✓ 260-140: shrunk ${scoredProven.shrunkWinRate}, Wilson LB ${scoredProven.winRateLowerBound}, score ${scoredProven.compositeScore}`);
+  
+  const raw = new AccountScorer({ winRateBasis: 'raw' });
+  if (raw.score(lucky).compositeScore <= raw.score(proven).compositeScore) {
+    throw new Error('Raw basis should keep the legacy ranking');
+  }
+  console.log('✓ winRateBasis=raw keeps the unshrunk win rate');
+  
+  // Population prior: rates spread around 0.55
+  const population = Array.from({ length: 40 }, (_, i) => {
+    const wins = 8 + (i % 7);
+    return { ...base, address: `0xpop${i}`, winCount: wins, lossCount: 20 - wins };
+  });
+  const fitted = new AccountScorer({ priorMode: 'population' });
+  fitted.scoreBatch(population);
+  const prior = fitted.getConfig();
+  const priorMean = prior.priorAlpha / (prior.priorAlpha + prior.priorBeta);
+  if (Math.abs(priorMean - 0.55) > 0.01 || prior.priorAlpha === 5) {
+    throw new Error(`Population prior not fitted: ${JSON.stringify(prior)}`);
+  }
+  const tooFew = new AccountScorer({ priorMode: 'population' });
+  if (tooFew.fitPrior(population.slice(0, 3)).fitted || tooFew.priorAlpha !== 5) {
+    throw new Error('Prior fitted from too few accounts');
+  }
+  console.log(`✓ Population prior alpha=${prior.priorAlpha}, beta=${prior.priorBeta} (mean ${priorMean.toFixed(3)}); fixed prior kept for tiny populations`);
+  
+  // Lower-bound filter drops the small sample
+  const selector = new AccountSelector({ minTrades: 1, minVolume: 0, minWinRate: 0.5, minConfidence: 0, minWinRateLowerBound: 0.55 });
+  const result = selector.select([scoredLucky, scoredProven]);
+  if (result.selected.length !== 1 || result.selected[0].address !== '0xproven') {
+    throw new Error(`Lower-bound filter wrong: ${result.selected.map(a => a.address)}`);
+  }
+  console.log('✓ minWinRateLowerBound=0.55 keeps 0xproven only');
+  
+  console.log('\n=== Win Rate Shrinkage Tests Passed ===\n');
+}
+
+function testPnlMetrics() {
+  console.log('=== PnL Metrics Test ===\n');
+  
+  const collector = new PolymarketCollector({ logger: { info() {}, warn() {}, error() {} } });
+  const t = day => Date.UTC(2026, 0, day) / 1000;
+  
+  // Favourite farmer: nine wins at 0.97, then one loss of the whole stake
+  const farmer = [
+    ...Array.from({ length: 9 }, (_, i) => ({ conditionId: `0xf${i}`, outcome: 'Yes', totalBought: 1000, avgPrice: 0.97, realizedPnl: 30, resolvedAt: t(i + 1) })),
+    { conditionId: '0xf9', outcome: 'Yes', totalBought: 1000, avgPrice: 0.97, realizedPnl: -970, resolvedAt: t(20) }
+  ];
+  // Cost basis from BUY activity when the position has none
+  const picker = [
+    { conditionId: '0xp1', outcome: 'No', realizedPnl: 60, resolvedAt: t(1) },
+    { conditionId: '0xp2', outcome: 'Yes', realizedPnl: -20, resolvedAt: t(2) },
+    { conditionId: '0xp3', outcome: 'Yes', realizedPnl: 40, resolvedAt: t(3) }
+  ];
+  const pickerActivity = [
+    { type: 'TRADE', side: 'BUY', conditionId: '0xp1', outcome: 'No', usdcSize: 100, timestamp: t(1) },
+    { type: 'TRADE', side: 'BUY', conditionId: '0xp2', outcome: 'Yes', usdcSize: 100, timestamp: t(1) },
+    { type: 'TRADE', side: 'BUY', conditionId: '0xp3', outcome: 'Yes', usdcSize: 100, timestamp: t(2) },
+    { type: 'REDEEM', side: '', conditionId: '0xp1', outcome: 'No', usdcSize: 160, timestamp: t(3) }
+  ];
+  
+  const f = collector.calculatePnlMetrics(farmer, []);
+  if (f.maxDrawdown !== 970 || Math.abs(f.profitFactor - 270 / 970) > 1e-9 || f.avgLoss !== 970 || f.roi >= 0) {
+    throw new Error(`Farmer PnL metrics wrong: ${JSON.stringify(f)}`);
+  }
+  console.log(`✓ Favourite farmer: win rate 0.9, ROI ${f.roi.toFixed(4)}, profit factor ${f.profitFactor.toFixed(3)}, max drawdown $${f.maxDrawdown}`);
+  
+  const p = collector.calculatePnlMetrics(picker, pickerActivity);
+  if (p.capitalDeployed !== 300 || Math.abs(p.roi - 80 / 300) > 1e-9 || p.profitFactor !== 5 || p.maxDrawdown !== 20 || !(p.sharpeRatio > 0)) {
+    throw new Error(`Picker PnL metrics wrong: ${JSON.stringify(p)}`);
+  }
+  console.log(`✓ Picker: ROI ${p.roi.toFixed(4)}, avg win ${p.avgWin}, avg loss ${p.avgLoss}, Sharpe ${p.sharpeRatio.toFixed(3)}`);
+  
+  // PnL weights and thresholds
+  const scorer = new AccountScorer({ roiWeight: 0.6, drawdownWeight: 0.5 });
+  const base = { totalVolumeUsd: 10000, confidenceScore: 0.5, totalTrades: 50, positionsCount: 1 };
+  const farmerAccount = scorer.score({ ...base, address: '0xfarmer', strictWinRate: 0.9, winCount: 9, lossCount: 1, ...f });
+  const pickerAccount = scorer.score({ ...base, address: '0xpicker', strictWinRate: 0.667, winCount: 2, lossCount: 1, ...p });
+  if (pickerAccount.compositeScore <= farmerAccount.compositeScore || !(farmerAccount.scoreBreakdown.drawdownPenalty > 0)) {
+    throw new Error(`PnL weights not applied: farmer=${farmerAccount.compositeScore} picker=${pickerAccount.compositeScore}`);
+  }
+  console.log(`✓ With ROI/drawdown weights 0xpicker (${pickerAccount.compositeScore}) beats 0xfarmer (${farmerAccount.compositeScore})`);
+  
+  const selector = new AccountSelector({ minTrades: 1, minVolume: 0, minWinRate: 0.5, minConfidence: 0, minProfitFactor: 1.2 });
+  const result = selector.select([farmerAccount, pickerAccount]);
+  if (result.selected.length !== 1 || result.selected[0].address !== '0xpicker') {
+    throw new Error(`Profit factor filter wrong: ${result.selected.map(a => a.address)}`);
+  }
+  console.log('✓ minProfitFactor=1.2 drops 0xfarmer');
+  
+  console.log('\n=== PnL Metrics Tests Passed ===\n');
+}
+
+function testEdgeMetrics() {
+  console.log('=== Entry-price Edge Test ===\n');
+  
+  const collector = new PolymarketCollector({ logger: { info() {}, warn() {}, error() {} } });
+  const scorer = new AccountScorer({ winRateBasis: 'edge' });
+  const base = { totalVolumeUsd: 20000, confidenceScore: 0.5, totalTrades: 100 };
+  
+  // 9/10 wins on favourites at 0.95 vs 4/10 wins on longshots at 0.25
+  const favourites = Array.from({ length: 10 }, (_, i) => ({ avgPrice: 0.95, realizedPnl: i < 9 ? 5 : -95, curPrice: i < 9 ? 1 : 0 }));
+  const longshots = Array.from({ length: 10 }, (_, i) => ({ avgPrice: 0.25, realizedPnl: i < 4 ? 75 : -25, curPrice: i < 4 ? 1 : 0 }));
+  
+  const fav = collector.calculateEdgeMetrics(favourites);
+  const long = collector.calculateEdgeMetrics(longshots);
+  if (Math.abs(fav.meanEdge - (-0.05)) > 1e-9 || Math.abs(long.meanEdge - 0.15) > 1e-9 ||
+      Math.abs(fav.brierScore - (9 * 0.0025 + 0.9025) / 10) > 1e-9 || long.edgePositions !== 10) {
+    throw new Error(`Edge metrics wrong: fav=${JSON.stringify(fav)} long=${JSON.stringify(long)}`);
+  }
+  console.log(`✓ Favourites: win rate 0.9, mean edge ${fav.meanEdge.toFixed(3)}, Brier ${fav.brierScore.toFixed(4)}`);
+  console.log(`✓ Longshots: win rate 0.4, mean edge ${long.meanEdge.toFixed(3)}, Brier ${long.brierScore.toFixed(4)}`);
+  
+  // Sold at a profit before the outcome lost: a wrong call; unresolved markets are skipped
+  const early = collector.calculateEdgeMetrics([
+    { avgPrice: 0.4, realizedPnl: 20, curPrice: 0 },
+    { avgPrice: 0.4, realizedPnl: 20, curPrice: 0.6 }
+  ]);
+  if (early.edgePositions !== 1 || Math.abs(early.meanEdge - (-0.4)) > 1e-9) {
+    throw new Error(`Edge should use the resolution, not the PnL sign: ${JSON.stringify(early)}`);
+  }
+  console.log(`✓ Early profitable exit of a losing outcome: edge ${early.meanEdge}; unresolved market skipped`);
+  
+  const farmer = scorer.score({ ...base, address: '0xfav', strictWinRate: 0.9, winCount: 9, lossCount: 1, ...fav });
+  const hunter = scorer.score({ ...base, address: '0xlong', strictWinRate: 0.4, winCount: 4, lossCount: 6, ...long });
+  if (hunter.compositeScore <= farmer.compositeScore) {
+    throw new Error(`Edge basis should rank 0xlong (${hunter.compositeScore}) above 0xfav (${farmer.compositeScore})`);
+  }
+  if (!farmer.reasonTags.includes('favourite_farmer') || !hunter.reasonTags.includes('longshot_hunter')) {
+    throw new Error(`Tags wrong: fav=${farmer.reasonTags} long=${hunter.reasonTags}`);
+  }
+  console.log(`✓ winRateBasis=edge: 0xlong ${hunter.compositeScore} (edge score ${hunter.edgeScore}) > 0xfav ${farmer.compositeScore} (edge score ${farmer.edgeScore})`);
+  console.log(`✓ Tags: 0xfav [${farmer.reasonTags.filter(t => t.endsWith('farmer'))}], 0xlong [${hunter.reasonTags.filter(t => t.endsWith('hunter'))}]`);
+  
+  console.log('\n=== Entry-price Edge Tests Passed ===\n');
+}
+
+function testStrategies() {
+  console.log('=== Scoring Strategies Test ===\n');
+  
+  const account = {
+    address: '0xstrat', strictWinRate: 0.7, winCount: 14, lossCount: 6, closedPositions: 20,
+    totalVolumeUsd: 20000, confidenceScore: 0.5, totalTrades: 60, positionsCount: 2,
+    roi: 0.25, profitFactor: 2, sharpeRatio: 0.8, maxDrawdown: 500, capitalDeployed: 10000
+  };
+  
+  // Presets
+  const weighted = createScorer({ strategy: 'weighted' });
+  const bayesian = createScorer();
+  const pnl = createScorer({ strategy: 'pnl' });
+  if (weighted.winRateBasis !== 'raw' || bayesian.strategy !== 'bayesian' || bayesian.winRateBasis !== 'shrunk' || !(pnl.roiWeight > 0)) {
+    throw new Error(`Presets wrong: ${JSON.stringify([weighted.getConfig(), bayesian.getConfig(), pnl.getConfig()])}`);
+  }
+  const scores = [weighted, bayesian, pnl].map(s => s.score(account).compositeScore);
+  if (new Set(scores).size !== 3) {
+    throw new Error(`Presets should score differently: ${scores}`);
+  }
+  console.log(`✓ weighted ${scores[0]}, bayesian ${scores[1]}, pnl ${scores[2]}`);
+  
+  // YAML and JSON profiles
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'scoring-profile-'));
+  try {
+    const yamlFile = path.join(dir, 'profile.yaml');
+    fs.writeFileSync(yamlFile, 'scorer: weighted\nweights:\n  winRate: 0.8\n  volume: 0.1\n  confidence: 0.1\nnormalization:\n  volumeCapUsd: 20000\ntags:\n  highWinRate: 0.75\n');
+    const yamlProfile = loadProfile(yamlFile);
+    const fromYaml = createScorer({ profile: yamlProfile });
+    const scored = fromYaml.score(account);
+    if (yamlProfile.format !== 'yaml' || !yamlProfile.content.includes('volumeCapUsd: 20000') ||
+        fromYaml.strategy !== 'weighted' || fromYaml.winRateWeight !== 0.8) {
+      throw new Error(`YAML profile not applied: ${JSON.stringify(fromYaml.getConfig())}`);
+    }
+    if (Math.abs(scored.scoreBreakdown.volumeContribution - 0.1) > 1e-9 || scored.reasonTags.includes('high_winrate') || !scored.reasonTags.includes('medium_winrate')) {
+      throw new Error(`Volume cap / tag thresholds not applied: ${JSON.stringify(scored.scoreBreakdown)} ${scored.reasonTags}`);
+    }
+    console.log(`✓ YAML profile: winRate weight 0.8, $20k volume cap -> volume contribution ${scored.scoreBreakdown.volumeContribution.toFixed(2)} (max), highWinRate 0.75 -> [${scored.reasonTags.filter(t => t.endsWith('winrate'))}]`);
+    
+    // CLI overrides win over the profile; --scorer wins over its `scorer`
+    const overridden = createScorer({ strategy: 'pnl', profile: yamlProfile, overrides: { winRateWeight: 0.4 } });
+    if (overridden.strategy !== 'pnl' || overridden.winRateWeight !== 0.4 || overridden.volumeCapUsd !== 20000) {
+      throw new Error(`Precedence wrong: ${JSON.stringify(overridden.getConfig())}`);
+    }
+    console.log('✓ Precedence: strategy < profile < overrides');
+    
+    const jsonFile = path.join(dir, 'profile.json');
+    fs.writeFileSync(jsonFile, JSON.stringify({ scorer: 'custom', weights: { winRate: 1, volume: 0, confidence: 0 } }));
+    const fromJson = createScorer({ profile: loadProfile(jsonFile) });
+    if (fromJson.strategy !== 'custom' || Math.abs(fromJson.score(account).compositeScore - fromJson.score(account).scoreBreakdown.effectiveWinRate) > 1e-4) {
+      throw new Error(`JSON profile not applied: ${JSON.stringify(fromJson.getConfig())}`);
+    }
+    console.log('✓ JSON custom profile: score = effective win rate');
+    
+    // Validation
+    const badFile = path.join(dir, 'bad.yaml');
+    fs.writeFileSync(badFile, 'weights:\n  winrate: 0.5\n');
+    const expectThrow = (fn, pattern, label) => {
+      try {
+        fn();
+      } catch (error) {
+        if (!pattern.test(error.message)) throw new Error(`${label}: unexpected error ${error.message}`);
+        return;
+      }
+      throw new Error(`${label}: expected an error`);
+    };
+    expectThrow(() => loadProfile(badFile), /weights\.winrate/, 'Unknown profile key');
+    expectThrow(() => createScorer({ strategy: 'custom' }), /scoring profile/, 'custom without profile');
+    expectThrow(() => createScorer({ strategy: 'fancy' }), /Unknown scorer/, 'Unknown scorer');
+    fs.writeFileSync(badFile, 'weights:\n  winRate: "0.5"\n');
+    expectThrow(() => loadProfile(badFile), /'weights\.winRate' .* must be a number/, 'String weight');
+    fs.writeFileSync(badFile, 'weights:\n  volume:\ntags:\n  highWinRate: 0.6\n');
+    expectThrow(() => loadProfile(badFile), /'weights\.volume' .* must be a number, got null/, 'Missing weight');
+    fs.writeFileSync(badFile, 'winRate:\n  basis: 3\n');
+    expectThrow(() => loadProfile(badFile), /'winRate\.basis' .* must be a name/, 'Numeric basis');
+    console.log('✓ Unknown keys, non-numeric values, unknown scorers and custom without a profile are rejected');
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+  
+  const example = createScorer({ profile: loadProfile(path.join(__dirname, '..', 'profiles', 'scoring.example.yaml')) });
+  console.log(`✓ Example profile loads (strategy ${example.strategy})`);
+  
+  console.log('\n=== Scoring Strategies Tests Passed ===\n');
+}
+
+function testRules() {
+  console.log('=== Selection Rules Test ===\n');
+  
+  const asOf = Date.UTC(2026, 5, 1);
+  const day = 24 * 60 * 60 * 1000;
+  const base = { totalVolumeUsd: 20000, confidenceScore: 0.5, totalTrades: 60, compositeScore: 0.5, asOf, lastActiveAt: asOf - day, reasonTags: [] };
+  const accounts = [
+    { ...base, address: '0xsteady', strictWinRate: 0.65, closedPositions: 40, roi: 0.1, compositeScore: 0.7, reasonTags: ['consistent_winner'] },
+    { ...base, address: '0xbighitter', strictWinRate: 0.52, closedPositions: 12, roi: 0.8, totalVolumeUsd: 80000, compositeScore: 0.6 },
+    { ...base, address: '0xsmall', strictWinRate: 0.7, closedPositions: 8, roi: 0.9, totalVolumeUsd: 9000, compositeScore: 0.65 },
+    { ...base, address: '0xdormant', strictWinRate: 0.8, closedPositions: 50, roi: 0.3, compositeScore: 0.8, lastActiveAt: asOf - 30 * day },
+    { ...base, address: '0xBLOCKED', strictWinRate: 0.9, closedPositions: 60, roi: 0.5, compositeScore: 0.9 }
+  ];
+  
+  // Parsing: precedence, suffixes, errors
+  const rule = parseRule('(winRate >= 0.6 AND closed >= 30) OR (roi >= 50% AND volume >= 50k)');
+  if (rule.ast.type !== 'or' || rule.ast.nodes[1].nodes[1].value !== 50000 || rule.ast.nodes[1].nodes[0].value !== 0.5) {
+    throw new Error(`Rule parsed wrong: ${JSON.stringify(rule.ast)}`);
+  }
+  for (const bad of ['winrate >= 0.6', 'winRate >=', '(closed > 3', 'closed within 5']) {
+    let threw = false;
+    try { parseRule(bad); } catch (error) { threw = /Invalid selection rule/.test(error.message); }
+    if (!threw) throw new Error(`Rule '${bad}' should not parse`);
+  }
+  console.log('✓ Parses AND/OR with k and % suffixes, rejects malformed rules');
+  
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'selection-rules-'));
+  try {
+    const blocklist = path.join(dir, 'blocklist.txt');
+    fs.writeFileSync(blocklist, '# known market makers\n0xblocked\n');
+    const rulesFile = path.join(dir, 'rules.txt');
+    fs.writeFileSync(rulesFile, `# selection rules\n(winRate >= 0.6 AND closed >= 30) OR (roi >= 0.5 AND volume >= 50k)\n\nexclude address in @${blocklist}\n`);
+    
+    const rules = [...loadRulesFile(rulesFile), 'lastActive within 14d'];
+    const selector = new AccountSelector({ minTrades: 1, minVolume: 0, minWinRate: 0.5, minConfidence: 0, rules });
+    const result = selector.select(accounts);
+    const selected = result.selected.map(a => a.address);
+    if (selected.join() !== '0xsteady,0xbighitter') {
+      throw new Error(`Rules selected wrong accounts: ${selected}`);
+    }
+    console.log(`✓ Selected [${selected}] with ${rules.length} rules`);
+    
+    const rejections = result._stats.ruleRejections;
+    if (rejections[rules[0]] !== 1 || rejections[rules[1]] !== 1 || rejections['lastActive within 14d'] !== 1) {
+      throw new Error(`Rule rejection counts wrong: ${JSON.stringify(rejections)}`);
+    }
+    const dormant = result.rejected.find(a => a.address === '0xdormant');
+    if (dormant.ruleResults.failed.join() !== 'lastActive within 14d' || dormant.ruleResults.passed.length !== 2) {
+      throw new Error(`Rule results wrong: ${JSON.stringify(dormant.ruleResults)}`);
+    }
+    if (result.selected[0].ruleResults.failed.length !== 0) {
+      throw new Error('Selected accounts should pass every rule');
+    }
+    console.log(`✓ Per-rule rejections: ${Object.values(rejections).join(' / ')}; 0xdormant failed [${dormant.ruleResults.failed}]`);
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+  
+  const tagged = new AccountSelector({ minTrades: 1, minVolume: 0, minWinRate: 0, minConfidence: 0, rules: ['tag consistent_winner'] }).select(accounts);
+  if (tagged.selected.length !== 1 || tagged.selected[0].address !== '0xsteady') {
+    throw new Error(`Tag rule wrong: ${tagged.selected.map(a => a.address)}`);
+  }
+  console.log('✓ tag consistent_winner keeps only 0xsteady');
+  
+  console.log('\n=== Selection Rules Tests Passed ===\n');
+}
+
+function testRejections() {
+  console.log('=== Rejection Reasons Test ===\n');
+  
+  const selector = new AccountSelector({ minTrades: 20, minVolume: 1000, minWinRate: 0.6, minConfidence: 0.2, minRoi: 0.1, nearMissMargin: 0.1 });
+  const base = { totalTrades: 50, totalVolumeUsd: 5000, confidenceScore: 0.5, roi: 0.2 };
+  const accounts = [
+    { ...base, address: '0xpass', strictWinRate: 0.7, compositeScore: 0.7 },
+    { ...base, address: '0xclose', strictWinRate: 0.57, totalTrades: 19, compositeScore: 0.6 },
+    { ...base, address: '0xfar', strictWinRate: 0.4, compositeScore: 0.5 },
+    { ...base, address: '0xnoroi', strictWinRate: 0.65, roi: null, compositeScore: 0.55 },
+    { ...base, address: '0xclose2', strictWinRate: 0.59, compositeScore: 0.65 }
+  ];
+  
+  const result = selector.select(accounts);
+  const byAddress = Object.fromEntries(result.rejected.map(a => [a.address, a]));
+  if (result.selected.length !== 1 || result.rejected.length !== 4) {
+    throw new Error(`Expected 1 selected / 4 rejected, got ${result.selected.length} / ${result.rejected.length}`);
+  }
+  if (byAddress['0xclose'].rejectionReasons.join() !== 'minTrades,minWinRate' || byAddress['0xnoroi'].rejectionReasons.join() !== 'minRoi') {
+    throw new Error(`Rejection reasons wrong: ${JSON.stringify(result.rejected.map(a => [a.address, a.rejectionReasons]))}`);
+  }
+  const failedWinRate = byAddress['0xclose'].failedCriteria.find(c => c.criterion === 'minWinRate');
+  if (failedWinRate.value !== 0.57 || failedWinRate.threshold !== 0.6) {
+    throw new Error(`Failed criteria wrong: ${JSON.stringify(byAddress['0xclose'].failedCriteria)}`);
+  }
+  console.log(`✓ 0xclose rejected for [${byAddress['0xclose'].rejectionReasons}], 0xnoroi for [${byAddress['0xnoroi'].rejectionReasons}]`);
+  
+  const histogram = result._stats.rejectionReasons;
+  if (histogram.minWinRate !== 3 || histogram.minTrades !== 1 || histogram.minRoi !== 1) {
+    throw new Error(`Rejection histogram wrong: ${JSON.stringify(histogram)}`);
+  }
+  console.log(`✓ Histogram: ${JSON.stringify(histogram)}`);
+  
+  // Near misses: within 10% of every failed threshold; missing metrics never count
+  if (result.nearMisses.map(a => a.address).join() !== '0xclose2,0xclose' || result._stats.nearMissCount !== 2 || byAddress['0xnoroi'].nearMiss) {
+    throw new Error(`Near misses wrong: ${result.nearMisses.map(a => a.address)}`);
+  }
+  console.log(`✓ Near misses (10%): [${result.nearMisses.map(a => a.address)}]`);
+  
+  selector.updateCriteria({ nearMissMargin: 0.04 });
+  const tight = selector.select(accounts);
+  if (tight.nearMisses.map(a => a.address).join() !== '0xclose2') {
+    throw new Error(`Near misses at 4% wrong: ${tight.nearMisses.map(a => a.address)}`);
+  }
+  console.log(`✓ Near misses (4%): [${tight.nearMisses.map(a => a.address)}]`);
+  
+  // Rules show up as reasons; near misses need every rule to pass
+  const withRule = new AccountSelector({ minTrades: 20, minVolume: 1000, minWinRate: 0.6, minConfidence: 0.2, rules: ['closed >= 10'] });
+  const ruled = withRule.select([{ ...accounts[4], closedPositions: 3 }]);
+  if (ruled.rejected[0].rejectionReasons.join() !== 'minWinRate,rule: closed >= 10' || ruled.nearMisses.length !== 0) {
+    throw new Error(`Rule rejection wrong: ${JSON.stringify(ruled.rejected[0].rejectionReasons)}`);
+  }
+  console.log(`✓ Rule failures are reasons: [${ruled.rejected[0].rejectionReasons}]`);
+  
+  console.log('\n=== Rejection Reasons Tests Passed ===\n');
+}
+
+function testChurn() {
+  console.log('=== Selection Churn Test ===\n');
+  
+  const selection = entries => entries.map(([address, score], i) => ({ address, rank: i + 1, score }));
+  const older = selection([['0xa', 0.9], ['0xb', 0.8], ['0xe', 0.7]]);
+  const previous = selection([['0xa', 0.9], ['0xb', 0.8], ['0xc', 0.7], ['0xd', 0.6]]);
+  const current = toSelection([
+    { address: '0xb', compositeScore: 0.85 },
+    { address: '0xa', compositeScore: 0.8 },
+    { address: '0xd', compositeScore: 0.75 },
+    { address: '0xf', compositeScore: 0.7 }
+  ]);
+  
+  const diff = buildSelectionDiff({ previousRunId: 'run-1', current, history: [previous, older] });
+  if (diff.added.map(a => a.address).join() !== '0xf' || diff.dropped.map(a => a.address).join() !== '0xc' || diff.retained_count !== 3) {
+    throw new Error(`Diff wrong: ${JSON.stringify(diff)}`);
+  }
+  const b = diff.retained.find(r => r.address === '0xb');
+  const d = diff.retained.find(r => r.address === '0xd');
+  if (b.rankDelta !== 1 || b.scoreDelta !== 0.05 || d.rankDelta !== 1 || diff.retained.find(r => r.address === '0xa').rankDelta !== -1) {
+    throw new Error(`Rank/score deltas wrong: ${JSON.stringify(diff.retained)}`);
+  }
+  console.log(`✓ +[${diff.added.map(a => a.address)}] -[${diff.dropped.map(a => a.address)}], 0xb #2 -> #1 (score +${b.scoreDelta})`);
+  
+  // Churn: 1 of 4 previous accounts dropped; tenure 0xa/0xb 3, 0xd 2, 0xf 1
+  if (diff.churn_rate !== 0.25 || diff.avg_tenure_runs !== 2.25 || b.tenure !== 3 || d.tenure !== 2) {
+    throw new Error(`Churn/tenure wrong: churn=${diff.churn_rate} tenure=${diff.avg_tenure_runs}`);
+  }
+  console.log(`✓ Churn rate ${diff.churn_rate}, average tenure ${diff.avg_tenure_runs} runs, average rank change ${diff.avg_abs_rank_change}`);
+  
+  const first = buildSelectionDiff({ current });
+  if (first.churn_rate !== null || first.added_count !== 4 || first.avg_tenure_runs !== 1) {
+    throw new Error(`First run diff wrong: ${JSON.stringify(first)}`);
+  }
+  console.log('✓ First run: everything new, no churn rate');
+  
+  console.log('\n=== Selection Churn Tests Passed ===\n');
+}
+
+function testTimeline() {
+  console.log('=== Account Timeline Test ===\n');
+  
+  // Rows as returned by storage.loadAccountTimeline (DECIMAL columns arrive as strings)
+  const rows = [
+    { run_id: 'r1', started_at: '2026-01-01T00:00:00Z', run_type: 'sync', strict_win_rate: '0.5500', realized_pnl: '100.0000', total_volume_usd: '5000.0000', score: '0.5000', selected_rank: null, reasons: ['minWinRate'], near_miss: true },
+    { run_id: 'r2', started_at: '2026-01-02T00:00:00Z', run_type: 'sync', strict_win_rate: '0.6000', realized_pnl: '250.0000', total_volume_usd: '8000.0000', score: '0.6000', selected_rank: '7', reasons: null },
+    { run_id: 'r3', started_at: '2026-01-03T00:00:00Z', run_type: 'sync', strict_win_rate: '0.6500', realized_pnl: '400.0000', total_volume_usd: '9000.0000', score: '0.6500', selected_rank: '3', reasons: null }
+  ];
+  const timeline = rows.map(toTimelineEntry);
+  if (timeline[0].status !== 'near_miss' || timeline[0].rejectionReasons[0] !== 'minWinRate' ||
+      timeline[2].selectedRank !== 3 || timeline[2].strictWinRate !== 0.65 || timeline[1].realizedPnl !== 250) {
+    throw new Error(`Timeline entries wrong: ${JSON.stringify(timeline)}`);
+  }
+  console.log(`✓ Entries: ${timeline.map(e => e.status === 'selected' ? `#${e.selectedRank}` : e.status).join(' -> ')}`);
+  
+  const summary = summarizeTimeline(timeline);
+  if (summary.timesSelected !== 2 || summary.currentStreak !== 2 || summary.bestRank !== 3) {
+    throw new Error(`Timeline summary wrong: ${JSON.stringify(summary)}`);
+  }
+  console.log(`✓ Selected ${summary.timesSelected}x, streak ${summary.currentStreak}, best rank ${summary.bestRank}`);
+  
+  const ascii = sparkline([1, 2, null, 4, 8]);
+  const line = sparkline([1, 2, null, 4, 8], { unicode: true });
+  if (ascii !== '_. =@' || line !== '▁▂ ▄█' || sparkline([3, 3]) !== '++' || sparkline([null]) !== ' ') {
+    throw new Error(`Sparkline wrong: '${ascii}' '${line}'`);
+  }
+  console.log(`✓ Sparklines: ${ascii} / ${line}`);
+  
+  console.log('\n=== Account Timeline Tests Passed ===\n');
+}
+
+function testReport() {
+  console.log('=== Report Formats Test ===\n');
+  
+  const scored = new AccountScorer().score({
+    address: '0xreport1', strictWinRate: 0.7, winCount: 14, lossCount: 6, closedPositions: 20,
+    totalTrades: 80, totalVolumeUsd: 20000, realizedPnl: 900, confidenceScore: 0.6
+  });
+  // Rows as loaded by generate-report.js (DECIMAL columns arrive as strings)
+  const run = {
+    id: '11111111-2222-3333-4444-555555555555', status: 'completed', run_type: 'sync',
+    started_at: new Date('2026-01-01T00:00:00Z'), completed_at: new Date('2026-01-01T00:05:00Z'),
+    config: { window: 'all' },
+    stats: {
+      accounts_processed: 40, accounts_failed: 1, rejection_reasons: { minTrades: 30 }, near_miss_count: 1,
+      // As stored by storage.generateErrorSummary
+      error_summary: {
+        hasErrors: true, errorCount: 1, errorsByType: { api_failure: 1 },
+        sampleErrors: [{ type: 'api_failure', count: 1, samples: [{ address: '0xfailed1', message: 'Timeout' }] }]
+      }
+    }
+  };
+  const selected = [
+    { address: '0xreport1', selection_score: '0.7100', reason_tags: ['high_winrate', 'whale'], selection_window: 'all',
+      strict_win_rate: '0.7000', total_volume_usd: '20000.0000', realized_pnl: '900.0000', closed_positions: 20,
+      score_breakdown: scored.scoreBreakdown },
+    { address: '0xreport2', selection_score: '0.6000', reason_tags: ['say "hi", <b>'], selection_window: 'all',
+      strict_win_rate: '0.6000', total_volume_usd: '5000.0000', realized_pnl: '-10.0000', closed_positions: 12,
+      score_breakdown: null }
+  ];
+  const nearMisses = [{ address: '0xnear', selection_score: '0.5000', failed_criteria: [{ criterion: 'minWinRate', value: 0.57, threshold: 0.58 }] }];
+  const report = buildReport({ run, selected, nearMisses, snapshotCount: 39, generatedAt: new Date('2026-01-02T00:00:00Z') });
+  
+  if (report.schema_version !== REPORT_SCHEMA_VERSION || report.selected.length !== 2 || report.selected[1].rank !== 2 ||
+      report.selected[0].metrics.total_volume_usd !== 20000 || report.run.duration_seconds !== 300 ||
+      report.selected[0].score_breakdown.contributions.win_rate <= 0 || report.selected[1].score_breakdown !== null) {
+    throw new Error(`Report document wrong: ${JSON.stringify(report)}`);
+  }
+  console.log(`✓ Document v${report.schema_version}: ${report.selected.length} selected with metrics and score breakdown`);
+  
+  const json = JSON.parse(renderReport(report, 'json'));
+  if (json.selected[0].address !== '0xreport1' || json.summary.avg_score !== 0.655) {
+    throw new Error(`JSON report wrong: ${JSON.stringify(json.summary)}`);
+  }
+  console.log('✓ JSON round-trips the document');
+  
+  const csv = renderReport(report, 'csv').trim().split('\r\n');
+  if (csv.length !== 3 || !csv[0].startsWith('rank,address,score') || !csv[2].includes('"say ""hi"", <b>"') || !csv[1].includes('high_winrate;whale')) {
+    throw new Error(`CSV report wrong: ${csv.join(' / ')}`);
+  }
+  console.log(`✓ CSV: header + ${csv.length - 1} rows, quoted fields escaped`);
+  
+  const html = renderReport(report, 'html');
+  if (!html.includes('class="sortable"') || !html.includes('&lt;b&gt;') || html.includes('<b>,') || /<(link|script) [^>]*src=/.test(html)) {
+    throw new Error('HTML report should be self-contained, sortable and escaped');
+  }
+  const markdown = renderReport(report, 'md', { top: 1 });
+  if (!markdown.includes('| 1 | `0xreport1...`') || markdown.includes('0xreport2') || !markdown.includes('1 more selected accounts')) {
+    throw new Error('Markdown report should list only the top N');
+  }
+  if (!markdown.includes('**Total Errors**: 1') || !markdown.includes('| api_failure | 1 |') || !markdown.includes('Timeout') ||
+      !html.includes('<td>api_failure</td>')) {
+    throw new Error('Error summary missing from the Markdown / HTML report');
+  }
+  console.log('✓ HTML self-contained and escaped; Markdown limited to top N; both list errors by type');
+  
+  const formats = parseFormats(['md,json', 'csv', 'json']);
+  let unknown = null;
+  try {
+    parseFormats(['pdf']);
+  } catch (error) {
+    unknown = error.message;
+  }
+  if (formats.join(',') !== 'md,json,csv' || parseFormats([]).join(',') !== 'md' || !unknown) {
+    throw new Error(`Format parsing wrong: ${formats.join(',')}`);
+  }
+  console.log(`✓ Formats: ${formats.join(', ')}; unknown rejected`);
+  
+  console.log('\n=== Report Formats Tests Passed ===\n');
+}
+
+function testSignals() {
+  console.log('=== Copy-trade Signals Test ===\n');
+  
+  const position = (conditionId, outcome, size, avgPrice, extra = {}) => ({
+    conditionId, outcome, size, avgPrice, curPrice: avgPrice, title: `Market ${conditionId}`, ...extra
+  });
+  const previous = toPositionState([
+    position('c1', 'Yes', 1000, 0.4),
+    position('c2', 'No', 500, 0.6),
+    position('c3', 'Yes', 300, 0.5),
+    position('c4', 'Yes', 200, 0.3),
+    position('c5', 'Yes', 100, 0.9, { redeemable: true }),
+    position('c6', 'Yes', 50, 0.5)
+  ]);
+  const current = toPositionState([
+    position('c1', 'Yes', 1500, 0.42),              // +500 shares
+    position('c3', 'Yes', 300, 0.5, { redeemable: true, curPrice: 1 }),
+    position('c4', 'Yes', 200, 0.3),
+    position('c6', 'Yes', 20, 0.5),                 // sold 30 shares: $15, below the minimum
+    position('c7', 'No', 400, 0.25),                // new
+    position('c8', 'No', 0, 0.5)                    // empty positions are ignored
+  ]);
+  const activity = [
+    { type: 'TRADE', side: 'BUY', conditionId: 'c1', outcome: 'Yes', size: 500, usdcSize: 250, timestamp: 110 },
+    { type: 'TRADE', side: 'SELL', conditionId: 'c2', outcome: 'No', size: 500, usdcSize: 350, timestamp: 120 },
+    { type: 'REDEEM', conditionId: 'c5', outcome: 'Yes', size: 100, timestamp: 130 }
+  ];
+  
+  const signals = diffPositions({ address: '0xw', previous, current, activity, minNotional: 50 });
+  const byMarket = new Map(signals.map(s => [s.condition_id, s]));
+  const summary = signals.map(s => `${s.condition_id}:${s.type}`).sort().join(',');
+  if (summary !== 'c1:size_increase,c2:exit,c3:market_resolved,c7:new_position') {
+    throw new Error(`Signals wrong: ${summary}`);
+  }
+  if (byMarket.get('c1').price !== 0.5 || byMarket.get('c1').notional_usd !== 250 || byMarket.get('c1').size_delta !== 500) {
+    throw new Error(`Increase should be priced from the BUY trades: ${JSON.stringify(byMarket.get('c1'))}`);
+  }
+  if (byMarket.get('c2').price !== 0.7 || byMarket.get('c2').size !== 0 || byMarket.get('c7').notional_usd !== 100) {
+    throw new Error(`Exit / new position wrong: ${JSON.stringify(signals)}`);
+  }
+  console.log(`✓ ${signals.map(s => `${s.type} ${s.condition_id} ($${s.notional_usd})`).join(', ')}`);
+  console.log('✓ Redeemed position already signalled as resolved not repeated; $15 exit filtered by min notional');
+  
+  const again = diffPositions({ address: '0xw', previous, current, activity, minNotional: 50 });
+  if (again.map(s => s.dedupe_key).join() !== signals.map(s => s.dedupe_key).join()) {
+    throw new Error('The same change should produce the same dedupe keys');
+  }
+  // Exited and bought back to the same size later: a new signal
+  const reentry = diffPositions({
+    address: '0xw', previous, current, minNotional: 50, since: 500,
+    activity: [{ type: 'TRADE', side: 'BUY', conditionId: 'c1', outcome: 'Yes', size: 500, usdcSize: 250, timestamp: 610 }]
+  });
+  const reentryKeys = new Set(reentry.map(s => s.dedupe_key));
+  if (signals.some(s => reentryKeys.has(s.dedupe_key)) || !reentry.find(s => s.condition_id === 'c1').dedupe_key.endsWith('@610')) {
+    throw new Error(`A later change between the same sizes should get a new dedupe key: ${[...reentryKeys]}`);
+  }
+  if (diffPositions({ address: '0xw', previous: null, current }).length !== 0) {
+    throw new Error('First poll should only set the baseline');
+  }
+  if (advanceActivityMark(activity, 100) !== 130 || advanceActivityMark([], 100) !== 100 || advanceActivityMark([], null) !== null) {
+    throw new Error('Activity mark should advance to the newest record');
+  }
+  console.log('✓ Stable dedupe keys (new for a later re-entry), first poll is a silent baseline, activity mark advances');
+  
+  console.log('\n=== Copy-trade Signals Tests Passed ===\n');
+}
+
+function testConsensus() {
+  console.log('=== Market Consensus Test ===\n');
+  
+  const position = (conditionId, outcome, size, avgPrice, curPrice, extra = {}) => ({
+    conditionId, outcome, size, avgPrice, curPrice, currentValue: size * curPrice, title: `Market ${conditionId}`, ...extra
+  });
+  const holdings = [
+    { address: '0xa', rank: 1, positions: [position('m1', 'Yes', 1000, 0.4, 0.5), position('m2', 'No', 100, 0.3, 0.2)] },
+    { address: '0xb', rank: 2, positions: [position('m1', 'Yes', 500, 0.6, 0.5), position('m1', 'Yes', 500, 0.2, 0.5)] },
+    { address: '0xc', rank: 3, positions: [position('m1', 'No', 200, 0.5, 0.5), position('m3', 'Yes', 10, 0.9, 1, { redeemable: true })] },
+    { address: '0xd', rank: 4, positions: [] }
+  ];
+  
+  const consensus = buildConsensus(holdings);
+  const [top] = consensus.markets;
+  if (top.condition_id !== 'm1' || top.outcome !== 'Yes' || top.holders !== 2 || top.holder_share !== 0.5) {
+    throw new Error(`Most held outcome wrong: ${JSON.stringify(top)}`);
+  }
+  // 2000 shares for $400 + $300 + $100 = $800 -> entry 0.4; worth $1000 vs $100 on No
+  if (top.avg_entry_price !== 0.4 || top.exposure_usd !== 1000 || top.price_change !== 0.1 || top.unrealized_pnl_usd !== 200) {
+    throw new Error(`Exposure / entry price wrong: ${JSON.stringify(top)}`);
+  }
+  if (top.opposing_holders !== 1 || top.net_exposure_usd !== 900 || top.net_direction !== 'long' || top.holder_positions[1].size !== 1000) {
+    throw new Error(`Net direction wrong: ${JSON.stringify(top)}`);
+  }
+  const no = consensus.markets.find(m => m.condition_id === 'm1' && m.outcome === 'No');
+  if (no.net_direction !== 'short' || consensus.markets.some(m => m.condition_id === 'm3')) {
+    throw new Error('Opposite side should be net short; resolved markets left out');
+  }
+  console.log(`✓ ${top.holders}/${consensus.traders} ${top.net_direction} ${top.title} [${top.outcome}]: $${top.exposure_usd}, entry ${top.avg_entry_price} -> ${top.current_price}, net $${top.net_exposure_usd}`);
+  
+  const summary = summarizeConsensus(consensus);
+  if (summary.traders_with_positions !== 3 || summary.outcomes !== 3 || summary.crowded_outcomes !== 1 || summary.max_holders !== 2) {
+    throw new Error(`Consensus summary wrong: ${JSON.stringify(summary)}`);
+  }
+  if (buildConsensus(holdings, { minHolders: 2 }).markets.length !== 1) {
+    throw new Error('minHolders should filter outcomes');
+  }
+  console.log(`✓ Summary: ${summary.outcomes} outcomes, ${summary.crowded_outcomes} held by 2+ accounts; minHolders filters`);
+  
+  // Stored rows arrive with DECIMALs as strings
+  const stored = { ...top, holder_share: '0.5000', exposure_usd: '1000.0000', avg_entry_price: '0.400000', net_exposure_usd: '900.0000' };
+  const entry = toConsensusEntry(stored);
+  if (entry.exposure_usd !== 1000 || entry.avg_entry_price !== 0.4 || entry.holders !== 2) {
+    throw new Error(`Stored row not parsed: ${JSON.stringify(entry)}`);
+  }
+  const report = buildReport({
+    run: { id: '11111111-2222-3333-4444-555555555555', status: 'completed', stats: { consensus: summary }, config: {} },
+    selected: [],
+    consensus: [stored]
+  });
+  const markdown = renderReport(report, 'md');
+  if (report.consensus.markets[0].holders !== 2 || !markdown.includes('| Market m1 | Yes | 2/4 | $1000.00 | 0.4 | 0.5 | long $900.00 |')) {
+    throw new Error('Report should list the market consensus');
+  }
+  console.log('✓ Stored rows parsed; report lists the consensus');
+  
+  console.log('\n=== Market Consensus Tests Passed ===\n');
+}
+
+function testWashTrading() {
+  console.log('=== Wash Trading Test ===\n');
+  
+  const trade = (side, price, timestamp, extra = {}) => ({
+    type: 'TRADE', conditionId: 'c1', outcome: 'Yes', side, price, usdcSize: 100, timestamp, ...extra
+  });
+  // 30s apart at the same price: a round trip; 5 minutes apart or 5 cents off: not
+  const trips = detectRoundTrips([
+    trade('BUY', 0.5, 1000), trade('SELL', 0.5, 1030),
+    trade('BUY', 0.5, 2000), trade('SELL', 0.5, 2300),
+    trade('BUY', 0.4, 3000), trade('SELL', 0.45, 3010),
+    trade('BUY', 0.5, 4000, { outcome: 'No' }), trade('SELL', 0.5, 4005)
+  ]);
+  if (trips.roundTrips !== 1 || trips.roundTripVolumeUsd !== 200) {
+    throw new Error(`Round trips wrong: ${JSON.stringify(trips)}`);
+  }
+  console.log(`✓ ${trips.roundTrips} round trip ($${trips.roundTripVolumeUsd}); slow, off-price and cross-outcome pairs ignored`);
+  
+  // 12 BUY/SELL pairs within seconds; 12 of 16 closed positions at ~zero PnL
+  const churned = Array.from({ length: 12 }, (_, i) => [trade('BUY', 0.5, 10000 + i * 100), trade('SELL', 0.5, 10005 + i * 100)]).flat();
+  const closed = [
+    ...Array.from({ length: 12 }, () => ({ realizedPnl: 0.5, totalBought: 200, avgPrice: 0.5 })),
+    ...Array.from({ length: 4 }, () => ({ realizedPnl: 40, totalBought: 200, avgPrice: 0.5 }))
+  ];
+  const wash = detectWashTrading(closed, [...churned, trade('BUY', 0.3, 50000)]);
+  if (wash.roundTrips !== 12 || wash.roundTripShare !== 0.96 || wash.churnPositions !== 12 || wash.churnShare !== 0.75) {
+    throw new Error(`Wash metrics wrong: ${JSON.stringify(wash)}`);
+  }
+  console.log(`✓ Round trips ${(wash.roundTripShare * 100).toFixed(0)}% of volume, churn ${wash.churnPositions}/${closed.length} positions`);
+  
+  // Small profitable positions are not churn, whatever their size in dollars
+  const small = detectWashTrading([{ realizedPnl: 0.9, totalBought: 10, avgPrice: 0.5 }, { realizedPnl: 0.04, totalBought: 10, avgPrice: 0.5 }], []);
+  if (small.churnPositions !== 1) {
+    throw new Error(`Churn should use a relative tolerance only: ${JSON.stringify(small)}`);
+  }
+  console.log('✓ $5 position with +$0.90 is not churn; +$0.04 is');
+  
+  // 0xa and 0xb keep meeting on opposite sides; 0xc only shares batched transactions, 0xe settlements
+  const redeem = { type: 'REDEEM', conditionId: 'c1', outcome: 'Yes', side: '', usdcSize: 100, timestamp: 20, transactionHash: '0xt2' };
+  const activityByAddress = new Map([
+    ['0xa', [...Array.from({ length: 12 }, (_, i) => trade('BUY', 0.5, i, { transactionHash: `0xt${i}` })), { ...redeem, transactionHash: '0xt3' }]],
+    ['0xb', Array.from({ length: 12 }, (_, i) => trade('SELL', 0.5, i, { transactionHash: `0xt${i}` }))],
+    ['0xc', [trade('BUY', 0.5, 1, { transactionHash: '0xt0' }), trade('SELL', 0.5, 2, { transactionHash: '0xt1', conditionId: 'c2' })]],
+    ['0xd', [trade('BUY', 0.5, 1, { transactionHash: '0xlonely' })]],
+    ['0xe', [redeem]]
+  ]);
+  const overlaps = findCounterpartyOverlaps(activityByAddress);
+  const a = overlaps.get('0xa');
+  if (a.sharedTrades !== 12 || a.sharedShare !== 1 || a.counterpartyCount !== 1 || a.counterparties[0].address !== '0xb' || a.counterparties[0].trades !== 12) {
+    throw new Error(`Counterparty overlap wrong: ${JSON.stringify(a)}`);
+  }
+  if (overlaps.get('0xc').sharedTrades !== 1 || overlaps.get('0xc').counterparties[0].address !== '0xb' || overlaps.has('0xd') || overlaps.has('0xe')) {
+    throw new Error('Only opposite sides of the same market should count as counterparties');
+  }
+  console.log(`✓ 0xa shares ${a.sharedTrades} trades with ${a.counterpartyCount} wallet (${a.counterparties[0].address}); same-side, other-market and settlement records ignored`);
+  
+  const scorer = new AccountScorer();
+  const base = {
+    address: '0xwash', strictWinRate: 0.75, winCount: 12, lossCount: 4, closedPositions: 16,
+    totalVolumeUsd: 2500, totalTrades: 25, confidenceScore: 0.5, realizedPnl: 166
+  };
+  const clean = scorer.score(base);
+  const suspect = scorer.score({ ...base, wash: { ...wash, ...overlaps.get('0xa') } });
+  const tags = suspect.reasonTags.filter(tag => tag.startsWith('suspicious_'));
+  if (tags.join(',') !== 'suspicious_round_trips,suspicious_churn,suspicious_counterparties' || clean.reasonTags.some(tag => tag.startsWith('suspicious_'))) {
+    throw new Error(`Suspicious tags wrong: ${suspect.reasonTags}`);
+  }
+  if (suspect.suspicionScore !== 1 || Math.abs(clean.compositeScore - suspect.compositeScore - 0.2) > 0.0001 ||
+      suspect.scoreBreakdown.suspicionPenalty !== 0.2) {
+    throw new Error(`Suspicion penalty wrong: ${clean.compositeScore} vs ${suspect.compositeScore}`);
+  }
+  const presetWeights = ['weighted', 'bayesian', 'pnl'].map(strategy => createScorer({ strategy }).getConfig().suspicionWeight);
+  if (scorer.getConfig().suspicionWeight !== 0.2 || presetWeights.some(weight => weight !== 0.2)) {
+    throw new Error(`Default suspicion weight should be 0.2 in every preset: ${presetWeights}`);
+  }
+  const lenient = new AccountScorer({ tagThresholds: { washMaxCounterparties: 0 }, suspicionWeight: 0 });
+  const lenientScore = lenient.score({ ...base, wash: overlaps.get('0xa') });
+  if (lenientScore.reasonTags.includes('suspicious_counterparties') || lenient.getConfig().suspicionWeight !== 0) {
+    throw new Error('Wash thresholds and weight should be configurable');
+  }
+  const unweighted = lenient.score({ ...base, wash: { ...wash, ...overlaps.get('0xa') } });
+  if (unweighted.compositeScore !== clean.compositeScore || !unweighted.reasonTags.includes('suspicious_churn')) {
+    throw new Error('With suspicion weight 0, suspicion should only tag');
+  }
+  console.log(`✓ Tags: ${tags.join(', ')}; score ${clean.compositeScore} -> ${suspect.compositeScore}`);
+  
+  const selector = new AccountSelector({ minTrades: 1, minVolume: 1, minWinRate: 0.5, minConfidence: 0 });
+  const selection = selector.select([clean, suspect]);
+  if (selection.selected.length !== 1 || selection.rejected[0].address !== '0xwash' ||
+      selection._stats.rejectionReasons.suspicious_churn !== 1 || selection.rejected[0].nearMiss) {
+    throw new Error(`Suspicious accounts should be rejected: ${JSON.stringify(selection._stats.rejectionReasons)}`);
+  }
+  const allowed = new AccountSelector({ minTrades: 1, minVolume: 1, minWinRate: 0.5, minConfidence: 0, excludeSuspicious: false });
+  if (allowed.select([clean, suspect]).selected.length !== 2 || allowed.getCriteria().excludeSuspicious !== false) {
+    throw new Error('excludeSuspicious: false should keep suspicious accounts');
+  }
+  console.log(`✓ Suspicious accounts rejected by default (${selection.rejected[0].rejectionReasons.join(', ')}); kept with excludeSuspicious false`);
+  
+  console.log('\n=== Wash Trading Tests Passed ===\n');
+}
+
+async function testCategories() {
+  console.log('=== Market Category Test ===\n');
+  
+  // Gamma category first, then tags, then the question
+  const cases = [
+    [{ category: 'US-current-affairs', question: 'Will the Fed cut rates?' }, 'economics'],
+    [{ category: 'Sports', question: 'Will Trump attend the Super Bowl?' }, 'sports'],
+    [{ tags: [{ label: 'Crypto' }, { label: 'Politics' }], question: 'Will BTC hit 100k?' }, 'crypto'],
+    [{ events: [{ tags: [{ label: 'Elections' }] }], question: 'Who wins?' }, 'politics'],
+    [{ question: 'Will Ethereum flip Bitcoin?' }, 'crypto'],
+    [{ question: 'Will Ethiopia win gold?' }, 'other']
+  ];
+  for (const [market, expected] of cases) {
+    if (categorize(market) !== expected) {
+      throw new Error(`categorize(${JSON.stringify(market)}) = ${categorize(market)}, expected ${expected}`);
+    }
+  }
+  const record = toMarketRecord({
+    conditionId: '0xm1', slug: 'nba-finals', question: 'NBA Finals winner', closed: true,
+    outcomes: '["Celtics", "Mavericks"]', outcomePrices: '["0", "1"]', volumeNum: 1200.5, liquidity: '300', endDate: '2026-06-20T00:00:00Z'
+  });
+  if (record.category !== 'sports' || record.resolvedOutcome !== 'Mavericks' || record.volumeUsd !== 1200.5 || record.liquidityUsd !== 300) {
+    throw new Error(`Market record wrong: ${JSON.stringify(record)}`);
+  }
+  console.log(`✓ ${cases.length} markets categorized; resolved outcome ${record.resolvedOutcome}, volume $${record.volumeUsd}`);
+  
+  // Catalog: cached rows first, then one fetch for the rest; unknown markets are 'other'
+  const fetched = [];
+  const storage = {
+    rows: [{ condition_id: 'p1', category: 'politics' }],
+    async loadMarkets(ids) { return this.rows.filter(r => ids.includes(r.condition_id)); },
+    async upsertMarkets(records) { this.rows.push(...records.map(r => ({ condition_id: r.conditionId, category: r.category }))); }
+  };
+  const collector = {
+    async fetchMarkets(ids) {
+      fetched.push(...ids);
+      return ids.filter(id => id !== 'gone').map(id => ({ conditionId: id, question: 'Will the Lakers win the NBA title?' }));
+    }
+  };
+  const catalog = new MarketCatalog({ storage, collector, logger: { info() {} } });
+  const categories = await catalog.categoriesFor(['p1', 's1', 's1', 'gone', null]);
+  await catalog.categoriesFor(['p1', 's1', 'gone']);
+  if (categories.get('p1') !== 'politics' || categories.get('s1') !== 'sports' || categories.get('gone') !== 'other' || fetched.length !== 2) {
+    throw new Error(`Catalog lookups wrong: ${JSON.stringify([...categories])}, fetched ${fetched}`);
+  }
+  const stats = catalog.getStats();
+  if (stats.cached !== 1 || stats.fetched !== 1 || stats.unknown !== 1) {
+    throw new Error(`Catalog stats wrong: ${JSON.stringify(stats)}`);
+  }
+  console.log(`✓ Catalog: ${stats.cached} cached, ${stats.fetched} fetched, ${stats.unknown} unknown; repeat lookups hit memory`);
+  
+  // 12 sports positions (10-2), 4 politics (1-3)
+  const collectorApi = new PolymarketCollector({ logger: { info() {}, warn() {}, error() {} } });
+  const closed = [
+    ...Array.from({ length: 12 }, (_, i) => ({ conditionId: 's1', outcome: `o${i}`, realizedPnl: i < 10 ? 50 : -40, avgPrice: 0.5 })),
+    ...Array.from({ length: 4 }, (_, i) => ({ conditionId: 'p1', outcome: `o${i}`, realizedPnl: i < 1 ? 20 : -10, avgPrice: 0.5 }))
+  ];
+  const activity = [
+    { conditionId: 's1', usdcSize: 600, timestamp: 1 },
+    { conditionId: 'p1', usdcSize: 200, timestamp: 1 },
+    { conditionId: 'x9', usdcSize: 100, timestamp: 1 }
+  ];
+  const metrics = collectorApi.calculateMetrics('0xspec', [], closed, activity, { marketCategories: categories });
+  const sports = metrics.categories.sports;
+  if (sports.winCount !== 10 || sports.lossCount !== 2 || sports.closedShare !== 0.75 || sports.realizedPnl !== 420 || sports.totalVolumeUsd !== 600) {
+    throw new Error(`Sports metrics wrong: ${JSON.stringify(sports)}`);
+  }
+  if (metrics.categories.politics.strictWinRate !== 0.25 || metrics.categories.other.totalTrades !== 1) {
+    throw new Error(`Category breakdown wrong: ${JSON.stringify(metrics.categories)}`);
+  }
+  if (collectorApi.calculateMetrics('0xspec', [], closed, activity).categories !== null) {
+    throw new Error('Without market categories there should be no breakdown');
+  }
+  console.log(`✓ sports ${sports.winCount}-${sports.lossCount} (${(sports.closedShare * 100).toFixed(0)}% of decided), PnL $${sports.realizedPnl}; unknown markets count as other`);
+  
+  const scorer = new AccountScorer();
+  const specialist = scorer.score({ ...metrics, totalTrades: 50, totalVolumeUsd: 900, confidenceScore: 0.5 });
+  if (!specialist.reasonTags.includes('sports_specialist') || specialist.reasonTags.includes('politics_specialist')) {
+    throw new Error(`Specialist tags wrong: ${specialist.reasonTags}`);
+  }
+  if (specialist.categories.sports.compositeScore === undefined || specialist.categories.sports.shrunkWinRate === null) {
+    throw new Error('Categories should be scored');
+  }
+  const strict = new AccountScorer({ tagThresholds: { specialistMinShare: 0.8 } });
+  if (strict.score(metrics).reasonTags.includes('sports_specialist')) {
+    throw new Error('specialistMinShare should be overridable');
+  }
+  console.log(`✓ Tags: ${specialist.reasonTags.filter(t => t.endsWith('_specialist')).join(', ')}; sports score ${specialist.categories.sports.compositeScore}`);
+  
+  const generalist = scorer.score({ ...metrics, address: '0xgen', categories: { politics: metrics.categories.politics }, totalTrades: 50, totalVolumeUsd: 900, confidenceScore: 0.5 });
+  const selector = new AccountSelector({ minTrades: 1, minVolume: 100, minWinRate: 0.6, minConfidence: 0, category: 'sports' });
+  const selection = selector.select([specialist, generalist]);
+  if (selection.selected.length !== 1 || selection.selected[0].selectionCategory !== 'sports' || selection.selected[0].totalTrades !== 1) {
+    throw new Error(`Category selection wrong: ${JSON.stringify(selection.selected.map(a => a.address))}`);
+  }
+  if (selection.rejected[0].rejectionReasons[0] !== 'missingCategory' || selection._stats.criteria.category !== 'sports') {
+    throw new Error('Accounts without the category should be rejected as missingCategory');
+  }
+  for (const options of [{ category: 'weather' }, { category: 'sports', window: '30d' }]) {
+    let threw = false;
+    try { new AccountSelector(options); } catch (error) { threw = true; }
+    if (!threw) throw new Error(`Selector should reject ${JSON.stringify(options)}`);
+  }
+  console.log(`✓ --category sports selects ${selection.selected[0].address} on its sports record; unknown categories and non-all windows rejected`);
+  
+  console.log('\n=== Market Category Tests Passed ===\n');
+}
+
 // Run tests
 testScorer();
 testSelector();
-console.log('=== All Tests Passed ===');
+testWindows();
+testWinRateEstimates();
+testPnlMetrics();
+testEdgeMetrics();
+testStrategies();
+testRules();
+testRejections();
+testChurn();
+testTimeline();
+testReport();
+testSignals();
+testConsensus();
+testWashTrading();
+testCategories()
+  .then(() => console.log('=== All Tests Passed ==='))
+  .catch(error => {
+    console.error(error);
+    process.exit(1);
+  });
@@ -117,6 +117,101 @@ async function testStorage() {
     );
     console.log(`✓ Added ${seedResult.added} seed addresses, ${seedResult.duplicates} duplicates`);
     
+    // Test 10: Store raw data (second call must be deduplicated)
+    console.log('\nTest 10: Store raw positions and activity...');
+    const raw = {
+      positions: [
+        { conditionId: '0xcond1', outcome: 'Yes', size: 100, avgPrice: 0.4, currentValue: 60, cashPnl: 20, realizedPnl: 0, curPrice: 0.6, title: 'Test market' }
+      ],
+      closedPositions: [
+        { conditionId: '0xcond2', outcome: 'No', size: 50, avgPrice: 0.3, realizedPnl: 35, resolvedAt: '2026-01-01T00:00:00Z', title: 'Closed market' }
+      ],
+      activity: [
+        { transactionHash: '0xtx1', type: 'TRADE', side: 'BUY', conditionId: '0xcond1', outcome: 'Yes', size: 100, price: 0.4, usdcSize: 40, timestamp: 1767225600 },
+        { transactionHash: '0xtx2', type: 'REDEEM', side: '', conditionId: '0xcond2', outcome: 'No', size: 50, usdcSize: 50, timestamp: 1767312000 }
+      ]
+    };
+    const stored1 = await storage.storeRawData(runId, newAccount.address, raw);
+    const stored2 = await storage.storeRawData(runId, newAccount.address, raw);
+    if (stored1.positions !== 2 || stored1.trades !== 2 || stored2.positions + stored2.trades !== 0) {
+      throw new Error(`Raw data not deduplicated: ${JSON.stringify({ stored1, stored2 })}`);
+    }
+    console.log(`✓ Stored ${stored1.positions} positions, ${stored1.trades} trades; re-store inserted ${stored2.positions + stored2.trades}`);
+    
+    // Test 11: Work queue checkpointing
+    console.log('\nTest 11: Work queue checkpointing...');
+    const provenance = new Map([
+      [newAccount.address, [{ method: 'seed_db', sourceRef: 'manual' }, { method: 'market_scrape', sourceRef: '0xcond1' }]],
+      ['0xtestpending', [{ method: 'trades_stream', sourceRef: 'run' }]]
+    ]);
+    await storage.enqueueRunAddresses(runId, [newAccount.address, '0xtestpending'], provenance);
+    await storage.updateRunAddressStatus(runId, newAccount.address, 'stored');
+    await storage.updateRunAddressStatus(runId, '0xtestpending', 'failed', 'fetch: Timeout');
+    const queue = await storage.loadRunAddresses(runId);
+    const statuses = Object.fromEntries(queue.map(r => [r.address, r.status]));
+    if (statuses[newAccount.address] !== 'stored' || statuses['0xtestpending'] !== 'failed') {
+      throw new Error(`Work queue statuses wrong: ${JSON.stringify(statuses)}`);
+    }
+    console.log(`✓ Work queue: ${queue.map(r => `${r.address}=${r.status}`).join(', ')}`);
+    
+    // Test 12: Discovery provenance and yield
+    console.log('\nTest 12: Record discovery provenance...');
+    await storage.recordAccountDiscoveries(runId, newAccount.address, queue[0].discovery);
+    await storage.recordAccountDiscoveries(runId, newAccount.address, queue[0].discovery);
+    const discoveryYield = storage.generateDiscoveryYield(provenance, [newAccount.address], [newAccount.address]);
+    const discoveries = await query(
+      `SELECT COUNT(*)::int AS count FROM account_discoveries WHERE address = $1 AND last_run_id = $2`,
+      [newAccount.address, runId]
+    );
+    if (discoveries.rows[0].count !== 2 || discoveryYield.seed_db.selected !== 1 || discoveryYield.trades_stream.processed !== 0) {
+      throw new Error(`Discovery provenance wrong: ${discoveries.rows[0].count} rows, ${JSON.stringify(discoveryYield)}`);
+    }
+    console.log(`✓ Discovery yield: ${JSON.stringify(discoveryYield)}`);
+    
+    // Test 13: Fail, resume and stale detection
+    console.log('\nTest 13: Resume a failed run...');
+    const failedRunId = await storage.createRun({ minTrades: 10 });
+    await storage.failRun(failedRunId, 'Simulated crash');
+    const resumed = await storage.resumeRun(failedRunId);
+    if (resumed.status !== 'resumed' || resumed.resume_count !== 1) {
+      throw new Error(`Resume wrong: ${resumed.status} (resume_count: ${resumed.resume_count})`);
+    }
+    console.log(`✓ Resumed run status: ${resumed.status} (resume_count: ${resumed.resume_count})`);
+    // Only this test's run: a 0-minute timeout would mark every running run stale
+    const staleIds = await storage.markStaleRuns(0, [failedRunId]);
+    if (staleIds.length !== 1 || staleIds[0] !== failedRunId) {
+      throw new Error(`Expected only the test run to be marked stale: ${staleIds}`);
+    }
+    console.log(`✓ Marked ${staleIds.length} stale run(s) with a 0-minute timeout`);
+    
+    // Test 14: Record rejected accounts with reasons and near misses
+    console.log('\nTest 14: Record rejected accounts...');
+    const rejected = [
+      {
+        address: newAccount.address,
+        rejectionReasons: ['minWinRate', 'rule: closed >= 30'],
+        failedCriteria: [{ criterion: 'minWinRate', value: 0.55, threshold: 0.58 }],
+        nearMiss: false,
+        compositeScore: 0.6
+      }
+    ];
+    await storage.recordRejectedAccounts(runId, [...rejected, { ...rejected[0], address: '0xtestrejected' }]);
+    await storage.recordRejectedAccounts(runId, [{ ...rejected[0], rejectionReasons: ['minWinRate'], nearMiss: true }]);
+    const rejectedRows = await query(`SELECT address, reasons, near_miss FROM rejected_accounts WHERE run_id = $1`, [runId]);
+    if (rejectedRows.rows.length !== 1 || rejectedRows.rows[0].reasons.join() !== 'minWinRate' || !rejectedRows.rows[0].near_miss) {
+      throw new Error(`Re-recording should replace the run's rejected accounts: ${JSON.stringify(rejectedRows.rows)}`);
+    }
+    console.log('✓ Recorded 1 rejected account (re-record replaced the earlier attempt)');
+    
+    // Test 15: Selection history for churn
+    console.log('\nTest 15: Load selection history...');
+    const selection = await storage.loadSelection(runId);
+    const previousSelections = await storage.loadPreviousSelections(runId, 5);
+    if (selection.length !== 1 || selection[0].address !== newAccount.address) {
+      throw new Error(`Selection wrong: ${JSON.stringify(selection)}`);
+    }
+    console.log(`✓ Selection of ${selection.length} (top: ${selection[0]?.address}), ${previousSelections.history.length} earlier runs`);
+    
     console.log('\n=== All tests passed! ===');
     
   } catch (error) {
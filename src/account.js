@@ -0,0 +1,163 @@
+/**
+ * Account timeline entry point
+ *
+ * Prints an account's metrics across runs: win rate, PnL, volume, score,
+ * selection status and rank, with sparklines, followed by its open
+ * positions from the latest raw data.
+ *
+ * Usage: npm run account -- <address> [options]
+ * Options:
+ *   --json             Print the timeline as JSON
+ *   --limit <n>        Most recent runs to show (default: 30)
+ *   --include-derived  Include derived (re-scored) runs
+ *   --unicode          Unicode block sparklines instead of plain ASCII
+ */
+
+const { toTimelineEntry, summarizeTimeline, sparkline } = require('./timeline');
+const { Storage } = require('./storage');
+const { close } = require('./db');
+require('dotenv').config();
+
+function showHelp() {
+  console.log(`
+Usage: npm run account -- <address> [options]
+
+Show an account's timeline across runs and its current open positions.
+
+Options:
+  --json             Print the timeline as JSON
+  --limit <n>        Most recent runs to show (default: 30)
+  --include-derived  Include derived (re-scored) runs
+  --unicode          Unicode block sparklines instead of plain ASCII
+  --help, -h         Show this help message
+
+Examples:
+  npm run account -- 0xabc...
+  npm run account -- 0xabc... --json > account.json
+`);
+  process.exit(0);
+}
+
+function parseArgs() {
+  const args = process.argv.slice(2);
+  const options = {
+    address: null,
+    json: false,
+    limit: 30,
+    includeDerived: false,
+    unicode: false
+  };
+
+  for (let i = 0; i < args.length; i++) {
+    switch (args[i]) {
+      case '--help':
+      case '-h':
+        showHelp();
+        break;
+      case '--json':
+        options.json = true;
+        break;
+      case '--limit':
+        options.limit = parseInt(args[++i]);
+        break;
+      case '--include-derived':
+        options.includeDerived = true;
+        break;
+      case '--unicode':
+        options.unicode = true;
+        break;
+      default:
+        if (!args[i].startsWith('--') && !options.address) {
+          options.address = args[i].toLowerCase();
+        }
+    }
+  }
+
+  return options;
+}
+
+/**
+ * Print the timeline as text
+ * @param {Object} data - { address, account, summary, timeline, openPositions }
+ * @param {Object} options - Parsed options
+ */
+function printTimeline(data, options) {
+  const { account, summary, timeline, openPositions } = data;
+  const pct = v => (v === null ? '   n/a' : `${(v * 100).toFixed(1).padStart(5)}%`);
+  const usd = v => (v === null ? 'n/a' : `$${v.toFixed(2)}`);
+  const spark = key => sparkline(timeline.map(e => e[key]), { unicode: options.unicode });
+
+  console.log(`\n========== Account ${data.address} ==========`);
+  if (account) {
+    console.log(`First seen: ${new Date(account.first_seen_at).toISOString()}, discovered by ${account.discovery_method || 'unknown'}`);
+  }
+  console.log(`Runs: ${summary.runs}, selected ${summary.timesSelected}x, current streak ${summary.currentStreak}, best rank ${summary.bestRank ?? 'n/a'}`);
+
+  console.log(`\nWin rate  ${spark('strictWinRate')}  ${pct(timeline[timeline.length - 1].strictWinRate)}`);
+  console.log(`PnL       ${spark('realizedPnl')}  ${usd(timeline[timeline.length - 1].realizedPnl)}`);
+  console.log(`Volume    ${spark('totalVolumeUsd')}  ${usd(timeline[timeline.length - 1].totalVolumeUsd)}`);
+  console.log(`Score     ${spark('score')}  ${timeline[timeline.length - 1].score ?? 'n/a'}`);
+
+  console.log('\nRun date              Win rate       PnL (USD)    Volume (USD)   Score   Status');
+  for (const e of timeline) {
+    const status = e.status === 'selected'
+      ? `selected #${e.selectedRank}`
+      : `${e.status === 'near_miss' ? 'near miss' : 'not selected'}${e.rejectionReasons.length > 0 ? ` (${e.rejectionReasons.join(', ')})` : ''}`;
+    console.log(
+      `${(e.startedAt || '').slice(0, 19).padEnd(20)}  ${pct(e.strictWinRate).padStart(8)}  ${e.realizedPnl.toFixed(2).padStart(14)}  ` +
+      `${e.totalVolumeUsd.toFixed(2).padStart(14)}  ${(e.score ?? 0).toFixed(4)}  ${status}${e.runType === 'derived' ? ' [derived]' : ''}`
+    );
+  }
+
+  console.log(`\nOpen positions (${openPositions.positions.length}${openPositions.runId ? `, from run ${openPositions.runId}` : ''}):`);
+  for (const p of openPositions.positions) {
+    console.log(`  - ${p.title || p.conditionId} [${p.outcome}] size ${p.size}, avg ${p.avgPrice}, now ${p.curPrice}, value ${usd(p.currentValue ?? null)}, PnL ${usd(p.cashPnl ?? null)}`);
+  }
+  console.log('==========================================\n');
+}
+
+/**
+ * Main account timeline function
+ */
+async function main() {
+  const options = parseArgs();
+  if (!options.address) {
+    console.error('[Account] Missing address. Usage: npm run account -- <address> [--json]');
+    process.exit(1);
+  }
+
+  const storage = new Storage({ logger: { info() {}, warn: console.warn, error: console.error } });
+
+  try {
+    const rows = await storage.loadAccountTimeline(options.address, {
+      includeDerived: options.includeDerived,
+      limit: options.limit
+    });
+    if (rows.length === 0) {
+      throw new Error(`No snapshots for ${options.address}`);
+    }
+
+    const timeline = rows.map(toTimelineEntry);
+    const data = {
+      address: options.address,
+      account: await storage.getAccount(options.address),
+      summary: summarizeTimeline(timeline),
+      timeline,
+      openPositions: await storage.loadLatestOpenPositions(options.address)
+    };
+
+    if (options.json) {
+      process.stdout.write(`${JSON.stringify(data, null, 2)}\n`);
+    } else {
+      printTimeline(data, options);
+    }
+
+  } catch (error) {
+    console.error('[Account] Failed:', error.message);
+    process.exitCode = 1;
+  } finally {
+    await close();
+  }
+}
+
+main();
@@ -0,0 +1,371 @@
+/**
+ * API Module - Read-only HTTP API over the scanner database
+ *
+ * Endpoints (GET or HEAD, JSON responses):
+ * - /runs?status=&type=                     Runs, newest first
+ * - /runs/:id                               One run with its config and stats
+ * - /runs/:id/selected                      A run's selected accounts, best first
+ * - /accounts/:address                      Account record, latest snapshot and selection summary
+ * - /accounts/:address/snapshots?include_derived=
+ *                                           An account's snapshots, newest run first
+ * - /leaderboard?window=&sort=&run=         Latest completed sync run (or run) ranked by a metric
+ *
+ * Lists take ?limit= and ?offset= and return
+ * { data, pagination: { limit, offset, total, next_offset } }.
+ * Every 200 response carries an ETag (hash of the body); a request whose
+ * If-None-Match matches it gets 304 Not Modified without a body.
+ */
+
+const http = require('http');
+const crypto = require('crypto');
+const { LEADERBOARD_SORTS } = require('./storage');
+const { METRIC_WINDOWS } = require('./collector');
+const { toTimelineEntry, summarizeTimeline } = require('./timeline');
+
+const DEFAULT_PAGE_SIZE = 50;
+const MAX_PAGE_SIZE = 500;
+
+const UUID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+const DECIMAL_PATTERN = /^-?\d+(\.\d+)?$/;
+
+const ROUTES = [
+  { pattern: /^\/runs$/, handler: 'listRuns', params: [] },
+  { pattern: /^\/runs\/([^/]+)$/, handler: 'getRun', params: ['id'] },
+  { pattern: /^\/runs\/([^/]+)\/selected$/, handler: 'listSelected', params: ['id'] },
+  { pattern: /^\/accounts\/([^/]+)$/, handler: 'getAccount', params: ['address'] },
+  { pattern: /^\/accounts\/([^/]+)\/snapshots$/, handler: 'listSnapshots', params: ['address'] },
+  { pattern: /^\/leaderboard$/, handler: 'leaderboard', params: [] }
+];
+
+/**
+ * Create an error answered with an HTTP status instead of 500
+ * @param {number} status - HTTP status
+ * @param {string} message - Error message for the response body
+ * @returns {Error} - Error with a status property
+ */
+function httpError(status, message) {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+}
+
+/**
+ * Match a request path against the routes
+ * @param {string} pathname - URL path (a trailing slash is ignored)
+ * @returns {Object|null} - { handler, params } or null if no route matches
+ */
+function matchRoute(pathname) {
+  const path = pathname.length > 1 ? pathname.replace(/\/+$/, '') : pathname;
+  for (const route of ROUTES) {
+    const m = route.pattern.exec(path);
+    if (!m) continue;
+
+    const params = {};
+    route.params.forEach((name, i) => {
+      try {
+        params[name] = decodeURIComponent(m[i + 1]);
+      } catch (error) {
+        throw httpError(400, `Malformed path segment '${m[i + 1]}'`);
+      }
+    });
+    return { handler: route.handler, params };
+  }
+  return null;
+}
+
+/**
+ * Read limit and offset from the query string
+ * @param {URLSearchParams} searchParams - Query string
+ * @param {number} maxLimit - Largest allowed page size
+ * @returns {Object} - { limit, offset }
+ */
+function parsePagination(searchParams, maxLimit = MAX_PAGE_SIZE) {
+  const read = (name, fallback) => {
+    const raw = searchParams.get(name);
+    if (raw === null || raw === '') return fallback;
+    if (!/^\d+$/.test(raw)) throw httpError(400, `Invalid ${name} '${raw}' (expected a non-negative integer)`);
+    return parseInt(raw);
+  };
+
+  const limit = read('limit', Math.min(DEFAULT_PAGE_SIZE, maxLimit));
+  if (limit < 1 || limit > maxLimit) {
+    throw httpError(400, `Invalid limit ${limit} (expected 1-${maxLimit})`);
+  }
+  return { limit, offset: read('offset', 0) };
+}
+
+/**
+ * Wrap a page of rows with its pagination
+ * @param {Array} rows - Rows of this page
+ * @param {number} total - Rows across all pages
+ * @param {Object} page - { limit, offset }
+ * @returns {Object} - { data, pagination: { limit, offset, total, next_offset } }
+ */
+function paginate(rows, total, page) {
+  const end = page.offset + rows.length;
+  return {
+    data: rows,
+    pagination: {
+      limit: page.limit,
+      offset: page.offset,
+      total,
+      next_offset: rows.length > 0 && end < total ? end : null
+    }
+  };
+}
+
+/**
+ * Parse DECIMAL and BIGINT columns, which pg returns as strings
+ * @param {Object} row - Database row
+ * @returns {Object} - Row with numeric strings as numbers
+ */
+function parseDecimals(row) {
+  const parsed = {};
+  for (const [key, value] of Object.entries(row)) {
+    parsed[key] = typeof value === 'string' && DECIMAL_PATTERN.test(value) ? parseFloat(value) : value;
+  }
+  return parsed;
+}
+
+/**
+ * Strong ETag of a response body
+ * @param {string} body - Serialized body
+ * @returns {string} - Quoted ETag
+ */
+function etagFor(body) {
+  return `"${crypto.createHash('sha1').update(body).digest('hex')}"`;
+}
+
+/**
+ * Check an If-None-Match header against an ETag (weak comparison)
+ * @param {string} header - If-None-Match value (may list several tags or be *)
+ * @param {string} etag - Current ETag
+ * @returns {boolean} - True if the client's copy is current
+ */
+function matchesEtag(header, etag) {
+  if (!header) return false;
+  if (header.trim() === '*') return true;
+  return header.split(',').some(tag => tag.trim().replace(/^W\//, '') === etag);
+}
+
+class ApiServer {
+  /**
+   * @param {Object} options - Options
+   * @param {Storage} options.storage - Storage used for all reads
+   * @param {Object} options.logger - Logger (default: console)
+   * @param {number} options.maxLimit - Largest page size a client may request (default: 500)
+   */
+  constructor(options = {}) {
+    this.storage = options.storage;
+    this.logger = options.logger || console;
+    this.maxLimit = options.maxLimit ?? MAX_PAGE_SIZE;
+    this.server = http.createServer((req, res) => this.handle(req, res));
+  }
+
+  /**
+   * Start listening
+   * @param {number} port - Port (0 picks a free one)
+   * @param {string} host - Interface to bind
+   * @returns {Promise<Object>} - { host, port } actually bound
+   */
+  listen(port, host) {
+    return new Promise((resolve, reject) => {
+      this.server.once('error', reject);
+      this.server.listen(port, host, () => {
+        this.server.off('error', reject);
+        const address = this.server.address();
+        resolve({ host: address.address, port: address.port });
+      });
+    });
+  }
+
+  /**
+   * Stop accepting connections and wait for open ones to finish
+   * @returns {Promise} - Resolves once the server is closed
+   */
+  close() {
+    return new Promise((resolve, reject) => {
+      this.server.close(error => (error ? reject(error) : resolve()));
+      // Keep-alive connections would otherwise hold close() open until they time out
+      if (this.server.closeIdleConnections) this.server.closeIdleConnections();
+    });
+  }
+
+  /**
+   * Handle one request
+   * @param {http.IncomingMessage} req - Request
+   * @param {http.ServerResponse} res - Response
+   */
+  async handle(req, res) {
+    const url = new URL(req.url, 'http://localhost');
+
+    if (req.method !== 'GET' && req.method !== 'HEAD') {
+      this.send(req, res, 405, { error: `Method ${req.method} not allowed` }, { Allow: 'GET, HEAD' });
+      return;
+    }
+
+    try {
+      const route = matchRoute(url.pathname);
+      if (!route) {
+        throw httpError(404, `No route for ${url.pathname}`);
+      }
+      const payload = await this[route.handler](route.params, url.searchParams);
+      this.send(req, res, 200, payload);
+    } catch (error) {
+      if (error.status) {
+        this.send(req, res, error.status, { error: error.message });
+        return;
+      }
+      this.logger.error(`[API] ${req.method} ${url.pathname} failed: ${error.message}`);
+      this.send(req, res, 500, { error: 'Internal server error' });
+    }
+  }
+
+  /**
+   * Write a JSON response, answering 304 when the client's ETag is current
+   * @param {http.IncomingMessage} req - Request
+   * @param {http.ServerResponse} res - Response
+   * @param {number} status - HTTP status
+   * @param {Object} payload - Response body
+   * @param {Object} extraHeaders - Additional headers
+   */
+  send(req, res, status, payload, extraHeaders = {}) {
+    const body = JSON.stringify(payload);
+    const headers = { 'Content-Type': 'application/json; charset=utf-8', ...extraHeaders };
+
+    if (status === 200) {
+      headers.ETag = etagFor(body);
+      headers['Cache-Control'] = 'no-cache';
+      if (matchesEtag(req.headers['if-none-match'], headers.ETag)) {
+        res.writeHead(304, { ETag: headers.ETag, 'Cache-Control': headers['Cache-Control'] });
+        res.end();
+        return;
+      }
+    }
+
+    headers['Content-Length'] = Buffer.byteLength(body);
+    res.writeHead(status, headers);
+    res.end(req.method === 'HEAD' ? undefined : body);
+  }
+
+  /**
+   * Load a run or answer 404
+   * @param {string} id - Run ID from the path
+   * @returns {Object} - Run row
+   */
+  async requireRun(id) {
+    const run = UUID_PATTERN.test(id) ? await this.storage.getRun(id) : null;
+    if (!run) {
+      throw httpError(404, `Run not found: ${id}`);
+    }
+    return run;
+  }
+
+  /**
+   * Load an account or answer 404
+   * @param {string} address - Address from the path
+   * @returns {Object} - accounts row
+   */
+  async requireAccount(address) {
+    const account = await this.storage.getAccount(address.toLowerCase());
+    if (!account) {
+      throw httpError(404, `Account not found: ${address}`);
+    }
+    return account;
+  }
+
+  /**
+   * GET /runs
+   * @param {Object} params - Path parameters
+   * @param {URLSearchParams} searchParams - Query string
+   * @returns {Object} - Response body
+   */
+  async listRuns(params, searchParams) {
+    const page = parsePagination(searchParams, this.maxLimit);
+    const { rows, total } = await this.storage.listRuns({
+      status: searchParams.get('status') || null,
+      runType: searchParams.get('type') || null,
+      ...page
+    });
+    return paginate(rows.map(parseDecimals), total, page);
+  }
+
+  /**
+   * GET /runs/:id
+   * @param {Object} params - Path parameters
+   * @returns {Object} - Response body
+   */
+  async getRun(params) {
+    return { data: parseDecimals(await this.requireRun(params.id)) };
+  }
+
+  /**
+   * GET /runs/:id/selected
+   * @param {Object} params - Path parameters
+   * @param {URLSearchParams} searchParams - Query string
+   * @returns {Object} - Response body
+   */
+  async listSelected(params, searchParams) {
+    const run = await this.requireRun(params.id);
+    const page = parsePagination(searchParams, this.maxLimit);
+    const { rows, total } = await this.storage.listSelectedAccounts(run.id, page);
+    return { run_id: run.id, ...paginate(rows.map(parseDecimals), total, page) };
+  }
+
+  /**
+   * GET /accounts/:address (summary and latest snapshot over the last 100 sync runs)
+   * @param {Object} params - Path parameters
+   * @returns {Object} - Response body
+   */
+  async getAccount(params) {
+    const account = await this.requireAccount(params.address);
+    const timeline = (await this.storage.loadAccountTimeline(account.address)).map(toTimelineEntry);
+    return {
+      data: {
+        ...parseDecimals(account),
+        selection_summary: summarizeTimeline(timeline),
+        latest_snapshot: timeline[timeline.length - 1] ?? null
+      }
+    };
+  }
+
+  /**
+   * GET /accounts/:address/snapshots
+   * @param {Object} params - Path parameters
+   * @param {URLSearchParams} searchParams - Query string
+   * @returns {Object} - Response body
+   */
+  async listSnapshots(params, searchParams) {
+    const account = await this.requireAccount(params.address);
+    const page = parsePagination(searchParams, this.maxLimit);
+    const includeDerived = ['true', '1'].includes(searchParams.get('include_derived'));
+    const { rows, total } = await this.storage.listAccountSnapshots(account.address, { includeDerived, ...page });
+    return { address: account.address, ...paginate(rows.map(parseDecimals), total, page) };
+  }
+
+  /**
+   * GET /leaderboard
+   * @param {Object} params - Path parameters
+   * @param {URLSearchParams} searchParams - Query string
+   * @returns {Object} - Response body
+   */
+  async leaderboard(params, searchParams) {
+    const window = searchParams.get('window') || 'all';
+    const sort = searchParams.get('sort') || 'score';
+    if (!(window in METRIC_WINDOWS)) {
+      throw httpError(400, `Unknown window '${window}' (expected one of: ${Object.keys(METRIC_WINDOWS).join(', ')})`);
+    }
+    if (!(sort in LEADERBOARD_SORTS)) {
+      throw httpError(400, `Unknown sort '${sort}' (expected one of: ${Object.keys(LEADERBOARD_SORTS).join(', ')})`);
+    }
+    const runId = searchParams.get('run');
+    if (runId) await this.requireRun(runId);
+
+    const page = parsePagination(searchParams, this.maxLimit);
+    const { run, rows, total } = await this.storage.loadLeaderboard({ runId, window, sort, ...page });
+    const ranked = rows.map((row, i) => ({ rank: page.offset + i + 1, ...parseDecimals(row) }));
+    return { run_id: run ? run.id : null, window, sort, ...paginate(ranked, total, page) };
+  }
+}
+
+module.exports = { ApiServer, matchRoute, parsePagination, paginate, parseDecimals, etagFor, matchesEtag };
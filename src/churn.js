@@ -0,0 +1,116 @@
+/**
+ * Churn Module - Compare the selections of two runs
+ *
+ * - Newly selected, dropped and still-selected accounts
+ * - Rank and score deltas for accounts selected in both runs
+ * - Churn rate: share of the previous selection that dropped out
+ * - Tenure: consecutive runs (including this one) an account has been selected
+ *
+ * Selections are [{ address, rank, score }] with rank 1 = highest score.
+ */
+
+const round4 = value => Math.round(value * 10000) / 10000;
+
+/**
+ * Turn selected accounts (best first) into a ranked selection
+ * @param {Array} accounts - Selected accounts with compositeScore, in rank order
+ * @returns {Array} - [{ address, rank, score }]
+ */
+function toSelection(accounts) {
+  return accounts.map((account, i) => ({
+    address: account.address,
+    rank: i + 1,
+    score: account.compositeScore ?? 0
+  }));
+}
+
+/**
+ * Diff two selections
+ * @param {Array} previous - Previous run's selection [{ address, rank, score }]
+ * @param {Array} current - Current run's selection [{ address, rank, score }]
+ * @returns {Object} - { added, dropped, retained, churnRate }
+ *   retained entries carry rankDelta (positive = moved up) and scoreDelta
+ */
+function diffSelections(previous, current) {
+  const before = new Map(previous.map(s => [s.address, s]));
+  const after = new Set(current.map(s => s.address));
+
+  const added = [];
+  const retained = [];
+  for (const s of current) {
+    const prev = before.get(s.address);
+    if (!prev) {
+      added.push({ address: s.address, rank: s.rank, score: s.score });
+      continue;
+    }
+    retained.push({
+      address: s.address,
+      rank: s.rank,
+      previousRank: prev.rank,
+      rankDelta: prev.rank - s.rank,
+      score: s.score,
+      scoreDelta: round4(s.score - prev.score)
+    });
+  }
+
+  const dropped = previous
+    .filter(s => !after.has(s.address))
+    .map(s => ({ address: s.address, previousRank: s.rank, previousScore: s.score }));
+
+  return {
+    added,
+    dropped,
+    retained,
+    churnRate: previous.length > 0 ? round4(dropped.length / previous.length) : null
+  };
+}
+
+/**
+ * Consecutive selections per address, counting back from the newest run
+ * @param {Array} history - Selections, newest first (the current run at index 0)
+ * @returns {Map} - address => tenure in runs (1 = selected for the first time in a row)
+ */
+function tenureByAddress(history) {
+  const tenure = new Map();
+  if (history.length === 0) return tenure;
+
+  const sets = history.map(selection => new Set(selection.map(s => s.address)));
+  for (const address of sets[0]) {
+    let runs = 0;
+    while (runs < sets.length && sets[runs].has(address)) runs++;
+    tenure.set(address, runs);
+  }
+  return tenure;
+}
+
+/**
+ * Build the selection diff stored as run stats
+ * @param {Object} options - Options
+ * @param {string} options.previousRunId - Run compared against (null if none)
+ * @param {Array} options.current - This run's selection
+ * @param {Array} options.history - Earlier selections, newest first (history[0] = previous run)
+ * @returns {Object} - { previous_run_id, added, dropped, retained, counts, churn_rate, avg_tenure_runs, ... }
+ */
+function buildSelectionDiff({ previousRunId = null, current, history = [] }) {
+  const previous = history[0] || [];
+  const diff = diffSelections(previous, current);
+  const tenure = tenureByAddress([current, ...history]);
+  const tenures = current.map(s => tenure.get(s.address));
+  const moves = diff.retained.map(r => Math.abs(r.rankDelta));
+
+  return {
+    previous_run_id: previousRunId,
+    added_count: diff.added.length,
+    dropped_count: diff.dropped.length,
+    retained_count: diff.retained.length,
+    churn_rate: previousRunId ? diff.churnRate : null,
+    avg_tenure_runs: tenures.length > 0 ? round4(tenures.reduce((a, b) => a + b, 0) / tenures.length) : 0,
+    avg_abs_rank_change: moves.length > 0 ? round4(moves.reduce((a, b) => a + b, 0) / moves.length) : 0,
+    history_runs: history.length,
+    added: diff.added,
+    dropped: diff.dropped,
+    retained: diff.retained.map(r => ({ ...r, tenure: tenure.get(r.address) }))
+  };
+}
+
+module.exports = { toSelection, diffSelections, tenureByAddress, buildSelectionDiff };
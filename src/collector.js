@@ -2,52 +2,197 @@
  * Collector Module - Polymarket Data API Client
  * 
  * Features:
- * - Rate limiting (150-200 req/10s)
+ * - Sliding-window rate limiting (150-200 req/10s) with a FIFO wait queue
+ * - Retry-After handling and shared cooldown after repeated 429s
  * - Exponential backoff on 429/5xx errors
- * - Pagination support
+ * - Pagination support (offset + before/after windows, per-account ceiling)
  * - Structured logging
  * 
  * Endpoints:
- * - GET /trades - Recent trades (discover trader addresses)
+ * - GET /trades - Recent trades (discover trader addresses, trade-stream polling)
  * - GET /positions?user=<addr> - Account positions
  * - GET /closed-positions?user=<addr> - Closed positions for win rate
  * - GET /activity?user=<addr> - Account activity history
+ * - GET /trades?market=<conditionId> - All trades of a market (market discovery)
+ * - GET gamma-api /markets?slug=<slug> - Resolve market slugs to conditionIds
+ * - GET gamma-api /markets?condition_ids=<id>&... - Market metadata (category, tags, resolution)
  */
 
 const axios = require('axios');
+const { toEpochMs, parseRetryAfter, tradeKey, activityKey } = require('./records');
+const { detectWashTrading } = require('./wash');
 
 // Rate limiter configuration
 const RATE_LIMITS = {
   trades: { maxRequests: 200, windowMs: 10000 },     // 200 req/10s
   positions: { maxRequests: 150, windowMs: 10000 },   // 150 req/10s
   closedPositions: { maxRequests: 150, windowMs: 10000 },
-  activity: { maxRequests: 150, windowMs: 10000 }
+  activity: { maxRequests: 150, windowMs: 10000 },
+  markets: { maxRequests: 100, windowMs: 10000 }      // Gamma API
 };
 
-// Request queue for rate limiting
+// Cooldown applied to all endpoints after repeated 429s
+const COOLDOWN = {
+  consecutive429Threshold: 3,
+  cooldownMs: 30000
+};
+
+// Pagination configuration for per-account history endpoints
+const PAGINATION = {
+  positions: { pageSize: 500, maxOffset: 10000 },
+  closedPositions: { pageSize: 50, maxOffset: 10000 },
+  activity: { pageSize: 500, maxOffset: 10000 },
+  marketTrades: { pageSize: 500, maxOffset: 10000, maxRecords: 50000 },
+  maxHistoryRecords: 5000   // Per-account, per-endpoint ceiling
+};
+
+// conditionIds per Gamma /markets metadata request (keeps the URL short)
+const MARKET_BATCH_SIZE = 20;
+
+// Rolling windows for windowed metrics (days; null = all-time)
+const METRIC_WINDOWS = {
+  '7d': 7,
+  '30d': 30,
+  '90d': 90,
+  all: null
+};
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Profit factor reported for accounts with gains but no losses
+const PROFIT_FACTOR_CAP = 100;
+
+// A closed position's curPrice within this of 1 or 0 means its market resolved
+const RESOLUTION_PRICE_TOLERANCE = 0.01;
+
+/**
+ * Shared 429 state for a group of rate limiters
+ * Repeated 429s on any endpoint pause every limiter in the group.
+ */
+class CooldownState {
+  constructor(options = {}) {
+    this.threshold = options.consecutive429Threshold ?? COOLDOWN.consecutive429Threshold;
+    this.cooldownMs = options.cooldownMs ?? COOLDOWN.cooldownMs;
+    this.pausedUntil = 0;
+    this.consecutive429 = 0;
+    this.cooldowns = 0;
+  }
+
+  /**
+   * Record a 429; returns the cooldown applied (0 if below threshold)
+   */
+  record429() {
+    this.consecutive429++;
+    if (this.consecutive429 < this.threshold) return 0;
+    this.consecutive429 = 0;
+    this.cooldowns++;
+    this.pausedUntil = Math.max(this.pausedUntil, Date.now() + this.cooldownMs);
+    return this.cooldownMs;
+  }
+
+  recordSuccess() {
+    this.consecutive429 = 0;
+  }
+}
+
+/**
+ * Sliding-window rate limiter with a FIFO wait queue
+ * 
+ * At most `limit` acquisitions are granted in any `windowMs` window.
+ * Waiters are released strictly in arrival order, so concurrent callers
+ * cannot overtake each other or burst past the limit.
+ */
 class RateLimiter {
-  constructor(limit, windowMs) {
+  /**
+   * @param {number} limit - Max requests per window
+   * @param {number} windowMs - Window length in ms
+   * @param {Object} options - { cooldown: CooldownState shared across limiters }
+   */
+  constructor(limit, windowMs, options = {}) {
     this.limit = limit;
     this.windowMs = windowMs;
-    this.queue = [];
-    this.lastRequestTime = 0;
+    this.cooldown = options.cooldown || new CooldownState();
+    this.queue = [];          // Pending waiters (FIFO)
+    this.grants = [];         // Grant timestamps inside the current window
+    this.pausedUntil = 0;     // Retry-After pause for this endpoint
+    this.timer = null;
+    this.stats = {
+      requests: 0,
+      waits: 0,
+      throttledMs: 0,
+      rateLimited: 0
+    };
   }
 
-  async acquire() {
-    const now = Date.now();
-    const timeSinceLastRequest = now - this.lastRequestTime;
-    const minInterval = this.windowMs / this.limit;
+  acquire() {
+    return new Promise(resolve => {
+      this.queue.push({ resolve, enqueuedAt: Date.now() });
+      this.drain();
+    });
+  }
+
+  /**
+   * Release as many queued waiters as the window allows,
+   * then schedule a wake-up for the next free slot
+   */
+  drain() {
+    if (this.timer) return;
+    
+    while (this.queue.length > 0) {
+      const now = Date.now();
+      while (this.grants.length > 0 && this.grants[0] <= now - this.windowMs) {
+        this.grants.shift();
+      }
+      
+      const pausedUntil = Math.max(this.pausedUntil, this.cooldown.pausedUntil);
+      let waitMs = 0;
+      if (pausedUntil > now) {
+        waitMs = pausedUntil - now;
+      } else if (this.grants.length >= this.limit) {
+        waitMs = this.grants[0] + this.windowMs - now;
+      }
+      
+      if (waitMs > 0) {
+        this.timer = setTimeout(() => {
+          this.timer = null;
+          this.drain();
+        }, waitMs);
+        return;
+      }
+      
+      const waiter = this.queue.shift();
+      this.grants.push(now);
+      this.stats.requests++;
+      const waited = now - waiter.enqueuedAt;
+      if (waited > 0) {
+        this.stats.waits++;
+        this.stats.throttledMs += waited;
+      }
+      waiter.resolve();
+    }
+  }
 
-    if (timeSinceLastRequest < minInterval) {
-      const waitTime = minInterval - timeSinceLastRequest;
-      await this.sleep(waitTime);
+  /**
+   * Record a 429 response
+   * @param {number|null} retryAfterMs - Parsed Retry-After delay
+   * @returns {number} - Pause applied before the next request (ms)
+   */
+  onRateLimited(retryAfterMs) {
+    this.stats.rateLimited++;
+    const now = Date.now();
+    if (retryAfterMs) {
+      this.pausedUntil = Math.max(this.pausedUntil, now + retryAfterMs);
     }
+    this.cooldown.record429();
+    return Math.max(this.pausedUntil, this.cooldown.pausedUntil, now) - now;
+  }
 
-    this.lastRequestTime = Date.now();
+  onSuccess() {
+    this.cooldown.recordSuccess();
   }
 
-  sleep(ms) {
-    return new Promise(resolve => setTimeout(resolve, ms));
+  getStats() {
+    return { ...this.stats };
   }
 }
 
@@ -58,12 +203,23 @@ class RetryHandler {
     this.baseDelayMs = baseDelayMs;
   }
 
-  async executeWithRetry(fn, endpoint) {
+  /**
+   * Run fn with retries. When a rate limiter is given, every attempt
+   * (including retries) acquires a slot, and 429s are reported to it so
+   * Retry-After and the shared cooldown apply to all callers.
+   * @param {Function} fn - Async request function
+   * @param {string} endpoint - Endpoint label for logging
+   * @param {RateLimiter} rateLimiter - Optional limiter for this endpoint
+   */
+  async executeWithRetry(fn, endpoint, rateLimiter = null) {
     let lastError;
     
     for (let attempt = 0; attempt <= this.maxRetries; attempt++) {
       try {
-        return await fn();
+        if (rateLimiter) await rateLimiter.acquire();
+        const result = await fn();
+        if (rateLimiter) rateLimiter.onSuccess();
+        return result;
       } catch (error) {
         lastError = error;
         
@@ -71,15 +227,22 @@ class RetryHandler {
         const status = error.response?.status;
         const isRetryable = !status || status === 429 || status >= 500;
         
+        // Report 429s before deciding to give up so the pause still applies to other callers
+        let limiterPause = 0;
+        if (status === 429 && rateLimiter) {
+          limiterPause = rateLimiter.onRateLimited(parseRetryAfter(error.response.headers?.['retry-after']));
+        }
+        
         if (!isRetryable || attempt === this.maxRetries) {
           console.error(`[Collector] ${endpoint} failed after ${attempt + 1} attempts:`, error.message);
           throw error;
         }
         
         // Exponential backoff: 1s, 2s, 4s, 8s, 16s
-        const delay = this.baseDelayMs * Math.pow(2, attempt);
-        console.warn(`[Collector] ${endpoint} retry ${attempt + 1}/${this.maxRetries} after ${delay}ms (status: ${status})`);
-        await this.sleep(delay);
+        // On 429 the limiter already holds the request back for Retry-After / cooldown
+        const delay = limiterPause > 0 ? 0 : this.baseDelayMs * Math.pow(2, attempt);
+        console.warn(`[Collector] ${endpoint} retry ${attempt + 1}/${this.maxRetries} after ${delay || limiterPause}ms (status: ${status})`);
+        if (delay > 0) await this.sleep(delay);
       }
     }
     
@@ -91,38 +254,120 @@ class RetryHandler {
   }
 }
 
+/**
+ * Move a trade-stream high-water mark past a batch of trades
+ * @param {Object|null} mark - { lastTimestamp, lastTradeIds }
+ * @param {Array} trades - Newly seen trades
+ * @returns {Object|null} - Updated mark
+ */
+function advanceTradeMark(mark, trades) {
+  if (trades.length === 0) return mark;
+  
+  const newest = Math.max(...trades.map(t => t.timestamp));
+  if (mark && mark.lastTimestamp > newest) return mark;
+  
+  const idsAtNewest = trades.filter(t => t.timestamp === newest).map(tradeKey);
+  const carried = mark && mark.lastTimestamp === newest ? mark.lastTradeIds : [];
+  
+  return {
+    lastTimestamp: newest,
+    lastTradeIds: [...new Set([...carried, ...idsAtNewest])]
+  };
+}
+
+/**
+ * Aggregate trades per wallet
+ * @param {Array} trades - Trades from /trades
+ * @returns {Array} - [{ address, firstSeen, lastSeen, tradeCount, notionalUsd }] (unix seconds)
+ */
+function aggregateWallets(trades) {
+  const wallets = new Map();
+  
+  for (const trade of trades) {
+    if (!trade.proxyWallet) continue;
+    
+    let wallet = wallets.get(trade.proxyWallet);
+    if (!wallet) {
+      wallet = {
+        address: trade.proxyWallet,
+        firstSeen: trade.timestamp,
+        lastSeen: trade.timestamp,
+        tradeCount: 0,
+        notionalUsd: 0
+      };
+      wallets.set(trade.proxyWallet, wallet);
+    }
+    
+    wallet.firstSeen = Math.min(wallet.firstSeen, trade.timestamp);
+    wallet.lastSeen = Math.max(wallet.lastSeen, trade.timestamp);
+    wallet.tradeCount++;
+    wallet.notionalUsd += (trade.size || 0) * (trade.price || 0);
+  }
+  
+  return [...wallets.values()];
+}
+
 // Main Collector class
 class PolymarketCollector {
   constructor(options = {}) {
     this.baseUrl = options.baseUrl || 'https://data-api.polymarket.com';
+    this.gammaBaseUrl = options.gammaBaseUrl || 'https://gamma-api.polymarket.com';
+    this.cooldown = new CooldownState(options.cooldown);
+    const limiterOptions = { cooldown: this.cooldown };
     this.rateLimiters = {
-      trades: new RateLimiter(RATE_LIMITS.trades.maxRequests, RATE_LIMITS.trades.windowMs),
-      positions: new RateLimiter(RATE_LIMITS.positions.maxRequests, RATE_LIMITS.positions.windowMs),
-      closedPositions: new RateLimiter(RATE_LIMITS.closedPositions.maxRequests, RATE_LIMITS.closedPositions.windowMs),
-      activity: new RateLimiter(RATE_LIMITS.activity.maxRequests, RATE_LIMITS.activity.windowMs)
+      trades: new RateLimiter(RATE_LIMITS.trades.maxRequests, RATE_LIMITS.trades.windowMs, limiterOptions),
+      positions: new RateLimiter(RATE_LIMITS.positions.maxRequests, RATE_LIMITS.positions.windowMs, limiterOptions),
+      closedPositions: new RateLimiter(RATE_LIMITS.closedPositions.maxRequests, RATE_LIMITS.closedPositions.windowMs, limiterOptions),
+      activity: new RateLimiter(RATE_LIMITS.activity.maxRequests, RATE_LIMITS.activity.windowMs, limiterOptions),
+      markets: new RateLimiter(RATE_LIMITS.markets.maxRequests, RATE_LIMITS.markets.windowMs, limiterOptions)
     };
     this.retryHandler = new RetryHandler(options.maxRetries || 5, options.retryDelayMs || 1000);
+    this.maxHistoryRecords = options.maxHistoryRecords || PAGINATION.maxHistoryRecords;
     this.logger = options.logger || console;
   }
 
+  /**
+   * Get rate limiter counters per endpoint plus totals
+   * @returns {Object} - { endpoints, totals, cooldowns }
+   */
+  getRateLimitStats() {
+    const endpoints = {};
+    const totals = { requests: 0, waits: 0, throttledMs: 0, rateLimited: 0 };
+    
+    for (const [name, limiter] of Object.entries(this.rateLimiters)) {
+      endpoints[name] = limiter.getStats();
+      for (const key of Object.keys(totals)) {
+        totals[key] += endpoints[name][key];
+      }
+    }
+    
+    return { endpoints, totals, cooldowns: this.cooldown.cooldowns };
+  }
+
   /**
    * Fetch recent trades to discover trader addresses
    * @param {Object} options - Pagination options
    * @param {number} options.limit - Number of trades to fetch (max 1000)
+   * @param {number} options.offset - Offset from the newest trade
+   * @param {string} options.market - Restrict to a market (conditionId)
+   * @param {boolean} options.takerOnly - false to include maker fills (API default: true)
    * @param {string} options.cursor - Pagination cursor
    * @returns {Object} - { trades, nextCursor, count }
    */
   async fetchTrades(options = {}) {
     const limit = Math.min(options.limit || 100, 1000);
+    const offset = options.offset || 0;
     const cursor = options.cursor || '';
     
     const endpoint = 'trades';
     const rateLimiter = this.rateLimiter = this.rateLimiters.trades;
     
-    await rateLimiter.acquire();
-    
     const result = await this.retryHandler.executeWithRetry(async () => {
       const params = { limit };
+      if (offset) params.offset = offset;
+      if (options.market) params.market = options.market;
+      if (options.takerOnly === false) params.takerOnly = false;
+      if (options.before) params.before = options.before;
       if (cursor) params.cursor = cursor;
       
       this.logger.info(`[Collector] Fetching ${endpoint} with params:`, params);
@@ -134,7 +379,7 @@ class PolymarketCollector {
         nextCursor: response.data.next_cursor || null,
         count: response.data.count || response.data.length
       };
-    }, endpoint);
+    }, endpoint, rateLimiter);
     
     this.logger.info(`[Collector] Fetched ${result.count} trades, nextCursor: ${result.nextCursor}`);
     
@@ -151,18 +396,17 @@ class PolymarketCollector {
     const endpoint = 'positions';
     const rateLimiter = this.rateLimiters.positions;
     
-    await rateLimiter.acquire();
-    
     const result = await this.retryHandler.executeWithRetry(async () => {
       const params = { user: address };
       if (options.limit) params.limit = options.limit;
+      if (options.offset) params.offset = options.offset;
       
       this.logger.info(`[Collector] Fetching positions for ${address}`);
       
       const response = await axios.get(`${this.baseUrl}/${endpoint}`, { params });
       
       return response.data;
-    }, `${endpoint}:${address}`);
+    }, `${endpoint}:${address}`, rateLimiter);
     
     this.logger.info(`[Collector] Got ${result.length} positions for ${address}`);
     
@@ -171,26 +415,26 @@ class PolymarketCollector {
 
   /**
    * Fetch closed positions for a specific address (for strict win rate)
+   * Single page; use fetchAllClosedPositions for the full history
    * @param {string} address - Trader address (0x...)
-   * @param {Object} options - Query options
+   * @param {Object} options - Query options (limit, offset)
    * @returns {Array} - Closed position array
    */
   async fetchClosedPositions(address, options = {}) {
     const endpoint = 'closed-positions';
     const rateLimiter = this.rateLimiters.closedPositions;
     
-    await rateLimiter.acquire();
-    
     const result = await this.retryHandler.executeWithRetry(async () => {
       const params = { user: address };
       if (options.limit) params.limit = options.limit;
+      if (options.offset) params.offset = options.offset;
       
       this.logger.info(`[Collector] Fetching closed positions for ${address}`);
       
       const response = await axios.get(`${this.baseUrl}/${endpoint}`, { params });
       
       return response.data;
-    }, `${endpoint}:${address}`);
+    }, `${endpoint}:${address}`, rateLimiter);
     
     this.logger.info(`[Collector] Got ${result.length} closed positions for ${address}`);
     
@@ -199,19 +443,19 @@ class PolymarketCollector {
 
   /**
    * Fetch activity for a specific address
+   * Single page; use fetchAllActivity for the full history
    * @param {string} address - Trader address (0x...)
-   * @param {Object} options - Query options (limit, before, after)
+   * @param {Object} options - Query options (limit, offset, before, after)
    * @returns {Array} - Activity array
    */
   async fetchActivity(address, options = {}) {
     const endpoint = 'activity';
     const rateLimiter = this.rateLimiters.activity;
     
-    await rateLimiter.acquire();
-    
     const result = await this.retryHandler.executeWithRetry(async () => {
       const params = { user: address };
       if (options.limit) params.limit = options.limit;
+      if (options.offset) params.offset = options.offset;
       if (options.before) params.before = options.before;
       if (options.after) params.after = options.after;
       
@@ -220,13 +464,152 @@ class PolymarketCollector {
       const response = await axios.get(`${this.baseUrl}/${endpoint}`, { params });
       
       return response.data;
-    }, `${endpoint}:${address}`);
+    }, `${endpoint}:${address}`, rateLimiter);
     
     this.logger.info(`[Collector] Got ${result.length} activity records for ${address}`);
     
     return result;
   }
 
+  /**
+   * Page through a per-account history endpoint
+   * 
+   * Pages by offset until a short page is returned. When the offset would
+   * exceed the API's maximum, the window is moved with `before` set to the
+   * oldest timestamp seen and paging restarts at offset 0. Records repeated
+   * across window boundaries are dropped by key.
+   * 
+   * @param {Function} fetchPage - async ({ limit, offset, before }) => Array
+   * @param {Object} options - Pagination options
+   * @param {number} options.pageSize - Records per request
+   * @param {number} options.maxOffset - Largest offset the API accepts
+   * @param {number} options.maxRecords - Ceiling on records collected
+   * @param {string} options.timeKey - Record field used for before-windows (null disables windowing)
+   * @param {Function} options.keyOf - Record => dedupe key
+   * @returns {Object} - { records, truncated }
+   */
+  async fetchPaginated(fetchPage, options) {
+    const { pageSize, maxOffset, maxRecords, timeKey = null, keyOf } = options;
+    const records = [];
+    const seen = new Set();
+    let offset = 0;
+    let before = options.before || null;
+    
+    while (records.length < maxRecords) {
+      const page = await fetchPage({ limit: pageSize, offset, before });
+      if (!Array.isArray(page) || page.length === 0) {
+        return { records, truncated: false };
+      }
+      
+      let added = 0;
+      for (const [i, record] of page.entries()) {
+        const key = keyOf(record);
+        if (seen.has(key)) continue;
+        seen.add(key);
+        records.push(record);
+        added++;
+        if (records.length >= maxRecords) {
+          // Records left on this page are cut off, even if it is the last one
+          if (i < page.length - 1) return { records, truncated: true };
+          break;
+        }
+      }
+      
+      if (page.length < pageSize) {
+        return { records, truncated: false };
+      }
+      
+      offset += page.length;
+      if (offset + pageSize > maxOffset) {
+        // Offset window exhausted - slide the time window backwards
+        const oldest = timeKey
+          ? Math.min(...page.map(r => r[timeKey]).filter(t => t !== undefined && t !== null))
+          : NaN;
+        if (!Number.isFinite(oldest) || added === 0) {
+          return { records, truncated: true };
+        }
+        before = oldest;
+        offset = 0;
+      }
+    }
+    
+    return { records, truncated: true };
+  }
+
+  /**
+   * Fetch every open position of an address
+   * @param {string} address - Trader address (0x...)
+   * @param {Object} options - { maxRecords, pageSize }
+   * @returns {Object} - { records, truncated }
+   */
+  async fetchAllPositions(address, options = {}) {
+    const result = await this.fetchPaginated(
+      ({ limit, offset }) => this.fetchPositions(address, { limit, offset }),
+      {
+        pageSize: options.pageSize || PAGINATION.positions.pageSize,
+        maxOffset: PAGINATION.positions.maxOffset,
+        maxRecords: options.maxRecords || this.maxHistoryRecords,
+        keyOf: p => `${p.conditionId}:${p.outcome}:${p.asset || ''}`
+      }
+    );
+    
+    if (result.truncated) {
+      this.logger.warn(`[Collector] Positions for ${address} truncated at ${result.records.length}`);
+    }
+    
+    return result;
+  }
+
+  /**
+   * Fetch the full closed-position history for an address
+   * @param {string} address - Trader address (0x...)
+   * @param {Object} options - { maxRecords, pageSize }
+   * @returns {Object} - { records, truncated }
+   */
+  async fetchAllClosedPositions(address, options = {}) {
+    const result = await this.fetchPaginated(
+      ({ limit, offset }) => this.fetchClosedPositions(address, { limit, offset }),
+      {
+        pageSize: options.pageSize || PAGINATION.closedPositions.pageSize,
+        maxOffset: PAGINATION.closedPositions.maxOffset,
+        maxRecords: options.maxRecords || this.maxHistoryRecords,
+        keyOf: p => `${p.conditionId}:${p.outcome}:${p.asset || ''}`
+      }
+    );
+    
+    if (result.truncated) {
+      this.logger.warn(`[Collector] Closed positions for ${address} truncated at ${result.records.length}`);
+    }
+    
+    return result;
+  }
+
+  /**
+   * Fetch the full activity history for an address
+   * @param {string} address - Trader address (0x...)
+   * @param {Object} options - { maxRecords, pageSize, before, after } (after: only records since then)
+   * @returns {Object} - { records, truncated }
+   */
+  async fetchAllActivity(address, options = {}) {
+    const result = await this.fetchPaginated(
+      ({ limit, offset, before }) => this.fetchActivity(address, { limit, offset, before, after: options.after }),
+      {
+        pageSize: options.pageSize || PAGINATION.activity.pageSize,
+        maxOffset: PAGINATION.activity.maxOffset,
+        maxRecords: options.maxRecords || this.maxHistoryRecords,
+        before: options.before,
+        timeKey: 'timestamp',
+        keyOf: activityKey
+      }
+    );
+    
+    if (result.truncated) {
+      this.logger.warn(`[Collector] Activity for ${address} truncated at ${result.records.length}`);
+    }
+    
+    return result;
+  }
+
   /**
    * Discover trader addresses from recent trades
    * @param {number} numTrades - Number of trades to scan
@@ -260,26 +643,195 @@ class PolymarketCollector {
     return traders;
   }
 
+  /**
+   * Fetch trades newer than a high-water mark
+   * 
+   * /trades is newest-first, so pages are read by offset until a page
+   * reaches the mark. Trades at exactly the mark's timestamp are new only
+   * if their key is not in mark.lastTradeIds. Without a mark only the first
+   * page is read, so a fresh stream starts from "now" instead of backfilling.
+   * 
+   * @param {Object|null} mark - { lastTimestamp, lastTradeIds }
+   * @param {Object} options - { pageSize, maxPages }
+   * @returns {Object} - { trades, mark, gap } where gap means maxPages ran out before the mark
+   */
+  async fetchTradesSince(mark, options = {}) {
+    const pageSize = options.pageSize || 500;
+    const maxPages = mark ? (options.maxPages || 10) : 1;
+    const idsAtMark = new Set(mark?.lastTradeIds || []);
+    const seen = new Set();
+    const trades = [];
+    let reachedMark = false;
+    let exhausted = false;
+    
+    for (let page = 0; page < maxPages && !reachedMark && !exhausted; page++) {
+      const result = await this.fetchTrades({ limit: pageSize, offset: page * pageSize });
+      const pageTrades = Array.isArray(result.trades) ? result.trades : [];
+      
+      for (const trade of pageTrades) {
+        const key = tradeKey(trade);
+        if (mark && (trade.timestamp < mark.lastTimestamp ||
+            (trade.timestamp === mark.lastTimestamp && idsAtMark.has(key)))) {
+          reachedMark = true;
+          continue;
+        }
+        // Offset pages shift while new trades arrive; drop repeats
+        if (seen.has(key)) continue;
+        seen.add(key);
+        trades.push(trade);
+      }
+      
+      exhausted = pageTrades.length < pageSize;
+    }
+    
+    const gap = Boolean(mark) && !reachedMark && !exhausted;
+    if (gap) {
+      this.logger.warn(`[Collector] Trade stream gap: ${maxPages} pages read without reaching the high-water mark`);
+    }
+    
+    return { trades, mark: advanceTradeMark(mark, trades), gap };
+  }
+
+  /**
+   * Resolve a market conditionId or slug
+   * @param {string} market - conditionId (0x + 64 hex) or market slug
+   * @returns {Object} - { conditionId, slug, title }
+   */
+  async resolveMarket(market) {
+    if (/^0x[0-9a-fA-F]{64}$/.test(market)) {
+      return { conditionId: market, slug: null, title: null };
+    }
+    
+    const endpoint = 'markets';
+    const rateLimiter = this.rateLimiters.markets;
+    
+    const result = await this.retryHandler.executeWithRetry(async () => {
+      this.logger.info(`[Collector] Resolving market slug ${market}`);
+      const response = await axios.get(`${this.gammaBaseUrl}/${endpoint}`, { params: { slug: market } });
+      return response.data;
+    }, `${endpoint}:${market}`, rateLimiter);
+    
+    const found = Array.isArray(result) ? result[0] : null;
+    if (!found || !found.conditionId) {
+      throw new Error(`Market not found: ${market}`);
+    }
+    
+    return { conditionId: found.conditionId, slug: found.slug || market, title: found.question || null };
+  }
+
+  /**
+   * Fetch Gamma metadata for markets by conditionId
+   * Markets Gamma does not know are missing from the result.
+   * @param {Array} conditionIds - Market conditionIds
+   * @returns {Array} - Gamma market records
+   */
+  async fetchMarkets(conditionIds) {
+    const endpoint = 'markets';
+    const rateLimiter = this.rateLimiters.markets;
+    const markets = [];
+    
+    for (let i = 0; i < conditionIds.length; i += MARKET_BATCH_SIZE) {
+      const batch = conditionIds.slice(i, i + MARKET_BATCH_SIZE);
+      const result = await this.retryHandler.executeWithRetry(async () => {
+        this.logger.info(`[Collector] Fetching metadata for ${batch.length} markets`);
+        const response = await axios.get(`${this.gammaBaseUrl}/${endpoint}`, {
+          params: { condition_ids: batch, limit: batch.length },
+          paramsSerializer: { indexes: null }
+        });
+        return response.data;
+      }, `${endpoint}:metadata`, rateLimiter);
+      
+      if (Array.isArray(result)) markets.push(...result);
+    }
+    
+    return markets;
+  }
+
+  /**
+   * Fetch all trades of a market (taker and maker side)
+   * Pages backwards by timestamp past the offset limit, so the earliest
+   * trades are only missing when maxTrades is reached (truncated).
+   * @param {string} conditionId - Market conditionId
+   * @param {Object} options - { maxTrades, pageSize }
+   * @returns {Object} - { records, truncated }
+   */
+  async fetchMarketTrades(conditionId, options = {}) {
+    return this.fetchPaginated(
+      async ({ limit, offset, before }) => {
+        const result = await this.fetchTrades({ limit, offset, before, market: conditionId, takerOnly: false });
+        return result.trades;
+      },
+      {
+        pageSize: options.pageSize || PAGINATION.marketTrades.pageSize,
+        maxOffset: PAGINATION.marketTrades.maxOffset,
+        maxRecords: options.maxTrades || PAGINATION.marketTrades.maxRecords,
+        timeKey: 'timestamp',
+        keyOf: tradeKey
+      }
+    );
+  }
+
+  /**
+   * Discover every participant of a market
+   * Participants are ordered by their first trade, so entryRank 1 is the
+   * earliest trader in the market.
+   * @param {string} market - conditionId or slug
+   * @param {Object} options - { maxTrades }
+   * @returns {Object} - { market, participants, tradeCount, truncated }
+   */
+  async discoverTradersFromMarket(market, options = {}) {
+    const resolved = await this.resolveMarket(market);
+    this.logger.info(`[Collector] Discovering participants of market ${resolved.slug || resolved.conditionId}...`);
+    
+    const { records, truncated } = await this.fetchMarketTrades(resolved.conditionId, options);
+    if (truncated) {
+      this.logger.warn(`[Collector] Trades for market ${resolved.conditionId} truncated at ${records.length}; entry ranks miss the earliest trades`);
+    }
+    
+    const participants = aggregateWallets(records)
+      .sort((a, b) => a.firstSeen - b.firstSeen || a.address.localeCompare(b.address))
+      .map((p, i) => ({ ...p, entryRank: i + 1 }));
+    
+    this.logger.info(`[Collector] Market ${resolved.conditionId}: ${participants.length} participants from ${records.length} trades`);
+    
+    return {
+      market: {
+        ...resolved,
+        slug: resolved.slug || records[0]?.slug || null,
+        title: resolved.title || records[0]?.title || null
+      },
+      participants,
+      tradeCount: records.length,
+      truncated
+    };
+  }
+
   /**
    * Fetch complete metrics for an address
    * Uses Promise.allSettled to support partial success
    * @param {string} address - Trader address
+   * @param {Object} options - Options
+   * @param {MarketCatalog} options.catalog - Market categories for the per-category
+   *   breakdown (default: none; a failed lookup leaves the breakdown out)
    * @returns {Object} - Complete metrics (may have partial data)
    */
-  async fetchAccountMetrics(address) {
+  async fetchAccountMetrics(address, options = {}) {
     this.logger.info(`[Collector] Fetching complete metrics for ${address}`);
     
     // Use Promise.allSettled to support partial success
     const results = await Promise.allSettled([
-      this.fetchPositions(address),
-      this.fetchClosedPositions(address),
-      this.fetchActivity(address, { limit: 100 })
+      this.fetchAllPositions(address),
+      this.fetchAllClosedPositions(address),
+      this.fetchAllActivity(address)
     ]);
     
     // Extract results, handling partial failures
-    const positions = results[0].status === 'fulfilled' ? results[0].value : [];
-    const closedPositions = results[1].status === 'fulfilled' ? results[1].value : [];
-    const activity = results[2].status === 'fulfilled' ? results[2].value : [];
+    const positionsResult = results[0].status === 'fulfilled' ? results[0].value : { records: [], truncated: false };
+    const closedResult = results[1].status === 'fulfilled' ? results[1].value : { records: [], truncated: false };
+    const activityResult = results[2].status === 'fulfilled' ? results[2].value : { records: [], truncated: false };
+    const positions = positionsResult.records;
+    const closedPositions = closedResult.records;
+    const activity = activityResult.records;
     
     // Log any failures
     results.forEach((r, i) => {
@@ -289,14 +841,37 @@ class PolymarketCollector {
       }
     });
     
+    // Categories of the markets traded
+    let marketCategories = null;
+    let catalogFailed = false;
+    if (options.catalog) {
+      try {
+        marketCategories = await options.catalog.categoriesFor(
+          [...closedPositions, ...activity].map(r => r.conditionId)
+        );
+      } catch (error) {
+        catalogFailed = true;
+        this.logger.warn(`[Collector] markets failed for ${address}: ${error.message}`);
+      }
+    }
+    
     // Calculate metrics
-    const metrics = this.calculateMetrics(address, positions, closedPositions, activity);
+    const metrics = this.calculateMetrics(address, positions, closedPositions, activity, { marketCategories });
     
     // Add partial success flag
-    metrics._partialSuccess = results.some(r => r.status === 'rejected');
+    metrics._partialSuccess = results.some(r => r.status === 'rejected') || catalogFailed;
     metrics._failedEndpoints = results
       .map((r, i) => r.status === 'rejected' ? ['positions', 'closedPositions', 'activity'][i] : null)
       .filter(Boolean);
+    if (catalogFailed) metrics._failedEndpoints.push('markets');
+    
+    // Flag histories cut off by the per-account ceiling
+    metrics._truncatedEndpoints = [
+      positionsResult.truncated ? 'positions' : null,
+      closedResult.truncated ? 'closedPositions' : null,
+      activityResult.truncated ? 'activity' : null
+    ].filter(Boolean);
+    metrics.historyTruncated = metrics._truncatedEndpoints.length > 0;
     
     this.logger.info(`[Collector] Metrics calculated for ${address}: winRate=${metrics.strictWinRate}, volume=${metrics.totalVolumeUsd}`);
     
@@ -310,8 +885,20 @@ class PolymarketCollector {
    * - realizedPnl > 0 = WIN
    * - realizedPnl < 0 = LOSS  
    * - realizedPnl == 0 = NEUTRAL (not counted in numerator or denominator)
+   * 
+   * @param {string} address - Account address
+   * @param {Array} positions - Open positions
+   * @param {Array} closedPositions - Closed positions
+   * @param {Array} activity - Activity records
+   * @param {Object} options - Options
+   * @param {number} options.asOf - End of the rolling windows in epoch ms (default: now)
+   * @param {Map} options.marketCategories - conditionId => category; without it
+   *   `categories` is null
+   * @returns {Object} - Metrics, with per-window metrics under `windows`,
+   *   per-category metrics under `categories`, wash-trading patterns under
+   *   `wash` and lastActiveAt / asOf in epoch ms
    */
-  calculateMetrics(address, positions, closedPositions, activity) {
+  calculateMetrics(address, positions, closedPositions, activity, options = {}) {
     // From closed positions - strict win rate
     // Exclude neutral (realizedPnl == 0) from calculation
     const wins = closedPositions.filter(p => p.realizedPnl > 0).length;
@@ -333,6 +920,24 @@ class PolymarketCollector {
     const proxyWins = positions.filter(p => p.cashPnl > 0).length;
     const proxyWinRate = positions.length > 0 ? proxyWins / positions.length : null;
     
+    // Most recent activity, for recency rules ("lastActive within 14d")
+    const asOf = options.asOf ?? Date.now();
+    const activityTimes = activity.map(a => toEpochMs(a.timestamp)).filter(t => t !== null);
+    const lastActiveAt = activityTimes.length > 0 ? Math.max(...activityTimes) : null;
+    
+    const allTime = {
+      strictWinRate,
+      proxyWinRate,
+      winCount: wins,
+      lossCount: losses,
+      closedPositions: totalClosed,
+      totalVolumeUsd,
+      totalTrades,
+      // Closed positions, as in the rolling windows (the headline realizedPnl is from /positions)
+      realizedPnl: closedPositions.reduce((sum, p) => sum + (p.realizedPnl || 0), 0),
+      ...this.calculateEdgeMetrics(closedPositions)
+    };
+    
     return {
       address,
       totalTrades,
@@ -346,12 +951,240 @@ class PolymarketCollector {
       closedPositions: totalClosed,
       positionsCount: positions.length,
       activityCount: activity.length,
+      ...this.calculatePnlMetrics(closedPositions, activity),
+      meanEdge: allTime.meanEdge,
+      brierScore: allTime.brierScore,
+      avgEntryPrice: allTime.avgEntryPrice,
+      edgePositions: allTime.edgePositions,
+      lastActiveAt,
+      asOf,
+      windows: this.calculateWindowMetrics(closedPositions, activity, asOf, allTime),
+      categories: options.marketCategories
+        ? this.calculateCategoryMetrics(closedPositions, activity, options.marketCategories)
+        : null,
+      wash: detectWashTrading(closedPositions, activity),
       // Raw data for debugging
       _positions: positions,
       _closedPositions: closedPositions,
       _activity: activity
     };
   }
+
+  /**
+   * Calculate money metrics from closed positions
+   * 
+   * - capitalDeployed: cost basis of closed positions (totalBought × avgPrice,
+   *   falling back to the BUY activity of that market outcome)
+   * - roi: closed realized PnL / capital deployed
+   * - avgWin / avgLoss: mean realized PnL of winning / losing positions (avgLoss positive)
+   * - profitFactor: gross profit / gross loss (PROFIT_FACTOR_CAP without losses)
+   * - returnVolatility / sharpeRatio: sample stdev and mean/stdev of per-position returns
+   * - maxDrawdown: largest peak-to-trough fall of cumulative realized PnL, in resolvedAt order
+   * @param {Array} closedPositions - Closed positions
+   * @param {Array} activity - Activity records
+   * @returns {Object} - PnL metrics (null where undefined)
+   */
+  calculatePnlMetrics(closedPositions, activity) {
+    // BUY cost per market outcome, for positions without a cost basis
+    const boughtUsd = new Map();
+    for (const a of activity) {
+      if (a.type && a.type !== 'TRADE') continue;
+      if (a.side !== 'BUY') continue;
+      const key = `${a.conditionId}:${a.outcome}`;
+      boughtUsd.set(key, (boughtUsd.get(key) || 0) + (a.usdcSize || 0));
+    }
+    
+    let capitalDeployed = 0;
+    let grossProfit = 0;
+    let grossLoss = 0;
+    const returns = [];
+    
+    for (const p of closedPositions) {
+      const pnl = p.realizedPnl || 0;
+      const cost = (p.totalBought > 0 && p.avgPrice > 0)
+        ? p.totalBought * p.avgPrice
+        : boughtUsd.get(`${p.conditionId}:${p.outcome}`) || 0;
+      
+      capitalDeployed += cost;
+      if (pnl > 0) grossProfit += pnl;
+      if (pnl < 0) grossLoss -= pnl;
+      if (cost > 0) returns.push(pnl / cost);
+    }
+    
+    const wins = closedPositions.filter(p => p.realizedPnl > 0).length;
+    const losses = closedPositions.filter(p => p.realizedPnl < 0).length;
+    
+    let profitFactor = null;
+    if (grossLoss > 0) profitFactor = grossProfit / grossLoss;
+    else if (grossProfit > 0) profitFactor = PROFIT_FACTOR_CAP;
+    
+    let returnVolatility = null;
+    let sharpeRatio = null;
+    if (returns.length >= 2) {
+      const mean = returns.reduce((sum, r) => sum + r, 0) / returns.length;
+      const variance = returns.reduce((sum, r) => sum + (r - mean) ** 2, 0) / (returns.length - 1);
+      returnVolatility = Math.sqrt(variance);
+      sharpeRatio = returnVolatility > 0 ? mean / returnVolatility : null;
+    }
+    
+    // Cumulative realized PnL curve; positions without a time go last
+    const timeOf = p => toEpochMs(p.resolvedAt ?? p.timestamp) ?? Infinity;
+    const ordered = [...closedPositions].sort((a, b) => timeOf(a) - timeOf(b));
+    let cumulative = 0;
+    let peak = 0;
+    let maxDrawdown = 0;
+    for (const p of ordered) {
+      cumulative += p.realizedPnl || 0;
+      peak = Math.max(peak, cumulative);
+      maxDrawdown = Math.max(maxDrawdown, peak - cumulative);
+    }
+    
+    return {
+      closedRealizedPnl: grossProfit - grossLoss,
+      capitalDeployed,
+      roi: capitalDeployed > 0 ? (grossProfit - grossLoss) / capitalDeployed : null,
+      avgWin: wins > 0 ? grossProfit / wins : null,
+      avgLoss: losses > 0 ? grossLoss / losses : null,
+      profitFactor,
+      returnVolatility,
+      sharpeRatio,
+      maxDrawdown
+    };
+  }
+
+  /**
+   * Calculate entry-price edge from closed positions
+   * 
+   * The entry price (avgPrice) is the market's implied probability of the
+   * outcome; the result is how the outcome resolved: 1 when curPrice is 1,
+   * 0 when it is 0. A position sold early at a profit still scores 0 if
+   * its outcome lost. Per position:
+   *   edge  = result - avgPrice     (0.70 for a win bought at 0.30, 0.05 at 0.95)
+   *   brier = (avgPrice - result)^2
+   * Positions of unresolved markets and without a usable avgPrice are skipped.
+   * @param {Array} closedPositions - Closed positions
+   * @returns {Object} - { meanEdge, brierScore, avgEntryPrice, edgePositions }
+   */
+  calculateEdgeMetrics(closedPositions) {
+    const resultOf = p => {
+      const price = parseFloat(p.curPrice);
+      if (price >= 1 - RESOLUTION_PRICE_TOLERANCE) return 1;
+      if (price <= RESOLUTION_PRICE_TOLERANCE) return 0;
+      return null;
+    };
+    const priced = closedPositions
+      .filter(p => p.avgPrice > 0 && p.avgPrice < 1)
+      .map(p => ({ avgPrice: p.avgPrice, result: resultOf(p) }))
+      .filter(p => p.result !== null);
+    if (priced.length === 0) {
+      return { meanEdge: null, brierScore: null, avgEntryPrice: null, edgePositions: 0 };
+    }
+    
+    let edgeSum = 0;
+    let brierSum = 0;
+    let priceSum = 0;
+    for (const { avgPrice, result } of priced) {
+      edgeSum += result - avgPrice;
+      brierSum += (avgPrice - result) ** 2;
+      priceSum += avgPrice;
+    }
+    
+    return {
+      meanEdge: edgeSum / priced.length,
+      brierScore: brierSum / priced.length,
+      avgEntryPrice: priceSum / priced.length,
+      edgePositions: priced.length
+    };
+  }
+
+  /**
+   * Calculate win rate, volume, PnL, trade count and edge per rolling window
+   * 
+   * Closed positions are bucketed by resolvedAt (falling back to timestamp),
+   * activity by timestamp; records without a usable time only count
+   * all-time. Windowed PnL is the realized PnL of positions closed inside
+   * the window. The proxy win rate reflects current open positions, so it
+   * is only carried for 'all'.
+   * @param {Array} closedPositions - Closed positions
+   * @param {Array} activity - Activity records
+   * @param {number} asOf - End of the windows (epoch ms)
+   * @param {Object} allTime - All-time metrics, used as-is for 'all'
+   * @returns {Object} - { '7d': {...}, '30d': {...}, '90d': {...}, all: {...} }
+   */
+  calculateWindowMetrics(closedPositions, activity, asOf, allTime) {
+    const windows = {};
+    
+    for (const [name, days] of Object.entries(METRIC_WINDOWS)) {
+      if (days === null) {
+        windows[name] = { ...allTime };
+        continue;
+      }
+      
+      const since = asOf - days * DAY_MS;
+      const inWindow = value => {
+        const time = toEpochMs(value);
+        return time !== null && time >= since;
+      };
+      const closed = closedPositions.filter(p => inWindow(p.resolvedAt ?? p.timestamp));
+      const trades = activity.filter(a => inWindow(a.timestamp));
+      const wins = closed.filter(p => p.realizedPnl > 0).length;
+      const losses = closed.filter(p => p.realizedPnl < 0).length;
+      
+      windows[name] = {
+        strictWinRate: wins + losses > 0 ? wins / (wins + losses) : null,
+        proxyWinRate: null,
+        winCount: wins,
+        lossCount: losses,
+        closedPositions: wins + losses,
+        totalVolumeUsd: trades.reduce((sum, a) => sum + (a.usdcSize || 0), 0),
+        totalTrades: trades.length,
+        realizedPnl: closed.reduce((sum, p) => sum + (p.realizedPnl || 0), 0),
+        ...this.calculateEdgeMetrics(closed)
+      };
+    }
+    
+    return windows;
+  }
+
+  /**
+   * Calculate win rate, volume, PnL, trade count and edge per market category
+   * 
+   * Same shape as a rolling window, plus closedShare: the category's share
+   * of the account's decided positions. Markets without a category count
+   * as 'other'; categories the account never traded are left out.
+   * @param {Array} closedPositions - Closed positions
+   * @param {Array} activity - Activity records
+   * @param {Map} marketCategories - conditionId => category
+   * @returns {Object} - { politics: {...}, sports: {...}, ... }
+   */
+  calculateCategoryMetrics(closedPositions, activity, marketCategories) {
+    const categoryOf = record => marketCategories.get(record.conditionId) || 'other';
+    const decided = closedPositions.filter(p => p.realizedPnl > 0 || p.realizedPnl < 0).length;
+    const names = new Set([...closedPositions, ...activity].map(categoryOf));
+    const categories = {};
+    
+    for (const name of names) {
+      const closed = closedPositions.filter(p => categoryOf(p) === name);
+      const trades = activity.filter(a => categoryOf(a) === name);
+      const wins = closed.filter(p => p.realizedPnl > 0).length;
+      const losses = closed.filter(p => p.realizedPnl < 0).length;
+      
+      categories[name] = {
+        strictWinRate: wins + losses > 0 ? wins / (wins + losses) : null,
+        proxyWinRate: null,
+        winCount: wins,
+        lossCount: losses,
+        closedPositions: wins + losses,
+        closedShare: decided > 0 ? (wins + losses) / decided : 0,
+        totalVolumeUsd: trades.reduce((sum, a) => sum + (a.usdcSize || 0), 0),
+        totalTrades: trades.length,
+        realizedPnl: closed.reduce((sum, p) => sum + (p.realizedPnl || 0), 0),
+        ...this.calculateEdgeMetrics(closed)
+      };
+    }
+    
+    return categories;
+  }
 }
 
-module.exports = { PolymarketCollector, RateLimiter, RetryHandler };
+module.exports = { PolymarketCollector, RateLimiter, RetryHandler, CooldownState, parseRetryAfter, tradeKey, activityKey, advanceTradeMark, aggregateWallets, PAGINATION, METRIC_WINDOWS };
@@ -0,0 +1,170 @@
+/**
+ * Market consensus entry point
+ *
+ * Shows which market outcomes a run's selected accounts are concentrated
+ * in: how many of them hold each outcome, their exposure, average entry vs
+ * current price, and whether their money is net long or short the outcome.
+ *
+ * Usage: npm run consensus -- [run-id] [options]
+ * Options:
+ *   --top <n>          Only the top N selected accounts (default: all)
+ *   --min-holders <n>  Outcomes held by at least n accounts (default: 2)
+ *   --limit <n>        Outcomes listed (default: 20)
+ *   --json             Print the consensus as JSON
+ *
+ * Without a run id the latest completed sync run with a selection is used. The
+ * full selection's consensus is stored with each run; with --top it is
+ * recomputed from the run's stored raw positions.
+ */
+
+const { buildConsensus, toConsensusEntry } = require('./holdings');
+const { Storage } = require('./storage');
+const { close } = require('./db');
+require('dotenv').config();
+
+function showHelp() {
+  console.log(`
+Usage: npm run consensus -- [run-id] [options]
+
+Show the market outcomes a run's selected accounts are concentrated in.
+
+Options:
+  --top <n>          Only the top N selected accounts (default: all)
+  --min-holders <n>  Outcomes held by at least n accounts (default: 2)
+  --limit <n>        Outcomes listed (default: 20)
+  --json             Print the consensus as JSON
+  --help, -h         Show this help message
+
+Examples:
+  npm run consensus
+  npm run consensus -- --top 20 --min-holders 5
+  npm run consensus -- 3f2b... --json
+`);
+  process.exit(0);
+}
+
+function parseArgs() {
+  const args = process.argv.slice(2);
+  const options = {
+    runId: null,
+    top: 0,
+    minHolders: 2,
+    limit: 20,
+    json: false
+  };
+
+  for (let i = 0; i < args.length; i++) {
+    switch (args[i]) {
+      case '--help':
+      case '-h':
+        showHelp();
+        break;
+      case '--top':
+        options.top = parseInt(args[++i]);
+        break;
+      case '--min-holders':
+        options.minHolders = parseInt(args[++i]);
+        break;
+      case '--limit':
+        options.limit = parseInt(args[++i]);
+        break;
+      case '--json':
+        options.json = true;
+        break;
+      default:
+        if (!args[i].startsWith('--') && !options.runId) {
+          options.runId = args[i];
+        }
+    }
+  }
+
+  return options;
+}
+
+/**
+ * Load the consensus to show: stored for the full selection, recomputed for --top
+ * @param {Storage} storage - Storage
+ * @param {Object} run - runs row
+ * @param {Object} options - Parsed options
+ * @returns {Object} - { traders, markets }
+ */
+async function loadConsensus(storage, run, options) {
+  if (options.top > 0) {
+    // Derived runs have no raw data of their own
+    const sourceRunId = run.stats?.source_run_id || run.id;
+    const holdings = (await storage.loadSelectedOpenPositions(run.id, sourceRunId)).slice(0, options.top);
+    const consensus = buildConsensus(holdings, { minHolders: options.minHolders });
+    return { traders: consensus.traders, markets: consensus.markets.slice(0, options.limit) };
+  }
+
+  const rows = await storage.loadConsensus(run.id, { minHolders: options.minHolders, limit: options.limit });
+  return {
+    traders: run.stats?.consensus?.traders ?? (await storage.loadSelection(run.id)).length,
+    markets: rows.map(toConsensusEntry)
+  };
+}
+
+/**
+ * Print a consensus as text
+ * @param {Object} run - runs row
+ * @param {Object} consensus - { traders, markets }
+ * @param {Object} options - Parsed options
+ */
+function printConsensus(run, consensus, options) {
+  const usd = value => `$${value.toFixed(2)}`;
+  const signed = value => (value > 0 ? `+${value}` : `${value}`);
+
+  console.log(`\n========== Market Consensus ==========`);
+  console.log(`Run: ${run.id} (${run.run_type || 'sync'})`);
+  console.log(`Accounts: ${options.top > 0 ? `top ${consensus.traders}` : `${consensus.traders} selected`}`);
+  console.log(`Outcomes held by ${options.minHolders}+ accounts: ${consensus.markets.length}${consensus.markets.length === options.limit ? ' (limit reached)' : ''}`);
+
+  for (const m of consensus.markets) {
+    const share = m.holder_share !== null ? ` (${(m.holder_share * 100).toFixed(0)}%)` : '';
+    console.log(`\n  ${m.holders}/${consensus.traders}${share} ${m.net_direction.toUpperCase()} ${m.title || m.condition_id} [${m.outcome}]`);
+    console.log(`    exposure ${usd(m.exposure_usd)} (cost ${usd(m.cost_usd)}), entry ${m.avg_entry_price ?? 'n/a'} -> now ${m.current_price ?? 'n/a'}${m.price_change !== null ? ` (${signed(m.price_change)})` : ''}`);
+    console.log(`    net ${usd(m.net_exposure_usd)}${m.opposing_holders > 0 ? `, ${m.opposing_holders} accounts on other outcomes (${usd(m.opposing_exposure_usd)})` : ''}`);
+    console.log(`    holders: ${m.holder_positions.map(h => `#${h.rank} ${h.address.slice(0, 10)}...`).join(', ')}`);
+  }
+  console.log('======================================\n');
+}
+
+/**
+ * Main consensus function
+ */
+async function main() {
+  const options = parseArgs();
+
+  const storage = new Storage({ logger: { info() {}, warn: console.warn, error: console.error } });
+
+  try {
+    let runId = options.runId;
+    if (!runId) {
+      const latest = await storage.loadLatestSelection();
+      if (!latest) {
+        throw new Error('No completed sync run with selected accounts');
+      }
+      runId = latest.runId;
+    }
+    const run = await storage.getRun(runId);
+    if (!run) {
+      throw new Error(`Run not found: ${runId}`);
+    }
+
+    const consensus = await loadConsensus(storage, run, options);
+
+    if (options.json) {
+      process.stdout.write(`${JSON.stringify({ run_id: run.id, min_holders: options.minHolders, ...consensus }, null, 2)}\n`);
+    } else {
+      printConsensus(run, consensus, options);
+    }
+
+  } catch (error) {
+    console.error('[Consensus] Consensus failed:', error.message);
+    process.exitCode = 1;
+  } finally {
+    await close();
+  }
+}
+
+main();
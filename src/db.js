@@ -30,7 +30,8 @@ async function query(text, params) {
   const start = Date.now();
   const result = await pool.query(text, params);
   const duration = Date.now() - start;
-  console.log('Executed query', { text: text.substring(0, 100), duration, rows: result.rowCount });
+  // stderr, so commands can write JSON or NDJSON to stdout
+  console.error('Executed query', { text: text.substring(0, 100), duration, rows: result.rowCount });
   return result;
 }
 
@@ -0,0 +1,158 @@
+/**
+ * Selection diff entry point
+ *
+ * Compares the selected accounts of a run with an earlier run: newly
+ * selected, dropped and still-selected accounts with rank and score deltas,
+ * the churn rate and the average tenure in the top N.
+ *
+ * Usage: npm run diff -- <run-id> [base-run-id] [options]
+ * Options:
+ *   --json         Print the diff as JSON
+ *   --limit <n>    Rows per table (default: 20)
+ *
+ * Without a base run, sync runs are compared with the previous completed
+ * sync run and derived runs with their parent; tenure then counts back
+ * through up to 50 earlier runs. With an explicit base run, tenure only
+ * covers the two runs compared.
+ */
+
+const { buildSelectionDiff } = require('./churn');
+const { Storage } = require('./storage');
+const { close } = require('./db');
+require('dotenv').config();
+
+function showHelp() {
+  console.log(`
+Usage: npm run diff -- <run-id> [base-run-id] [options]
+
+Compare a run's selection with the previous run (or base-run-id).
+
+Options:
+  --json         Print the diff as JSON
+  --limit <n>    Rows per table (default: 20)
+  --help, -h     Show this help message
+
+Examples:
+  npm run diff -- 3f2b...
+  npm run diff -- 3f2b... 9a1c... --json
+`);
+  process.exit(0);
+}
+
+function parseArgs() {
+  const args = process.argv.slice(2);
+  const options = {
+    runId: null,
+    baseRunId: null,
+    json: false,
+    limit: 20
+  };
+
+  for (let i = 0; i < args.length; i++) {
+    switch (args[i]) {
+      case '--help':
+      case '-h':
+        showHelp();
+        break;
+      case '--json':
+        options.json = true;
+        break;
+      case '--limit':
+        options.limit = parseInt(args[++i]);
+        break;
+      default:
+        if (args[i].startsWith('--')) break;
+        if (!options.runId) options.runId = args[i];
+        else if (!options.baseRunId) options.baseRunId = args[i];
+    }
+  }
+
+  return options;
+}
+
+/**
+ * Print a diff as text tables
+ * @param {string} runId - Run compared
+ * @param {Object} diff - From buildSelectionDiff
+ * @param {number} limit - Rows per table
+ */
+function printDiff(runId, diff, limit) {
+  const short = address => `${address.slice(0, 10)}...`;
+  const signed = value => (value > 0 ? `+${value}` : `${value}`);
+
+  console.log(`\n========== Selection Diff ==========`);
+  console.log(`Run: ${runId}`);
+  console.log(`Compared with: ${diff.previous_run_id}`);
+  console.log(`New: ${diff.added_count}, dropped: ${diff.dropped_count}, retained: ${diff.retained_count}`);
+  console.log(`Churn rate: ${diff.churn_rate !== null ? `${(diff.churn_rate * 100).toFixed(1)}%` : 'n/a'}`);
+  console.log(`Average tenure: ${diff.avg_tenure_runs} runs (over ${diff.history_runs + 1} runs)`);
+  console.log(`Average rank change of retained accounts: ${diff.avg_abs_rank_change}`);
+
+  console.log('\nNewly selected:');
+  for (const a of diff.added.slice(0, limit)) {
+    console.log(`  #${a.rank} ${short(a.address)} score ${a.score.toFixed(4)}`);
+  }
+  console.log('\nDropped:');
+  for (const a of diff.dropped.slice(0, limit)) {
+    console.log(`  was #${a.previousRank} ${short(a.address)} score ${a.previousScore.toFixed(4)}`);
+  }
+  console.log('\nBiggest movers:');
+  const movers = [...diff.retained].sort((a, b) => Math.abs(b.rankDelta) - Math.abs(a.rankDelta));
+  for (const a of movers.slice(0, limit)) {
+    console.log(`  #${a.previousRank} -> #${a.rank} (${signed(a.rankDelta)}) ${short(a.address)} score ${signed(a.scoreDelta)}, tenure ${a.tenure}`);
+  }
+  console.log('====================================\n');
+}
+
+/**
+ * Main diff function
+ */
+async function main() {
+  const options = parseArgs();
+  if (!options.runId) {
+    console.error('[Diff] Missing run id. Usage: npm run diff -- <run-id> [base-run-id]');
+    process.exit(1);
+  }
+
+  const storage = new Storage({ logger: { info() {}, warn: console.warn, error: console.error } });
+
+  try {
+    const run = await storage.getRun(options.runId);
+    if (!run) {
+      throw new Error(`Run not found: ${options.runId}`);
+    }
+
+    let previous;
+    if (options.baseRunId) {
+      if (!(await storage.getRun(options.baseRunId))) {
+        throw new Error(`Run not found: ${options.baseRunId}`);
+      }
+      previous = { previousRunId: options.baseRunId, history: [await storage.loadSelection(options.baseRunId)] };
+    } else {
+      previous = await storage.loadPreviousSelections(run.id);
+      if (!previous.previousRunId) {
+        throw new Error(`No earlier completed run to compare ${run.id} with`);
+      }
+    }
+
+    const diff = buildSelectionDiff({
+      previousRunId: previous.previousRunId,
+      current: await storage.loadSelection(run.id),
+      history: previous.history
+    });
+
+    if (options.json) {
+      process.stdout.write(`${JSON.stringify({ run_id: run.id, ...diff }, null, 2)}\n`);
+    } else {
+      printDiff(run.id, diff, options.limit);
+    }
+
+  } catch (error) {
+    console.error('[Diff] Diff failed:', error.message);
+    process.exitCode = 1;
+  } finally {
+    await close();
+  }
+}
+
+main();
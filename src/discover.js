@@ -0,0 +1,162 @@
+/**
+ * Trade-stream discovery daemon
+ *
+ * Polls /trades on an interval and upserts every newly seen proxyWallet into
+ * seed_addresses (source 'api_discovered') with first/last seen time, trade
+ * count and notional seen. A high-water mark (last trade timestamp + ids at
+ * that timestamp) is stored in discovery_state, so restarts and later polls
+ * never re-scan old trades. The next `npm run sync` picks the growing pool up
+ * through storage.loadSeedAddresses().
+ *
+ * Usage: npm run discover -- [options]
+ * Options:
+ *   --interval <s>     Seconds between polls (default: 30)
+ *   --page-size <n>    Trades per request (default: 500)
+ *   --max-pages <n>    Max pages per poll before giving up on the gap (default: 10)
+ *   --once             Poll once and exit
+ */
+
+const { PolymarketCollector, aggregateWallets } = require('./collector');
+const { Storage } = require('./storage');
+const { close } = require('./db');
+require('dotenv').config();
+
+const STREAM = 'trades';
+
+function showHelp() {
+  console.log(`
+Usage: npm run discover -- [options]
+
+Continuously discover traders from the /trades stream into seed_addresses.
+
+Options:
+  --interval <s>     Seconds between polls (default: 30)
+  --page-size <n>    Trades per request (default: 500)
+  --max-pages <n>    Max pages per poll (default: 10)
+  --once             Poll once and exit
+  --help, -h         Show this help message
+
+Environment variables:
+  DISCOVER_INTERVAL_SEC
+`);
+  process.exit(0);
+}
+
+function parseArgs() {
+  const args = process.argv.slice(2);
+  const config = {
+    intervalSec: parseInt(process.env.DISCOVER_INTERVAL_SEC || '30'),
+    pageSize: 500,
+    maxPages: 10,
+    once: false
+  };
+
+  for (let i = 0; i < args.length; i++) {
+    switch (args[i]) {
+      case '--help':
+      case '-h':
+        showHelp();
+        break;
+      case '--interval':
+        config.intervalSec = parseInt(args[++i]);
+        break;
+      case '--page-size':
+        config.pageSize = parseInt(args[++i]);
+        break;
+      case '--max-pages':
+        config.maxPages = parseInt(args[++i]);
+        break;
+      case '--once':
+        config.once = true;
+        break;
+    }
+  }
+
+  return config;
+}
+
+/**
+ * Run one poll: fetch trades past the mark, upsert wallets, advance the mark
+ * @param {PolymarketCollector} collector - Collector
+ * @param {Storage} storage - Storage
+ * @param {Object} config - Parsed config
+ * @returns {Object} - { trades, wallets, added, gap }
+ */
+async function pollOnce(collector, storage, config) {
+  const mark = await storage.loadDiscoveryState(STREAM);
+  const result = await collector.fetchTradesSince(mark, {
+    pageSize: config.pageSize,
+    maxPages: config.maxPages
+  });
+
+  const wallets = aggregateWallets(result.trades);
+  const recorded = await storage.recordDiscoveredWallets(STREAM, wallets, result.mark, result.trades.length);
+
+  return {
+    trades: result.trades.length,
+    wallets: wallets.length,
+    added: recorded.added,
+    gap: result.gap
+  };
+}
+
+/**
+ * Main discovery loop
+ */
+async function main() {
+  const config = parseArgs();
+  console.log('[Discover] Starting trade-stream discovery with config:', config);
+
+  const collector = new PolymarketCollector({
+    logger: { info() {}, warn: console.warn, error: console.error },
+    maxRetries: 3,
+    retryDelayMs: 500
+  });
+  const storage = new Storage({ logger: console });
+
+  let stopping = false;
+  let wakeUp = null;
+  const stop = (signal) => {
+    console.log(`[Discover] Received ${signal}, stopping after current poll...`);
+    stopping = true;
+    if (wakeUp) wakeUp();
+  };
+  process.on('SIGINT', stop);
+  process.on('SIGTERM', stop);
+
+  let exitCode = 0;
+  try {
+    while (!stopping) {
+      try {
+        const poll = await pollOnce(collector, storage, config);
+        console.log(`[Discover] ${poll.trades} new trades, ${poll.wallets} wallets (${poll.added} new)${poll.gap ? ' - gap, increase --max-pages or lower --interval' : ''}`);
+      } catch (error) {
+        // Keep the daemon alive; the mark was not advanced so the next poll retries
+        console.error(`[Discover] Poll failed: ${error.message}`);
+        if (config.once) exitCode = 1;
+      }
+
+      if (config.once) break;
+
+      await new Promise(resolve => {
+        const timer = setTimeout(resolve, config.intervalSec * 1000);
+        wakeUp = () => {
+          clearTimeout(timer);
+          resolve();
+        };
+      });
+      wakeUp = null;
+    }
+  } finally {
+    await close();
+  }
+
+  console.log('[Discover] Stopped');
+  process.exit(exitCode);
+}
+
+if (require.main === module) {
+  main();
+}
+
+module.exports = { aggregateWallets, pollOnce };
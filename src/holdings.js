@@ -0,0 +1,172 @@
+/**
+ * Holdings Module - Where the selected traders' open positions are concentrated
+ *
+ * Aggregates the open positions of a run's selected accounts per market
+ * outcome (conditionId + outcome):
+ * - holders: selected accounts holding the outcome, and their share of all
+ *   accounts considered
+ * - exposure: current value and cost basis of their positions
+ * - entry vs current: size-weighted average entry price and the current price
+ * - net direction: exposure on this outcome minus the selected accounts'
+ *   exposure on the market's other outcomes; 'long' when more of their money
+ *   is on this outcome, 'short' when more of it is against it
+ *
+ * Positions in resolved (redeemable) markets are left out.
+ */
+
+const round4 = value => Math.round(value * 10000) / 10000;
+const toNumber = value => (value === null || value === undefined ? null : parseFloat(value));
+
+/**
+ * Aggregate the selected accounts' open positions per market outcome
+ * @param {Array} holdings - [{ address, rank, positions }] (positions: raw /positions records)
+ * @param {Object} options - Options
+ * @param {number} options.minHolders - Only outcomes held by at least this many accounts (default: 1)
+ * @returns {Object} - { traders, tradersWithPositions, markets } (markets: most held first)
+ */
+function buildConsensus(holdings, options = {}) {
+  const minHolders = options.minHolders ?? 1;
+  const outcomes = new Map();
+  let tradersWithPositions = 0;
+
+  for (const { address, rank, positions } of holdings) {
+    let holding = false;
+    for (const p of positions) {
+      const size = parseFloat(p.size) || 0;
+      if (size <= 0 || p.redeemable) continue;
+      holding = true;
+
+      const key = `${p.conditionId}:${p.outcome}`;
+      if (!outcomes.has(key)) {
+        outcomes.set(key, {
+          conditionId: p.conditionId,
+          outcome: p.outcome,
+          title: p.title || null,
+          slug: p.slug || null,
+          currentPrice: null,
+          holders: new Map()
+        });
+      }
+      const entry = outcomes.get(key);
+      const avgPrice = parseFloat(p.avgPrice) || 0;
+      const curPrice = toNumber(p.curPrice);
+      if (curPrice !== null) entry.currentPrice = curPrice;
+
+      // An address can hold one outcome through several records; merge them
+      const held = entry.holders.get(address) || { address, rank, size: 0, cost: 0, value: 0 };
+      held.size += size;
+      held.cost += size * avgPrice;
+      held.value += toNumber(p.currentValue) ?? size * (curPrice ?? avgPrice);
+      entry.holders.set(address, held);
+    }
+    if (holding) tradersWithPositions++;
+  }
+
+  // Exposure per market, to weigh each outcome against the others
+  const byMarket = new Map();
+  for (const entry of outcomes.values()) {
+    if (!byMarket.has(entry.conditionId)) byMarket.set(entry.conditionId, []);
+    byMarket.get(entry.conditionId).push(entry);
+  }
+
+  const markets = [];
+  for (const entry of outcomes.values()) {
+    const holders = [...entry.holders.values()].sort((a, b) => (a.rank ?? Infinity) - (b.rank ?? Infinity));
+    const totalSize = holders.reduce((sum, h) => sum + h.size, 0);
+    const cost = holders.reduce((sum, h) => sum + h.cost, 0);
+    const exposure = holders.reduce((sum, h) => sum + h.value, 0);
+
+    const opposing = new Set();
+    let opposingExposure = 0;
+    for (const other of byMarket.get(entry.conditionId)) {
+      if (other === entry) continue;
+      for (const h of other.holders.values()) {
+        opposing.add(h.address);
+        opposingExposure += h.value;
+      }
+    }
+
+    const avgEntryPrice = totalSize > 0 ? cost / totalSize : null;
+    const net = exposure - opposingExposure;
+    markets.push({
+      condition_id: entry.conditionId,
+      outcome: entry.outcome,
+      title: entry.title,
+      slug: entry.slug,
+      holders: holders.length,
+      holder_share: holdings.length > 0 ? round4(holders.length / holdings.length) : 0,
+      total_size: round4(totalSize),
+      exposure_usd: round4(exposure),
+      cost_usd: round4(cost),
+      unrealized_pnl_usd: round4(exposure - cost),
+      avg_entry_price: avgEntryPrice === null ? null : round4(avgEntryPrice),
+      current_price: entry.currentPrice,
+      price_change: avgEntryPrice === null || entry.currentPrice === null ? null : round4(entry.currentPrice - avgEntryPrice),
+      opposing_holders: opposing.size,
+      opposing_exposure_usd: round4(opposingExposure),
+      net_exposure_usd: round4(net),
+      net_direction: net > 0 ? 'long' : (net < 0 ? 'short' : 'flat'),
+      holder_positions: holders.map(h => ({
+        address: h.address,
+        rank: h.rank,
+        size: round4(h.size),
+        avg_price: h.size > 0 ? round4(h.cost / h.size) : null,
+        current_value: round4(h.value)
+      }))
+    });
+  }
+
+  markets.sort((a, b) => b.holders - a.holders || b.exposure_usd - a.exposure_usd || a.condition_id.localeCompare(b.condition_id));
+
+  return {
+    traders: holdings.length,
+    tradersWithPositions,
+    markets: markets.filter(m => m.holders >= minHolders)
+  };
+}
+
+/**
+ * Convert a stored market_consensus row (DECIMALs as strings) to a consensus entry
+ * @param {Object} row - Row from storage.loadConsensus
+ * @returns {Object} - Entry in the shape buildConsensus returns
+ */
+function toConsensusEntry(row) {
+  return {
+    condition_id: row.condition_id,
+    outcome: row.outcome,
+    title: row.title,
+    slug: row.slug,
+    holders: row.holders,
+    holder_share: toNumber(row.holder_share),
+    total_size: toNumber(row.total_size),
+    exposure_usd: toNumber(row.exposure_usd),
+    cost_usd: toNumber(row.cost_usd),
+    unrealized_pnl_usd: toNumber(row.unrealized_pnl_usd),
+    avg_entry_price: toNumber(row.avg_entry_price),
+    current_price: toNumber(row.current_price),
+    price_change: toNumber(row.price_change),
+    opposing_holders: row.opposing_holders,
+    opposing_exposure_usd: toNumber(row.opposing_exposure_usd),
+    net_exposure_usd: toNumber(row.net_exposure_usd),
+    net_direction: row.net_direction,
+    holder_positions: row.holder_positions || []
+  };
+}
+
+/**
+ * Summary of a consensus for run stats
+ * @param {Object} consensus - From buildConsensus
+ * @returns {Object} - { traders, traders_with_positions, outcomes, crowded_outcomes, max_holders }
+ *   (crowded_outcomes: held by two or more accounts)
+ */
+function summarizeConsensus(consensus) {
+  return {
+    traders: consensus.traders,
+    traders_with_positions: consensus.tradersWithPositions,
+    outcomes: consensus.markets.length,
+    crowded_outcomes: consensus.markets.filter(m => m.holders >= 2).length,
+    max_holders: consensus.markets.length > 0 ? consensus.markets[0].holders : 0
+  };
+}
+
+module.exports = { buildConsensus, toConsensusEntry, summarizeConsensus };
@@ -0,0 +1,208 @@
+/**
+ * Markets Module - Market metadata cache and category classification
+ *
+ * Positions and activity only carry conditionId, title and outcome. The
+ * catalog looks markets up in the markets table and fetches the missing
+ * (or stale, still open) ones from the Gamma API, so each market is
+ * fetched once across runs rather than once per account.
+ *
+ * Categories are normalized from the Gamma category, then the tags, then
+ * keywords in the question; the first category whose keywords match wins.
+ * Markets that match nothing, or that Gamma does not know, are 'other'.
+ */
+
+// Normalized categories, in matching order
+const CATEGORY_KEYWORDS = {
+  politics: [
+    'politics', 'elections', 'election', 'president', 'presidential', 'senate', 'congress', 'governor',
+    'parliament', 'prime minister', 'democrat', 'democrats', 'republican', 'republicans', 'trump', 'biden',
+    'primary', 'primaries', 'cabinet', 'supreme court'
+  ],
+  sports: [
+    'sports', 'nfl', 'nba', 'mlb', 'nhl', 'wnba', 'ncaa', 'soccer', 'football', 'basketball', 'baseball',
+    'hockey', 'tennis', 'golf', 'ufc', 'mma', 'boxing', 'f1', 'formula 1', 'cricket', 'premier league',
+    'champions league', 'la liga', 'serie a', 'bundesliga', 'olympics', 'super bowl', 'world cup', 'esports'
+  ],
+  crypto: [
+    'crypto', 'cryptocurrency', 'bitcoin', 'btc', 'ethereum', 'eth', 'solana', 'xrp', 'dogecoin', 'doge',
+    'memecoin', 'memecoins', 'stablecoin', 'defi', 'nft', 'nfts', 'airdrop', 'token', 'binance', 'coinbase'
+  ],
+  economics: [
+    'economy', 'economics', 'business', 'finance', 'fed', 'fomc', 'interest rate', 'interest rates',
+    'inflation', 'cpi', 'gdp', 'recession', 'unemployment', 'jobs report', 'tariffs', 'stocks', 's&p 500',
+    'nasdaq', 'earnings', 'ipo'
+  ],
+  culture: [
+    'pop culture', 'culture', 'entertainment', 'movies', 'movie', 'box office', 'oscars', 'grammys', 'emmys',
+    'music', 'album', 'celebrities', 'celebrity', 'tv', 'awards', 'youtube', 'tiktok', 'twitter'
+  ],
+  science: [
+    'science', 'tech', 'technology', 'ai', 'openai', 'space', 'spacex', 'nasa', 'climate', 'weather',
+    'temperature', 'hurricane', 'pandemic'
+  ],
+  world: [
+    'world', 'geopolitics', 'war', 'ukraine', 'russia', 'israel', 'gaza', 'iran', 'china', 'taiwan',
+    'middle east', 'nato', 'ceasefire'
+  ]
+};
+
+const MARKET_CATEGORIES = [...Object.keys(CATEGORY_KEYWORDS), 'other'];
+
+// Whole-word (or whole-phrase) matchers per category
+const CATEGORY_PATTERNS = Object.entries(CATEGORY_KEYWORDS).map(([category, keywords]) => {
+  const escaped = keywords.map(k => k.replace(/[.*+?^${}()|[\]\\&]/g, '\\$&'));
+  return [category, new RegExp(`(^|[^a-z0-9])(${escaped.join('|')})([^a-z0-9]|$)`, 'i')];
+});
+
+/**
+ * First category whose keywords occur in a text
+ * @param {string} text - Category, tag label or question
+ * @returns {string|null} - Category, or null when nothing matches
+ */
+function matchCategory(text) {
+  if (!text) return null;
+  for (const [category, pattern] of CATEGORY_PATTERNS) {
+    if (pattern.test(text)) return category;
+  }
+  return null;
+}
+
+/**
+ * Parse a Gamma list field (JSON-encoded string or array)
+ * @param {Array|string} value - e.g. '["Yes", "No"]'
+ * @returns {Array} - Parsed list ([] when missing or malformed)
+ */
+function parseList(value) {
+  if (Array.isArray(value)) return value;
+  if (typeof value !== 'string') return [];
+  try {
+    const parsed = JSON.parse(value);
+    return Array.isArray(parsed) ? parsed : [];
+  } catch (error) {
+    return [];
+  }
+}
+
+/**
+ * Tag labels of a Gamma market (own tags, or its event's)
+ * @param {Object} market - Gamma market
+ * @returns {Array} - Tag labels
+ */
+function tagLabels(market) {
+  const tags = market.tags || market.events?.[0]?.tags || [];
+  return tags
+    .map(tag => (typeof tag === 'string' ? tag : tag?.label || tag?.slug))
+    .filter(Boolean);
+}
+
+/**
+ * Normalized category of a Gamma market
+ * @param {Object} market - Gamma market
+ * @returns {string} - One of MARKET_CATEGORIES
+ */
+function categorize(market) {
+  const candidates = [
+    market.category,
+    market.events?.[0]?.category,
+    ...tagLabels(market),
+    market.question || market.title
+  ];
+  for (const text of candidates) {
+    const category = matchCategory(text);
+    if (category) return category;
+  }
+  return 'other';
+}
+
+/**
+ * Convert a Gamma market to a markets table record
+ * @param {Object} market - Gamma market
+ * @returns {Object} - { conditionId, slug, question, category, gammaCategory, tags, outcomes,
+ *   endDate, closed, resolvedOutcome, volumeUsd, liquidityUsd }
+ */
+function toMarketRecord(market) {
+  const outcomes = parseList(market.outcomes).map(String);
+  const prices = parseList(market.outcomePrices).map(Number);
+  const closed = Boolean(market.closed);
+  const winner = closed ? prices.findIndex(price => price >= 0.99) : -1;
+  const number = value => (value === undefined || value === null || value === '' || isNaN(Number(value)) ? null : Number(value));
+
+  return {
+    conditionId: market.conditionId,
+    slug: market.slug || null,
+    question: market.question || null,
+    category: categorize(market),
+    gammaCategory: market.category || market.events?.[0]?.category || null,
+    tags: tagLabels(market),
+    outcomes,
+    endDate: market.endDate || market.endDateIso || null,
+    closed,
+    resolvedOutcome: winner >= 0 ? outcomes[winner] ?? null : null,
+    volumeUsd: number(market.volumeNum ?? market.volume),
+    liquidityUsd: number(market.liquidityNum ?? market.liquidity)
+  };
+}
+
+class MarketCatalog {
+  /**
+   * @param {Object} options - Catalog options
+   * @param {Storage} options.storage - Reads and writes the markets table
+   * @param {PolymarketCollector} options.collector - Fetches missing markets (default: null = cached markets only)
+   * @param {number} options.maxAgeHours - Refetch open markets cached longer than this (default: 24)
+   * @param {Object} options.logger - Logger (default: console)
+   */
+  constructor(options = {}) {
+    this.storage = options.storage;
+    this.collector = options.collector ?? null;
+    this.maxAgeHours = options.maxAgeHours ?? 24;
+    this.logger = options.logger || console;
+    this.categories = new Map();
+    this.stats = { cached: 0, fetched: 0, unknown: 0 };
+  }
+
+  /**
+   * Category of each market, loading and fetching the ones not seen yet
+   * @param {Array} conditionIds - Market conditionIds (duplicates and blanks are ignored)
+   * @returns {Map} - conditionId => category ('other' for unknown markets)
+   */
+  async categoriesFor(conditionIds) {
+    const wanted = [...new Set(conditionIds.filter(Boolean))];
+    const missing = wanted.filter(id => !this.categories.has(id));
+
+    if (missing.length > 0) {
+      const cached = await this.storage.loadMarkets(missing, { maxAgeHours: this.collector ? this.maxAgeHours : null });
+      for (const row of cached) this.categories.set(row.condition_id, row.category);
+      this.stats.cached += cached.length;
+
+      const uncached = missing.filter(id => !this.categories.has(id));
+      if (uncached.length > 0 && this.collector) {
+        const records = (await this.collector.fetchMarkets(uncached))
+          .filter(market => market.conditionId)
+          .map(toMarketRecord);
+        await this.storage.upsertMarkets(records);
+        for (const record of records) this.categories.set(record.conditionId, record.category);
+        this.stats.fetched += records.length;
+        this.logger.info(`[Markets] Fetched ${records.length} of ${uncached.length} uncached markets`);
+      }
+
+      // Not known to Gamma (or not cached, offline): 'other' for the rest of this run, retried next run
+      for (const id of uncached) {
+        if (this.categories.has(id)) continue;
+        this.categories.set(id, 'other');
+        this.stats.unknown++;
+      }
+    }
+
+    return new Map(wanted.map(id => [id, this.categories.get(id) || 'other']));
+  }
+
+  /**
+   * Catalog counters for run stats
+   * @returns {Object} - { cached, fetched, unknown } markets
+   */
+  getStats() {
+    return { ...this.stats };
+  }
+}
+
+module.exports = { MarketCatalog, MARKET_CATEGORIES, categorize, matchCategory, toMarketRecord };
@@ -0,0 +1,359 @@
+/**
+ * Notifier Module - Webhook notifications for runs and copy-trade signals
+ *
+ * - run.completed: newly selected and dropped accounts (from the selection diff)
+ * - run.failed: the error a run failed with
+ * - signal: a selected trader's position change (from `npm run watch`)
+ *
+ * Each webhook gets a payload in its format:
+ * - json: the event as JSON ({ event, sent_at, run, changes | error } or { event, sent_at, signal })
+ * - slack: { text } for Slack incoming webhooks
+ * - discord: { content } for Discord webhooks (kept under 2000 characters)
+ *
+ * With a secret, every request is signed: X-Scanner-Timestamp carries the
+ * unix time in seconds and X-Scanner-Signature is
+ * sha256=HMAC-SHA256(secret, `${timestamp}.${body}`) in hex. Network errors,
+ * 429 and 5xx are retried with exponential backoff (Retry-After honoured up
+ * to a cap). A failed notification, including an event that cannot be
+ * formatted, is logged and never fails the run.
+ */
+
+const axios = require('axios');
+const crypto = require('crypto');
+const { parseRetryAfter } = require('./records');
+
+const WEBHOOK_FORMATS = ['json', 'slack', 'discord'];
+
+// Accounts listed per change type in chat messages
+const CHAT_LIST_LIMIT = 10;
+const DISCORD_MAX_CONTENT = 2000;
+
+// Longest Retry-After waited for; a webhook asking for more gets this
+const MAX_RETRY_AFTER_MS = 60000;
+
+/**
+ * Parse a webhook spec: `<url>` or `<format>=<url>`
+ * Without a format, Slack and Discord URLs are recognised by host; anything
+ * else gets the generic JSON payload.
+ * @param {string} spec - Webhook spec
+ * @returns {Object} - { url, format }
+ */
+function parseWebhookSpec(spec) {
+  const m = /^(\w+)=(.+)$/.exec(spec.trim());
+  const format = m ? m[1].toLowerCase() : null;
+  const url = m ? m[2] : spec.trim();
+  if (format && !WEBHOOK_FORMATS.includes(format)) {
+    throw new Error(`Unknown webhook format '${format}' (expected one of: ${WEBHOOK_FORMATS.join(', ')})`);
+  }
+
+  let parsed;
+  try {
+    parsed = new URL(url);
+  } catch (error) {
+    throw new Error(`Invalid webhook URL '${url}'`);
+  }
+  if (parsed.protocol !== 'http:' && parsed.protocol !== 'https:') {
+    throw new Error(`Invalid webhook URL '${url}' (expected http or https)`);
+  }
+
+  if (format) return { url, format };
+  if (parsed.hostname === 'hooks.slack.com') return { url, format: 'slack' };
+  if (/(^|\.)discord(app)?\.com$/.test(parsed.hostname) && parsed.pathname.startsWith('/api/webhooks/')) {
+    return { url, format: 'discord' };
+  }
+  return { url, format: 'json' };
+}
+
+/**
+ * Parse a comma-separated list of webhook specs (NOTIFY_WEBHOOKS)
+ * @param {string} value - Specs separated by commas
+ * @returns {Array} - [{ url, format }]
+ */
+function parseWebhookList(value) {
+  return (value || '').split(',').map(s => s.trim()).filter(Boolean).map(parseWebhookSpec);
+}
+
+/**
+ * Build the run.completed event
+ * @param {Object} options - Options
+ * @param {string} options.runId - Run ID
+ * @param {string} options.runType - 'sync' or 'derived'
+ * @param {Object} options.stats - Run stats as passed to completeRun
+ * @param {Object} options.selectionDiff - From buildSelectionDiff
+ * @returns {Object} - Event
+ */
+function runCompletedEvent({ runId, runType = 'sync', stats = {}, selectionDiff }) {
+  return {
+    event: 'run.completed',
+    run: {
+      id: runId,
+      type: runType,
+      accounts_processed: stats.accounts_processed ?? null,
+      accounts_selected: stats.accounts_selected ?? null,
+      accounts_failed: stats.accounts_failed ?? null
+    },
+    changes: {
+      previous_run_id: selectionDiff?.previous_run_id ?? null,
+      added: (selectionDiff?.added || []).map(a => ({ address: a.address, rank: a.rank, score: a.score })),
+      dropped: (selectionDiff?.dropped || []).map(a => ({ address: a.address, previous_rank: a.previousRank, previous_score: a.previousScore })),
+      retained_count: selectionDiff?.retained_count ?? 0,
+      churn_rate: selectionDiff?.churn_rate ?? null
+    }
+  };
+}
+
+/**
+ * Build the run.failed event
+ * @param {Object} options - Options
+ * @param {string} options.runId - Run ID
+ * @param {string} options.runType - 'sync' or 'derived'
+ * @param {string} options.error - Error message stored by failRun
+ * @returns {Object} - Event
+ */
+function runFailedEvent({ runId, runType = 'sync', error }) {
+  return {
+    event: 'run.failed',
+    run: { id: runId, type: runType },
+    error
+  };
+}
+
+/**
+ * Build the signal event
+ * @param {Object} signal - From diffPositions, with the trader's rank and score
+ * @returns {Object} - Event
+ */
+function signalEvent(signal) {
+  return { event: 'signal', signal };
+}
+
+const SIGNAL_LABELS = {
+  new_position: 'New position',
+  size_increase: 'Added to position',
+  exit: 'Exit',
+  market_resolved: 'Market resolved'
+};
+
+/**
+ * Plain-text summary of an event for chat webhooks
+ * @param {Object} event - From runCompletedEvent / runFailedEvent
+ * @param {Object} style - { bold, code } wrappers for the chat's markup
+ * @returns {string} - Message text
+ */
+function chatText(event, style) {
+  const { bold, code } = style;
+  const listed = (items, describe) => {
+    const lines = items.slice(0, CHAT_LIST_LIMIT).map(item => `• ${describe(item)}`);
+    if (items.length > CHAT_LIST_LIMIT) lines.push(`…and ${items.length - CHAT_LIST_LIMIT} more`);
+    return lines.join('\n');
+  };
+
+  if (event.event === 'run.failed') {
+    return `${bold('Scanner run failed')} ${code(event.run.id)}\n${event.error}`;
+  }
+
+  if (event.event === 'signal') {
+    const s = event.signal;
+    const trader = s.rank ? `#${s.rank} ${code(s.address)}` : code(s.address);
+    const price = s.price === null ? '' : ` @ ${s.price}`;
+    return [
+      `${bold(SIGNAL_LABELS[s.type] || s.type)} ${trader}`,
+      `${s.title || s.condition_id} [${s.outcome}]`,
+      `size ${s.previous_size} -> ${s.size}${price}, notional $${s.notional_usd.toFixed(2)}`
+    ].join('\n');
+  }
+
+  const { run, changes } = event;
+  const lines = [
+    `${bold(`Scanner ${run.type} run completed`)} ${code(run.id)}`,
+    `${run.accounts_selected ?? 0} selected of ${run.accounts_processed ?? 0} processed` +
+      (changes.previous_run_id ? `, ${changes.added.length} new, ${changes.dropped.length} dropped` : ' (no earlier run to compare with)')
+  ];
+  if (changes.added.length > 0) {
+    lines.push(bold('Newly selected'), listed(changes.added, a => `#${a.rank} ${code(a.address)} score ${a.score.toFixed(4)}`));
+  }
+  if (changes.dropped.length > 0) {
+    lines.push(bold('Dropped'), listed(changes.dropped, a => `was #${a.previous_rank} ${code(a.address)}`));
+  }
+  return lines.join('\n');
+}
+
+/**
+ * Render an event in a webhook's format
+ * @param {Object} event - Event
+ * @param {string} format - 'json', 'slack' or 'discord'
+ * @param {Date} sentAt - Send time (default: now)
+ * @returns {Object} - Payload to POST as JSON
+ */
+function formatPayload(event, format, sentAt = new Date()) {
+  switch (format) {
+    case 'slack':
+      return { text: chatText(event, { bold: s => `*${s}*`, code: s => `\`${s}\`` }) };
+    case 'discord': {
+      const content = chatText(event, { bold: s => `**${s}**`, code: s => `\`${s}\`` });
+      return {
+        content: content.length > DISCORD_MAX_CONTENT ? `${content.slice(0, DISCORD_MAX_CONTENT - 1)}…` : content,
+        allowed_mentions: { parse: [] }
+      };
+    }
+    case 'json':
+      return { ...event, sent_at: sentAt.toISOString() };
+  }
+  throw new Error(`Unknown webhook format '${format}'`);
+}
+
+/**
+ * HMAC-SHA256 signature of a request body
+ * @param {string} secret - Shared secret
+ * @param {number} timestamp - Unix seconds sent in X-Scanner-Timestamp
+ * @param {string} body - Raw request body
+ * @returns {string} - 'sha256=<hex>'
+ */
+function signPayload(secret, timestamp, body) {
+  return `sha256=${crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex')}`;
+}
+
+class Notifier {
+  /**
+   * @param {Object} options - Options
+   * @param {Array} options.webhooks - [{ url, format }] (see parseWebhookSpec)
+   * @param {string} options.secret - HMAC secret; requests are unsigned without one
+   * @param {Object} options.logger - Logger (default: console)
+   * @param {number} options.maxRetries - Retries after the first attempt (default: 3)
+   * @param {number} options.retryDelayMs - Base backoff delay, doubled per retry (default: 1000)
+   * @param {number} options.timeoutMs - Per-request timeout (default: 10000)
+   * @param {number} options.maxRetryAfterMs - Cap on a 429's Retry-After (default: 60000)
+   */
+  constructor(options = {}) {
+    this.webhooks = options.webhooks || [];
+    this.secret = options.secret || null;
+    this.logger = options.logger || console;
+    this.maxRetries = options.maxRetries ?? 3;
+    this.retryDelayMs = options.retryDelayMs ?? 1000;
+    this.timeoutMs = options.timeoutMs ?? 10000;
+    this.maxRetryAfterMs = options.maxRetryAfterMs ?? MAX_RETRY_AFTER_MS;
+  }
+
+  get enabled() {
+    return this.webhooks.length > 0;
+  }
+
+  /**
+   * Notify that a run completed
+   * @param {Object} options - See runCompletedEvent
+   * @returns {Array} - Delivery results
+   */
+  async runCompleted(options) {
+    return this.notify(runCompletedEvent(options));
+  }
+
+  /**
+   * Notify that a run failed
+   * @param {Object} options - See runFailedEvent
+   * @returns {Array} - Delivery results
+   */
+  async runFailed(options) {
+    return this.notify(runFailedEvent(options));
+  }
+
+  /**
+   * Notify of a copy-trade signal
+   * @param {Object} signal - See signalEvent
+   * @returns {Array} - Delivery results
+   */
+  async signal(signal) {
+    return this.notify(signalEvent(signal));
+  }
+
+  /**
+   * Send an event to every webhook; failures are logged, never thrown
+   * @param {Object} event - Event
+   * @returns {Array} - [{ url, format, ok, attempts, status, error }]
+   */
+  async notify(event) {
+    const results = [];
+    for (const webhook of this.webhooks) {
+      let result;
+      try {
+        result = await this.deliver(webhook, JSON.stringify(formatPayload(event, webhook.format)));
+      } catch (error) {
+        // A malformed event fails this delivery (deliver itself never throws), not the caller
+        result = { ok: false, attempts: 0, status: null, error: `Could not format payload: ${error.message}` };
+      }
+      if (result.ok) {
+        this.logger.info(`[Notifier] Sent ${event.event} to ${webhook.format} webhook ${this.describe(webhook)}`);
+      } else {
+        this.logger.error(`[Notifier] Failed to send ${event.event} to ${webhook.format} webhook ${this.describe(webhook)} after ${result.attempts} attempts: ${result.error}`);
+      }
+      results.push({ url: webhook.url, format: webhook.format, ...result });
+    }
+    return results;
+  }
+
+  /**
+   * POST a body to one webhook with retries
+   * @param {Object} webhook - { url, format }
+   * @param {string} body - JSON body
+   * @returns {Object} - { ok, attempts, status, error }
+   */
+  async deliver(webhook, body) {
+    let lastError;
+    let status = null;
+    let attempts = 0;
+
+    for (let attempt = 0; attempt <= this.maxRetries; attempt++) {
+      attempts++;
+      const headers = { 'Content-Type': 'application/json', 'User-Agent': 'polymarket-winner-scanner' };
+      if (this.secret) {
+        const timestamp = Math.floor(Date.now() / 1000);
+        headers['X-Scanner-Timestamp'] = String(timestamp);
+        headers['X-Scanner-Signature'] = signPayload(this.secret, timestamp, body);
+      }
+
+      try {
+        const response = await axios.post(webhook.url, body, { headers, timeout: this.timeoutMs });
+        return { ok: true, attempts, status: response.status, error: null };
+      } catch (error) {
+        lastError = error;
+        status = error.response?.status ?? null;
+
+        // Other 4xx mean the payload or URL is wrong; retrying will not help
+        const isRetryable = !status || status === 429 || status >= 500;
+        if (!isRetryable || attempt === this.maxRetries) break;
+
+        // Exponential backoff: 1s, 2s, 4s; a longer Retry-After wins, up to the cap
+        const retryAfter = status === 429 ? parseRetryAfter(error.response.headers?.['retry-after']) : null;
+        const delay = Math.max(this.retryDelayMs * Math.pow(2, attempt), Math.min(retryAfter ?? 0, this.maxRetryAfterMs));
+        this.logger.warn(`[Notifier] ${this.describe(webhook)} retry ${attempt + 1}/${this.maxRetries} after ${delay}ms (status: ${status})`);
+        await this.sleep(delay);
+      }
+    }
+
+    return { ok: false, attempts, status, error: lastError.message };
+  }
+
+  /**
+   * Webhook for log lines: host only, since webhook URLs embed their credentials
+   * @param {Object} webhook - { url }
+   * @returns {string} - Host of the URL
+   */
+  describe(webhook) {
+    return new URL(webhook.url).host;
+  }
+
+  sleep(ms) {
+    return new Promise(resolve => setTimeout(resolve, ms));
+  }
+}
+
+module.exports = {
+  Notifier,
+  WEBHOOK_FORMATS,
+  parseWebhookSpec,
+  parseWebhookList,
+  runCompletedEvent,
+  runFailedEvent,
+  signalEvent,
+  formatPayload,
+  signPayload
+};
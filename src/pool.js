@@ -0,0 +1,32 @@
+/**
+ * Bounded worker pool
+ *
+ * Runs an async function over a list with at most `concurrency` calls in
+ * flight. Results are returned in input order regardless of completion order,
+ * so downstream bookkeeping stays deterministic.
+ */
+
+/**
+ * Map items through an async function with bounded concurrency
+ * @param {Array} items - Input items
+ * @param {number} concurrency - Max calls in flight (>= 1)
+ * @param {Function} fn - async (item, index) => result
+ * @returns {Array} - Results in input order
+ */
+async function mapWithConcurrency(items, concurrency, fn) {
+  const results = new Array(items.length);
+  const workerCount = Math.max(1, Math.min(concurrency || 1, items.length));
+  let nextIndex = 0;
+
+  async function worker() {
+    while (nextIndex < items.length) {
+      const index = nextIndex++;
+      results[index] = await fn(items[index], index);
+    }
+  }
+
+  await Promise.all(Array.from({ length: workerCount }, () => worker()));
+  return results;
+}
+
+module.exports = { mapWithConcurrency };
@@ -0,0 +1,53 @@
+/**
+ * Records Module - Helpers for Polymarket API records
+ *
+ * Timestamp parsing and record identities shared by the collector and the
+ * modules that read its records (storage, wash-trading detection, notifier).
+ */
+
+/**
+ * Convert an API timestamp (unix seconds, unix ms or date string) to epoch ms
+ * @param {number|string} value - Timestamp from API
+ * @returns {number|null} - Epoch ms or null if absent/invalid
+ */
+function toEpochMs(value) {
+  if (value === undefined || value === null || value === '') return null;
+  const number = Number(value);
+  if (Number.isFinite(number)) return number < 1e12 ? number * 1000 : number;
+  const date = Date.parse(value);
+  return Number.isNaN(date) ? null : date;
+}
+
+/**
+ * Parse a Retry-After header (delta-seconds or HTTP-date)
+ * @param {string|number} value - Header value
+ * @returns {number|null} - Delay in ms, or null if absent/invalid
+ */
+function parseRetryAfter(value) {
+  if (value === undefined || value === null || value === '') return null;
+  const seconds = Number(value);
+  if (Number.isFinite(seconds)) return Math.max(0, seconds * 1000);
+  const date = Date.parse(value);
+  return Number.isNaN(date) ? null : Math.max(0, date - Date.now());
+}
+
+/**
+ * Stable identity for a /trades record
+ * @param {Object} trade - Trade from /trades
+ * @returns {string} - Trade key
+ */
+function tradeKey(trade) {
+  return `${trade.transactionHash}:${trade.proxyWallet}:${trade.asset || trade.conditionId}:${trade.side}:${trade.size}`;
+}
+
+/**
+ * Stable identity for an /activity record; one transaction can hold
+ * several fills of the same outcome, so time and size are part of it
+ * @param {Object} activity - Activity record
+ * @returns {string} - Activity key
+ */
+function activityKey(activity) {
+  return `${activity.transactionHash}:${activity.type}:${activity.conditionId}:${activity.outcome}:${activity.timestamp}:${activity.size}`;
+}
+
+module.exports = { toEpochMs, parseRetryAfter, tradeKey, activityKey };
@@ -0,0 +1,598 @@
+/**
+ * Report Module - Render a run report as Markdown, JSON, CSV or HTML
+ *
+ * scripts/generate-report.js loads a run and turns it into a report
+ * document (buildReport); each format renders that document:
+ * - md: the acceptance report (top N selected accounts)
+ * - json: the document itself, a versioned schema of the full selection
+ * - csv: one row per selected account, for spreadsheets
+ * - html: a self-contained page with sortable tables
+ *
+ * Bump REPORT_SCHEMA_VERSION on any change to the JSON document that could
+ * break a consumer (renamed or removed fields, changed meaning); adding
+ * fields does not need a bump.
+ */
+
+const { toConsensusEntry } = require('./holdings');
+
+const REPORT_SCHEMA = 'polymarket-winner-scanner/report';
+const REPORT_SCHEMA_VERSION = 1;
+
+// Format -> file extension
+const REPORT_FORMATS = {
+  md: 'md',
+  json: 'json',
+  csv: 'csv',
+  html: 'html'
+};
+
+// Selected account metrics: document key -> snapshot column
+const ACCOUNT_METRICS = {
+  strict_win_rate: 'strict_win_rate',
+  proxy_win_rate: 'proxy_win_rate',
+  shrunk_win_rate: 'shrunk_win_rate',
+  win_rate_lower_bound: 'win_rate_lower_bound',
+  win_count: 'win_count',
+  loss_count: 'loss_count',
+  closed_positions: 'closed_positions',
+  total_trades: 'total_trades',
+  total_volume_usd: 'total_volume_usd',
+  realized_pnl: 'realized_pnl',
+  roi: 'roi',
+  profit_factor: 'profit_factor',
+  sharpe_ratio: 'sharpe_ratio',
+  max_drawdown: 'max_drawdown',
+  confidence_score: 'confidence_score',
+  mean_edge: 'mean_edge',
+  brier_score: 'brier_score'
+};
+
+// Score breakdown: document key -> scorer scoreBreakdown key
+const BREAKDOWN_CONTRIBUTIONS = {
+  win_rate: 'winRateContribution',
+  volume: 'volumeContribution',
+  confidence: 'confidenceContribution',
+  roi: 'roiContribution',
+  profit_factor: 'profitFactorContribution',
+  sharpe: 'sharpeContribution',
+  drawdown_penalty: 'drawdownPenalty'
+};
+
+const toNumber = value => (value === null || value === undefined ? null : Number(value));
+const round4 = value => (value === null ? null : Math.round(value * 10000) / 10000);
+const toIso = value => (value ? new Date(value).toISOString() : null);
+const average = values => (values.length > 0 ? values.reduce((a, b) => a + b, 0) / values.length : 0);
+
+/**
+ * Parse --format values ('md', 'md,json', ...) into a list of formats
+ * @param {Array} values - --format arguments
+ * @returns {Array} - Unique formats in the order given (default: ['md'])
+ */
+function parseFormats(values) {
+  const formats = [];
+  for (const value of values) {
+    for (const format of value.split(',').map(f => f.trim().toLowerCase()).filter(Boolean)) {
+      const name = format === 'markdown' ? 'md' : format;
+      if (!REPORT_FORMATS[name]) {
+        throw new Error(`Unknown report format '${format}' (expected one of: ${Object.keys(REPORT_FORMATS).join(', ')})`);
+      }
+      if (!formats.includes(name)) formats.push(name);
+    }
+  }
+  return formats.length > 0 ? formats : ['md'];
+}
+
+/**
+ * Map a scorer scoreBreakdown to the document's breakdown
+ * @param {Object} breakdown - scoreBreakdown from the snapshot (null if not stored)
+ * @returns {Object|null} - { win_rate_basis, effective_win_rate, contributions }
+ */
+function toScoreBreakdown(breakdown) {
+  if (!breakdown) return null;
+  const contributions = {};
+  for (const [key, source] of Object.entries(BREAKDOWN_CONTRIBUTIONS)) {
+    contributions[key] = round4(toNumber(breakdown[source]) ?? 0);
+  }
+  return {
+    win_rate_basis: breakdown.winRateBasis ?? null,
+    effective_win_rate: round4(toNumber(breakdown.effectiveWinRate)),
+    contributions
+  };
+}
+
+/**
+ * Build the report document
+ * @param {Object} data - Loaded run data
+ * @param {Object} data.run - runs row
+ * @param {Array} data.selected - Selected accounts joined with their snapshot, best first
+ * @param {Array} data.nearMisses - Near-miss rejected_accounts rows, best first
+ * @param {Array} data.consensus - market_consensus rows, most held first
+ * @param {number} data.snapshotCount - Snapshots stored for the run
+ * @param {Date} data.generatedAt - Generation time (default: now)
+ * @returns {Object} - Report document (schema REPORT_SCHEMA, version REPORT_SCHEMA_VERSION)
+ */
+function buildReport({ run, selected, nearMisses = [], consensus = [], snapshotCount = 0, generatedAt = new Date() }) {
+  const stats = run.stats || {};
+  const config = run.config || {};
+
+  const accounts = selected.map((row, i) => {
+    const metrics = {};
+    for (const [key, column] of Object.entries(ACCOUNT_METRICS)) {
+      metrics[key] = toNumber(row[column]);
+    }
+    return {
+      rank: i + 1,
+      address: row.address,
+      score: toNumber(row.selection_score) ?? 0,
+      tags: row.reason_tags || [],
+      selection_window: row.selection_window || 'all',
+      metrics,
+      score_breakdown: toScoreBreakdown(row.score_breakdown)
+    };
+  });
+
+  const duration = run.completed_at && run.started_at
+    ? Math.round((new Date(run.completed_at) - new Date(run.started_at)) / 1000)
+    : null;
+
+  return {
+    schema: REPORT_SCHEMA,
+    schema_version: REPORT_SCHEMA_VERSION,
+    generated_at: generatedAt.toISOString(),
+    run: {
+      id: run.id,
+      status: run.status,
+      run_type: run.run_type || 'sync',
+      parent_run_id: run.parent_run_id || null,
+      started_at: toIso(run.started_at),
+      completed_at: toIso(run.completed_at),
+      duration_seconds: duration,
+      snapshots: snapshotCount,
+      config
+    },
+    summary: {
+      accounts_processed: stats.accounts_processed || 0,
+      accounts_selected: accounts.length,
+      accounts_failed: stats.accounts_failed || 0,
+      suspicious_accounts: stats.suspicious_accounts || 0,
+      selection_window: config.window || 'all',
+      selection_category: config.category || 'all',
+      avg_win_rate: round4(average(accounts.map(a => a.metrics.strict_win_rate ?? a.metrics.proxy_win_rate ?? 0))),
+      avg_volume_usd: round4(average(accounts.map(a => a.metrics.total_volume_usd ?? 0))),
+      avg_score: round4(average(accounts.map(a => a.score))),
+      top_score: accounts.length > 0 ? accounts[0].score : null,
+      near_miss_count: stats.near_miss_count ?? nearMisses.length,
+      win_rate_prior: stats.win_rate_prior || null
+    },
+    selected: accounts,
+    near_misses: nearMisses.map(row => ({
+      address: row.address,
+      score: toNumber(row.selection_score) ?? 0,
+      failed_criteria: row.failed_criteria || []
+    })),
+    rejection_reasons: stats.rejection_reasons || {},
+    selection_diff: stats.selection_diff || null,
+    consensus: {
+      traders: stats.consensus?.traders ?? accounts.length,
+      crowded_outcomes: stats.consensus?.crowded_outcomes ?? null,
+      markets: consensus.map(toConsensusEntry)
+    },
+    discovery_yield: stats.discovery_yield || {},
+    error_summary: stats.error_summary || {}
+  };
+}
+
+/**
+ * Render the report document as JSON
+ * @param {Object} report - From buildReport
+ * @returns {string} - Pretty-printed JSON
+ */
+function renderJson(report) {
+  return `${JSON.stringify(report, null, 2)}\n`;
+}
+
+/**
+ * Quote a CSV field when needed (RFC 4180)
+ * @param {*} value - Field value
+ * @returns {string} - CSV field
+ */
+function csvField(value) {
+  if (value === null || value === undefined) return '';
+  const text = String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Render the selected accounts as CSV, one row per account
+ * @param {Object} report - From buildReport
+ * @returns {string} - CSV with a header row
+ */
+function renderCsv(report) {
+  const header = [
+    'rank', 'address', 'score', 'selection_window', 'tags',
+    ...Object.keys(ACCOUNT_METRICS),
+    'win_rate_basis',
+    ...Object.keys(BREAKDOWN_CONTRIBUTIONS).map(key => `${key}_contribution`)
+  ];
+  const rows = report.selected.map(a => [
+    a.rank, a.address, a.score, a.selection_window, a.tags.join(';'),
+    ...Object.keys(ACCOUNT_METRICS).map(key => a.metrics[key]),
+    a.score_breakdown?.win_rate_basis,
+    ...Object.keys(BREAKDOWN_CONTRIBUTIONS).map(key => a.score_breakdown?.contributions[key])
+  ]);
+  return [header, ...rows].map(row => row.map(csvField).join(',')).join('\r\n') + '\r\n';
+}
+
+/**
+ * Format a failed criterion for a report line
+ * @param {Object} c - { criterion, value, threshold }
+ * @returns {string} - e.g. 'minWinRate 0.56 < 0.58'
+ */
+function formatCriterion(c) {
+  return `${c.criterion} ${c.value !== null ? +Number(c.value).toFixed(4) : 'n/a'} ${c.criterion === 'maxDrawdown' ? '>' : '<'} ${c.threshold}`;
+}
+
+/**
+ * Render the report document as the Markdown acceptance report
+ * @param {Object} report - From buildReport
+ * @param {Object} options - Options
+ * @param {number} options.top - Selected accounts listed (default: 10, 0 = all)
+ * @returns {string} - Markdown
+ */
+function renderMarkdown(report, options = {}) {
+  const top = options.top ?? 10;
+  const { run, summary } = report;
+  const listed = top > 0 ? report.selected.slice(0, top) : report.selected;
+  const rejectionReasons = Object.entries(report.rejection_reasons).sort((a, b) => b[1] - a[1]);
+  const selectionDiff = report.selection_diff;
+  const discoveryYield = report.discovery_yield;
+  const errorSummary = report.error_summary;
+  const signed = value => (value > 0 ? `+${value}` : `${value}`);
+  const short = address => `\`${address.slice(0, 10)}...\``;
+
+  return `# Polymarket Winner Scanner - Sync Run Report
+
+**Run ID**: \`${run.id}\`
+**Date**: ${run.started_at || 'N/A'}
+**Status**: ${run.status}
+
+---
+
+## Summary
+
+| Metric | Value |
+|--------|-------|
+| Accounts Processed | ${summary.accounts_processed} |
+| Accounts Selected | ${summary.accounts_selected} |
+| Selection Window | ${summary.selection_window} |
+| Selection Category | ${summary.selection_category} |
+| Accounts Failed | ${summary.accounts_failed} |
+| Suspicious Accounts | ${summary.suspicious_accounts} |
+| Average Win Rate | ${(summary.avg_win_rate * 100).toFixed(1)}% |
+| Average Volume | $${summary.avg_volume_usd.toFixed(2)} |
+| Average Score | ${summary.avg_score.toFixed(4)} |
+| Top Score | ${summary.top_score !== null ? summary.top_score.toFixed(4) : 'N/A'} |
+
+---
+
+## Configuration
+
+\`\`\`json
+${JSON.stringify(run.config, null, 2)}
+\`\`\`
+
+---
+
+## ${top > 0 ? 'Top ' : ''}Selected Accounts
+
+| Rank | Address | Win Rate | Volume (USD) | Score | Tags |
+|------|---------|----------|--------------|-------|------|
+${listed.map(acc => {
+  const winRate = ((acc.metrics.strict_win_rate ?? acc.metrics.proxy_win_rate ?? 0) * 100).toFixed(1);
+  const volume = (acc.metrics.total_volume_usd ?? 0).toFixed(2);
+  return `| ${acc.rank} | ${short(acc.address)} | ${winRate}% | $${volume} | ${acc.score.toFixed(4)} | ${acc.tags.slice(0, 3).join(', ')} |`;
+}).join('\n')}
+
+${report.selected.length === 0 ? '_No accounts selected in this run_' : ''}${report.selected.length > listed.length ? `_${report.selected.length - listed.length} more selected accounts in the JSON, CSV and HTML reports_` : ''}
+
+---
+
+## Selection Changes
+
+${selectionDiff && selectionDiff.previous_run_id ? `Compared with run \`${selectionDiff.previous_run_id}\`:
+
+| Metric | Value |
+|--------|-------|
+| Newly Selected | ${selectionDiff.added_count} |
+| Dropped | ${selectionDiff.dropped_count} |
+| Still Selected | ${selectionDiff.retained_count} |
+| Churn Rate | ${selectionDiff.churn_rate !== null ? `${(selectionDiff.churn_rate * 100).toFixed(1)}%` : 'N/A'} |
+| Average Tenure | ${selectionDiff.avg_tenure_runs} runs |
+| Average Rank Change | ${selectionDiff.avg_abs_rank_change} |
+
+${selectionDiff.added.length > 0 ? `**Newly selected**: ${selectionDiff.added.slice(0, 10).map(a => `${short(a.address)} (#${a.rank})`).join(', ')}${selectionDiff.added.length > 10 ? ', ...' : ''}` : ''}
+
+${selectionDiff.dropped.length > 0 ? `**Dropped**: ${selectionDiff.dropped.slice(0, 10).map(a => `${short(a.address)} (was #${a.previousRank})`).join(', ')}${selectionDiff.dropped.length > 10 ? ', ...' : ''}` : ''}
+
+${selectionDiff.retained.length > 0 ? `| Address | Rank | Rank Change | Score Change | Tenure (runs) |
+|---------|------|-------------|--------------|---------------|
+${[...selectionDiff.retained].sort((a, b) => Math.abs(b.rankDelta) - Math.abs(a.rankDelta)).slice(0, 10).map(a => `| ${short(a.address)} | ${a.rank} | ${signed(a.rankDelta)} | ${signed(a.scoreDelta)} | ${a.tenure} |`).join('\n')}
+
+_Biggest movers among accounts selected in both runs; churn rate is the share of the previous selection that dropped out._` : ''}` : '_No earlier run to compare with_'}
+
+---
+
+## Market Consensus
+
+${report.consensus.markets.length > 0 ? `Outcomes held by several selected accounts (${report.consensus.crowded_outcomes ?? report.consensus.markets.length} in total, top ${report.consensus.markets.length} by holders):
+
+| Market | Outcome | Holders | Exposure (USD) | Avg Entry | Current | Net |
+|--------|---------|---------|----------------|-----------|---------|-----|
+${report.consensus.markets.map(m => `| ${(m.title || m.condition_id).replace(/\|/g, '\\|')} | ${m.outcome} | ${m.holders}/${report.consensus.traders} | $${m.exposure_usd.toFixed(2)} | ${m.avg_entry_price ?? 'N/A'} | ${m.current_price ?? 'N/A'} | ${m.net_direction} $${m.net_exposure_usd.toFixed(2)} |`).join('\n')}
+
+_Net is the selected accounts' exposure on the outcome minus their exposure on the market's other outcomes._` : '_No outcome is held by more than one selected account_'}
+
+---
+
+## Rejection Reasons
+
+${rejectionReasons.length > 0 ? `| Reason | Accounts | Share of Candidates |
+|--------|----------|---------------------|
+${rejectionReasons.map(([reason, count]) => `| ${reason} | ${count} | ${summary.accounts_processed ? (count / summary.accounts_processed * 100).toFixed(1) : '0.0'}% |`).join('\n')}
+
+_Accounts failing several criteria count towards each of them._` : '_No rejection reasons recorded for this run_'}
+
+### Near Misses
+
+${report.near_misses.length > 0 ? `Rejected accounts within ${((run.config.nearMissMargin ?? 0.1) * 100).toFixed(0)}% of every threshold they failed (${summary.near_miss_count} in total, top ${report.near_misses.length} by score):
+
+| Address | Score | Failed Criteria |
+|---------|-------|-----------------|
+${report.near_misses.map(a => `| ${short(a.address)} | ${a.score.toFixed(4)} | ${a.failed_criteria.map(formatCriterion).join('; ')} |`).join('\n')}` : '_No near misses in this run_'}
+
+---
+
+## Discovery Yield
+
+${Object.keys(discoveryYield).length > 0 ? `| Method | Candidates | Processed | Selected | Yield |
+|--------|------------|-----------|----------|-------|
+${Object.entries(discoveryYield).map(([method, y]) => `| ${method} | ${y.candidates} | ${y.processed} | ${y.selected} | ${(y.yield * 100).toFixed(1)}% |`).join('\n')}
+
+_Accounts found by several methods count towards each of them._` : '_No discovery provenance recorded for this run_'}
+
+---
+
+## Error Summary
+
+${errorSummary.hasErrors ? `
+**Total Errors**: ${errorSummary.errorCount}
+
+| Error Type | Count |
+|------------|-------|
+${Object.entries(errorSummary.errorsByType || {}).map(([type, count]) => `| ${type} | ${count} |`).join('\n')}
+
+### Sample Errors
+${(errorSummary.sampleErrors || []).map(e => `
+**${e.type}** (${e.count} occurrences):
+${e.samples.map(s => `- \`${s.address?.slice(0, 10) || 'N/A'}...\`: ${s.message}`).join('\n')}
+`).join('\n')}
+` : '_No errors occurred during this run_'}
+
+---
+
+## Run Statistics
+
+- **Started**: ${run.started_at || 'N/A'}
+- **Completed**: ${run.completed_at || 'N/A'}
+- **Duration**: ${run.duration_seconds ?? 0} seconds
+- **Snapshots Created**: ${run.snapshots}
+- **Win Rate Prior**: ${summary.win_rate_prior ? `Beta(${summary.win_rate_prior.alpha}, ${summary.win_rate_prior.beta}), ${summary.win_rate_prior.mode}` : 'N/A'}
+
+---
+
+## Next Steps
+
+1. Review selected accounts for investment consideration
+2. Monitor top performers for continued success
+3. Adjust thresholds if needed for future runs
+
+---
+
+*Generated by polymarket-winner-scanner*
+`;
+}
+
+/**
+ * Escape text for HTML
+ * @param {*} value - Value to print
+ * @returns {string} - Escaped text
+ */
+function escapeHtml(value) {
+  return String(value ?? '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+/**
+ * Render an HTML table; numeric cells carry data-value so sorting is numeric
+ * @param {Array} headers - Column titles
+ * @param {Array} rows - Rows of cells: plain values, or { text, value } for formatted numbers
+ * @param {boolean} sortable - Whether headers sort the table on click
+ * @returns {string} - <table> markup
+ */
+function htmlTable(headers, rows, sortable = true) {
+  const cell = c => {
+    if (c !== null && typeof c === 'object') {
+      return `<td class="num" data-value="${escapeHtml(c.value ?? '')}">${escapeHtml(c.text)}</td>`;
+    }
+    return typeof c === 'number'
+      ? `<td class="num" data-value="${c}">${c}</td>`
+      : `<td>${escapeHtml(c)}</td>`;
+  };
+  return `<table${sortable ? ' class="sortable"' : ''}>
+<thead><tr>${headers.map(h => `<th>${escapeHtml(h)}</th>`).join('')}</tr></thead>
+<tbody>
+${rows.map(row => `<tr>${row.map(cell).join('')}</tr>`).join('\n')}
+</tbody>
+</table>`;
+}
+
+const HTML_STYLE = `body{font-family:-apple-system,Segoe UI,Helvetica,Arial,sans-serif;margin:2rem;color:#222}
+h1{font-size:1.5rem}h2{font-size:1.2rem;margin-top:2rem;border-bottom:1px solid #ddd;padding-bottom:.3rem}
+table{border-collapse:collapse;margin:.5rem 0;font-size:.9rem}
+th,td{border:1px solid #ddd;padding:.3rem .6rem;text-align:left}
+th{background:#f4f4f4}td.num{text-align:right;font-variant-numeric:tabular-nums}
+table.sortable th{cursor:pointer;user-select:none}
+table.sortable th[data-dir="asc"]::after{content:" \\25B2"}table.sortable th[data-dir="desc"]::after{content:" \\25BC"}
+code{font-size:.85rem}pre{background:#f7f7f7;padding:.8rem;overflow:auto}`;
+
+// Click a header to sort by that column; click again to reverse
+const HTML_SCRIPT = `document.querySelectorAll('table.sortable').forEach(function (table) {
+  table.querySelectorAll('th').forEach(function (th, col) {
+    th.addEventListener('click', function () {
+      var dir = th.dataset.dir === 'desc' ? 'asc' : 'desc';
+      table.querySelectorAll('th').forEach(function (h) { delete h.dataset.dir; });
+      th.dataset.dir = dir;
+      var body = table.tBodies[0];
+      var key = function (row) {
+        var td = row.cells[col];
+        if (td.dataset.value === undefined) return td.textContent.toLowerCase();
+        return td.dataset.value === '' ? -Infinity : parseFloat(td.dataset.value);
+      };
+      Array.from(body.rows).sort(function (a, b) {
+        var x = key(a), y = key(b);
+        var order = typeof x === 'number' && typeof y === 'number' ? x - y : String(x).localeCompare(String(y));
+        return dir === 'asc' ? order : -order;
+      }).forEach(function (row) { body.appendChild(row); });
+    });
+  });
+});`;
+
+/**
+ * Render the report document as a self-contained HTML page
+ * @param {Object} report - From buildReport
+ * @returns {string} - HTML (inline CSS and script, no external assets)
+ */
+function renderHtml(report) {
+  const { run, summary } = report;
+  const fixed = (value, digits) => (value === null || value === undefined ? { text: 'n/a', value: null } : { text: value.toFixed(digits), value });
+  const pct = value => (value === null || value === undefined ? { text: 'n/a', value: null } : { text: `${(value * 100).toFixed(1)}%`, value });
+  const diff = report.selection_diff;
+
+  const selectedRows = report.selected.map(a => [
+    a.rank, a.address, fixed(a.score, 4), pct(a.metrics.strict_win_rate ?? a.metrics.proxy_win_rate),
+    pct(a.metrics.shrunk_win_rate), a.metrics.closed_positions ?? 0, fixed(a.metrics.total_volume_usd, 2),
+    fixed(a.metrics.realized_pnl, 2), fixed(a.metrics.roi, 4), fixed(a.metrics.profit_factor, 2),
+    fixed(a.metrics.sharpe_ratio, 2), a.tags.join(', ')
+  ]);
+
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<title>Sync Run Report ${escapeHtml(run.id.slice(0, 8))}</title>
+<style>${HTML_STYLE}</style>
+</head>
+<body>
+<h1>Polymarket Winner Scanner - Sync Run Report</h1>
+<p><strong>Run ID</strong>: <code>${escapeHtml(run.id)}</code> &middot; <strong>Date</strong>: ${escapeHtml(run.started_at || 'N/A')} &middot; <strong>Status</strong>: ${escapeHtml(run.status)}</p>
+
+<h2>Summary</h2>
+${htmlTable(['Metric', 'Value'], [
+    ['Accounts Processed', summary.accounts_processed],
+    ['Accounts Selected', summary.accounts_selected],
+    ['Selection Window', summary.selection_window],
+    ['Selection Category', summary.selection_category],
+    ['Accounts Failed', summary.accounts_failed],
+    ['Suspicious Accounts', summary.suspicious_accounts],
+    ['Average Win Rate', pct(summary.avg_win_rate)],
+    ['Average Volume (USD)', fixed(summary.avg_volume_usd, 2)],
+    ['Average Score', fixed(summary.avg_score, 4)],
+    ['Top Score', fixed(summary.top_score, 4)],
+    ['Near Misses', summary.near_miss_count]
+  ], false)}
+
+<h2>Selected Accounts</h2>
+${report.selected.length > 0
+    ? htmlTable(['Rank', 'Address', 'Score', 'Win Rate', 'Shrunk Win Rate', 'Closed', 'Volume (USD)', 'PnL (USD)', 'ROI', 'Profit Factor', 'Sharpe', 'Tags'], selectedRows)
+    : '<p><em>No accounts selected in this run</em></p>'}
+
+<h2>Selection Changes</h2>
+${diff && diff.previous_run_id
+    ? `<p>Compared with run <code>${escapeHtml(diff.previous_run_id)}</code>: ${diff.added_count} new, ${diff.dropped_count} dropped, ${diff.retained_count} still selected; churn rate ${diff.churn_rate !== null ? `${(diff.churn_rate * 100).toFixed(1)}%` : 'n/a'}, average tenure ${diff.avg_tenure_runs} runs.</p>
+${diff.retained.length > 0 ? htmlTable(['Address', 'Rank', 'Rank Change', 'Score Change', 'Tenure (runs)'], diff.retained.map(a => [a.address, a.rank, a.rankDelta, a.scoreDelta, a.tenure])) : ''}`
+    : '<p><em>No earlier run to compare with</em></p>'}
+
+<h2>Market Consensus</h2>
+${report.consensus.markets.length > 0
+    ? htmlTable(['Market', 'Outcome', 'Holders', 'Holder Share', 'Exposure (USD)', 'Avg Entry', 'Current', 'Price Change', 'Net (USD)', 'Direction'], report.consensus.markets.map(m => [
+      m.title || m.condition_id, m.outcome, m.holders, pct(m.holder_share), fixed(m.exposure_usd, 2),
+      fixed(m.avg_entry_price, 4), fixed(m.current_price, 4), fixed(m.price_change, 4), fixed(m.net_exposure_usd, 2), m.net_direction
+    ]))
+    : '<p><em>No outcome is held by more than one selected account</em></p>'}
+
+<h2>Rejection Reasons</h2>
+${Object.keys(report.rejection_reasons).length > 0
+    ? htmlTable(['Reason', 'Accounts'], Object.entries(report.rejection_reasons).sort((a, b) => b[1] - a[1]))
+    : '<p><em>No rejection reasons recorded for this run</em></p>'}
+
+<h2>Near Misses</h2>
+${report.near_misses.length > 0
+    ? htmlTable(['Address', 'Score', 'Failed Criteria'], report.near_misses.map(a => [a.address, fixed(a.score, 4), a.failed_criteria.map(formatCriterion).join('; ')]))
+    : '<p><em>No near misses in this run</em></p>'}
+
+<h2>Discovery Yield</h2>
+${Object.keys(report.discovery_yield).length > 0
+    ? htmlTable(['Method', 'Candidates', 'Processed', 'Selected', 'Yield'], Object.entries(report.discovery_yield).map(([method, y]) => [method, y.candidates, y.processed, y.selected, pct(y.yield)]))
+    : '<p><em>No discovery provenance recorded for this run</em></p>'}
+
+<h2>Errors</h2>
+${report.error_summary.hasErrors
+    ? htmlTable(['Error Type', 'Count'], Object.entries(report.error_summary.errorsByType || {}))
+    : '<p><em>No errors occurred during this run</em></p>'}
+
+<h2>Configuration</h2>
+<pre>${escapeHtml(JSON.stringify(run.config, null, 2))}</pre>
+
+<p><em>Generated by polymarket-winner-scanner at ${escapeHtml(report.generated_at)} (report schema v${report.schema_version})</em></p>
+<script>${HTML_SCRIPT}</script>
+</body>
+</html>
+`;
+}
+
+/**
+ * Render a report document in one format
+ * @param {Object} report - From buildReport
+ * @param {string} format - Key of REPORT_FORMATS
+ * @param {Object} options - Renderer options (md: { top })
+ * @returns {string} - Rendered report
+ */
+function renderReport(report, format, options = {}) {
+  switch (format) {
+    case 'md':
+      return renderMarkdown(report, options);
+    case 'json':
+      return renderJson(report);
+    case 'csv':
+      return renderCsv(report);
+    case 'html':
+      return renderHtml(report);
+  }
+  throw new Error(`Unknown report format '${format}'`);
+}
+
+module.exports = {
+  REPORT_SCHEMA,
+  REPORT_SCHEMA_VERSION,
+  REPORT_FORMATS,
+  parseFormats,
+  buildReport,
+  renderReport,
+  renderMarkdown,
+  renderJson,
+  renderCsv,
+  renderHtml
+};
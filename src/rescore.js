@@ -0,0 +1,419 @@
+/**
+ * Offline re-scoring entry point
+ *
+ * Replays the raw positions and activity stored for a past run through
+ * calculateMetrics -> AccountScorer -> AccountSelector with new parameters,
+ * and writes the result as a new 'derived' run that references its parent.
+ * No API calls are made.
+ *
+ * Usage: npm run rescore -- <run-id> [options]
+ * Options:
+ *   --scorer <name>          Start from a named strategy instead of the parent's scoring config
+ *   --scoring-profile <f>    JSON/YAML scoring profile applied on top of the strategy
+ *   --win-rate-weight <w>    Scorer weight for win rate (default: 0.5)
+ *   --volume-weight <w>      Scorer weight for volume (default: 0.3)
+ *   --confidence-weight <w>  Scorer weight for confidence (default: 0.2)
+ *   --roi-weight <w>         Scorer weight for ROI (default: 0)
+ *   --profit-factor-weight <w>  Scorer weight for profit factor (default: 0)
+ *   --sharpe-weight <w>      Scorer weight for the Sharpe-like ratio (default: 0)
+ *   --drawdown-weight <w>    Scorer penalty for drawdown / capital deployed (default: 0)
+ *   --suspicion-weight <w>   Scorer penalty for wash-trading suspicion (default: 0.2)
+ *   --win-rate-basis <b>     Win rate in the score: shrunk, lower_bound, raw or edge
+ *   --prior <mode>           Beta prior: fixed or population
+ *   --prior-alpha <a>        Fixed prior pseudo-wins
+ *   --prior-beta <b>         Fixed prior pseudo-losses
+ *   --min-trades <n>         Selection thresholds (default: parent run's config)
+ *   --min-volume <v>
+ *   --min-winrate <r>
+ *   --min-confidence <r>
+ *   --min-winrate-lb <r>
+ *   --min-roi <r>
+ *   --min-profit-factor <f>
+ *   --min-sharpe <s>
+ *   --max-drawdown <usd>
+ *   --top-n <n>
+ *   --near-miss-margin <r>
+ *   --window <w>             Filter and rank on 7d, 30d, 90d or all metrics
+ *   --category <c>           Filter and rank on one market category (use "all" to drop the parent's)
+ *   --include-suspicious     Keep accounts tagged suspicious_* in the selection
+ *   --exclude-suspicious     Reject them (the default, unless the parent run kept them)
+ *   --rule <expr>            Selection rule (repeatable; replaces the parent run's rules)
+ *   --rules-file <path>      File with one selection rule per line
+ *
+ * Rolling windows end at the source run's start time, so re-scoring the
+ * same run always sees the same windows. Market categories come from the
+ * markets table only; markets never cached count as 'other'.
+ *
+ * Derived runs write snapshots and selected accounts only; the accounts
+ * master table keeps the values from the last real sync.
+ */
+
+const { PolymarketCollector } = require('./collector');
+const { AccountScorer } = require('./scorer');
+const { createScorer, loadProfile } = require('./strategies');
+const { AccountSelector } = require('./selector');
+const { loadRulesFile } = require('./rules');
+const { toSelection, buildSelectionDiff } = require('./churn');
+const { buildConsensus, summarizeConsensus } = require('./holdings');
+const { MarketCatalog } = require('./markets');
+const { findCounterpartyOverlaps } = require('./wash');
+const { Storage } = require('./storage');
+const { close } = require('./db');
+require('dotenv').config();
+
+function showHelp() {
+  console.log(`
+Usage: npm run rescore -- <run-id> [options]
+
+Re-score a past run from its stored raw data and save the result as a derived run.
+
+Options:
+  --scorer <name>          Scoring strategy: weighted, bayesian, pnl or custom (default: parent run's scoring config)
+  --scoring-profile <f>    JSON/YAML scoring profile (weights, normalization caps, tag thresholds)
+  --win-rate-weight <w>    Scorer weight for win rate (default: 0.5)
+  --volume-weight <w>      Scorer weight for volume (default: 0.3)
+  --confidence-weight <w>  Scorer weight for confidence (default: 0.2)
+  --roi-weight <w>         Scorer weight for ROI (default: parent run's value)
+  --profit-factor-weight <w>  Scorer weight for profit factor (default: parent run's value)
+  --sharpe-weight <w>      Scorer weight for the Sharpe-like ratio (default: parent run's value)
+  --drawdown-weight <w>    Scorer penalty for drawdown / capital deployed (default: parent run's value)
+  --suspicion-weight <w>   Scorer penalty for wash-trading suspicion (default: parent run's value)
+  --win-rate-basis <b>     Win rate in the score: shrunk, lower_bound, raw or edge (default: parent run's value)
+  --prior <mode>           Beta prior: fixed or population (default: parent run's value)
+  --prior-alpha <a>        Fixed prior pseudo-wins (default: parent run's value)
+  --prior-beta <b>         Fixed prior pseudo-losses (default: parent run's value)
+  --min-trades <n>         Minimum trade count (default: parent run's value)
+  --min-volume <v>         Minimum volume in USD (default: parent run's value)
+  --min-winrate <r>        Minimum win rate 0-1 (default: parent run's value)
+  --min-confidence <r>     Minimum confidence score (default: parent run's value)
+  --min-winrate-lb <r>     Minimum Wilson lower bound of the win rate (default: parent run's value)
+  --min-roi <r>            Minimum ROI on capital deployed (default: parent run's value)
+  --min-profit-factor <f>  Minimum profit factor (default: parent run's value)
+  --min-sharpe <s>         Minimum Sharpe-like ratio (default: parent run's value)
+  --max-drawdown <usd>     Maximum drawdown of realized PnL in USD (default: parent run's value)
+  --top-n <n>              Number of top accounts to select (default: parent run's value)
+  --near-miss-margin <r>   Near-miss margin as a fraction of each failed threshold (default: parent run's value)
+  --window <w>             Filter and rank on 7d, 30d, 90d or all metrics (default: parent run's value)
+  --category <c>           Filter and rank on one market category, or all (default: parent run's value)
+  --include-suspicious     Keep accounts tagged suspicious_* (wash trading) in the selection
+  --exclude-suspicious     Reject accounts tagged suspicious_* (default, unless the parent run kept them)
+  --rule <expr>            Selection rule that must hold (repeatable; default: parent run's rules)
+  --rules-file <path>      Load selection rules from a file (replaces the parent run's rules)
+  --help, -h               Show this help message
+
+Example:
+  npm run rescore -- 3f2b... --win-rate-weight 0.7 --volume-weight 0.2 --confidence-weight 0.1
+  npm run rescore -- 3f2b... --window 30d
+  npm run rescore -- 3f2b... --category politics --rule "tag politics_specialist"
+  npm run rescore -- 3f2b... --rule "tag consistent_winner" --rule "exclude address in @./blocklist.txt"
+  npm run rescore -- 3f2b... --roi-weight 0.2 --drawdown-weight 0.1 --min-profit-factor 1.2
+  npm run rescore -- 3f2b... --scorer custom --scoring-profile ./profiles/scoring.example.yaml
+`);
+  process.exit(0);
+}
+
+function parseArgs() {
+  const args = process.argv.slice(2);
+  const options = {
+    parentRunId: null,
+    strategy: null,
+    profileFile: null,
+    rules: [],
+    rulesFile: null,
+    scoring: {},
+    selection: {}
+  };
+
+  for (let i = 0; i < args.length; i++) {
+    switch (args[i]) {
+      case '--help':
+      case '-h':
+        showHelp();
+        break;
+      case '--scorer':
+        options.strategy = args[++i];
+        break;
+      case '--scoring-profile':
+        options.profileFile = args[++i];
+        break;
+      case '--win-rate-weight':
+        options.scoring.winRateWeight = parseFloat(args[++i]);
+        break;
+      case '--volume-weight':
+        options.scoring.volumeWeight = parseFloat(args[++i]);
+        break;
+      case '--confidence-weight':
+        options.scoring.confidenceWeight = parseFloat(args[++i]);
+        break;
+      case '--roi-weight':
+        options.scoring.roiWeight = parseFloat(args[++i]);
+        break;
+      case '--profit-factor-weight':
+        options.scoring.profitFactorWeight = parseFloat(args[++i]);
+        break;
+      case '--sharpe-weight':
+        options.scoring.sharpeWeight = parseFloat(args[++i]);
+        break;
+      case '--drawdown-weight':
+        options.scoring.drawdownWeight = parseFloat(args[++i]);
+        break;
+      case '--suspicion-weight':
+        options.scoring.suspicionWeight = parseFloat(args[++i]);
+        break;
+      case '--win-rate-basis':
+        options.scoring.winRateBasis = args[++i];
+        break;
+      case '--prior':
+        options.scoring.priorMode = args[++i];
+        break;
+      case '--prior-alpha':
+        options.scoring.priorAlpha = parseFloat(args[++i]);
+        break;
+      case '--prior-beta':
+        options.scoring.priorBeta = parseFloat(args[++i]);
+        break;
+      case '--min-trades':
+        options.selection.minTrades = parseInt(args[++i]);
+        break;
+      case '--min-volume':
+        options.selection.minVolumeUsd = parseFloat(args[++i]);
+        break;
+      case '--min-winrate':
+        options.selection.minWinRate = parseFloat(args[++i]);
+        break;
+      case '--min-confidence':
+        options.selection.minConfidence = parseFloat(args[++i]);
+        break;
+      case '--min-winrate-lb':
+        options.selection.minWinRateLowerBound = parseFloat(args[++i]);
+        break;
+      case '--min-roi':
+        options.selection.minRoi = parseFloat(args[++i]);
+        break;
+      case '--min-profit-factor':
+        options.selection.minProfitFactor = parseFloat(args[++i]);
+        break;
+      case '--min-sharpe':
+        options.selection.minSharpe = parseFloat(args[++i]);
+        break;
+      case '--max-drawdown':
+        options.selection.maxDrawdown = parseFloat(args[++i]);
+        break;
+      case '--top-n':
+        options.selection.topN = parseInt(args[++i]);
+        break;
+      case '--near-miss-margin':
+        options.selection.nearMissMargin = parseFloat(args[++i]);
+        break;
+      case '--window':
+        options.selection.window = args[++i];
+        break;
+      case '--category':
+        options.selection.category = args[++i] === 'all' ? null : args[i];
+        break;
+      case '--include-suspicious':
+        options.selection.excludeSuspicious = false;
+        break;
+      case '--exclude-suspicious':
+        options.selection.excludeSuspicious = true;
+        break;
+      case '--rule':
+        options.rules.push(args[++i]);
+        break;
+      case '--rules-file':
+        options.rulesFile = args[++i];
+        break;
+      default:
+        if (!args[i].startsWith('--') && !options.parentRunId) {
+          options.parentRunId = args[i];
+        }
+    }
+  }
+
+  return options;
+}
+
+/**
+ * Main rescore function
+ */
+async function main() {
+  const options = parseArgs();
+  if (!options.parentRunId) {
+    console.error('[Rescore] Missing run id. Usage: npm run rescore -- <run-id> [options]');
+    process.exit(1);
+  }
+
+  const storage = new Storage({ logger: console });
+  let runId;
+
+  try {
+    // Step 1: Resolve parent run and the run that holds its raw data
+    const parentRun = await storage.getRun(options.parentRunId);
+    if (!parentRun) {
+      throw new Error(`Run not found: ${options.parentRunId}`);
+    }
+    const sourceRunId = parentRun.run_type === 'derived' && parentRun.parent_run_id
+      ? parentRun.parent_run_id
+      : parentRun.id;
+    const sourceRun = sourceRunId === parentRun.id ? parentRun : await storage.getRun(sourceRunId);
+    const asOf = new Date(sourceRun.started_at).getTime();
+
+    // Step 2: Build config from parent run + overrides
+    if (options.rulesFile || options.rules.length > 0) {
+      options.selection.rules = [
+        ...(options.rulesFile ? loadRulesFile(options.rulesFile) : []),
+        ...options.rules
+      ];
+    }
+    const config = {
+      ...(parentRun.config || {}),
+      ...options.selection,
+      rescoredFrom: parentRun.id
+    };
+
+    // A strategy or profile starts scoring afresh; otherwise tweak the parent's scorer
+    let scorer;
+    if (options.strategy || options.profileFile) {
+      const profile = options.profileFile ? loadProfile(options.profileFile) : null;
+      scorer = createScorer({ strategy: options.strategy, profile, overrides: options.scoring });
+      config.scorer = scorer.strategy;
+      config.scoringProfile = profile;
+    } else {
+      scorer = new AccountScorer({
+        ...(parentRun.scoring_config || {}),
+        ...options.scoring
+      });
+    }
+
+    const selector = new AccountSelector({
+      minTrades: config.minTrades,
+      minVolume: config.minVolumeUsd,
+      minWinRate: config.minWinRate,
+      minConfidence: config.minConfidence,
+      minWinRateLowerBound: config.minWinRateLowerBound,
+      minRoi: config.minRoi,
+      minProfitFactor: config.minProfitFactor,
+      minSharpe: config.minSharpe,
+      maxDrawdown: config.maxDrawdown,
+      topN: config.topN,
+      window: config.window,
+      category: config.category,
+      excludeSuspicious: config.excludeSuspicious,
+      rules: config.rules,
+      nearMissMargin: config.nearMissMargin
+    });
+
+    console.log(`[Rescore] Re-scoring run ${parentRun.id} (raw data from ${sourceRunId})`);
+    console.log('[Rescore] Scoring config:', scorer.getConfig());
+    console.log('[Rescore] Selection criteria:', selector.getCriteria());
+
+    // Step 3: Load raw data
+    const rawData = await storage.loadRawData(sourceRunId);
+    if (rawData.size === 0) {
+      throw new Error(`No raw data stored for run ${sourceRunId}`);
+    }
+
+    runId = await storage.createRun(config, {
+      runType: 'derived',
+      parentRunId: parentRun.id,
+      scoringConfig: scorer.getConfig()
+    });
+    console.log(`[Rescore] Created derived run: ${runId}`);
+
+    // Step 4: Rebuild metrics, score, select
+    const collector = new PolymarketCollector({ logger: console });
+    const catalog = new MarketCatalog({ storage, logger: console });
+    const conditionIdsOf = raw => [...raw.closedPositions, ...raw.activity].map(r => r.conditionId);
+    await catalog.categoriesFor([...rawData.values()].flatMap(conditionIdsOf));
+    const overlaps = findCounterpartyOverlaps(new Map([...rawData].map(([address, raw]) => [address, raw.activity])));
+    const metricsResults = [];
+    for (const [address, raw] of rawData) {
+      const marketCategories = await catalog.categoriesFor(conditionIdsOf(raw));
+      const metrics = collector.calculateMetrics(address, raw.positions, raw.closedPositions, raw.activity, { asOf, marketCategories });
+      metrics.historyTruncated = raw.historyTruncated;
+      if (overlaps.has(address)) metrics.wash = { ...metrics.wash, ...overlaps.get(address) };
+      metricsResults.push(metrics);
+    }
+
+    const scoredAccounts = scorer.scoreBatch(metricsResults);
+    const selectionResult = selector.select(scoredAccounts);
+    console.log(`[Rescore] Selected ${selectionResult.selected.length} accounts (from ${selectionResult._stats.passedFilters} passed filters, ${selectionResult._stats.nearMissCount} near misses)`);
+
+    // Step 5: Store snapshots and selection
+    const errors = [];
+    let snapshotCount = 0;
+    for (const account of scoredAccounts) {
+      try {
+        await storage.createMetricsSnapshot(runId, account);
+        snapshotCount++;
+      } catch (error) {
+        errors.push({ address: account.address, type: 'storage_failure', message: error.message });
+      }
+    }
+
+    if (selectionResult.selected.length > 0) {
+      await storage.recordSelectedAccounts(runId, selectionResult.selected);
+    }
+    await storage.recordRejectedAccounts(runId, selectionResult.rejected);
+    
+    // Compare with the previous run's selection
+    const previousSelections = await storage.loadPreviousSelections(runId);
+    const selectionDiff = buildSelectionDiff({
+      previousRunId: previousSelections.previousRunId,
+      current: toSelection(selectionResult.selected),
+      history: previousSelections.history
+    });
+    
+    // Market consensus of the new selection, from the source run's positions
+    const consensus = buildConsensus(await storage.loadSelectedOpenPositions(runId, sourceRunId));
+    await storage.recordConsensus(runId, consensus.markets);
+
+    // Discovery provenance comes from the source run's work queue
+    const queue = await storage.loadRunAddresses(sourceRunId);
+    const provenance = new Map(queue.map(r => [r.address, r.discovery || []]));
+
+    const errorSummary = storage.generateErrorSummary(errors);
+    await storage.completeRun(runId, {
+      accounts_processed: snapshotCount,
+      accounts_selected: selectionResult.selected.length,
+      accounts_failed: errors.length,
+      accounts_truncated: scoredAccounts.filter(a => a.historyTruncated).length,
+      parent_run_id: parentRun.id,
+      source_run_id: sourceRunId,
+      selection_summary: selectionResult.summary,
+      rule_rejections: selectionResult._stats.ruleRejections,
+      rejection_reasons: selectionResult._stats.rejectionReasons,
+      near_miss_count: selectionResult._stats.nearMissCount,
+      suspicious_accounts: scoredAccounts.filter(a => a.suspicionScore > 0).length,
+      selection_diff: selectionDiff,
+      consensus: summarizeConsensus(consensus),
+      market_metadata: catalog.getStats(),
+      win_rate_prior: { mode: scorer.priorMode, alpha: scorer.priorAlpha, beta: scorer.priorBeta },
+      discovery_yield: storage.generateDiscoveryYield(
+        provenance, scoredAccounts.map(a => a.address), selectionResult.selected.map(a => a.address)
+      ),
+      error_summary: errorSummary,
+      config_used: config
+    });
+
+    console.log('\n========== Rescore Complete ==========');
+    console.log(`Derived run ID: ${runId}`);
+    console.log(`Parent run ID: ${parentRun.id}`);
+    console.log(`Accounts rescored: ${snapshotCount}`);
+    console.log(`Accounts selected: ${selectionResult.selected.length}`);
+    console.log(`Average score: ${selectionResult.summary.avgScore.toFixed(4)}`);
+    console.log(`Vs parent: +${selectionDiff.added_count} new, -${selectionDiff.dropped_count} dropped, ${selectionDiff.retained_count} retained (churn ${((selectionDiff.churn_rate ?? 0) * 100).toFixed(1)}%)`);
+    console.log('======================================\n');
+
+  } catch (error) {
+    console.error('[Rescore] Rescore failed:', error);
+    if (runId) {
+      await storage.failRun(runId, error.message);
+    }
+    process.exit(1);
+  } finally {
+    await close();
+  }
+}
+
+main();
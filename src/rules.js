@@ -0,0 +1,316 @@
+/**
+ * Selection rules - a small expression language for AccountSelector
+ *
+ *   (winRate >= 0.6 AND closed >= 30) OR (roi >= 0.5 AND volume >= 50k)
+ *   tag consistent_winner
+ *   lastActive within 14d
+ *   exclude address in @./blocklist.txt
+ *   exclude address in [0xabc..., 0xdef...]
+ *
+ * Every rule must hold for an account to be selected; a rule starting with
+ * `exclude` rejects the accounts its expression matches. Supported syntax:
+ * - AND / OR / NOT (also && || !) and parentheses; AND binds tighter than OR
+ * - <field> >= <= > < == != <value>; numbers take k / m / b suffixes and %
+ * - tag <reason_tag>
+ * - <field> in [a, b, ...] or <field> in @<file> (one value per line, # comments)
+ * - <field> within <n>d|h|w, measured back from the metrics' asOf time
+ * A missing metric (null) fails every comparison.
+ */
+
+const fs = require('fs');
+
+// Rule field -> scored account value
+const FIELDS = {
+  address: a => a.address,
+  winRate: a => a.strictWinRate ?? a.proxyWinRate,
+  strictWinRate: a => a.strictWinRate,
+  proxyWinRate: a => a.proxyWinRate,
+  shrunkWinRate: a => a.shrunkWinRate,
+  winRateLb: a => a.winRateLowerBound,
+  closed: a => a.closedPositions,
+  wins: a => a.winCount,
+  losses: a => a.lossCount,
+  trades: a => a.totalTrades,
+  volume: a => a.totalVolumeUsd,
+  pnl: a => a.realizedPnl,
+  confidence: a => a.confidenceScore,
+  score: a => a.compositeScore,
+  roi: a => a.roi,
+  profitFactor: a => a.profitFactor,
+  sharpe: a => a.sharpeRatio,
+  drawdown: a => a.maxDrawdown,
+  capital: a => a.capitalDeployed,
+  edge: a => a.meanEdge,
+  brier: a => a.brierScore,
+  entryPrice: a => a.avgEntryPrice,
+  lastActive: a => a.lastActiveAt
+};
+
+const NUMBER_SUFFIXES = { k: 1e3, m: 1e6, b: 1e9, '%': 0.01 };
+const DURATION_MS = { h: 3600000, d: 86400000, w: 7 * 86400000 };
+
+const TOKEN_PATTERN = /\s*(?:(\(|\)|\[|\]|,)|(>=|<=|==|!=|&&|\|\||>|<|=|!)|(0x[0-9a-fA-F]+)|(-?\d+(?:\.\d+)?)([kmbKMB%]|[hdw])?(?![\w.])|@(\S+)|"([^"]*)"|'([^']*)'|([A-Za-z_][\w.]*))/y;
+
+/**
+ * Split a rule into tokens
+ * @param {string} text - Rule text
+ * @returns {Array} - [{ type, value }]
+ */
+function tokenize(text) {
+  const tokens = [];
+  TOKEN_PATTERN.lastIndex = 0;
+  while (TOKEN_PATTERN.lastIndex < text.length) {
+    if (/^\s*$/.test(text.slice(TOKEN_PATTERN.lastIndex))) break;
+    const start = TOKEN_PATTERN.lastIndex;
+    const m = TOKEN_PATTERN.exec(text);
+    if (!m) {
+      throw new Error(`Unexpected input at '${text.slice(start).trim()}'`);
+    }
+    const [, punct, op, hex, num, suffix, file, dq, sq, word] = m;
+    if (punct) tokens.push({ type: punct });
+    else if (op) tokens.push({ type: 'op', value: { '&&': 'AND', '||': 'OR', '!': 'NOT', '=': '==' }[op] || op });
+    else if (hex) tokens.push({ type: 'string', value: hex.toLowerCase() });
+    else if (num !== undefined) {
+      const unit = suffix?.toLowerCase();
+      if (unit && DURATION_MS[unit]) tokens.push({ type: 'duration', value: parseFloat(num) * DURATION_MS[unit] });
+      else tokens.push({ type: 'number', value: parseFloat(num) * (NUMBER_SUFFIXES[unit] ?? 1) });
+    }
+    else if (file) tokens.push({ type: 'file', value: file });
+    else if (dq !== undefined || sq !== undefined) tokens.push({ type: 'string', value: dq ?? sq });
+    else {
+      const upper = word.toUpperCase();
+      if (upper === 'AND' || upper === 'OR' || upper === 'NOT') tokens.push({ type: 'op', value: upper });
+      else tokens.push({ type: 'word', value: word });
+    }
+  }
+  return tokens;
+}
+
+/**
+ * Read a list file: one value per line, blank lines and # comments skipped
+ * @param {string} filePath - Path (relative to the working directory)
+ * @returns {Array} - Lower-cased values
+ */
+function readListFile(filePath) {
+  return fs.readFileSync(filePath, 'utf8')
+    .split('\n')
+    .map(line => line.replace(/#.*/, '').trim().toLowerCase())
+    .filter(Boolean);
+}
+
+/**
+ * Recursive-descent parser over the token list
+ */
+class RuleParser {
+  constructor(tokens) {
+    this.tokens = tokens;
+    this.pos = 0;
+  }
+
+  peek() {
+    return this.tokens[this.pos];
+  }
+
+  next() {
+    return this.tokens[this.pos++];
+  }
+
+  expect(type, value) {
+    const token = this.next();
+    if (!token || token.type !== type || (value !== undefined && token.value !== value)) {
+      throw new Error(`Expected ${value ?? type} but found ${token ? (token.value ?? token.type) : 'end of rule'}`);
+    }
+    return token;
+  }
+
+  isOp(value) {
+    const token = this.peek();
+    return token && token.type === 'op' && token.value === value;
+  }
+
+  parse() {
+    const node = this.parseOr();
+    if (this.pos < this.tokens.length) {
+      const token = this.peek();
+      throw new Error(`Unexpected ${token.value ?? token.type}`);
+    }
+    return node;
+  }
+
+  parseOr() {
+    const nodes = [this.parseAnd()];
+    while (this.isOp('OR')) {
+      this.next();
+      nodes.push(this.parseAnd());
+    }
+    return nodes.length === 1 ? nodes[0] : { type: 'or', nodes };
+  }
+
+  parseAnd() {
+    const nodes = [this.parseNot()];
+    while (this.isOp('AND')) {
+      this.next();
+      nodes.push(this.parseNot());
+    }
+    return nodes.length === 1 ? nodes[0] : { type: 'and', nodes };
+  }
+
+  parseNot() {
+    if (this.isOp('NOT')) {
+      this.next();
+      return { type: 'not', node: this.parseNot() };
+    }
+    return this.parsePrimary();
+  }
+
+  parsePrimary() {
+    const token = this.next();
+    if (!token) throw new Error('Unexpected end of rule');
+
+    if (token.type === '(') {
+      const node = this.parseOr();
+      this.expect(')');
+      return node;
+    }
+    if (token.type !== 'word') {
+      throw new Error(`Expected a field or 'tag' but found ${token.value ?? token.type}`);
+    }
+
+    if (token.value === 'tag') {
+      return { type: 'tag', tag: this.expect('word').value };
+    }
+
+    const field = token.value;
+    if (!(field in FIELDS)) {
+      throw new Error(`Unknown field '${field}' (expected one of: ${Object.keys(FIELDS).join(', ')}, tag)`);
+    }
+
+    const keyword = this.peek();
+    if (keyword?.type === 'word' && keyword.value === 'in') {
+      this.next();
+      return { type: 'in', field, values: new Set(this.parseList()) };
+    }
+    if (keyword?.type === 'word' && keyword.value === 'within') {
+      this.next();
+      return { type: 'within', field, ms: this.expect('duration').value };
+    }
+
+    const op = this.expect('op').value;
+    if (!['>=', '<=', '>', '<', '==', '!='].includes(op)) {
+      throw new Error(`Expected a comparison after '${field}' but found ${op}`);
+    }
+    const value = this.next();
+    if (!value || !['number', 'string', 'word'].includes(value.type)) {
+      throw new Error(`Expected a value after '${field} ${op}'`);
+    }
+    return { type: 'compare', field, op, value: value.value };
+  }
+
+  parseList() {
+    const token = this.next();
+    if (token?.type === 'file') return readListFile(token.value);
+    if (token?.type !== '[') throw new Error("Expected '[' or @file after 'in'");
+
+    const values = [];
+    while (this.peek() && this.peek().type !== ']') {
+      const value = this.next();
+      if (!['number', 'string', 'word'].includes(value.type)) {
+        throw new Error(`Unexpected ${value.value ?? value.type} in list`);
+      }
+      values.push(typeof value.value === 'string' ? value.value.toLowerCase() : value.value);
+      if (this.peek()?.type === ',') this.next();
+    }
+    this.expect(']');
+    return values;
+  }
+}
+
+/**
+ * Parse one rule
+ * @param {string} text - Rule text, optionally starting with `exclude`
+ * @returns {Object} - { text, exclude, ast }
+ */
+function parseRule(text) {
+  const trimmed = text.trim();
+  const exclude = /^exclude\s/i.test(trimmed);
+  const body = exclude ? trimmed.replace(/^exclude\s+/i, '') : trimmed;
+  try {
+    return { text: trimmed, exclude, ast: new RuleParser(tokenize(body)).parse() };
+  } catch (error) {
+    throw new Error(`Invalid selection rule '${trimmed}': ${error.message}`);
+  }
+}
+
+/**
+ * Read rules from a file: one rule per line, blank lines and # comments skipped
+ * @param {string} filePath - Path to the rules file
+ * @returns {Array} - Rule texts
+ */
+function loadRulesFile(filePath) {
+  return fs.readFileSync(filePath, 'utf8')
+    .split('\n')
+    .map(line => line.replace(/(^|\s)#.*/, '').trim())
+    .filter(Boolean);
+}
+
+/**
+ * Evaluate an expression node against an account
+ * @param {Object} node - AST node
+ * @param {Object} account - Scored account
+ * @returns {boolean} - Whether the expression holds
+ */
+function evaluateNode(node, account) {
+  switch (node.type) {
+    case 'or':
+      return node.nodes.some(n => evaluateNode(n, account));
+    case 'and':
+      return node.nodes.every(n => evaluateNode(n, account));
+    case 'not':
+      return !evaluateNode(node.node, account);
+    case 'tag':
+      return (account.reasonTags || []).includes(node.tag);
+    case 'in': {
+      const value = FIELDS[node.field](account);
+      if (value === null || value === undefined) return false;
+      return node.values.has(typeof value === 'string' ? value.toLowerCase() : value);
+    }
+    case 'within': {
+      const value = FIELDS[node.field](account);
+      if (value === null || value === undefined) return false;
+      const asOf = account.asOf ?? Date.now();
+      return asOf - new Date(value).getTime() <= node.ms;
+    }
+    case 'compare': {
+      let value = FIELDS[node.field](account);
+      if (value === null || value === undefined) return false;
+      let target = node.value;
+      if (typeof value === 'string' && typeof target === 'string') {
+        value = value.toLowerCase();
+        target = target.toLowerCase();
+      }
+      switch (node.op) {
+        case '>=': return value >= target;
+        case '<=': return value <= target;
+        case '>': return value > target;
+        case '<': return value < target;
+        case '==': return value === target;
+        case '!=': return value !== target;
+      }
+      return false;
+    }
+  }
+  throw new Error(`Unknown rule node '${node.type}'`);
+}
+
+/**
+ * Check an account against a parsed rule
+ * @param {Object} rule - Parsed rule from parseRule
+ * @param {Object} account - Scored account
+ * @returns {boolean} - True if the account passes (for exclusions: is not matched)
+ */
+function evaluateRule(rule, account) {
+  const matches = evaluateNode(rule.ast, account);
+  return rule.exclude ? !matches : matches;
+}
+
+module.exports = { parseRule, loadRulesFile, evaluateRule, RULE_FIELDS: Object.keys(FIELDS) };
@@ -6,31 +6,97 @@
  *   --min-trades <n>      Minimum trade count (default: 50)
  *   --min-volume <v>      Minimum volume in USD (default: 5000)
  *   --min-winrate <r>     Minimum win rate (default: 0.58)
+ *   --min-winrate-lb <r>  Minimum Wilson lower bound of the win rate (default: 0 = off)
+ *   --min-roi <r>         Minimum ROI on capital deployed (default: off)
+ *   --min-profit-factor <f> Minimum profit factor (default: off)
+ *   --min-sharpe <s>      Minimum Sharpe-like ratio of per-position returns (default: off)
+ *   --max-drawdown <usd>  Maximum drawdown of realized PnL (default: off)
+ *   --rule <expr>         Selection rule that must hold, e.g. "tag consistent_winner" (repeatable)
+ *   --rules-file <path>   File with one selection rule per line
  *   --top-n <n>           Number of top accounts to select (default: 100)
+ *   --near-miss-margin <r> Rejected accounts within this fraction of every failed threshold are near misses (default: 0.1)
  *   --seed-file <path>    Path to seed addresses file
  *   --discover <n>        Discover N traders from recent trades
+ *   --discover-market <m> Discover all participants of a market (conditionId or slug, repeatable)
+ *   --max-history <n>     Per-account ceiling on paged history records (default: 5000)
+ *   --concurrency <n>     Accounts fetched in parallel (default: 4)
+ *   --window <w>          Filter and rank on 7d, 30d, 90d or all metrics (default: all)
+ *   --category <c>        Filter and rank on one market category, e.g. sports (default: all markets)
+ *   --include-suspicious  Keep accounts tagged suspicious_* (wash trading) in the selection
+ *   --scorer <name>       Scoring strategy: weighted, bayesian, pnl or custom (default: bayesian)
+ *   --scoring-profile <f> JSON/YAML profile with weights, caps and tag thresholds
+ *   --win-rate-basis <b>  Win rate in the score: shrunk, lower_bound, raw or edge (default: shrunk)
+ *   --prior <mode>        Beta prior for shrinkage: fixed or population (default: fixed)
+ *   --prior-alpha <a>     Fixed prior pseudo-wins (default: 5)
+ *   --prior-beta <b>      Fixed prior pseudo-losses (default: 5)
+ *   --resume <runId>      Resume a failed or stale run from its checkpoints
+ *   --webhook <spec>      Notify a webhook when the run completes or fails: <url> or
+ *                         json=|slack=|discord=<url> (repeatable)
+ * 
+ * Checkpointing:
+ * - Every address is queued in run_addresses and moves through
+ *   pending -> fetched -> scored -> stored (or failed)
+ * - --resume reprocesses only addresses not yet stored (including failed
+ *   ones), rebuilds the stored ones from raw data, and selects over all
+ * - Live runs refresh a heartbeat; running runs without one for
+ *   STALE_RUN_MINUTES are marked 'stale' and become resumable
  * 
  * Transaction boundaries:
  * - Run creation is atomic
+ * - Each work-queue status update is atomic
  * - Each account upsert is a single transaction
+ * - Raw positions/activity for an account are a single transaction
  * - Selected accounts batch is a single transaction
+ * - Market consensus of the selection is a single transaction
  * - Run completion/failure is atomic
  * 
+ * Market metadata:
+ * - Markets traded by the accounts are looked up in the markets table;
+ *   missing and stale open ones are fetched from the Gamma API, once per run
+ * - If the lookup fails for an account, its per-category breakdown is left out
+ * 
+ * Wash trading:
+ * - Round trips and zero-PnL churn are measured per account as it is scored
+ * - Trades shared with other wallets of the run are matched once every
+ *   account is in; accounts with shared trades are re-scored and their
+ *   snapshots refreshed
+ * - Accounts tagged suspicious_* are penalized and, unless
+ *   --include-suspicious, rejected by the selector
+ * 
+ * Concurrency:
+ * - Accounts are fetched by a bounded worker pool; the per-endpoint
+ *   sliding-window rate limiters are shared, so throughput never exceeds them
+ * - Rate limiter counters (waits, throttled time, 429s) are stored in run stats
+ * - Results and errors are collected in address order regardless of
+ *   completion order
+ * 
  * Partial failure strategy:
  * - If an account fails to fetch, it's logged and skipped (not blocking)
  * - If storage fails for an account, the run continues with other accounts
  * - Error summary is generated at the end and stored in run stats
+ * - Webhook notifications are sent after completeRun / failRun; a failed
+ *   notification is logged and does not change the run's outcome
  */
 
 const { PolymarketCollector } = require('./collector');
-const { AccountScorer } = require('./scorer');
+const { createScorer, loadProfile } = require('./strategies');
 const { AccountSelector } = require('./selector');
+const { loadRulesFile } = require('./rules');
+const { toSelection, buildSelectionDiff } = require('./churn');
+const { buildConsensus, summarizeConsensus } = require('./holdings');
+const { MarketCatalog } = require('./markets');
+const { findCounterpartyOverlaps } = require('./wash');
+const { Notifier, parseWebhookSpec, parseWebhookList } = require('./notifier');
 const { Storage } = require('./storage');
+const { mapWithConcurrency } = require('./pool');
 const { close } = require('./db');
 require('dotenv').config();
 
 const VERSION = '1.0.0';
 
+// How often a live run refreshes runs.heartbeat_at
+const HEARTBEAT_INTERVAL_MS = 60000;
+
 function showHelp() {
   console.log(`
 polymarket-winner-scanner v${VERSION}
@@ -41,19 +107,55 @@ Options:
   --min-trades <n>       Minimum trade count (default: 50)
   --min-volume <v>       Minimum volume in USD (default: 5000)
   --min-winrate <r>      Minimum win rate 0-1 (default: 0.58)
+  --min-winrate-lb <r>   Minimum Wilson lower bound of the win rate 0-1 (default: 0 = off)
+  --min-roi <r>          Minimum ROI on capital deployed, e.g. 0.1 = 10% (default: off)
+  --min-profit-factor <f> Minimum gross profit / gross loss (default: off)
+  --min-sharpe <s>       Minimum Sharpe-like ratio of per-position returns (default: off)
+  --max-drawdown <usd>   Maximum drawdown of cumulative realized PnL in USD (default: off)
   --min-confidence <r>   Minimum confidence score (default: 0.1)
+  --rule <expr>          Selection rule that must hold (repeatable, see README "Selection Rules")
+  --rules-file <path>    Load selection rules from a file (one per line)
   --top-n <n>            Number of top accounts to select (default: 100)
+  --near-miss-margin <r> Report rejected accounts within this fraction of each failed threshold (default: 0.1)
   --discover <n>         Discover N traders from trades (default: 100)
+  --discover-market <m>  Add all participants of a market (conditionId or slug, repeatable)
   --seed-file <path>     Load additional seed addresses from file
+  --max-history <n>      Max open / closed positions and activity records per account (default: 5000)
+  --concurrency <n>      Accounts fetched in parallel (default: 4)
+  --window <w>           Filter and rank on 7d, 30d, 90d or all metrics (default: all)
+  --category <c>         Filter and rank on one market category: politics, sports, crypto, economics,
+                         culture, science, world or other (default: all markets)
+  --include-suspicious   Keep accounts tagged suspicious_* (wash trading) in the selection
+  --scorer <name>        Scoring strategy: weighted, bayesian, pnl or custom (default: bayesian)
+  --scoring-profile <f>  JSON/YAML scoring profile (weights, normalization caps, tag thresholds)
+  --win-rate-basis <b>   Win rate in the score: shrunk, lower_bound, raw or edge (default: strategy's)
+  --prior <mode>         Beta prior for shrinkage: fixed or population (default: fixed)
+  --prior-alpha <a>      Fixed prior pseudo-wins (default: 5)
+  --prior-beta <b>       Fixed prior pseudo-losses (default: 5)
+  --resume <runId>       Resume a failed or stale run (only unfinished addresses)
+  --webhook <spec>       Notify <url> (or json=|slack=|discord=<url>) when the run completes or fails (repeatable)
   --help, -h             Show this help message
 
 Examples:
   npm run sync
   npm run sync -- --discover 500 --min-winrate 0.6
   npm run sync -- --seed-file ./seed-addresses.txt
+  npm run sync -- --window 30d
+  npm run sync -- --category sports --rule "tag sports_specialist"
+  npm run sync -- --rule "(winRate >= 0.6 AND closed >= 30) OR (roi >= 0.5 AND volume >= 50k)" --rule "lastActive within 14d"
+  npm run sync -- --prior population --min-winrate-lb 0.55
+  npm run sync -- --scorer pnl --scoring-profile ./profiles/scoring.example.yaml
+  npm run sync -- --discover 0 --discover-market will-trump-win-2024 --discover-market 0xabc...
+  npm run sync -- --resume 3f2b...
+  npm run sync -- --webhook https://hooks.slack.com/services/... --webhook https://example.com/hook
 
 Environment variables (see .env.example):
-  MIN_TRADES, MIN_VOLUME_USD, MIN_WIN_RATE, MIN_CONFIDENCE, TOP_N, DISCOVER_TRADERS
+  MIN_TRADES, MIN_VOLUME_USD, MIN_WIN_RATE, MIN_CONFIDENCE, TOP_N, DISCOVER_TRADERS, DISCOVER_MARKETS,
+  MAX_HISTORY_RECORDS, CONCURRENCY, STALE_RUN_MINUTES, METRIC_WINDOW, SELECTION_CATEGORY,
+  MARKET_CACHE_HOURS, EXCLUDE_SUSPICIOUS, MIN_WIN_RATE_LB,
+  WIN_RATE_BASIS, WIN_RATE_PRIOR, PRIOR_ALPHA, PRIOR_BETA, MIN_ROI, MIN_PROFIT_FACTOR, MIN_SHARPE,
+  MAX_DRAWDOWN_USD, SCORER, SCORING_PROFILE, SELECTION_RULES_FILE, NEAR_MISS_MARGIN,
+  NOTIFY_WEBHOOKS, WEBHOOK_SECRET
 `);
   process.exit(0);
 }
@@ -65,9 +167,34 @@ function parseArgs() {
     minVolumeUsd: parseFloat(process.env.MIN_VOLUME_USD || '5000'),
     minWinRate: parseFloat(process.env.MIN_WIN_RATE || '0.58'),
     minConfidence: parseFloat(process.env.MIN_CONFIDENCE || '0.1'),
+    minWinRateLowerBound: parseFloat(process.env.MIN_WIN_RATE_LB || '0'),
+    minRoi: process.env.MIN_ROI ? parseFloat(process.env.MIN_ROI) : null,
+    minProfitFactor: process.env.MIN_PROFIT_FACTOR ? parseFloat(process.env.MIN_PROFIT_FACTOR) : null,
+    minSharpe: process.env.MIN_SHARPE ? parseFloat(process.env.MIN_SHARPE) : null,
+    maxDrawdown: process.env.MAX_DRAWDOWN_USD ? parseFloat(process.env.MAX_DRAWDOWN_USD) : null,
     topN: parseInt(process.env.TOP_N || '100'),
+    rules: [],
+    rulesFile: process.env.SELECTION_RULES_FILE || null,
+    nearMissMargin: parseFloat(process.env.NEAR_MISS_MARGIN || '0.1'),
     seedFile: null,
-    discoverTraders: parseInt(process.env.DISCOVER_TRADERS || '100')
+    discoverTraders: parseInt(process.env.DISCOVER_TRADERS || '100'),
+    discoverMarkets: (process.env.DISCOVER_MARKETS || '').split(',').map(m => m.trim()).filter(Boolean),
+    maxHistoryRecords: parseInt(process.env.MAX_HISTORY_RECORDS || '5000'),
+    concurrency: parseInt(process.env.CONCURRENCY || '4'),
+    staleRunMinutes: parseInt(process.env.STALE_RUN_MINUTES || '30'),
+    window: process.env.METRIC_WINDOW || 'all',
+    category: process.env.SELECTION_CATEGORY || null,
+    marketCacheHours: parseInt(process.env.MARKET_CACHE_HOURS || '24'),
+    excludeSuspicious: process.env.EXCLUDE_SUSPICIOUS !== 'false',
+    // Scorer settings: null = take the strategy / profile value
+    scorer: process.env.SCORER || null,
+    scoringProfileFile: process.env.SCORING_PROFILE || null,
+    winRateBasis: process.env.WIN_RATE_BASIS || null,
+    priorMode: process.env.WIN_RATE_PRIOR || null,
+    priorAlpha: process.env.PRIOR_ALPHA ? parseFloat(process.env.PRIOR_ALPHA) : null,
+    priorBeta: process.env.PRIOR_BETA ? parseFloat(process.env.PRIOR_BETA) : null,
+    resumeRunId: null,
+    webhooks: parseWebhookList(process.env.NOTIFY_WEBHOOKS)
   };
   
   for (let i = 0; i < args.length; i++) {
@@ -88,33 +215,136 @@ function parseArgs() {
       case '--min-confidence':
         config.minConfidence = parseFloat(args[++i]);
         break;
+      case '--min-winrate-lb':
+        config.minWinRateLowerBound = parseFloat(args[++i]);
+        break;
+      case '--min-roi':
+        config.minRoi = parseFloat(args[++i]);
+        break;
+      case '--min-profit-factor':
+        config.minProfitFactor = parseFloat(args[++i]);
+        break;
+      case '--min-sharpe':
+        config.minSharpe = parseFloat(args[++i]);
+        break;
+      case '--max-drawdown':
+        config.maxDrawdown = parseFloat(args[++i]);
+        break;
+      case '--rule':
+        config.rules.push(args[++i]);
+        break;
+      case '--rules-file':
+        config.rulesFile = args[++i];
+        break;
       case '--top-n':
         config.topN = parseInt(args[++i]);
         break;
+      case '--near-miss-margin':
+        config.nearMissMargin = parseFloat(args[++i]);
+        break;
       case '--seed-file':
         config.seedFile = args[++i];
         break;
       case '--discover':
         config.discoverTraders = parseInt(args[++i]);
         break;
+      case '--discover-market':
+        config.discoverMarkets.push(args[++i]);
+        break;
+      case '--max-history':
+        config.maxHistoryRecords = parseInt(args[++i]);
+        break;
+      case '--concurrency':
+        config.concurrency = parseInt(args[++i]);
+        break;
+      case '--window':
+        config.window = args[++i];
+        break;
+      case '--category':
+        config.category = args[++i];
+        break;
+      case '--include-suspicious':
+        config.excludeSuspicious = false;
+        break;
+      case '--scorer':
+        config.scorer = args[++i];
+        break;
+      case '--scoring-profile':
+        config.scoringProfileFile = args[++i];
+        break;
+      case '--win-rate-basis':
+        config.winRateBasis = args[++i];
+        break;
+      case '--prior':
+        config.priorMode = args[++i];
+        break;
+      case '--prior-alpha':
+        config.priorAlpha = parseFloat(args[++i]);
+        break;
+      case '--prior-beta':
+        config.priorBeta = parseFloat(args[++i]);
+        break;
+      case '--resume':
+        config.resumeRunId = args[++i];
+        break;
+      case '--webhook':
+        config.webhooks.push(parseWebhookSpec(args[++i] || ''));
+        break;
     }
   }
   
   return config;
 }
 
+/**
+ * Scorer options given explicitly on the command line or environment
+ * @param {Object} config - Configuration
+ * @returns {Object} - Scorer options that override the strategy and profile
+ */
+function scorerOverrides(config) {
+  const overrides = {};
+  for (const key of ['winRateBasis', 'priorMode', 'priorAlpha', 'priorBeta']) {
+    if (config[key] !== null && config[key] !== undefined) overrides[key] = config[key];
+  }
+  return overrides;
+}
+
+/**
+ * Record that an address was found by a discovery method
+ * @param {Map} provenance - address => [{ method, sourceRef }]
+ * @param {string} address - Account address
+ * @param {string} method - 'seed_db' | 'seed_file' | 'trades_stream' | 'market_scrape'
+ * @param {string} sourceRef - Seed source, file path or market conditionId
+ */
+function addDiscovery(provenance, address, method, sourceRef = '') {
+  if (!provenance.has(address)) provenance.set(address, []);
+  const discoveries = provenance.get(address);
+  if (!discoveries.some(d => d.method === method && d.sourceRef === sourceRef)) {
+    discoveries.push({ method, sourceRef });
+  }
+}
+
 /**
  * Load seed addresses from file or database
  * @param {Storage} storage - Storage instance
  * @param {Object} config - Configuration
+ * @param {Map} provenance - Filled with how each address was found
  * @returns {Array} - Array of addresses
  */
-async function loadAddresses(storage, config) {
+async function loadAddresses(storage, config, provenance) {
   let addresses = [];
   
   // Load from database first
-  const dbAddresses = await storage.loadSeedAddresses();
-  addresses = [...dbAddresses];
+  // Wallets collected by `npm run discover` count towards the trade-stream funnel
+  const seedRecords = await storage.loadSeedAddressRecords();
+  for (const seed of seedRecords) {
+    if (seed.source === 'api_discovered') {
+      addDiscovery(provenance, seed.address, 'trades_stream', 'discover_daemon');
+    } else {
+      addDiscovery(provenance, seed.address, 'seed_db', seed.source || '');
+    }
+  }
+  addresses = seedRecords.map(r => r.address);
   
   // Load from file if specified
   if (config.seedFile) {
@@ -123,6 +353,9 @@ async function loadAddresses(storage, config) {
     const fileAddresses = fileContent.split('\n')
       .map(line => line.trim())
       .filter(line => line.startsWith('0x'));
+    for (const address of fileAddresses) {
+      addDiscovery(provenance, address, 'seed_file', config.seedFile);
+    }
     addresses = [...new Set([...addresses, ...fileAddresses])];
     console.log(`[Runner] Loaded ${fileAddresses.length} addresses from file`);
   }
@@ -131,137 +364,434 @@ async function loadAddresses(storage, config) {
 }
 
 /**
- * Main sync function
+ * Fetch, score and store one address, checkpointing each stage
+ * in the run's work queue
+ * @param {string} address - Account address
+ * @param {Object} ctx - { runId, collector, catalog, scorer, storage, provenance }
+ * @returns {Object} - { address, account, metrics, rawStored, rawError } or { address, error, stage }
  */
-async function main() {
-  const config = parseArgs();
-  console.log('[Runner] Starting sync with config:', config);
+async function processAddress(address, ctx) {
+  const { runId, collector, catalog, scorer, storage, provenance } = ctx;
+  const discoveries = provenance.get(address) || [];
+  let stage = 'fetch';
   
-  // Initialize modules
-  const collector = new PolymarketCollector({
-    logger: console,
-    maxRetries: 3,
-    retryDelayMs: 500
-  });
+  try {
+    const metrics = await collector.fetchAccountMetrics(address, { catalog });
+    await storage.updateRunAddressStatus(runId, address, 'fetched');
+    
+    stage = 'score';
+    const account = scorer.score(metrics);
+    account.discoveryMethod = discoveries[0]?.method;
+    await storage.updateRunAddressStatus(runId, address, 'scored');
+    
+    stage = 'store';
+    await storage.upsertAccount(runId, account);
+    await storage.recordAccountDiscoveries(runId, address, discoveries);
+    await storage.createMetricsSnapshot(runId, account);
+    
+    // Persist raw data (needs the account row; failure does not drop the account
+    // from this attempt, but leaves it failed so a resume refetches it rather
+    // than rebuilding it from raw data that was never saved)
+    let rawStored = { positions: 0, trades: 0 };
+    let rawError = null;
+    try {
+      rawStored = await storage.storeRawData(runId, address, {
+        positions: metrics._positions,
+        closedPositions: metrics._closedPositions,
+        activity: metrics._activity
+      });
+    } catch (error) {
+      rawError = error;
+    }
+    
+    if (rawError) {
+      await storage.updateRunAddressStatus(runId, address, 'failed', `store: raw data: ${rawError.message}`);
+    } else {
+      await storage.updateRunAddressStatus(runId, address, 'stored');
+    }
+    
+    return { address, account, metrics, rawStored, rawError };
+    
+  } catch (error) {
+    try {
+      await storage.updateRunAddressStatus(runId, address, 'failed', `${stage}: ${error.message}`);
+    } catch (checkpointError) {
+      console.error(`[Runner] Failed to checkpoint ${address}: ${checkpointError.message}`);
+    }
+    return { address, error, stage };
+  }
+}
+
+/**
+ * Rebuild scored accounts for addresses stored by an earlier attempt
+ * of this run, from the raw data persisted for the run (an address is
+ * only marked stored once its raw data is saved)
+ * @param {Storage} storage - Storage instance
+ * @param {PolymarketCollector} collector - Used for calculateMetrics
+ * @param {MarketCatalog} catalog - Market categories
+ * @param {AccountScorer} scorer - Scorer
+ * @param {string} runId - Run ID
+ * @param {Array} addresses - Addresses already stored
+ * @param {number} asOf - End of the rolling windows in epoch ms (the run's start time)
+ * @param {Map} activityByAddress - Filled with each address's activity
+ * @returns {Map} - address => scored account
+ */
+async function rebuildStoredAccounts(storage, collector, catalog, scorer, runId, addresses, asOf, activityByAddress) {
+  const scored = new Map();
+  if (addresses.length === 0) return scored;
   
-  const scorer = new AccountScorer({
-    winRateWeight: 0.5,
-    volumeWeight: 0.3,
-    confidenceWeight: 0.2
-  });
+  const rawData = await storage.loadRawData(runId);
+  for (const address of addresses) {
+    const raw = rawData.get(address) || { positions: [], closedPositions: [], activity: [], historyTruncated: false };
+    let marketCategories = null;
+    try {
+      marketCategories = await catalog.categoriesFor([...raw.closedPositions, ...raw.activity].map(r => r.conditionId));
+    } catch (error) {
+      console.warn(`[Runner] Market categories unavailable for ${address}: ${error.message}`);
+    }
+    const metrics = collector.calculateMetrics(address, raw.positions, raw.closedPositions, raw.activity, { asOf, marketCategories });
+    metrics.historyTruncated = raw.historyTruncated;
+    activityByAddress.set(address, raw.activity);
+    scored.set(address, scorer.score(metrics));
+  }
   
-  const selector = new AccountSelector({
-    minTrades: config.minTrades,
-    minVolume: config.minVolumeUsd,
-    minWinRate: config.minWinRate,
-    minConfidence: config.minConfidence,
-    topN: config.topN
-  });
+  return scored;
+}
+
+/**
+ * Main sync function
+ */
+async function main() {
+  let args;
+  try {
+    args = parseArgs();
+  } catch (error) {
+    console.error(`[Runner] ${error.message}`);
+    process.exit(1);
+  }
+  // Webhook URLs embed credentials; keep them out of runs.config
+  const { webhooks, ...cliConfig } = args;
   
   const storage = new Storage({
     logger: console
   });
+  const notifier = new Notifier({
+    webhooks,
+    secret: process.env.WEBHOOK_SECRET,
+    logger: console
+  });
   
   let runId;
+  let config = cliConfig;
+  let heartbeat;
   const errors = [];
-  const processedAccounts = [];
   
   try {
-    // Step 1: Create run
-    runId = await storage.createRun(config);
-    console.log(`[Runner] Created run: ${runId}`);
-    
-    // Step 2: Get addresses to process
-    let addresses = await loadAddresses(storage, config);
-    console.log(`[Runner] Loaded ${addresses.length} seed addresses`);
-    
-    // Step 3: Discover new traders if needed
-    if (addresses.length === 0 || config.discoverTraders > 0) {
-      console.log(`[Runner] Discovering traders from ${config.discoverTraders} trades...`);
-      const discoveredAddresses = await collector.discoverTradersFromTrades(config.discoverTraders);
-      addresses = [...new Set([...addresses, ...discoveredAddresses])];
-      console.log(`[Runner] Total addresses to process: ${addresses.length}`);
+    // Step 0: Time out abandoned runs so they can be resumed
+    await storage.markStaleRuns(cliConfig.staleRunMinutes);
+    
+    // Step 1: Create or resume run
+    let resumedRun = null;
+    if (cliConfig.resumeRunId) {
+      resumedRun = await storage.resumeRun(cliConfig.resumeRunId);
+      runId = resumedRun.id;
+      // Keep the original run's criteria; only runtime knobs come from this invocation
+      config = {
+        ...(resumedRun.config || {}),
+        concurrency: cliConfig.concurrency,
+        staleRunMinutes: cliConfig.staleRunMinutes,
+        resumeRunId: runId
+      };
+      console.log(`[Runner] Resuming run ${runId} with config:`, config);
+    } else {
+      // The profile is stored verbatim in runs.config so the run can be reproduced
+      if (config.scoringProfileFile) {
+        config.scoringProfile = loadProfile(config.scoringProfileFile);
+      }
+      // Rules from the file come first; the run keeps the expanded list
+      if (config.rulesFile) {
+        config.rules = [...loadRulesFile(config.rulesFile), ...config.rules];
+      }
+      console.log('[Runner] Starting sync with config:', config);
     }
     
-    // Step 4: Collect metrics for each address
-    console.log('[Runner] Collecting metrics for addresses...');
-    const metricsResults = [];
+    // Initialize modules
+    const collector = new PolymarketCollector({
+      logger: console,
+      maxRetries: 3,
+      retryDelayMs: 500,
+      maxHistoryRecords: config.maxHistoryRecords
+    });
+    const catalog = new MarketCatalog({
+      storage,
+      collector,
+      maxAgeHours: config.marketCacheHours ?? 24,
+      logger: console
+    });
     
-    for (const address of addresses) {
-      try {
-        const metrics = await collector.fetchAccountMetrics(address);
-        metricsResults.push(metrics);
-        
-        if (metrics._partialSuccess) {
-          console.log(`[Runner] Partial success for ${address}: missing ${metrics._failedEndpoints.join(', ')}`);
+    // Resumed runs rebuild the scorer from the profile text stored in their config
+    const scorer = createScorer({
+      strategy: config.scorer,
+      profile: config.scoringProfile,
+      overrides: scorerOverrides(config)
+    });
+    config.scorer = scorer.strategy;
+    console.log(`[Runner] Scoring strategy: ${scorer.strategy}${config.scoringProfile ? ` (profile ${config.scoringProfile.path})` : ''}`);
+    
+    const selector = new AccountSelector({
+      minTrades: config.minTrades,
+      minVolume: config.minVolumeUsd,
+      minWinRate: config.minWinRate,
+      minConfidence: config.minConfidence,
+      minWinRateLowerBound: config.minWinRateLowerBound,
+      minRoi: config.minRoi,
+      minProfitFactor: config.minProfitFactor,
+      minSharpe: config.minSharpe,
+      maxDrawdown: config.maxDrawdown,
+      topN: config.topN,
+      window: config.window,
+      category: config.category,
+      excludeSuspicious: config.excludeSuspicious,
+      rules: config.rules,
+      nearMissMargin: config.nearMissMargin
+    });
+    
+    let addresses;
+    let pendingAddresses;
+    let storedEarlier = [];
+    const provenance = new Map();
+    
+    if (resumedRun) {
+      // Step 2 (resume): Work queue from the original attempt
+      const queue = await storage.loadRunAddresses(runId);
+      if (queue.length === 0) {
+        throw new Error(`Run ${runId} has no work queue to resume`);
+      }
+      addresses = queue.map(r => r.address);
+      for (const row of queue) {
+        provenance.set(row.address, row.discovery || []);
+      }
+      storedEarlier = queue.filter(r => r.status === 'stored').map(r => r.address);
+      pendingAddresses = queue.filter(r => r.status !== 'stored').map(r => r.address);
+      console.log(`[Runner] Work queue: ${addresses.length} addresses, ${storedEarlier.length} already stored, ${pendingAddresses.length} to process`);
+    } else {
+      runId = await storage.createRun(config, { scoringConfig: scorer.getConfig() });
+      console.log(`[Runner] Created run: ${runId}`);
+      
+      // Step 2: Get addresses to process
+      addresses = await loadAddresses(storage, config, provenance);
+      console.log(`[Runner] Loaded ${addresses.length} seed addresses`);
+      
+      // Step 3a: Discover every participant of the requested markets
+      for (const market of config.discoverMarkets) {
+        try {
+          const result = await collector.discoverTradersFromMarket(market);
+          await storage.recordMarketParticipants(runId, result.market, result.participants, result.truncated);
+          for (const participant of result.participants) {
+            addDiscovery(provenance, participant.address, 'market_scrape', result.market.conditionId);
+          }
+          addresses = [...new Set([...addresses, ...result.participants.map(p => p.address)])];
+          console.log(`[Runner] Market ${result.market.slug || result.market.conditionId}: ${result.participants.length} participants${result.truncated ? ` (truncated at ${result.tradeCount} trades)` : ''}`);
+        } catch (error) {
+          errors.push({
+            address: market,
+            type: 'market_discovery_failure',
+            message: error.message
+          });
+          console.error(`[Runner] Failed to discover market ${market}: ${error.message}`);
         }
-      } catch (error) {
+      }
+      
+      // Step 3b: Discover new traders from the trade stream if needed
+      if (addresses.length === 0 || config.discoverTraders > 0) {
+        console.log(`[Runner] Discovering traders from ${config.discoverTraders} trades...`);
+        const discoveredAddresses = await collector.discoverTradersFromTrades(config.discoverTraders);
+        for (const address of discoveredAddresses) {
+          addDiscovery(provenance, address, 'trades_stream', 'run');
+        }
+        addresses = [...new Set([...addresses, ...discoveredAddresses])];
+        console.log(`[Runner] Total addresses to process: ${addresses.length}`);
+      }
+      
+      await storage.enqueueRunAddresses(runId, addresses, provenance);
+      pendingAddresses = addresses;
+    }
+    
+    heartbeat = setInterval(() => {
+      storage.touchRun(runId).catch(error => console.warn(`[Runner] Heartbeat failed: ${error.message}`));
+    }, HEARTBEAT_INTERVAL_MS);
+    heartbeat.unref();
+    
+    // Step 4: Fetch, score and store each pending address (checkpointed per address)
+    console.log(`[Runner] Collecting metrics for addresses (concurrency: ${config.concurrency})...`);
+    const ctx = { runId, collector, catalog, scorer, storage, provenance };
+    const results = await mapWithConcurrency(pendingAddresses, config.concurrency, address => processAddress(address, ctx));
+    
+    // Bookkeeping in address order
+    const activityByAddress = new Map();
+    const rebuildAsOf = resumedRun ? new Date(resumedRun.started_at).getTime() : Date.now();
+    const scoredByAddress = await rebuildStoredAccounts(storage, collector, catalog, scorer, runId, storedEarlier, rebuildAsOf, activityByAddress);
+    const rawStored = { positions: 0, trades: 0 };
+    const errorTypes = { fetch: 'api_failure', score: 'scoring_failure', store: 'storage_failure' };
+    
+    for (const { address, account, metrics, rawStored: stored, rawError, error, stage } of results) {
+      if (error) {
         errors.push({
           address,
-          type: 'api_failure',
+          type: errorTypes[stage],
           message: error.message
         });
-        console.error(`[Runner] Failed to fetch metrics for ${address}: ${error.message}`);
+        console.error(`[Runner] Failed to ${stage} ${address}: ${error.message}`);
+        continue;
+      }
+      
+      scoredByAddress.set(address, account);
+      activityByAddress.set(address, metrics._activity);
+      rawStored.positions += stored.positions;
+      rawStored.trades += stored.trades;
+      
+      if (metrics._partialSuccess) {
+        console.log(`[Runner] Partial success for ${address}: missing ${metrics._failedEndpoints.join(', ')}`);
+      }
+      if (metrics.historyTruncated) {
+        console.log(`[Runner] History truncated for ${address}: ${metrics._truncatedEndpoints.join(', ')}`);
+      }
+      if (rawError) {
+        errors.push({
+          address,
+          type: 'raw_storage_failure',
+          message: rawError.message
+        });
       }
     }
     
-    console.log(`[Runner] Collected metrics for ${metricsResults.length} accounts (${errors.length} failed)`);
-    
-    // Step 5: Score accounts
-    console.log('[Runner] Scoring accounts...');
-    const scoredAccounts = scorer.scoreBatch(metricsResults);
+    // Everything gathered so far, in work-queue order
+    let scoredAccounts = addresses.filter(a => scoredByAddress.has(a)).map(a => scoredByAddress.get(a));
+    const processedAccounts = scoredAccounts.map(a => a.address);
+    console.log(`[Runner] Stored metrics for ${processedAccounts.length} accounts (${errors.length} errors)`);
     
-    // Step 6: Select top accounts
-    console.log('[Runner] Selecting top accounts...');
-    const selectionResult = selector.select(scoredAccounts);
-    console.log(`[Runner] Selected ${selectionResult.selected.length} accounts (from ${selectionResult._stats.passedFilters} passed filters)`);
+    // Counterparty overlap needs every account's trades: merge it into the
+    // wash metrics of accounts sharing transactions with other wallets and
+    // re-score them (scored accounts carry every metric the scorer reads)
+    const overlaps = findCounterpartyOverlaps(activityByAddress);
+    scoredAccounts = scoredAccounts.map(account => (overlaps.has(account.address)
+      ? scorer.score({ ...account, wash: { ...account.wash, ...overlaps.get(account.address) } })
+      : account));
     
-    // Step 7: Store results
-    console.log('[Runner] Storing results...');
+    // Population prior: accounts were scored with the fixed prior as they arrived;
+    // fit the prior to the whole run and re-score
+    let winRatePrior = { alpha: scorer.priorAlpha, beta: scorer.priorBeta, fitted: false };
+    if (scorer.priorMode === 'population') {
+      winRatePrior = scorer.fitPrior(scoredAccounts);
+      console.log(`[Runner] Population prior: alpha=${winRatePrior.alpha}, beta=${winRatePrior.beta} (${winRatePrior.accounts} accounts${winRatePrior.fitted ? '' : ', too few to fit - kept fixed prior'})`);
+      scoredAccounts = scoredAccounts.map(account => scorer.score(account));
+    }
     
-    // Upsert all accounts
-    for (const account of scoredAccounts) {
+    // Refresh the snapshots of re-scored accounts
+    const rescored = scorer.priorMode === 'population'
+      ? scoredAccounts
+      : scoredAccounts.filter(account => overlaps.has(account.address));
+    for (const account of rescored) {
       try {
-        await storage.upsertAccount(runId, account);
         await storage.createMetricsSnapshot(runId, account);
-        processedAccounts.push(account.address);
       } catch (error) {
-        errors.push({
-          address: account.address,
-          type: 'storage_failure',
-          message: error.message
-        });
+        errors.push({ address: account.address, type: 'storage_failure', message: `rescore: ${error.message}` });
       }
     }
+    const suspicious = scoredAccounts.filter(account => account.suspicionScore > 0);
+    if (suspicious.length > 0) {
+      console.log(`[Runner] ${suspicious.length} accounts flagged for wash trading${selector.excludeSuspicious ? ' (excluded from selection)' : ''}`);
+    }
     
-    // Record selected accounts
-    if (selectionResult.selected.length > 0) {
-      await storage.recordSelectedAccounts(runId, selectionResult.selected);
+    // Step 5: Select top accounts
+    console.log('[Runner] Selecting top accounts...');
+    const selectionResult = selector.select(scoredAccounts);
+    console.log(`[Runner] Selected ${selectionResult.selected.length} accounts (from ${selectionResult._stats.passedFilters} passed filters)`);
+    for (const [rule, count] of Object.entries(selectionResult._stats.ruleRejections)) {
+      console.log(`[Runner] Rule "${rule}" rejected ${count} accounts`);
     }
     
-    // Step 8: Complete run with statistics
+    // Record selected accounts and why the rest were rejected (replacing an earlier attempt's)
+    await storage.recordSelectedAccounts(runId, selectionResult.selected);
+    await storage.recordRejectedAccounts(runId, selectionResult.rejected);
+    
+    // Compare with the previous run's selection
+    const previousSelections = await storage.loadPreviousSelections(runId);
+    const selectionDiff = buildSelectionDiff({
+      previousRunId: previousSelections.previousRunId,
+      current: toSelection(selectionResult.selected),
+      history: previousSelections.history
+    });
+    
+    // Where the selected accounts' open positions are concentrated
+    const consensus = buildConsensus(await storage.loadSelectedOpenPositions(runId));
+    await storage.recordConsensus(runId, consensus.markets);
+    
+    // Step 6: Complete run with statistics
     const errorSummary = storage.generateErrorSummary(errors);
     const stats = {
       accounts_processed: processedAccounts.length,
       accounts_selected: selectionResult.selected.length,
       accounts_failed: errors.length,
+      accounts_truncated: scoredAccounts.filter(a => a.historyTruncated).length,
+      accounts_resumed_from_checkpoint: storedEarlier.length,
+      raw_positions_stored: rawStored.positions,
+      raw_trades_stored: rawStored.trades,
+      rate_limit_stats: collector.getRateLimitStats(),
+      market_metadata: catalog.getStats(),
       selection_summary: selectionResult.summary,
+      rule_rejections: selectionResult._stats.ruleRejections,
+      rejection_reasons: selectionResult._stats.rejectionReasons,
+      near_miss_count: selectionResult._stats.nearMissCount,
+      suspicious_accounts: suspicious.length,
+      selection_diff: selectionDiff,
+      consensus: summarizeConsensus(consensus),
+      win_rate_prior: { mode: scorer.priorMode, ...winRatePrior },
+      discovery_yield: storage.generateDiscoveryYield(
+        provenance, processedAccounts, selectionResult.selected.map(a => a.address)
+      ),
       error_summary: errorSummary,
       config_used: config
     };
     
     await storage.completeRun(runId, stats);
+    await notifier.runCompleted({ runId, runType: 'sync', stats, selectionDiff });
     
     // Final output
     console.log('\n========== Sync Complete ==========');
-    console.log(`Run ID: ${runId}`);
+    console.log(`Run ID: ${runId}${resumedRun ? ' (resumed)' : ''}`);
     console.log(`Accounts processed: ${processedAccounts.length}`);
-    console.log(`Accounts selected: ${selectionResult.selected.length}`);
+    console.log(`Accounts selected: ${selectionResult.selected.length}${selector.category ? ` (category: ${selector.category})` : ''}`);
     console.log(`Accounts failed: ${errors.length}`);
+    console.log(`Market metadata: ${stats.market_metadata.cached} cached, ${stats.market_metadata.fetched} fetched, ${stats.market_metadata.unknown} unknown`);
+    console.log(`Rate limiting: ${stats.rate_limit_stats.totals.requests} requests, ${stats.rate_limit_stats.totals.rateLimited} x 429, ${(stats.rate_limit_stats.totals.throttledMs / 1000).toFixed(1)}s throttled`);
     console.log(`Average win rate: ${(selectionResult.summary.avgWinRate * 100).toFixed(1)}%`);
     console.log(`Average volume: $${selectionResult.summary.avgVolume.toFixed(2)}`);
     console.log(`Average score: ${selectionResult.summary.avgScore.toFixed(4)}`);
     
+    console.log('\nRejection reasons:');
+    for (const [reason, count] of Object.entries(stats.rejection_reasons).sort((a, b) => b[1] - a[1])) {
+      console.log(`  - ${reason}: ${count}`);
+    }
+    console.log(`Near misses: ${stats.near_miss_count} (within ${(selector.nearMissMargin * 100).toFixed(0)}% of their failed thresholds)`);
+    
+    if (selectionDiff.previous_run_id) {
+      console.log(`\nSelection changes vs ${selectionDiff.previous_run_id}: +${selectionDiff.added_count} new, -${selectionDiff.dropped_count} dropped, ${selectionDiff.retained_count} retained (churn ${(selectionDiff.churn_rate * 100).toFixed(1)}%, avg tenure ${selectionDiff.avg_tenure_runs} runs)`);
+    }
+    
+    const crowded = consensus.markets.filter(m => m.holders >= 2);
+    if (crowded.length > 0) {
+      console.log(`\nMarket consensus: ${crowded.length} outcomes held by 2+ selected accounts (npm run consensus -- ${runId})`);
+      for (const m of crowded.slice(0, 5)) {
+        console.log(`  - ${m.holders}/${consensus.traders} ${m.net_direction} ${m.title || m.condition_id} [${m.outcome}]: $${m.exposure_usd.toFixed(2)}`);
+      }
+    }
+    
+    console.log('\nSelection yield by discovery method:');
+    for (const [method, methodStats] of Object.entries(stats.discovery_yield)) {
+      console.log(`  - ${method}: ${methodStats.selected}/${methodStats.processed} (${(methodStats.yield * 100).toFixed(1)}%)`);
+    }
+    
     if (errorSummary.hasErrors) {
       console.log('\nError Summary:');
       for (const [type, count] of Object.entries(errorSummary.errorsByType)) {
@@ -275,9 +805,12 @@ async function main() {
     console.error('[Runner] Sync failed:', error);
     if (runId) {
       await storage.failRun(runId, error.message);
+      await notifier.runFailed({ runId, runType: 'sync', error: error.message });
+      console.error(`[Runner] Resume with: npm run sync -- --resume ${runId}`);
     }
     process.exit(1);
   } finally {
+    clearInterval(heartbeat);
     await close();
   }
 }
@@ -3,21 +3,101 @@
  * 
  * Responsibilities:
  * - Calculate strict_win_rate, proxy_win_rate from collected data
+ * - Shrink win rates towards a Beta prior and compute Wilson intervals,
+ *   so small samples (3-0) do not outrank proven records
+ * - Optionally score on entry-price edge instead of win rate, so wins on
+ *   heavy favourites count for little
  * - Apply scoring formula (weighted composite score)
- * - Support configurable thresholds
+ * - Score each market category and tag category specialists
+ * - Tag wash-trading patterns (suspicious_*) and penalize them in the score
+ * - Support configurable weights, normalization caps and tag thresholds
+ *   (named presets and profile files live in strategies.js)
  */
 
+const WIN_RATE_BASES = ['shrunk', 'lower_bound', 'raw', 'edge'];
+const PRIOR_MODES = ['fixed', 'population'];
+
+// Population prior estimation
+const PRIOR_MIN_DECIDED = 5;      // Decided positions for an account to count
+const PRIOR_MIN_ACCOUNTS = 10;    // Accounts needed, otherwise the fixed prior is kept
+const PRIOR_MAX_STRENGTH = 200;   // Cap on alpha + beta
+
+// Normalization cap for log volume
+const DEFAULT_VOLUME_CAP_USD = 1000000;
+
+// Reason tag thresholds (overridable per profile)
+const DEFAULT_TAG_THRESHOLDS = {
+  highWinRate: 0.6,
+  mediumWinRate: 0.5,
+  highVolumeUsd: 10000,
+  mediumVolumeUsd: 1000,
+  highConfidence: 0.5,
+  mediumConfidence: 0.3,
+  activeTrades: 100,
+  regularTrades: 20,
+  consistentWinRate: 0.55,
+  consistentMinClosed: 10,
+  edgeMinPositions: 5,
+  longshotMaxEntry: 0.35,
+  favouriteMinEntry: 0.85,
+  specialistMinClosed: 10,
+  specialistMinShare: 0.5,
+  specialistWinRate: 0.55,
+  washMinRoundTrips: 5,
+  washRoundTripShare: 0.2,
+  washMinChurnPositions: 10,
+  washChurnShare: 0.5,
+  washMinSharedTrades: 10,
+  washSharedShare: 0.3,
+  washMaxCounterparties: 3
+};
+
+const round4 = value => Math.round(value * 10000) / 10000;
+
 class AccountScorer {
   /**
    * @param {Object} options - Scoring configuration
    * @param {number} options.winRateWeight - Weight for win rate (default: 0.5)
    * @param {number} options.volumeWeight - Weight for volume (default: 0.3)
    * @param {number} options.confidenceWeight - Weight for confidence (default: 0.2)
+   * @param {number} options.roiWeight - Weight for ROI on capital deployed (default: 0)
+   * @param {number} options.profitFactorWeight - Weight for profit factor (default: 0)
+   * @param {number} options.sharpeWeight - Weight for the Sharpe-like ratio (default: 0)
+   * @param {number} options.drawdownWeight - Penalty weight for max drawdown / capital deployed (default: 0)
+   * @param {number} options.suspicionWeight - Penalty weight for wash-trading suspicion (default: 0.2)
+   * @param {string} options.winRateBasis - Win rate used in the score: 'shrunk' | 'lower_bound' | 'raw' | 'edge' (default: 'shrunk')
+   * @param {string} options.priorMode - 'fixed' or 'population' (estimated in scoreBatch/fitPrior) (default: 'fixed')
+   * @param {number} options.priorAlpha - Beta prior pseudo-wins (default: 5)
+   * @param {number} options.priorBeta - Beta prior pseudo-losses (default: 5)
+   * @param {number} options.wilsonZ - z for the Wilson interval (default: 1.96, 95%)
+   * @param {number} options.volumeCapUsd - Volume that normalizes to 1 (default: 1,000,000)
+   * @param {Object} options.tagThresholds - Overrides for DEFAULT_TAG_THRESHOLDS
+   * @param {string} options.strategy - Name of the strategy that produced these options (informational)
    */
   constructor(options = {}) {
     this.winRateWeight = options.winRateWeight ?? 0.5;
     this.volumeWeight = options.volumeWeight ?? 0.3;
     this.confidenceWeight = options.confidenceWeight ?? 0.2;
+    this.roiWeight = options.roiWeight ?? 0;
+    this.profitFactorWeight = options.profitFactorWeight ?? 0;
+    this.sharpeWeight = options.sharpeWeight ?? 0;
+    this.drawdownWeight = options.drawdownWeight ?? 0;
+    this.suspicionWeight = options.suspicionWeight ?? 0.2;
+    this.winRateBasis = options.winRateBasis ?? 'shrunk';
+    this.priorMode = options.priorMode ?? 'fixed';
+    this.priorAlpha = options.priorAlpha ?? 5;
+    this.priorBeta = options.priorBeta ?? 5;
+    this.wilsonZ = options.wilsonZ ?? 1.96;
+    this.volumeCapUsd = options.volumeCapUsd ?? DEFAULT_VOLUME_CAP_USD;
+    this.tagThresholds = { ...DEFAULT_TAG_THRESHOLDS, ...(options.tagThresholds || {}) };
+    this.strategy = options.strategy ?? null;
+    
+    if (!WIN_RATE_BASES.includes(this.winRateBasis)) {
+      throw new Error(`Unknown win rate basis '${this.winRateBasis}' (expected one of: ${WIN_RATE_BASES.join(', ')})`);
+    }
+    if (!PRIOR_MODES.includes(this.priorMode)) {
+      throw new Error(`Unknown prior mode '${this.priorMode}' (expected one of: ${PRIOR_MODES.join(', ')})`);
+    }
   }
 
   /**
@@ -38,18 +118,17 @@ class AccountScorer {
       closedPositions
     } = metrics;
 
-    // Use strict_win_rate if available, fallback to proxy
-    const effectiveWinRate = strictWinRate ?? proxyWinRate ?? 0;
+    // Shrunk / lower-bound / raw win rate per winRateBasis, fallback to proxy
+    const estimates = this.winRateEstimates(winCount ?? 0, lossCount ?? 0);
+    const effectiveWinRate = this.effectiveWinRate(metrics, estimates);
 
     // Normalize volume (log scale to handle wide range)
     const normalizedVolume = this.normalizeVolume(totalVolumeUsd);
 
     // Calculate composite score
-    // Score = a * win_rate + b * log_volume + c * confidence
-    const compositeScore = 
-      this.winRateWeight * (effectiveWinRate ?? 0) +
-      this.volumeWeight * normalizedVolume +
-      this.confidenceWeight * (confidenceScore ?? 0);
+    const pnl = this.normalizePnl(metrics);
+    const suspicion = this.suspicionScore(metrics);
+    const compositeScore = this.compositeFor(effectiveWinRate, totalVolumeUsd, confidenceScore, pnl, suspicion);
 
     // Determine reason tags based on metrics
     const reasonTags = this.determineReasonTags(metrics);
@@ -61,31 +140,289 @@ class AccountScorer {
       // Key metrics
       strictWinRate: strictWinRate ?? null,
       proxyWinRate: proxyWinRate ?? null,
+      shrunkWinRate: estimates.shrunkWinRate,
+      winRateLowerBound: estimates.winRateLowerBound,
+      winRateUpperBound: estimates.winRateUpperBound,
+      
+      // Entry-price edge
+      meanEdge: metrics.meanEdge ?? null,
+      brierScore: metrics.brierScore ?? null,
+      avgEntryPrice: metrics.avgEntryPrice ?? null,
+      edgePositions: metrics.edgePositions ?? 0,
+      edgeScore: this.edgeScore(metrics),
+      
       totalTrades: totalTrades ?? 0,
       totalVolumeUsd: totalVolumeUsd ?? 0,
       realizedPnl: realizedPnl ?? 0,
       confidenceScore: confidenceScore ?? 0,
       
+      // PnL metrics (closed positions)
+      closedRealizedPnl: metrics.closedRealizedPnl ?? 0,
+      capitalDeployed: metrics.capitalDeployed ?? 0,
+      roi: metrics.roi ?? null,
+      avgWin: metrics.avgWin ?? null,
+      avgLoss: metrics.avgLoss ?? null,
+      profitFactor: metrics.profitFactor ?? null,
+      returnVolatility: metrics.returnVolatility ?? null,
+      sharpeRatio: metrics.sharpeRatio ?? null,
+      maxDrawdown: metrics.maxDrawdown ?? 0,
+      
       // Win/Loss counts
       winCount: winCount ?? 0,
       lossCount: lossCount ?? 0,
       closedPositions: closedPositions ?? 0,
       
+      // Wash-trading patterns (suspicionScore: 0 = none flagged)
+      wash: metrics.wash ?? null,
+      suspicionScore: suspicion,
+      
+      // Data completeness and recency
+      historyTruncated: metrics.historyTruncated ?? false,
+      lastActiveAt: metrics.lastActiveAt ?? null,
+      asOf: metrics.asOf ?? null,
+      
       // Score
       compositeScore: Math.round(compositeScore * 10000) / 10000,
       
+      // Per-window metrics and scores (7d / 30d / 90d / all)
+      windows: this.scoreWindows(metrics),
+      
+      // Per-category metrics and scores (null without market metadata)
+      categories: metrics.categories ? this.scoreSlices(metrics.categories, metrics) : null,
+      
       // Tags
       reasonTags,
       
       // Metadata
       scoreBreakdown: {
+        winRateBasis: this.winRateBasis,
+        effectiveWinRate,
+        shrunkWinRate: estimates.shrunkWinRate,
+        winRateLowerBound: estimates.winRateLowerBound,
+        edgeScore: this.edgeScore(metrics),
+        prior: { alpha: this.priorAlpha, beta: this.priorBeta },
         winRateContribution: (effectiveWinRate ?? 0) * this.winRateWeight,
         volumeContribution: normalizedVolume * this.volumeWeight,
-        confidenceContribution: (confidenceScore ?? 0) * this.confidenceWeight
+        confidenceContribution: (confidenceScore ?? 0) * this.confidenceWeight,
+        roiContribution: pnl.roi * this.roiWeight,
+        profitFactorContribution: pnl.profitFactor * this.profitFactorWeight,
+        sharpeContribution: pnl.sharpe * this.sharpeWeight,
+        drawdownPenalty: pnl.drawdown * this.drawdownWeight,
+        suspicionPenalty: suspicion * this.suspicionWeight
       }
     };
   }
 
+  /**
+   * Win rate estimates from decided (won/lost) positions
+   * 
+   * shrunk = (wins + alpha) / (n + alpha + beta)  (posterior mean, Beta prior)
+   * Wilson interval at z; both are null when there are no decided positions.
+   * @param {number} wins - Winning closed positions
+   * @param {number} losses - Losing closed positions
+   * @returns {Object} - { shrunkWinRate, winRateLowerBound, winRateUpperBound }
+   */
+  winRateEstimates(wins, losses) {
+    const n = wins + losses;
+    if (n === 0) {
+      return { shrunkWinRate: null, winRateLowerBound: null, winRateUpperBound: null };
+    }
+    
+    const shrunk = (wins + this.priorAlpha) / (n + this.priorAlpha + this.priorBeta);
+    
+    const z = this.wilsonZ;
+    const p = wins / n;
+    const denominator = 1 + z * z / n;
+    const centre = p + z * z / (2 * n);
+    const margin = z * Math.sqrt(p * (1 - p) / n + z * z / (4 * n * n));
+    
+    return {
+      shrunkWinRate: round4(shrunk),
+      winRateLowerBound: round4(Math.max(0, (centre - margin) / denominator)),
+      winRateUpperBound: round4(Math.min(1, (centre + margin) / denominator))
+    };
+  }
+
+  /**
+   * Entry-price edge mapped onto a win-rate-like 0-1 scale
+   * 
+   * edge_score = 0.5 + sum(edge) / (n + alpha + beta), clamped to 0-1.
+   * The sum is shrunk towards zero edge with the same prior strength as the
+   * win rate, so one lucky longshot does not dominate.
+   * @param {Object} metrics - Metrics (or window metrics) with meanEdge / edgePositions
+   * @returns {number|null} - Edge score, or null without priced positions
+   */
+  edgeScore(metrics) {
+    const n = metrics.edgePositions ?? 0;
+    if (n === 0 || metrics.meanEdge === null || metrics.meanEdge === undefined) return null;
+    const shrunkEdge = metrics.meanEdge * n / (n + this.priorAlpha + this.priorBeta);
+    return round4(Math.min(Math.max(0.5 + shrunkEdge, 0), 1));
+  }
+
+  /**
+   * Win rate fed into the composite score
+   * Falls back to the proxy win rate when there are no decided positions.
+   * @param {Object} metrics - Metrics (or window metrics) with strict/proxy win rate
+   * @param {Object} estimates - Output of winRateEstimates
+   * @returns {number} - Win rate 0-1
+   */
+  effectiveWinRate(metrics, estimates) {
+    const byBasis = {
+      shrunk: estimates.shrunkWinRate,
+      lower_bound: estimates.winRateLowerBound,
+      raw: metrics.strictWinRate,
+      edge: this.edgeScore(metrics)
+    };
+    return byBasis[this.winRateBasis] ?? metrics.proxyWinRate ?? 0;
+  }
+
+  /**
+   * Estimate the Beta prior from a population (method of moments)
+   * 
+   * Only accounts with at least PRIOR_MIN_DECIDED decided positions count.
+   * Their observed rates include binomial noise, which inflates the variance
+   * and errs towards a weaker prior. The current prior is kept when too few
+   * accounts qualify or the rates are more spread out than a Beta allows.
+   * @param {Array} metricsArray - Account metrics with winCount / lossCount
+   * @returns {Object} - { alpha, beta, accounts, fitted }
+   */
+  fitPrior(metricsArray) {
+    const rates = metricsArray
+      .filter(m => (m.winCount ?? 0) + (m.lossCount ?? 0) >= PRIOR_MIN_DECIDED)
+      .map(m => m.winCount / (m.winCount + m.lossCount));
+    const unchanged = { alpha: this.priorAlpha, beta: this.priorBeta, accounts: rates.length, fitted: false };
+    if (rates.length < PRIOR_MIN_ACCOUNTS) return unchanged;
+    
+    const mean = rates.reduce((sum, r) => sum + r, 0) / rates.length;
+    const variance = rates.reduce((sum, r) => sum + (r - mean) ** 2, 0) / (rates.length - 1);
+    if (mean <= 0 || mean >= 1 || variance <= 0) return unchanged;
+    
+    const strength = mean * (1 - mean) / variance - 1;
+    if (strength <= 0) return unchanged;
+    
+    const capped = Math.min(strength, PRIOR_MAX_STRENGTH);
+    this.priorAlpha = round4(mean * capped);
+    this.priorBeta = round4((1 - mean) * capped);
+    return { alpha: this.priorAlpha, beta: this.priorBeta, accounts: rates.length, fitted: true };
+  }
+
+  /**
+   * Weighted composite score
+   * Score = a * win_rate + b * log_volume + c * confidence
+   *       + d * roi + e * profit_factor + f * sharpe - g * drawdown
+   *       - h * suspicion
+   * @param {number} winRate - Effective win rate (0-1)
+   * @param {number} volumeUsd - Volume in USD
+   * @param {number} confidence - Confidence score (0-1)
+   * @param {Object} pnl - Normalized PnL terms from normalizePnl
+   * @param {number} suspicion - Wash-trading suspicion from suspicionScore (default: 0)
+   * @returns {number} - Unrounded composite score
+   */
+  compositeFor(winRate, volumeUsd, confidence, pnl, suspicion = 0) {
+    return (
+      this.winRateWeight * (winRate ?? 0) +
+      this.volumeWeight * this.normalizeVolume(volumeUsd) +
+      this.confidenceWeight * (confidence ?? 0) +
+      this.roiWeight * pnl.roi +
+      this.profitFactorWeight * pnl.profitFactor +
+      this.sharpeWeight * pnl.sharpe -
+      this.drawdownWeight * pnl.drawdown -
+      this.suspicionWeight * suspicion
+    );
+  }
+
+  /**
+   * Wash-trading patterns that cross their tag thresholds
+   * @param {Object} metrics - Account metrics with `wash` (see wash.js)
+   * @returns {Array} - [{ tag, share }] (share: fraction of volume, positions or trades affected)
+   */
+  suspicionChecks(metrics) {
+    const wash = metrics.wash;
+    if (!wash) return [];
+    const t = this.tagThresholds;
+    const checks = [];
+    
+    if (wash.roundTrips >= t.washMinRoundTrips && wash.roundTripShare >= t.washRoundTripShare) {
+      checks.push({ tag: 'suspicious_round_trips', share: wash.roundTripShare });
+    }
+    if (wash.churnPositions >= t.washMinChurnPositions && wash.churnShare >= t.washChurnShare) {
+      checks.push({ tag: 'suspicious_churn', share: wash.churnShare });
+    }
+    // Merged in per run (findCounterpartyOverlaps); absent until then
+    if ((wash.sharedTrades ?? 0) >= t.washMinSharedTrades && wash.sharedShare >= t.washSharedShare &&
+        wash.counterpartyCount <= t.washMaxCounterparties) {
+      checks.push({ tag: 'suspicious_counterparties', share: wash.sharedShare });
+    }
+    
+    return checks;
+  }
+
+  /**
+   * Wash-trading suspicion: the largest share among the flagged patterns
+   * @param {Object} metrics - Account metrics with `wash`
+   * @returns {number} - 0-1 (0 when nothing is flagged)
+   */
+  suspicionScore(metrics) {
+    return this.suspicionChecks(metrics).reduce((max, check) => Math.max(max, check.share), 0);
+  }
+
+  /**
+   * Map PnL metrics onto 0-1 for the composite score
+   * - roi: -100%..+100% -> 0..1 (breakeven 0.5)
+   * - profitFactor: pf / (1 + pf) (pf = 1 -> 0.5)
+   * - sharpe: s / (1 + |s|) shifted to 0..1 (0 -> 0.5)
+   * - drawdown: max drawdown / capital deployed, capped at 1
+   * Missing metrics count as 0.
+   * @param {Object} metrics - Account metrics
+   * @returns {Object} - { roi, profitFactor, sharpe, drawdown }
+   */
+  normalizePnl(metrics) {
+    const { roi, profitFactor, sharpeRatio, maxDrawdown, capitalDeployed } = metrics;
+    return {
+      roi: roi === null || roi === undefined ? 0 : Math.min(Math.max((roi + 1) / 2, 0), 1),
+      profitFactor: profitFactor === null || profitFactor === undefined ? 0 : profitFactor / (1 + profitFactor),
+      sharpe: sharpeRatio === null || sharpeRatio === undefined ? 0 : (sharpeRatio / (1 + Math.abs(sharpeRatio)) + 1) / 2,
+      drawdown: capitalDeployed > 0 ? Math.min((maxDrawdown || 0) / capitalDeployed, 1) : 0
+    };
+  }
+
+  /**
+   * Score each rolling window of an account
+   * Confidence, PnL ratios and suspicion are not windowed, so the all-time
+   * values are used for every window.
+   * @param {Object} metrics - Account metrics with `windows` from the collector
+   * @returns {Object} - Window name => window metrics + compositeScore
+   */
+  scoreWindows(metrics) {
+    return this.scoreSlices(metrics.windows || {}, metrics);
+  }
+
+  /**
+   * Score slices of an account's record (rolling windows or market categories)
+   * with the all-time confidence, PnL ratios and suspicion
+   * @param {Object} slices - Name => slice metrics (win/loss counts, volume, edge)
+   * @param {Object} metrics - Account metrics
+   * @returns {Object} - Name => slice metrics + win rate estimates, edgeScore and compositeScore
+   */
+  scoreSlices(slices, metrics) {
+    const scored = {};
+    const pnl = this.normalizePnl(metrics);
+    const suspicion = this.suspicionScore(metrics);
+    for (const [name, slice] of Object.entries(slices)) {
+      const estimates = this.winRateEstimates(slice.winCount ?? 0, slice.lossCount ?? 0);
+      const winRate = this.effectiveWinRate(slice, estimates);
+      const compositeScore = this.compositeFor(winRate, slice.totalVolumeUsd, metrics.confidenceScore, pnl, suspicion);
+      scored[name] = {
+        ...slice,
+        shrunkWinRate: estimates.shrunkWinRate,
+        winRateLowerBound: estimates.winRateLowerBound,
+        edgeScore: this.edgeScore(slice),
+        compositeScore: Math.round(compositeScore * 10000) / 10000
+      };
+    }
+    return scored;
+  }
+
   /**
    * Normalize volume using log scale
    * @param {number} volume - Volume in USD
@@ -93,9 +430,9 @@ class AccountScorer {
    */
   normalizeVolume(volume) {
     if (!volume || volume <= 0) return 0;
-    // Log base 10, capped at $1M for normalization
+    // Log base 10, capped at volumeCapUsd for normalization
     const logVolume = Math.log10(volume + 1);
-    const maxLogVolume = Math.log10(1000000 + 1);  // 1M
+    const maxLogVolume = Math.log10(this.volumeCapUsd + 1);
     return Math.min(logVolume / maxLogVolume, 1);
   }
 
@@ -106,38 +443,86 @@ class AccountScorer {
    */
   determineReasonTags(metrics) {
     const tags = [];
+    const t = this.tagThresholds;
     
-    if (metrics.strictWinRate >= 0.6) tags.push('high_winrate');
-    else if (metrics.strictWinRate >= 0.5) tags.push('medium_winrate');
+    if (metrics.strictWinRate >= t.highWinRate) tags.push('high_winrate');
+    else if (metrics.strictWinRate >= t.mediumWinRate) tags.push('medium_winrate');
     
-    if (metrics.totalVolumeUsd >= 10000) tags.push('high_volume');
-    else if (metrics.totalVolumeUsd >= 1000) tags.push('medium_volume');
+    if (metrics.totalVolumeUsd >= t.highVolumeUsd) tags.push('high_volume');
+    else if (metrics.totalVolumeUsd >= t.mediumVolumeUsd) tags.push('medium_volume');
     
-    if (metrics.confidenceScore >= 0.5) tags.push('high_confidence');
-    else if (metrics.confidenceScore >= 0.3) tags.push('medium_confidence');
+    if (metrics.confidenceScore >= t.highConfidence) tags.push('high_confidence');
+    else if (metrics.confidenceScore >= t.mediumConfidence) tags.push('medium_confidence');
     
-    if (metrics.totalTrades >= 100) tags.push('active_trader');
-    else if (metrics.totalTrades >= 20) tags.push('regular_trader');
+    if (metrics.totalTrades >= t.activeTrades) tags.push('active_trader');
+    else if (metrics.totalTrades >= t.regularTrades) tags.push('regular_trader');
     
     if (metrics.realizedPnl > 0) tags.push('profitable');
     else if (metrics.realizedPnl < 0) tags.push('loss_making');
     
     // Consistency: high win rate across multiple positions
-    if (metrics.strictWinRate >= 0.55 && metrics.closedPositions >= 10) {
+    if (metrics.strictWinRate >= t.consistentWinRate && metrics.closedPositions >= t.consistentMinClosed) {
       tags.push('consistent_winner');
     }
     
+    // Entry-price style: profitable underdog buyer vs heavy-favourite buyer
+    if ((metrics.edgePositions ?? 0) >= t.edgeMinPositions) {
+      if (metrics.avgEntryPrice <= t.longshotMaxEntry && metrics.meanEdge > 0) tags.push('longshot_hunter');
+      if (metrics.avgEntryPrice >= t.favouriteMinEntry) tags.push('favourite_farmer');
+    }
+    
+    // Category specialists: most decided positions in one category, won at a good rate
+    for (const [category, c] of Object.entries(metrics.categories || {})) {
+      if (category === 'other') continue;
+      if (c.closedPositions >= t.specialistMinClosed && c.closedShare >= t.specialistMinShare &&
+          c.strictWinRate >= t.specialistWinRate) {
+        tags.push(`${category}_specialist`);
+      }
+    }
+    
+    // Wash trading: round trips, zero-PnL churn, self-matching with a few wallets
+    for (const check of this.suspicionChecks(metrics)) tags.push(check.tag);
+    
     return tags;
   }
 
+  /**
+   * Get scoring configuration as object
+   * @returns {Object} - Current scoring configuration (valid constructor options)
+   */
+  getConfig() {
+    return {
+      winRateWeight: this.winRateWeight,
+      volumeWeight: this.volumeWeight,
+      confidenceWeight: this.confidenceWeight,
+      roiWeight: this.roiWeight,
+      profitFactorWeight: this.profitFactorWeight,
+      sharpeWeight: this.sharpeWeight,
+      drawdownWeight: this.drawdownWeight,
+      suspicionWeight: this.suspicionWeight,
+      winRateBasis: this.winRateBasis,
+      priorMode: this.priorMode,
+      priorAlpha: this.priorAlpha,
+      priorBeta: this.priorBeta,
+      wilsonZ: this.wilsonZ,
+      volumeCapUsd: this.volumeCapUsd,
+      tagThresholds: { ...this.tagThresholds },
+      strategy: this.strategy
+    };
+  }
+
   /**
    * Score multiple accounts
+   * In 'population' prior mode the prior is first fitted to the batch.
    * @param {Array} metricsArray - Array of account metrics
    * @returns {Array} - Array of scored accounts
    */
   scoreBatch(metricsArray) {
+    if (this.priorMode === 'population') {
+      this.fitPrior(metricsArray);
+    }
     return metricsArray.map(m => this.score(m));
   }
 }
 
-module.exports = { AccountScorer };
+module.exports = { AccountScorer, DEFAULT_TAG_THRESHOLDS };
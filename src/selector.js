@@ -2,11 +2,22 @@
  * Selector Module - Filter and select top accounts based on criteria
  * 
  * Responsibilities:
- * - Apply configurable thresholds (min_trades, min_volume, min_winrate)
+ * - Apply configurable thresholds (min_trades, min_volume, min_winrate,
+ *   min_winrate_lower_bound, PnL thresholds)
  * - Select top N accounts by composite score
+ * - Filter and rank on a rolling window (7d / 30d / 90d) instead of all-time
+ * - Filter and rank on one market category (specialists)
+ * - Exclude accounts tagged suspicious_* (wash trading) unless allowed
+ * - Apply declarative selection rules (see rules.js) and report which
+ *   rules each account passed or failed
+ * - Annotate rejected accounts with the failing criteria and flag near misses
  * - Support dry-run mode for testing
  */
 
+const { METRIC_WINDOWS } = require('./collector');
+const { MARKET_CATEGORIES } = require('./markets');
+const { parseRule, evaluateRule } = require('./rules');
+
 class AccountSelector {
   /**
    * @param {Object} options - Selection criteria
@@ -14,14 +25,169 @@ class AccountSelector {
    * @param {number} options.minVolume - Minimum volume in USD
    * @param {number} options.minWinRate - Minimum win rate (0-1)
    * @param {number} options.minConfidence - Minimum confidence score (0-1)
+   * @param {number} options.minWinRateLowerBound - Minimum Wilson lower bound of the win rate (0-1, default: 0 = off)
+   * @param {number} options.minRoi - Minimum ROI on capital deployed (default: null = off)
+   * @param {number} options.minProfitFactor - Minimum profit factor (default: null = off)
+   * @param {number} options.minSharpe - Minimum Sharpe-like ratio (default: null = off)
+   * @param {number} options.maxDrawdown - Maximum drawdown of realized PnL in USD (default: null = off)
    * @param {number} options.topN - Number of top accounts to select
+   * @param {string} options.window - Metrics window to filter and rank on (default: 'all')
+   * @param {string} options.category - Market category to filter and rank on (default: null = all markets;
+   *   needs window 'all')
+   * @param {boolean} options.excludeSuspicious - Reject accounts with a suspicious_* tag (default: true)
+   * @param {Array} options.rules - Selection rule texts, all of which must pass (default: none)
+   * @param {number} options.nearMissMargin - Relative margin for near misses (default: 0.1 = within 10% of each threshold)
    */
   constructor(options = {}) {
     this.minTrades = options.minTrades ?? 10;
     this.minVolume = options.minVolume ?? 100;
     this.minWinRate = options.minWinRate ?? 0.5;
     this.minConfidence = options.minConfidence ?? 0.1;
+    this.minWinRateLowerBound = options.minWinRateLowerBound ?? 0;
+    this.minRoi = options.minRoi ?? null;
+    this.minProfitFactor = options.minProfitFactor ?? null;
+    this.minSharpe = options.minSharpe ?? null;
+    this.maxDrawdown = options.maxDrawdown ?? null;
     this.topN = options.topN ?? 100;
+    this.window = options.window ?? 'all';
+    this.category = options.category ?? null;
+    this.excludeSuspicious = options.excludeSuspicious ?? true;
+    this.rules = (options.rules || []).map(parseRule);
+    this.nearMissMargin = options.nearMissMargin ?? 0.1;
+    
+    this.validateView(this.window, this.category);
+  }
+
+  /**
+   * Check a selection window and category
+   * @param {string} window - Metrics window
+   * @param {string|null} category - Market category (null = all markets)
+   * @throws {Error} - Unknown window or category, or a category with a rolling window
+   */
+  validateView(window, category) {
+    if (!(window in METRIC_WINDOWS)) {
+      throw new Error(`Unknown metrics window '${window}' (expected one of: ${Object.keys(METRIC_WINDOWS).join(', ')})`);
+    }
+    if (category !== null && !MARKET_CATEGORIES.includes(category)) {
+      throw new Error(`Unknown market category '${category}' (expected one of: ${MARKET_CATEGORIES.join(', ')})`);
+    }
+    if (category !== null && window !== 'all') {
+      throw new Error('A market category can only be combined with the \'all\' window');
+    }
+  }
+
+  /**
+   * Account as seen through the selection window
+   * Rolling windows replace win rate, volume, PnL, trade count and score
+   * with the window's values; accounts without that window are skipped.
+   * @param {Object} account - Scored account
+   * @returns {Object|null} - Account view, or null if the window is missing
+   */
+  windowView(account) {
+    if (this.window === 'all') return account;
+    const window = account.windows?.[this.window];
+    if (!window) return null;
+    return { ...account, ...window, selectionWindow: this.window };
+  }
+
+  /**
+   * Account as seen through the selection category
+   * Like a window: the category's win rate, volume, PnL, trade count and
+   * score replace the account's; accounts that never traded the category
+   * are skipped.
+   * @param {Object} account - Scored account
+   * @returns {Object|null} - Account view, or null if the category is missing
+   */
+  categoryView(account) {
+    const category = account.categories?.[this.category];
+    if (!category) return null;
+    return { ...account, ...category, selectionCategory: this.category };
+  }
+
+  /**
+   * Account as seen through the selection window or category
+   * @param {Object} account - Scored account
+   * @returns {Object|null} - Account view, or null if the window or category is missing
+   */
+  selectionView(account) {
+    return this.category !== null ? this.categoryView(account) : this.windowView(account);
+  }
+
+  /**
+   * Check each fixed threshold
+   * A metric the account does not have (e.g. no losses for a Sharpe ratio)
+   * fails any threshold set on it.
+   * @param {Object} account - Account view
+   * @returns {Array} - Failed thresholds: [{ criterion, value, threshold }]
+   */
+  failedThresholds(account) {
+    // Use strict_win_rate if available, otherwise proxy_win_rate
+    // If both are null the account fails the win rate threshold, even at minWinRate 0
+    const winRate = account.strictWinRate ?? account.proxyWinRate;
+    
+    // Without decided positions there is no lower bound; it only passes when the filter is off
+    const minimums = [
+      ['minTrades', account.totalTrades, this.minTrades],
+      ['minVolume', account.totalVolumeUsd, this.minVolume],
+      ['minWinRate', winRate, this.minWinRate],
+      ['minWinRateLowerBound', account.winRateLowerBound ?? 0, this.minWinRateLowerBound > 0 ? this.minWinRateLowerBound : null],
+      ['minRoi', account.roi, this.minRoi],
+      ['minProfitFactor', account.profitFactor, this.minProfitFactor],
+      ['minSharpe', account.sharpeRatio, this.minSharpe],
+      ['minConfidence', account.confidenceScore, this.minConfidence]
+    ];
+    
+    const failed = [];
+    for (const [criterion, value, threshold] of minimums) {
+      if (threshold === null) continue;
+      if (value === null || value === undefined || !(value >= threshold)) {
+        failed.push({ criterion, value: value ?? null, threshold });
+      }
+    }
+    if (this.maxDrawdown !== null && (account.maxDrawdown ?? 0) > this.maxDrawdown) {
+      failed.push({ criterion: 'maxDrawdown', value: account.maxDrawdown, threshold: this.maxDrawdown });
+    }
+    return failed;
+  }
+
+  /**
+   * Check the fixed minimum thresholds
+   * @param {Object} account - Account view
+   * @returns {boolean} - True if every threshold passes
+   */
+  passesThresholds(account) {
+    return this.failedThresholds(account).length === 0;
+  }
+
+  /**
+   * Whether a rejected account missed only fixed thresholds, each by at most
+   * nearMissMargin of the threshold. Missing metrics, zero thresholds and
+   * failed rules never count as near misses.
+   * @param {Array} failedCriteria - From failedThresholds
+   * @param {number} failedRules - Number of failed rules
+   * @returns {boolean} - True for a near miss
+   */
+  isNearMiss(failedCriteria, failedRules) {
+    if (failedCriteria.length === 0 || failedRules > 0) return false;
+    return failedCriteria.every(({ criterion, value, threshold }) => {
+      if (value === null || threshold === 0) return false;
+      const gap = criterion === 'maxDrawdown' ? value - threshold : threshold - value;
+      return gap <= Math.abs(threshold) * this.nearMissMargin;
+    });
+  }
+
+  /**
+   * Evaluate the selection rules for an account
+   * @param {Object} account - Account view
+   * @returns {Object} - { passed, failed } rule texts
+   */
+  evaluateRules(account) {
+    const passed = [];
+    const failed = [];
+    for (const rule of this.rules) {
+      (evaluateRule(rule, account) ? passed : failed).push(rule.text);
+    }
+    return { passed, failed };
   }
 
   /**
@@ -30,22 +196,50 @@ class AccountSelector {
    * @returns {Object} - Selection result with filtered and top accounts
    */
   select(scoredAccounts) {
-    // Phase 1: Apply minimum thresholds
-    const filtered = scoredAccounts.filter(account => {
-      // Use strict_win_rate if available, otherwise proxy_win_rate
-      const winRate = account.strictWinRate ?? account.proxyWinRate;
+    // Phase 1: Apply minimum thresholds and rules on the selection window
+    const ruleRejections = Object.fromEntries(this.rules.map(rule => [rule.text, 0]));
+    const rejectionReasons = {};
+    const filtered = [];
+    const rejected = [];
+    for (const scored of scoredAccounts) {
+      const view = this.selectionView(scored);
+      if (!view) {
+        const reason = this.category !== null ? 'missingCategory' : 'missingWindow';
+        rejected.push({ ...scored, rejectionReasons: [reason], failedCriteria: [], nearMiss: false });
+        rejectionReasons[reason] = (rejectionReasons[reason] || 0) + 1;
+        continue;
+      }
       
-      // Fix: If both win rates are null, the account does not pass the win rate threshold
-      // This prevents accounts with no win rate data from passing when minWinRate > 0
-      const passesWinRate = winRate !== null && winRate >= this.minWinRate;
+      // Wash-trading suspects are rejected before thresholds and rules
+      const suspicious = this.excludeSuspicious ? (view.reasonTags || []).filter(tag => tag.startsWith('suspicious_')) : [];
+      if (suspicious.length > 0) {
+        rejected.push({ ...view, rejectionReasons: suspicious, failedCriteria: [], nearMiss: false });
+        for (const tag of suspicious) rejectionReasons[tag] = (rejectionReasons[tag] || 0) + 1;
+        continue;
+      }
       
-      return (
-        account.totalTrades >= this.minTrades &&
-        account.totalVolumeUsd >= this.minVolume &&
-        passesWinRate &&
-        account.confidenceScore >= this.minConfidence
-      );
-    });
+      const account = this.rules.length > 0 ? { ...view, ruleResults: this.evaluateRules(view) } : view;
+      const failedRules = account.ruleResults?.failed || [];
+      for (const text of failedRules) ruleRejections[text]++;
+      
+      const failedCriteria = this.failedThresholds(account);
+      const reasons = [...failedCriteria.map(c => c.criterion), ...failedRules.map(text => `rule: ${text}`)];
+      if (reasons.length === 0) {
+        filtered.push(account);
+        continue;
+      }
+      
+      for (const reason of reasons) rejectionReasons[reason] = (rejectionReasons[reason] || 0) + 1;
+      rejected.push({
+        ...account,
+        rejectionReasons: reasons,
+        failedCriteria,
+        nearMiss: this.isNearMiss(failedCriteria, failedRules.length)
+      });
+    }
+    const nearMisses = rejected
+      .filter(account => account.nearMiss)
+      .sort((a, b) => b.compositeScore - a.compositeScore);
 
     // Phase 2: Sort by composite score and take top N
     const sorted = [...filtered].sort((a, b) => 
@@ -60,6 +254,12 @@ class AccountSelector {
       // Selected accounts
       selected: topAccounts,
       
+      // Accounts that failed a threshold or rule, with rejectionReasons and failedCriteria
+      rejected,
+      
+      // Rejected accounts within nearMissMargin of every threshold they failed, best score first
+      nearMisses,
+      
       // Statistics
       summary,
       
@@ -68,12 +268,25 @@ class AccountSelector {
         totalInput: scoredAccounts.length,
         passedFilters: filtered.length,
         selectedCount: topAccounts.length,
+        rejectionReasons,
+        nearMissCount: nearMisses.length,
+        ruleRejections,
         criteria: {
           minTrades: this.minTrades,
           minVolume: this.minVolume,
           minWinRate: this.minWinRate,
           minConfidence: this.minConfidence,
-          topN: this.topN
+          minWinRateLowerBound: this.minWinRateLowerBound,
+          minRoi: this.minRoi,
+          minProfitFactor: this.minProfitFactor,
+          minSharpe: this.minSharpe,
+          maxDrawdown: this.maxDrawdown,
+          topN: this.topN,
+          window: this.window,
+          category: this.category,
+          excludeSuspicious: this.excludeSuspicious,
+          rules: this.rules.map(rule => rule.text),
+          nearMissMargin: this.nearMissMargin
         }
       }
     };
@@ -122,20 +335,43 @@ class AccountSelector {
       minVolume: this.minVolume,
       minWinRate: this.minWinRate,
       minConfidence: this.minConfidence,
-      topN: this.topN
+      minWinRateLowerBound: this.minWinRateLowerBound,
+      minRoi: this.minRoi,
+      minProfitFactor: this.minProfitFactor,
+      minSharpe: this.minSharpe,
+      maxDrawdown: this.maxDrawdown,
+      topN: this.topN,
+      window: this.window,
+      category: this.category,
+      excludeSuspicious: this.excludeSuspicious,
+      rules: this.rules.map(rule => rule.text),
+      nearMissMargin: this.nearMissMargin
     };
   }
 
   /**
    * Update selection criteria
    * @param {Object} criteria - New criteria
+   * @throws {Error} - Invalid window or category (nothing is updated)
    */
   updateCriteria(criteria) {
+    this.validateView(criteria.window ?? this.window, criteria.category !== undefined ? criteria.category : this.category);
+    
     if (criteria.minTrades !== undefined) this.minTrades = criteria.minTrades;
     if (criteria.minVolume !== undefined) this.minVolume = criteria.minVolume;
     if (criteria.minWinRate !== undefined) this.minWinRate = criteria.minWinRate;
     if (criteria.minConfidence !== undefined) this.minConfidence = criteria.minConfidence;
+    if (criteria.minWinRateLowerBound !== undefined) this.minWinRateLowerBound = criteria.minWinRateLowerBound;
+    if (criteria.minRoi !== undefined) this.minRoi = criteria.minRoi;
+    if (criteria.minProfitFactor !== undefined) this.minProfitFactor = criteria.minProfitFactor;
+    if (criteria.minSharpe !== undefined) this.minSharpe = criteria.minSharpe;
+    if (criteria.maxDrawdown !== undefined) this.maxDrawdown = criteria.maxDrawdown;
     if (criteria.topN !== undefined) this.topN = criteria.topN;
+    if (criteria.window !== undefined) this.window = criteria.window;
+    if (criteria.category !== undefined) this.category = criteria.category;
+    if (criteria.excludeSuspicious !== undefined) this.excludeSuspicious = criteria.excludeSuspicious;
+    if (criteria.rules !== undefined) this.rules = criteria.rules.map(parseRule);
+    if (criteria.nearMissMargin !== undefined) this.nearMissMargin = criteria.nearMissMargin;
   }
 }
 
@@ -0,0 +1,104 @@
+/**
+ * HTTP API entry point
+ *
+ * Serves the scanner database read-only over HTTP so other services can
+ * consume runs, selections, account snapshots and leaderboards without
+ * database credentials. Endpoints are listed in src/api.js.
+ *
+ * Usage: npm run serve -- [options]
+ * Options:
+ *   --port <n>         Port to listen on (default: 3000)
+ *   --host <host>      Interface to bind (default: 127.0.0.1)
+ *   --max-limit <n>    Largest page size a client may request (default: 500)
+ */
+
+const { ApiServer } = require('./api');
+const { Storage } = require('./storage');
+const { close } = require('./db');
+require('dotenv').config();
+
+function showHelp() {
+  console.log(`
+Usage: npm run serve -- [options]
+
+Serve runs, selections, accounts and leaderboards as a read-only JSON API.
+
+Options:
+  --port <n>         Port to listen on (default: 3000)
+  --host <host>      Interface to bind (default: 127.0.0.1)
+  --max-limit <n>    Largest page size a client may request (default: 500)
+  --help, -h         Show this help message
+
+Environment variables:
+  API_PORT, API_HOST
+
+Endpoints:
+  GET /runs?status=&type=&limit=&offset=
+  GET /runs/:id
+  GET /runs/:id/selected?limit=&offset=
+  GET /accounts/:address
+  GET /accounts/:address/snapshots?include_derived=&limit=&offset=
+  GET /leaderboard?window=&sort=&run=&limit=&offset=
+`);
+  process.exit(0);
+}
+
+function parseArgs() {
+  const args = process.argv.slice(2);
+  const config = {
+    port: parseInt(process.env.API_PORT || '3000'),
+    host: process.env.API_HOST || '127.0.0.1',
+    maxLimit: 500
+  };
+
+  for (let i = 0; i < args.length; i++) {
+    switch (args[i]) {
+      case '--help':
+      case '-h':
+        showHelp();
+        break;
+      case '--port':
+        config.port = parseInt(args[++i]);
+        break;
+      case '--host':
+        config.host = args[++i];
+        break;
+      case '--max-limit':
+        config.maxLimit = parseInt(args[++i]);
+        break;
+    }
+  }
+
+  return config;
+}
+
+/**
+ * Main server function
+ */
+async function main() {
+  const config = parseArgs();
+  const storage = new Storage({ logger: console });
+  const api = new ApiServer({ storage, maxLimit: config.maxLimit });
+
+  let address;
+  try {
+    address = await api.listen(config.port, config.host);
+  } catch (error) {
+    console.error(`[API] Failed to listen on ${config.host}:${config.port}: ${error.message}`);
+    await close();
+    process.exit(1);
+  }
+  console.log(`[API] Listening on http://${address.host}:${address.port}`);
+
+  const stop = async (signal) => {
+    console.log(`[API] Received ${signal}, closing...`);
+    await api.close();
+    await close();
+    console.log('[API] Stopped');
+    process.exit(0);
+  };
+  process.on('SIGINT', stop);
+  process.on('SIGTERM', stop);
+}
+
+main();
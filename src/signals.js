@@ -0,0 +1,183 @@
+/**
+ * Signals Module - Copy-trade signals from changes in a trader's positions
+ *
+ * Diffs a trader's open positions (/positions) against the last known state
+ * and emits:
+ * - new_position: a position that was not there before
+ * - size_increase: the trader added to a position
+ * - exit: the trader sold all or part of a position
+ * - market_resolved: the market settled (position became redeemable or was redeemed)
+ *
+ * Recent /activity supplies the trade prices of increases and exits and tells
+ * redemptions apart from sales. Every signal carries a dedupe key built from
+ * the position, its size before and after the change and the time of the
+ * newest activity behind it, so a repeated diff of the same change maps onto
+ * the same key while a later re-entry at the same sizes does not.
+ */
+
+const SIGNAL_TYPES = ['new_position', 'size_increase', 'exit', 'market_resolved'];
+
+// Size changes below this many shares are rounding noise, not trades
+const SIZE_EPSILON = 0.0001;
+
+const round4 = value => Math.round(value * 10000) / 10000;
+
+/**
+ * Key of a position: one per market outcome
+ * @param {Object} position - /positions or /activity record
+ * @returns {string} - conditionId:outcome
+ */
+function positionKey(position) {
+  return `${position.conditionId}:${position.outcome}`;
+}
+
+/**
+ * Reduce /positions records to the state kept between polls
+ * @param {Array} positions - /positions records
+ * @returns {Object} - positionKey => { conditionId, outcome, title, slug, size, avgPrice, curPrice, redeemable }
+ */
+function toPositionState(positions) {
+  const state = {};
+  for (const p of positions) {
+    const size = parseFloat(p.size) || 0;
+    if (size <= SIZE_EPSILON) continue;
+    state[positionKey(p)] = {
+      conditionId: p.conditionId,
+      outcome: p.outcome,
+      title: p.title || null,
+      slug: p.slug || null,
+      size,
+      avgPrice: parseFloat(p.avgPrice) || 0,
+      curPrice: parseFloat(p.curPrice) || 0,
+      redeemable: Boolean(p.redeemable)
+    };
+  }
+  return state;
+}
+
+/**
+ * Size-weighted price of a trader's recent trades in one position
+ * @param {Array} activity - /activity records since the last poll
+ * @param {string} key - positionKey
+ * @param {string} side - 'BUY' or 'SELL'
+ * @returns {number|null} - Average price, or null without matching trades
+ */
+function tradePrice(activity, key, side) {
+  let size = 0;
+  let usd = 0;
+  for (const a of activity) {
+    if (a.type !== 'TRADE' || a.side !== side || positionKey(a) !== key) continue;
+    size += a.size || 0;
+    usd += a.usdcSize ?? (a.size || 0) * (a.price || 0);
+  }
+  return size > 0 ? usd / size : null;
+}
+
+/**
+ * Time of the newest activity record of one position
+ * @param {Array} activity - /activity records since the last poll
+ * @param {string} key - positionKey
+ * @returns {number|null} - Unix seconds, or null without matching records
+ */
+function lastActivityAt(activity, key) {
+  return activity
+    .filter(a => positionKey(a) === key)
+    .reduce((max, a) => (a.timestamp > (max ?? -Infinity) ? a.timestamp : max), null);
+}
+
+/**
+ * Diff a trader's positions against the last known state
+ * Without a previous state (first poll of an address) nothing is emitted:
+ * the current positions become the baseline.
+ * @param {Object} options - Options
+ * @param {string} options.address - Trader address
+ * @param {Object|null} options.previous - Last state from toPositionState (null = first poll)
+ * @param {Object} options.current - Current state from toPositionState
+ * @param {Array} options.activity - /activity records since the last poll
+ * @param {number|null} options.since - Activity mark of the last poll; dates changes without
+ *   matching activity (default: null)
+ * @param {number} options.minNotional - Drop signals below this USD notional (default: 0)
+ * @returns {Array} - Signals [{ type, address, condition_id, outcome, title, slug, size,
+ *   previous_size, size_delta, price, notional_usd, dedupe_key }]
+ */
+function diffPositions({ address, previous, current, activity = [], since = null, minNotional = 0 }) {
+  if (!previous) return [];
+
+  const redeemed = new Set(activity.filter(a => a.type === 'REDEEM').map(a => a.conditionId));
+  const signals = [];
+  const emit = (type, position, size, previousSize, price, notional) => {
+    signals.push({
+      type,
+      address,
+      condition_id: position.conditionId,
+      outcome: position.outcome,
+      title: position.title,
+      slug: position.slug,
+      size: round4(size),
+      previous_size: round4(previousSize),
+      size_delta: round4(size - previousSize),
+      price: price === null ? null : round4(price),
+      notional_usd: round4(notional),
+      // Same change, same key: the position, its size before and after, and when it happened
+      dedupe_key: `${address}:${positionKey(position)}:${type}:${previousSize.toFixed(4)}>${size.toFixed(4)}` +
+        `@${lastActivityAt(activity, positionKey(position)) ?? since ?? 0}`
+    });
+  };
+
+  for (const [key, position] of Object.entries(current)) {
+    const before = previous[key];
+    if (!before) {
+      if (!position.redeemable) {
+        emit('new_position', position, position.size, 0, position.avgPrice, position.size * position.avgPrice);
+      }
+      continue;
+    }
+
+    if (position.redeemable && !before.redeemable) {
+      // Notional of a resolution is the trader's cost basis: what was at stake
+      emit('market_resolved', position, position.size, before.size, position.curPrice, position.size * position.avgPrice);
+      continue;
+    }
+
+    const delta = position.size - before.size;
+    if (delta > SIZE_EPSILON) {
+      const price = tradePrice(activity, key, 'BUY') ?? position.curPrice;
+      emit('size_increase', position, position.size, before.size, price, delta * price);
+    } else if (delta < -SIZE_EPSILON) {
+      const price = tradePrice(activity, key, 'SELL') ?? position.curPrice;
+      emit('exit', position, position.size, before.size, price, -delta * price);
+    }
+  }
+
+  for (const [key, before] of Object.entries(previous)) {
+    if (current[key]) continue;
+    if (before.redeemable) continue;  // Resolution was already signalled; this is the redemption
+    if (redeemed.has(before.conditionId)) {
+      emit('market_resolved', before, 0, before.size, null, before.size * before.avgPrice);
+      continue;
+    }
+    const price = tradePrice(activity, key, 'SELL') ?? before.curPrice;
+    emit('exit', before, 0, before.size, price, before.size * price);
+  }
+
+  return signals.filter(s => s.notional_usd >= minNotional);
+}
+
+/**
+ * Newest activity timestamp, used as the mark for the next poll
+ * @param {Array} activity - /activity records
+ * @param {number|null} mark - Previous mark (unix seconds)
+ * @returns {number|null} - Updated mark
+ */
+function advanceActivityMark(activity, mark) {
+  return activity.reduce((max, a) => (a.timestamp > (max ?? -Infinity) ? a.timestamp : max), mark ?? null);
+}
+
+module.exports = {
+  SIGNAL_TYPES,
+  positionKey,
+  toPositionState,
+  tradePrice,
+  diffPositions,
+  advanceActivityMark
+};
@@ -2,11 +2,20 @@
  * Storage Module - Database operations for syncing account data
  * 
  * Responsibilities:
- * - Run lifecycle management (create, complete, fail)
+ * - Run lifecycle management (create, complete, fail, resume, stale detection)
+ * - Per-address run work queue (checkpointing)
  * - Account upsert with cumulative metrics
- * - Metrics snapshot creation
+ * - Metrics snapshot creation (including per-window, per-category, PnL, edge and wash-trading metrics)
+ * - Raw positions / activity persistence (batched, deduplicated)
  * - Selected accounts recording
- * - Error summary generation
+ * - Market consensus of the selected accounts' open positions
+ * - Trade-stream discovery state and discovered wallets
+ * - Copy-trade signals and the watched position state
+ * - Market participants (market-based discovery)
+ * - Market metadata cache (categories, tags, resolution)
+ * - Error summary and discovery yield generation
+ * - Discovery provenance per account
+ * - Paged reads for the HTTP API (runs, selections, snapshots, leaderboard)
  * 
  * Transaction boundaries:
  * - Each account upsert is a single transaction
@@ -14,6 +23,89 @@
  */
 
 const { query, getClient, close } = require('./db');
+const { activityKey } = require('./records');
+
+// Rows per multi-row INSERT for raw data
+const RAW_BATCH_SIZE = 500;
+
+const RAW_POSITION_COLUMNS = [
+  'address', 'run_id', 'condition_id', 'market_title', 'outcome', 'size', 'avg_price',
+  'current_value', 'cash_pnl', 'realized_pnl', 'cur_price', 'is_closed', 'resolved_at',
+  'dedupe_key', 'raw'
+];
+
+const RAW_TRADE_COLUMNS = [
+  'address', 'run_id', 'condition_id', 'market_title', 'outcome', 'side', 'size', 'price',
+  'usdc_size', 'timestamp', 'transaction_hash', 'activity_type', 'dedupe_key', 'raw'
+];
+
+// Leaderboard sort -> [window_metrics key, snapshot column for 'all' when no windows were stored]
+const LEADERBOARD_SORTS = {
+  score: ['compositeScore', 'score'],
+  winRate: ['strictWinRate', 'strict_win_rate'],
+  shrunkWinRate: ['shrunkWinRate', 'shrunk_win_rate'],
+  pnl: ['realizedPnl', 'realized_pnl'],
+  volume: ['totalVolumeUsd', 'total_volume_usd'],
+  trades: ['totalTrades', 'total_trades'],
+  edge: ['edgeScore', 'edge_score']
+};
+
+/**
+ * Convert an API timestamp (unix seconds, unix ms or date string) to ISO
+ * @param {number|string} value - Timestamp from API
+ * @returns {string|null} - ISO timestamp or null
+ */
+function toTimestamp(value) {
+  if (value === undefined || value === null || value === '') return null;
+  let date;
+  if (typeof value === 'number') {
+    date = new Date(value < 1e12 ? value * 1000 : value);
+  } else {
+    date = new Date(value);
+  }
+  return isNaN(date.getTime()) ? null : date.toISOString();
+}
+
+/**
+ * Build a multi-row INSERT ... ON CONFLICT statement
+ * @param {string} table - Table name
+ * @param {Array} columns - Column names
+ * @param {Array} rows - Array of value arrays (same order as columns)
+ * @param {string} conflictTarget - Conflict target columns
+ * @param {string} conflictAction - Clause after the conflict target (default: DO NOTHING)
+ * @returns {Object} - { text, values }
+ */
+function buildBatchInsert(table, columns, rows, conflictTarget, conflictAction = 'DO NOTHING') {
+  const values = [];
+  const tuples = rows.map(row => {
+    const placeholders = row.map(value => {
+      values.push(value);
+      return `$${values.length}`;
+    });
+    return `(${placeholders.join(', ')})`;
+  });
+  
+  return {
+    text: `INSERT INTO ${table} (${columns.join(', ')}) VALUES ${tuples.join(', ')}
+      ON CONFLICT (${conflictTarget}) ${conflictAction}`,
+    values
+  };
+}
+
+/**
+ * Drop rows whose dedupe key was already seen
+ * @param {Array} rows - Row value arrays
+ * @param {number} keyIndex - Index of the dedupe key in each row
+ * @returns {Array} - Unique rows
+ */
+function uniqueByKey(rows, keyIndex) {
+  const seen = new Set();
+  return rows.filter(row => {
+    if (seen.has(row[keyIndex])) return false;
+    seen.add(row[keyIndex]);
+    return true;
+  });
+}
 
 class Storage {
   constructor(options = {}) {
@@ -23,12 +115,23 @@ class Storage {
   /**
    * Create a new run record
    * @param {Object} config - Run configuration
+   * @param {Object} options - Run lineage
+   * @param {string} options.runType - 'sync' (default) or 'derived'
+   * @param {string} options.parentRunId - Run a derived run was computed from
+   * @param {Object} options.scoringConfig - Scorer configuration used for ranking
    * @returns {string} - Run ID
    */
-  async createRun(config) {
+  async createRun(config, options = {}) {
     const result = await query(
-      `INSERT INTO runs (status, config) VALUES ($1, $2) RETURNING id`,
-      ['running', JSON.stringify(config)]
+      `INSERT INTO runs (status, config, run_type, parent_run_id, scoring_config)
+       VALUES ($1, $2, $3, $4, $5) RETURNING id`,
+      [
+        'running',
+        JSON.stringify(config),
+        options.runType || 'sync',
+        options.parentRunId || null,
+        options.scoringConfig ? JSON.stringify(options.scoringConfig) : null
+      ]
     );
     const runId = result.rows[0].id;
     this.logger.info(`[Storage] Created run: ${runId}`);
@@ -61,6 +164,113 @@ class Storage {
     this.logger.error(`[Storage] Failed run: ${runId} - ${errorMessage}`);
   }
 
+  /**
+   * Record that a run is still alive
+   * @param {string} runId - Run ID
+   */
+  async touchRun(runId) {
+    await query(`UPDATE runs SET heartbeat_at = NOW() WHERE id = $1`, [runId]);
+  }
+
+  /**
+   * Mark running/resumed runs whose heartbeat is older than the timeout as stale
+   * @param {number} staleAfterMinutes - Heartbeat timeout
+   * @param {Array|null} onlyRunIds - Only consider these runs (default: all)
+   * @returns {Array} - IDs of runs marked stale
+   */
+  async markStaleRuns(staleAfterMinutes, onlyRunIds = null) {
+    const result = await query(
+      `UPDATE runs SET status = 'stale', error_message = 'Heartbeat timed out'
+       WHERE status IN ('running', 'resumed')
+         AND heartbeat_at < NOW() - ($1 * INTERVAL '1 minute')
+         AND ($2::uuid[] IS NULL OR id = ANY($2::uuid[]))
+       RETURNING id`,
+      [staleAfterMinutes, onlyRunIds]
+    );
+    const runIds = result.rows.map(r => r.id);
+    if (runIds.length > 0) {
+      this.logger.warn(`[Storage] Marked ${runIds.length} stale run(s): ${runIds.join(', ')}`);
+    }
+    return runIds;
+  }
+
+  /**
+   * Move a failed or stale run back into progress
+   * @param {string} runId - Run ID
+   * @returns {Object} - Resumed run row
+   */
+  async resumeRun(runId) {
+    const result = await query(
+      `UPDATE runs SET
+         status = 'resumed', resumed_at = NOW(), heartbeat_at = NOW(),
+         resume_count = resume_count + 1, completed_at = NULL, error_message = NULL
+       WHERE id = $1 AND status IN ('failed', 'stale') AND run_type = 'sync'
+       RETURNING *`,
+      [runId]
+    );
+    
+    if (result.rows.length === 0) {
+      const run = await this.getRun(runId);
+      if (!run) throw new Error(`Run not found: ${runId}`);
+      throw new Error(`Run ${runId} cannot be resumed from status '${run.status}' (type '${run.run_type}')`);
+    }
+    
+    this.logger.info(`[Storage] Resumed run: ${runId}`);
+    return result.rows[0];
+  }
+
+  /**
+   * Add addresses to a run's work queue as 'pending'
+   * @param {string} runId - Run ID
+   * @param {Array} addresses - Addresses in processing order
+   * @param {Map} provenance - address => [{ method, sourceRef }] (optional)
+   */
+  async enqueueRunAddresses(runId, addresses, provenance = new Map()) {
+    for (let i = 0; i < addresses.length; i += RAW_BATCH_SIZE) {
+      const rows = addresses.slice(i, i + RAW_BATCH_SIZE).map((address, j) => [
+        runId, address, i + j, JSON.stringify(provenance.get(address) || [])
+      ]);
+      const batch = buildBatchInsert(
+        'run_addresses', ['run_id', 'address', 'position', 'discovery'], rows, 'run_id, address'
+      );
+      await query(batch.text, batch.values);
+    }
+    this.logger.info(`[Storage] Enqueued ${addresses.length} addresses for run ${runId}`);
+  }
+
+  /**
+   * Update an address's progress in a run's work queue
+   * @param {string} runId - Run ID
+   * @param {string} address - Account address
+   * @param {string} status - 'fetched' | 'scored' | 'stored' | 'failed'
+   * @param {string} errorMessage - Failure reason (status 'failed')
+   */
+  async updateRunAddressStatus(runId, address, status, errorMessage = null) {
+    await query(
+      `UPDATE run_addresses SET
+         status = $1,
+         error_message = $2,
+         attempts = attempts + CASE WHEN $1 IN ('stored', 'failed') THEN 1 ELSE 0 END,
+         updated_at = NOW()
+       WHERE run_id = $3 AND address = $4`,
+      [status, errorMessage, runId, address]
+    );
+  }
+
+  /**
+   * Load a run's work queue in processing order
+   * @param {string} runId - Run ID
+   * @returns {Array} - [{ address, position, status, attempts, error_message, discovery }]
+   */
+  async loadRunAddresses(runId) {
+    const result = await query(
+      `SELECT address, position, status, attempts, error_message, discovery
+       FROM run_addresses WHERE run_id = $1 ORDER BY position`,
+      [runId]
+    );
+    return result.rows;
+  }
+
   /**
    * Upsert account with cumulative metrics
    * Single transaction for atomic update
@@ -106,7 +316,7 @@ class Storage {
             account.proxyWinRate,
             account.realizedPnl || 0,
             account.confidenceScore || 0,
-            account.discoveryMethod || 'trades_stream'
+            account.discoveryMethod || null
           ]
         );
         this.logger.info(`[Storage] Inserted new account: ${account.address}`);
@@ -164,6 +374,27 @@ class Storage {
     }
   }
 
+  /**
+   * Record how an account was discovered in this run
+   * Keeps first-seen per (method, source) and refreshes last-seen.
+   * The account row must already exist.
+   * @param {string} runId - Run ID
+   * @param {string} address - Account address
+   * @param {Array} discoveries - [{ method, sourceRef }]
+   */
+  async recordAccountDiscoveries(runId, address, discoveries) {
+    if (!discoveries || discoveries.length === 0) return;
+    
+    const rows = discoveries.map(d => [address, d.method, d.sourceRef || '', runId, runId]);
+    const batch = buildBatchInsert(
+      'account_discoveries',
+      ['address', 'method', 'source_ref', 'first_run_id', 'last_run_id'],
+      rows, 'address, method, source_ref',
+      `DO UPDATE SET last_seen_at = NOW(), last_run_id = EXCLUDED.last_run_id`
+    );
+    await query(batch.text, batch.values);
+  }
+
   /**
    * Create metrics snapshot for a run
    * @param {string} runId - Run ID
@@ -176,8 +407,14 @@ class Storage {
           run_id, address, strict_win_rate, proxy_win_rate,
           total_trades, total_volume_usd, realized_pnl,
           win_count, loss_count, closed_positions, confidence_score, score,
-          positions_count, activity_count
-        ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14)
+          positions_count, activity_count, history_truncated, window_metrics,
+          shrunk_win_rate, win_rate_lower_bound,
+          closed_realized_pnl, capital_deployed, roi, avg_win, avg_loss,
+          profit_factor, return_volatility, sharpe_ratio, max_drawdown,
+          mean_edge, brier_score, avg_entry_price, edge_positions, edge_score, score_breakdown,
+          category_metrics, wash_metrics, suspicion_score
+        ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14, $15, $16, $17, $18,
+          $19, $20, $21, $22, $23, $24, $25, $26, $27, $28, $29, $30, $31, $32, $33, $34, $35, $36)
         ON CONFLICT (run_id, address) DO UPDATE SET
           strict_win_rate = EXCLUDED.strict_win_rate,
           proxy_win_rate = EXCLUDED.proxy_win_rate,
@@ -188,7 +425,29 @@ class Storage {
           loss_count = EXCLUDED.loss_count,
           closed_positions = EXCLUDED.closed_positions,
           confidence_score = EXCLUDED.confidence_score,
-          score = EXCLUDED.score`,
+          score = EXCLUDED.score,
+          history_truncated = EXCLUDED.history_truncated,
+          window_metrics = EXCLUDED.window_metrics,
+          shrunk_win_rate = EXCLUDED.shrunk_win_rate,
+          win_rate_lower_bound = EXCLUDED.win_rate_lower_bound,
+          closed_realized_pnl = EXCLUDED.closed_realized_pnl,
+          capital_deployed = EXCLUDED.capital_deployed,
+          roi = EXCLUDED.roi,
+          avg_win = EXCLUDED.avg_win,
+          avg_loss = EXCLUDED.avg_loss,
+          profit_factor = EXCLUDED.profit_factor,
+          return_volatility = EXCLUDED.return_volatility,
+          sharpe_ratio = EXCLUDED.sharpe_ratio,
+          max_drawdown = EXCLUDED.max_drawdown,
+          mean_edge = EXCLUDED.mean_edge,
+          brier_score = EXCLUDED.brier_score,
+          avg_entry_price = EXCLUDED.avg_entry_price,
+          edge_positions = EXCLUDED.edge_positions,
+          edge_score = EXCLUDED.edge_score,
+          score_breakdown = EXCLUDED.score_breakdown,
+          category_metrics = EXCLUDED.category_metrics,
+          wash_metrics = EXCLUDED.wash_metrics,
+          suspicion_score = EXCLUDED.suspicion_score`,
         [
           runId,
           account.address,
@@ -203,7 +462,29 @@ class Storage {
           account.confidenceScore || 0,
           account.compositeScore || 0,
           account.positionsCount || 0,
-          account.activityCount || 0
+          account.activityCount || 0,
+          account.historyTruncated || false,
+          account.windows ? JSON.stringify(account.windows) : null,
+          account.shrunkWinRate ?? null,
+          account.winRateLowerBound ?? null,
+          account.closedRealizedPnl ?? null,
+          account.capitalDeployed ?? null,
+          account.roi ?? null,
+          account.avgWin ?? null,
+          account.avgLoss ?? null,
+          account.profitFactor ?? null,
+          account.returnVolatility ?? null,
+          account.sharpeRatio ?? null,
+          account.maxDrawdown ?? null,
+          account.meanEdge ?? null,
+          account.brierScore ?? null,
+          account.avgEntryPrice ?? null,
+          account.edgePositions ?? 0,
+          account.edgeScore ?? null,
+          account.scoreBreakdown ? JSON.stringify(account.scoreBreakdown) : null,
+          account.categories ? JSON.stringify(account.categories) : null,
+          account.wash ? JSON.stringify(account.wash) : null,
+          account.suspicionScore ?? null
         ]
       );
       this.logger.info(`[Storage] Created snapshot for ${account.address}`);
@@ -214,7 +495,160 @@ class Storage {
   }
 
   /**
-   * Record selected accounts for a run
+   * Persist raw positions, closed positions and activity for an account
+   * Single transaction; rows are inserted in batches and deduplicated on
+   * (run_id, address, dedupe_key). The account row must already exist.
+   * 
+   * Natural keys:
+   * - positions: conditionId:outcome:open|closed
+   * - activity: transactionHash:type:conditionId:outcome:timestamp:size
+   *   (activityKey, as the collector deduplicates pages)
+   * 
+   * @param {string} runId - Run ID
+   * @param {string} address - Account address
+   * @param {Object} raw - { positions, closedPositions, activity }
+   * @returns {Object} - { positions, trades } rows inserted
+   */
+  async storeRawData(runId, address, raw) {
+    const positionRows = uniqueByKey([
+      ...(raw.positions || []).map(p => this.toRawPositionRow(runId, address, p, false)),
+      ...(raw.closedPositions || []).map(p => this.toRawPositionRow(runId, address, p, true))
+    ], RAW_POSITION_COLUMNS.indexOf('dedupe_key'));
+    const tradeRows = uniqueByKey(
+      (raw.activity || []).map(a => this.toRawTradeRow(runId, address, a)),
+      RAW_TRADE_COLUMNS.indexOf('dedupe_key')
+    );
+    
+    const client = await getClient();
+    let positionsInserted = 0;
+    let tradesInserted = 0;
+    
+    try {
+      await client.query('BEGIN');
+      
+      for (let i = 0; i < positionRows.length; i += RAW_BATCH_SIZE) {
+        const batch = buildBatchInsert(
+          'raw_positions', RAW_POSITION_COLUMNS,
+          positionRows.slice(i, i + RAW_BATCH_SIZE), 'run_id, address, dedupe_key'
+        );
+        const result = await client.query(batch.text, batch.values);
+        positionsInserted += result.rowCount;
+      }
+      
+      for (let i = 0; i < tradeRows.length; i += RAW_BATCH_SIZE) {
+        const batch = buildBatchInsert(
+          'raw_trades', RAW_TRADE_COLUMNS,
+          tradeRows.slice(i, i + RAW_BATCH_SIZE), 'run_id, address, dedupe_key'
+        );
+        const result = await client.query(batch.text, batch.values);
+        tradesInserted += result.rowCount;
+      }
+      
+      await client.query('COMMIT');
+      this.logger.info(`[Storage] Stored raw data for ${address}: ${positionsInserted} positions, ${tradesInserted} trades`);
+      
+      return { positions: positionsInserted, trades: tradesInserted };
+      
+    } catch (error) {
+      await client.query('ROLLBACK');
+      this.logger.error(`[Storage] Failed to store raw data for ${address}: ${error.message}`);
+      throw error;
+    } finally {
+      client.release();
+    }
+  }
+
+  /**
+   * Map an API position to a raw_positions row (RAW_POSITION_COLUMNS order)
+   */
+  toRawPositionRow(runId, address, position, isClosed) {
+    return [
+      address,
+      runId,
+      position.conditionId ?? null,
+      position.title ?? null,
+      position.outcome ?? null,
+      position.size ?? null,
+      position.avgPrice ?? null,
+      position.currentValue ?? null,
+      position.cashPnl ?? null,
+      position.realizedPnl ?? null,
+      position.curPrice ?? null,
+      isClosed,
+      toTimestamp(position.resolvedAt),
+      `${position.conditionId}:${position.outcome}:${isClosed ? 'closed' : 'open'}`,
+      JSON.stringify(position)
+    ];
+  }
+
+  /**
+   * Map an API activity record to a raw_trades row (RAW_TRADE_COLUMNS order)
+   */
+  toRawTradeRow(runId, address, activity) {
+    const side = activity.side === 'BUY' || activity.side === 'SELL' ? activity.side : null;
+    return [
+      address,
+      runId,
+      activity.conditionId ?? null,
+      activity.title ?? null,
+      activity.outcome ?? null,
+      side,
+      activity.size ?? null,
+      activity.price ?? null,
+      activity.usdcSize ?? null,
+      toTimestamp(activity.timestamp),
+      activity.transactionHash ?? null,
+      activity.type ?? null,
+      activityKey(activity),
+      JSON.stringify(activity)
+    ];
+  }
+
+  /**
+   * Load raw data stored for a run, grouped by address
+   * @param {string} runId - Run ID
+   * @returns {Map} - address => { positions, closedPositions, activity, historyTruncated }
+   */
+  async loadRawData(runId) {
+    const rawData = new Map();
+    const entryFor = (address) => {
+      if (!rawData.has(address)) {
+        rawData.set(address, { positions: [], closedPositions: [], activity: [], historyTruncated: false });
+      }
+      return rawData.get(address);
+    };
+    
+    const positionsResult = await query(
+      `SELECT address, is_closed, raw FROM raw_positions WHERE run_id = $1 ORDER BY created_at, id`,
+      [runId]
+    );
+    for (const row of positionsResult.rows) {
+      const entry = entryFor(row.address);
+      (row.is_closed ? entry.closedPositions : entry.positions).push(row.raw);
+    }
+    
+    const tradesResult = await query(
+      `SELECT address, raw FROM raw_trades WHERE run_id = $1 ORDER BY timestamp DESC NULLS LAST, id`,
+      [runId]
+    );
+    for (const row of tradesResult.rows) {
+      entryFor(row.address).activity.push(row.raw);
+    }
+    
+    const snapshotResult = await query(
+      `SELECT address, history_truncated FROM account_metrics_snapshot WHERE run_id = $1`,
+      [runId]
+    );
+    for (const row of snapshotResult.rows) {
+      entryFor(row.address).historyTruncated = row.history_truncated;
+    }
+    
+    this.logger.info(`[Storage] Loaded raw data for ${rawData.size} accounts from run ${runId}`);
+    return rawData;
+  }
+
+  /**
+   * Record selected accounts for a run, replacing any recorded earlier (resumed runs)
    * @param {string} runId - Run ID
    * @param {Array} selectedAccounts - Selected accounts with scores and tags
    */
@@ -223,20 +657,24 @@ class Storage {
     
     try {
       await client.query('BEGIN');
+      await client.query(`DELETE FROM selected_accounts WHERE run_id = $1`, [runId]);
       
       for (const account of selectedAccounts) {
         await client.query(
           `INSERT INTO selected_accounts (
             run_id, address, reason_tags, selection_score,
-            strict_win_rate, total_trades, total_volume_usd, realized_pnl
-          ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8)
+            strict_win_rate, total_trades, total_volume_usd, realized_pnl, selection_window,
+            selection_category
+          ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10)
           ON CONFLICT (run_id, address) DO UPDATE SET
             reason_tags = EXCLUDED.reason_tags,
             selection_score = EXCLUDED.selection_score,
             strict_win_rate = EXCLUDED.strict_win_rate,
             total_trades = EXCLUDED.total_trades,
             total_volume_usd = EXCLUDED.total_volume_usd,
-            realized_pnl = EXCLUDED.realized_pnl`,
+            realized_pnl = EXCLUDED.realized_pnl,
+            selection_window = EXCLUDED.selection_window,
+            selection_category = EXCLUDED.selection_category`,
           [
             runId,
             account.address,
@@ -245,7 +683,9 @@ class Storage {
             account.strictWinRate,
             account.totalTrades || 0,
             account.totalVolumeUsd || 0,
-            account.realizedPnl || 0
+            account.realizedPnl || 0,
+            account.selectionWindow || 'all',
+            account.selectionCategory || null
           ]
         );
       }
@@ -262,6 +702,93 @@ class Storage {
     }
   }
 
+  /**
+   * Record why the rejected candidates of a run were not selected, replacing
+   * any recorded earlier (resumed runs)
+   * @param {string} runId - Run ID
+   * @param {Array} rejectedAccounts - Selector `rejected` entries
+   *   ({ address, rejectionReasons, failedCriteria, nearMiss, compositeScore, selectionWindow })
+   */
+  async recordRejectedAccounts(runId, rejectedAccounts = []) {
+    const client = await getClient();
+    
+    try {
+      await client.query('BEGIN');
+      await client.query(`DELETE FROM rejected_accounts WHERE run_id = $1`, [runId]);
+      
+      for (let i = 0; i < rejectedAccounts.length; i += RAW_BATCH_SIZE) {
+        const rows = rejectedAccounts.slice(i, i + RAW_BATCH_SIZE).map(a => [
+          runId, a.address, a.rejectionReasons || [], JSON.stringify(a.failedCriteria || []),
+          a.nearMiss || false, a.compositeScore || 0, a.selectionWindow || 'all'
+        ]);
+        const batch = buildBatchInsert(
+          'rejected_accounts',
+          ['run_id', 'address', 'reasons', 'failed_criteria', 'near_miss', 'selection_score', 'selection_window'],
+          rows, 'run_id, address',
+          `DO UPDATE SET
+            reasons = EXCLUDED.reasons,
+            failed_criteria = EXCLUDED.failed_criteria,
+            near_miss = EXCLUDED.near_miss,
+            selection_score = EXCLUDED.selection_score,
+            selection_window = EXCLUDED.selection_window`
+        );
+        await client.query(batch.text, batch.values);
+      }
+      
+      await client.query('COMMIT');
+      this.logger.info(`[Storage] Recorded ${rejectedAccounts.length} rejected accounts for run ${runId}`);
+      
+    } catch (error) {
+      await client.query('ROLLBACK');
+      this.logger.error(`[Storage] Failed to record rejected accounts: ${error.message}`);
+      throw error;
+    } finally {
+      client.release();
+    }
+  }
+
+  /**
+   * Record a run's market consensus, replacing any recorded earlier (resumed runs)
+   * @param {string} runId - Run ID
+   * @param {Array} markets - buildConsensus `markets` entries
+   */
+  async recordConsensus(runId, markets) {
+    const client = await getClient();
+    
+    try {
+      await client.query('BEGIN');
+      await client.query(`DELETE FROM market_consensus WHERE run_id = $1`, [runId]);
+      
+      for (let i = 0; i < markets.length; i += RAW_BATCH_SIZE) {
+        const rows = markets.slice(i, i + RAW_BATCH_SIZE).map(m => [
+          runId, m.condition_id, m.outcome, m.title, m.slug, m.holders, m.holder_share,
+          m.total_size, m.exposure_usd, m.cost_usd, m.unrealized_pnl_usd, m.avg_entry_price,
+          m.current_price, m.price_change, m.opposing_holders, m.opposing_exposure_usd,
+          m.net_exposure_usd, m.net_direction, JSON.stringify(m.holder_positions)
+        ]);
+        const batch = buildBatchInsert(
+          'market_consensus',
+          ['run_id', 'condition_id', 'outcome', 'title', 'slug', 'holders', 'holder_share',
+            'total_size', 'exposure_usd', 'cost_usd', 'unrealized_pnl_usd', 'avg_entry_price',
+            'current_price', 'price_change', 'opposing_holders', 'opposing_exposure_usd',
+            'net_exposure_usd', 'net_direction', 'holder_positions'],
+          rows, 'run_id, condition_id, outcome'
+        );
+        await client.query(batch.text, batch.values);
+      }
+      
+      await client.query('COMMIT');
+      this.logger.info(`[Storage] Recorded consensus of ${markets.length} market outcomes for run ${runId}`);
+      
+    } catch (error) {
+      await client.query('ROLLBACK');
+      this.logger.error(`[Storage] Failed to record market consensus: ${error.message}`);
+      throw error;
+    } finally {
+      client.release();
+    }
+  }
+
   /**
    * Generate error summary from error array
    * @param {Array} errors - Array of error objects { address, type, message }
@@ -320,6 +847,364 @@ class Storage {
     };
   }
 
+  /**
+   * Break down selection yield by discovery method
+   * An account found by several methods counts towards each of them.
+   * @param {Map} provenance - address => [{ method, sourceRef }]
+   * @param {Array} processedAddresses - Addresses stored in the run
+   * @param {Array} selectedAddresses - Addresses selected in the run
+   * @returns {Object} - { [method]: { candidates, processed, selected, yield } }
+   * 
+   * Example output:
+   * {
+   *   trades_stream: { candidates: 120, processed: 110, selected: 4, yield: 0.0364 },
+   *   market_scrape: { candidates: 300, processed: 290, selected: 11, yield: 0.0379 }
+   * }
+   */
+  generateDiscoveryYield(provenance, processedAddresses, selectedAddresses) {
+    const processed = new Set(processedAddresses);
+    const selected = new Set(selectedAddresses);
+    const byMethod = {};
+    
+    for (const [address, discoveries] of provenance) {
+      const methods = new Set((discoveries || []).map(d => d.method));
+      if (methods.size === 0) methods.add('unknown');
+      
+      for (const method of methods) {
+        if (!byMethod[method]) {
+          byMethod[method] = { candidates: 0, processed: 0, selected: 0, yield: 0 };
+        }
+        byMethod[method].candidates++;
+        if (processed.has(address)) byMethod[method].processed++;
+        if (selected.has(address)) byMethod[method].selected++;
+      }
+    }
+    
+    for (const stats of Object.values(byMethod)) {
+      stats.yield = stats.processed > 0
+        ? Math.round(stats.selected / stats.processed * 10000) / 10000
+        : 0;
+    }
+    
+    return byMethod;
+  }
+
+  /**
+   * Get a run record
+   * @param {string} runId - Run ID
+   * @returns {Object|null} - Run row or null if not found
+   */
+  async getRun(runId) {
+    const result = await query(`SELECT * FROM runs WHERE id = $1`, [runId]);
+    return result.rows[0] || null;
+  }
+
+  /**
+   * Load a run's selection, best first
+   * @param {string} runId - Run ID
+   * @returns {Array} - [{ address, rank, score }]
+   */
+  async loadSelection(runId) {
+    const result = await query(
+      `SELECT address, selection_score FROM selected_accounts
+       WHERE run_id = $1
+       ORDER BY selection_score DESC, address`,
+      [runId]
+    );
+    return result.rows.map((row, i) => ({
+      address: row.address,
+      rank: i + 1,
+      score: parseFloat(row.selection_score) || 0
+    }));
+  }
+
+  /**
+   * Load the selections of the runs before a run, newest first
+   * Sync runs are compared with earlier completed sync runs; derived runs
+   * with their parent, followed by the sync runs before the parent.
+   * @param {string} runId - Run ID
+   * @param {number} limit - Max earlier runs to load (default: 50)
+   * @returns {Object} - { previousRunId, history: [selection, ...] } (history[0] = previous run)
+   */
+  async loadPreviousSelections(runId, limit = 50) {
+    const run = await this.getRun(runId);
+    if (!run) {
+      throw new Error(`Run not found: ${runId}`);
+    }
+    
+    const parent = run.run_type === 'derived' && run.parent_run_id
+      ? await this.getRun(run.parent_run_id)
+      : null;
+    const anchor = parent || run;
+    const earlier = await query(
+      `SELECT id FROM runs
+       WHERE run_type = 'sync' AND status = 'completed' AND started_at < $1 AND id <> $2
+       ORDER BY started_at DESC
+       LIMIT $3`,
+      [anchor.started_at, anchor.id, parent ? limit - 1 : limit]
+    );
+    const runIds = [...(parent ? [parent.id] : []), ...earlier.rows.map(r => r.id)];
+    
+    const history = [];
+    for (const id of runIds) {
+      history.push(await this.loadSelection(id));
+    }
+    return { previousRunId: runIds[0] || null, history };
+  }
+
+  /**
+   * Get an account's master record
+   * @param {string} address - Account address
+   * @returns {Object|null} - accounts row or null if unknown
+   */
+  async getAccount(address) {
+    const result = await query(`SELECT * FROM accounts WHERE address = $1`, [address]);
+    return result.rows[0] || null;
+  }
+
+  /**
+   * Load an account's snapshots across runs, oldest first, with its
+   * selection rank or rejection reasons in each run
+   * @param {string} address - Account address
+   * @param {Object} options - Options
+   * @param {boolean} options.includeDerived - Include derived (re-scored) runs (default: false)
+   * @param {number} options.limit - Most recent runs to return (default: 100)
+   * @returns {Array} - Snapshot rows with run_id, started_at, run_type, selected_rank, reasons
+   */
+  async loadAccountTimeline(address, options = {}) {
+    const includeDerived = options.includeDerived ?? false;
+    const limit = options.limit ?? 100;
+    
+    const result = await query(
+      `SELECT * FROM (
+         SELECT s.*, r.started_at, r.run_type, sel.selected_rank, rej.reasons, rej.near_miss
+         FROM account_metrics_snapshot s
+         JOIN runs r ON r.id = s.run_id
+         LEFT JOIN (
+           SELECT run_id, address,
+                  ROW_NUMBER() OVER (PARTITION BY run_id ORDER BY selection_score DESC, address) AS selected_rank
+           FROM selected_accounts
+           WHERE run_id IN (SELECT run_id FROM account_metrics_snapshot WHERE address = $1)
+         ) sel ON sel.run_id = s.run_id AND sel.address = s.address
+         LEFT JOIN rejected_accounts rej ON rej.run_id = s.run_id AND rej.address = s.address
+         WHERE s.address = $1 AND ($2 OR r.run_type = 'sync')
+         ORDER BY r.started_at DESC
+         LIMIT $3
+       ) timeline
+       ORDER BY started_at ASC`,
+      [address, includeDerived, limit]
+    );
+    return result.rows;
+  }
+
+  /**
+   * Load an account's open positions from the latest run that stored raw data for it
+   * @param {string} address - Account address
+   * @returns {Object} - { runId, positions } (positions are the raw API records)
+   */
+  async loadLatestOpenPositions(address) {
+    const latest = await query(
+      `SELECT rp.run_id
+       FROM raw_positions rp
+       JOIN runs r ON r.id = rp.run_id
+       WHERE rp.address = $1
+       ORDER BY r.started_at DESC
+       LIMIT 1`,
+      [address]
+    );
+    if (latest.rows.length === 0) return { runId: null, positions: [] };
+    
+    const runId = latest.rows[0].run_id;
+    const result = await query(
+      `SELECT raw FROM raw_positions
+       WHERE run_id = $1 AND address = $2 AND NOT is_closed
+       ORDER BY current_value DESC NULLS LAST, id`,
+      [runId, address]
+    );
+    return { runId, positions: result.rows.map(row => row.raw) };
+  }
+
+  /**
+   * Load the open positions of a run's selected accounts, best account first
+   * @param {string} runId - Run whose selection is used
+   * @param {string} sourceRunId - Run whose raw positions are used (default: runId;
+   *   derived runs pass the run their raw data came from)
+   * @returns {Array} - [{ address, rank, positions }] (positions are the raw API records)
+   */
+  async loadSelectedOpenPositions(runId, sourceRunId = runId) {
+    const selection = await this.loadSelection(runId);
+    const result = await query(
+      `SELECT address, raw FROM raw_positions
+       WHERE run_id = $1 AND address = ANY($2) AND NOT is_closed
+       ORDER BY id`,
+      [sourceRunId, selection.map(s => s.address)]
+    );
+    
+    const positions = new Map(selection.map(s => [s.address, []]));
+    for (const row of result.rows) {
+      positions.get(row.address).push(row.raw);
+    }
+    return selection.map(s => ({ address: s.address, rank: s.rank, positions: positions.get(s.address) }));
+  }
+
+  /**
+   * Load a run's market consensus, most held outcomes first
+   * @param {string} runId - Run ID
+   * @param {Object} options - Options
+   * @param {number} options.minHolders - Only outcomes held by at least this many accounts (default: 1)
+   * @param {number} options.limit - Max rows (default: 50)
+   * @returns {Array} - market_consensus rows (see toConsensusEntry)
+   */
+  async loadConsensus(runId, options = {}) {
+    const result = await query(
+      `SELECT * FROM market_consensus
+       WHERE run_id = $1 AND holders >= $2
+       ORDER BY holders DESC, exposure_usd DESC, condition_id
+       LIMIT $3`,
+      [runId, options.minHolders ?? 1, options.limit ?? 50]
+    );
+    return result.rows;
+  }
+
+  /**
+   * List runs, newest first
+   * @param {Object} options - Options
+   * @param {string} options.status - Only runs with this status
+   * @param {string} options.runType - Only runs of this type ('sync' or 'derived')
+   * @param {number} options.limit - Page size (default: 50)
+   * @param {number} options.offset - Rows to skip (default: 0)
+   * @returns {Object} - { rows, total } (rows carry summary counts instead of config and stats)
+   */
+  async listRuns(options = {}) {
+    const filters = [options.status ?? null, options.runType ?? null];
+    
+    const result = await query(
+      `SELECT id, started_at, completed_at, status, run_type, parent_run_id, error_message,
+              (stats->>'accounts_processed')::int AS accounts_processed,
+              (stats->>'accounts_selected')::int AS accounts_selected,
+              (stats->>'accounts_failed')::int AS accounts_failed
+       FROM runs
+       WHERE ($1::text IS NULL OR status = $1) AND ($2::text IS NULL OR run_type = $2)
+       ORDER BY started_at DESC, id
+       LIMIT $3 OFFSET $4`,
+      [...filters, options.limit ?? 50, options.offset ?? 0]
+    );
+    const count = await query(
+      `SELECT COUNT(*) AS count FROM runs
+       WHERE ($1::text IS NULL OR status = $1) AND ($2::text IS NULL OR run_type = $2)`,
+      filters
+    );
+    return { rows: result.rows, total: parseInt(count.rows[0].count) };
+  }
+
+  /**
+   * List a run's selected accounts, best first
+   * @param {string} runId - Run ID
+   * @param {Object} options - Options
+   * @param {number} options.limit - Page size (default: 50)
+   * @param {number} options.offset - Rows to skip (default: 0)
+   * @returns {Object} - { rows, total } (rows carry their rank within the run)
+   */
+  async listSelectedAccounts(runId, options = {}) {
+    const result = await query(
+      `SELECT ROW_NUMBER() OVER (ORDER BY selection_score DESC, address) AS rank,
+              address, selection_score, reason_tags, selection_window, selection_category,
+              strict_win_rate, total_trades, total_volume_usd, realized_pnl
+       FROM selected_accounts
+       WHERE run_id = $1
+       ORDER BY selection_score DESC, address
+       LIMIT $2 OFFSET $3`,
+      [runId, options.limit ?? 50, options.offset ?? 0]
+    );
+    const count = await query(
+      `SELECT COUNT(*) AS count FROM selected_accounts WHERE run_id = $1`,
+      [runId]
+    );
+    return { rows: result.rows, total: parseInt(count.rows[0].count) };
+  }
+
+  /**
+   * List an account's snapshots, newest run first
+   * @param {string} address - Account address
+   * @param {Object} options - Options
+   * @param {boolean} options.includeDerived - Include derived (re-scored) runs (default: false)
+   * @param {number} options.limit - Page size (default: 50)
+   * @param {number} options.offset - Rows to skip (default: 0)
+   * @returns {Object} - { rows, total } (snapshot rows with started_at, run_type and selected)
+   */
+  async listAccountSnapshots(address, options = {}) {
+    const includeDerived = options.includeDerived ?? false;
+    
+    const result = await query(
+      `SELECT s.*, r.started_at, r.run_type, (sel.address IS NOT NULL) AS selected
+       FROM account_metrics_snapshot s
+       JOIN runs r ON r.id = s.run_id
+       LEFT JOIN selected_accounts sel ON sel.run_id = s.run_id AND sel.address = s.address
+       WHERE s.address = $1 AND ($2 OR r.run_type = 'sync')
+       ORDER BY r.started_at DESC
+       LIMIT $3 OFFSET $4`,
+      [address, includeDerived, options.limit ?? 50, options.offset ?? 0]
+    );
+    const count = await query(
+      `SELECT COUNT(*) AS count
+       FROM account_metrics_snapshot s
+       JOIN runs r ON r.id = s.run_id
+       WHERE s.address = $1 AND ($2 OR r.run_type = 'sync')`,
+      [address, includeDerived]
+    );
+    return { rows: result.rows, total: parseInt(count.rows[0].count) };
+  }
+
+  /**
+   * Rank a run's snapshots by a metric in one window
+   * @param {Object} options - Options
+   * @param {string} options.runId - Run to rank (default: latest completed sync run)
+   * @param {string} options.window - Metrics window ('7d', '30d', '90d', 'all'; default: 'all')
+   * @param {string} options.sort - Key of LEADERBOARD_SORTS (default: 'score')
+   * @param {number} options.limit - Page size (default: 50)
+   * @param {number} options.offset - Rows to skip (default: 0)
+   * @returns {Object} - { run, rows, total } (rows carry sort_value, selected and the window's metrics)
+   */
+  async loadLeaderboard(options = {}) {
+    const window = options.window || 'all';
+    const sort = options.sort || 'score';
+    if (!LEADERBOARD_SORTS[sort]) {
+      throw new Error(`Unknown leaderboard sort '${sort}' (expected one of: ${Object.keys(LEADERBOARD_SORTS).join(', ')})`);
+    }
+    
+    const run = options.runId
+      ? await this.getRun(options.runId)
+      : (await query(
+        `SELECT * FROM runs
+         WHERE run_type = 'sync' AND status = 'completed'
+         ORDER BY started_at DESC
+         LIMIT 1`
+      )).rows[0];
+    if (!run) return { run: null, rows: [], total: 0 };
+    
+    // Snapshots from before windowed metrics only have all-time columns
+    const [key, column] = LEADERBOARD_SORTS[sort];
+    const result = await query(
+      `SELECT * FROM (
+         SELECT s.address, (sel.address IS NOT NULL) AS selected,
+                COALESCE((s.window_metrics->$2::text->>'${key}')::numeric, CASE WHEN $2::text = 'all' THEN s.${column} END) AS sort_value,
+                s.strict_win_rate, s.shrunk_win_rate, s.total_trades, s.total_volume_usd,
+                s.realized_pnl, s.roi, s.score, s.window_metrics->$2::text AS window_metrics
+         FROM account_metrics_snapshot s
+         LEFT JOIN selected_accounts sel ON sel.run_id = s.run_id AND sel.address = s.address
+         WHERE s.run_id = $1
+       ) ranked
+       ORDER BY sort_value DESC NULLS LAST, address
+       LIMIT $3 OFFSET $4`,
+      [run.id, window, options.limit ?? 50, options.offset ?? 0]
+    );
+    const count = await query(
+      `SELECT COUNT(*) AS count FROM account_metrics_snapshot WHERE run_id = $1`,
+      [run.id]
+    );
+    return { run, rows: result.rows, total: parseInt(count.rows[0].count) };
+  }
+
   /**
    * Get run statistics
    * @param {string} runId - Run ID
@@ -350,13 +1235,24 @@ class Storage {
 
   /**
    * Load seed addresses from database
+   * Most active discovered wallets first, so ordering is stable across runs
    * @returns {Array} - Array of seed addresses
    */
   async loadSeedAddresses() {
+    const records = await this.loadSeedAddressRecords();
+    return records.map(r => r.address);
+  }
+
+  /**
+   * Load seed addresses with their source
+   * @returns {Array} - [{ address, source }]
+   */
+  async loadSeedAddressRecords() {
     const result = await query(
-      `SELECT address FROM seed_addresses WHERE is_active = true`
+      `SELECT address, source FROM seed_addresses WHERE is_active = true
+       ORDER BY trade_count DESC, added_at, address`
     );
-    return result.rows.map(r => r.address);
+    return result.rows;
   }
 
   /**
@@ -401,6 +1297,310 @@ class Storage {
       client.release();
     }
   }
+
+  /**
+   * Load the high-water mark for a discovery stream
+   * @param {string} stream - Stream name (e.g. 'trades')
+   * @returns {Object|null} - { lastTimestamp, lastTradeIds, tradesProcessed } or null
+   */
+  async loadDiscoveryState(stream) {
+    const result = await query(
+      `SELECT last_timestamp, last_trade_ids, trades_processed FROM discovery_state WHERE stream = $1`,
+      [stream]
+    );
+    if (result.rows.length === 0 || result.rows[0].last_timestamp === null) return null;
+    
+    const row = result.rows[0];
+    return {
+      lastTimestamp: parseInt(row.last_timestamp),
+      lastTradeIds: row.last_trade_ids || [],
+      tradesProcessed: parseInt(row.trades_processed)
+    };
+  }
+
+  /**
+   * Upsert discovered wallets and advance the stream's high-water mark
+   * Single transaction, so a crash never double-counts a batch of trades
+   * @param {string} stream - Stream name
+   * @param {Array} wallets - [{ address, firstSeen, lastSeen, tradeCount, notionalUsd }] (unix seconds)
+   * @param {Object} mark - { lastTimestamp, lastTradeIds }
+   * @param {number} tradeCount - Trades in this batch
+   * @returns {Object} - { added, updated }
+   */
+  async recordDiscoveredWallets(stream, wallets, mark, tradeCount) {
+    const client = await getClient();
+    let added = 0;
+    
+    try {
+      await client.query('BEGIN');
+      
+      for (let i = 0; i < wallets.length; i += RAW_BATCH_SIZE) {
+        const rows = wallets.slice(i, i + RAW_BATCH_SIZE).map(w => [
+          w.address, 'api_discovered', toTimestamp(w.firstSeen), toTimestamp(w.lastSeen), w.tradeCount, w.notionalUsd
+        ]);
+        // Accumulate stats; keep the original source of manually added seeds
+        const batch = buildBatchInsert(
+          'seed_addresses',
+          ['address', 'source', 'first_seen_at', 'last_seen_at', 'trade_count', 'notional_usd'],
+          rows, 'address',
+          `DO UPDATE SET
+            first_seen_at = LEAST(COALESCE(seed_addresses.first_seen_at, EXCLUDED.first_seen_at), EXCLUDED.first_seen_at),
+            last_seen_at = GREATEST(COALESCE(seed_addresses.last_seen_at, EXCLUDED.last_seen_at), EXCLUDED.last_seen_at),
+            trade_count = seed_addresses.trade_count + EXCLUDED.trade_count,
+            notional_usd = seed_addresses.notional_usd + EXCLUDED.notional_usd
+          RETURNING (xmax = 0) AS inserted`
+        );
+        const result = await client.query(batch.text, batch.values);
+        added += result.rows.filter(r => r.inserted).length;
+      }
+      
+      await client.query(
+        `INSERT INTO discovery_state (stream, last_timestamp, last_trade_ids, trades_processed, updated_at)
+         VALUES ($1, $2, $3, $4, NOW())
+         ON CONFLICT (stream) DO UPDATE SET
+           last_timestamp = EXCLUDED.last_timestamp,
+           last_trade_ids = EXCLUDED.last_trade_ids,
+           trades_processed = discovery_state.trades_processed + EXCLUDED.trades_processed,
+           updated_at = NOW()`,
+        [stream, mark ? mark.lastTimestamp : null, mark ? mark.lastTradeIds : null, tradeCount]
+      );
+      
+      await client.query('COMMIT');
+      
+      return { added, updated: wallets.length - added };
+      
+    } catch (error) {
+      await client.query('ROLLBACK');
+      this.logger.error(`[Storage] Failed to record discovered wallets: ${error.message}`);
+      throw error;
+    } finally {
+      client.release();
+    }
+  }
+
+  /**
+   * Find the latest completed sync run with a selection (derived runs need an explicit id)
+   * @returns {Object|null} - { runId, selection } (see loadSelection) or null
+   */
+  async loadLatestSelection() {
+    const result = await query(
+      `SELECT r.id FROM runs r
+       WHERE r.status = 'completed'
+         AND r.run_type = 'sync'
+         AND EXISTS (SELECT 1 FROM selected_accounts sa WHERE sa.run_id = r.id)
+       ORDER BY r.started_at DESC
+       LIMIT 1`
+    );
+    if (result.rows.length === 0) return null;
+    
+    const runId = result.rows[0].id;
+    return { runId, selection: await this.loadSelection(runId) };
+  }
+
+  /**
+   * Load the last known positions of watched addresses
+   * @param {Array} addresses - Addresses
+   * @returns {Map} - address => { positions, activityMark } (addresses never polled are missing)
+   */
+  async loadWatchState(addresses) {
+    const result = await query(
+      `SELECT address, positions, activity_mark FROM watch_state WHERE address = ANY($1)`,
+      [addresses]
+    );
+    return new Map(result.rows.map(row => [row.address, {
+      positions: row.positions,
+      activityMark: row.activity_mark === null ? null : parseInt(row.activity_mark)
+    }]));
+  }
+
+  /**
+   * Forget the state of addresses no longer watched
+   * Otherwise an address selected again later would be diffed against stale positions.
+   * @param {Array} addresses - Addresses still watched
+   * @returns {number} - Rows removed
+   */
+  async pruneWatchState(addresses) {
+    const result = await query(`DELETE FROM watch_state WHERE NOT (address = ANY($1))`, [addresses]);
+    return result.rowCount;
+  }
+
+  /**
+   * Record an address's signals and its new position state
+   * Single transaction; signals whose dedupe key is already stored are skipped.
+   * Each signal is stored as the line watch emits (payload).
+   * @param {string} address - Watched address
+   * @param {Object} state - { positions, activityMark }
+   * @param {Array} signals - From diffPositions, with source_run_id and detected_at
+   * @param {string} sourceRunId - Run whose selection is watched
+   * @returns {Array} - The signals that were new
+   */
+  async recordSignals(address, state, signals, sourceRunId) {
+    const client = await getClient();
+    const inserted = new Set();
+    
+    try {
+      await client.query('BEGIN');
+      
+      for (let i = 0; i < signals.length; i += RAW_BATCH_SIZE) {
+        const rows = uniqueByKey(signals.slice(i, i + RAW_BATCH_SIZE).map(s => [
+          s.dedupe_key, s.type, s.address, sourceRunId, s.condition_id, s.outcome, s.title,
+          s.size, s.previous_size, s.price, s.notional_usd, JSON.stringify(s), s.detected_at
+        ]), 0);
+        const batch = buildBatchInsert(
+          'signals',
+          ['dedupe_key', 'signal_type', 'address', 'source_run_id', 'condition_id', 'outcome', 'title',
+            'size', 'previous_size', 'price', 'notional_usd', 'payload', 'detected_at'],
+          rows, 'dedupe_key', 'DO NOTHING RETURNING dedupe_key'
+        );
+        const result = await client.query(batch.text, batch.values);
+        result.rows.forEach(r => inserted.add(r.dedupe_key));
+      }
+      
+      await client.query(
+        `INSERT INTO watch_state (address, positions, activity_mark, updated_at)
+         VALUES ($1, $2, $3, NOW())
+         ON CONFLICT (address) DO UPDATE SET
+           positions = EXCLUDED.positions,
+           activity_mark = EXCLUDED.activity_mark,
+           updated_at = NOW()`,
+        [address, JSON.stringify(state.positions), state.activityMark]
+      );
+      
+      await client.query('COMMIT');
+      
+      return signals.filter(s => inserted.has(s.dedupe_key));
+      
+    } catch (error) {
+      await client.query('ROLLBACK');
+      this.logger.error(`[Storage] Failed to record signals for ${address}: ${error.message}`);
+      throw error;
+    } finally {
+      client.release();
+    }
+  }
+
+  /**
+   * Record the participants of a scraped market
+   * A re-scrape replaces the stats (it covers the market's full history)
+   * @param {string} runId - Run ID
+   * @param {Object} market - { conditionId, slug, title }
+   * @param {Array} participants - [{ address, firstSeen, lastSeen, entryRank, tradeCount, notionalUsd }]
+   * @param {boolean} truncated - The market's trades hit the ceiling, so the earliest are missing (default: false)
+   */
+  async recordMarketParticipants(runId, market, participants, truncated = false) {
+    const client = await getClient();
+    
+    try {
+      await client.query('BEGIN');
+      
+      for (let i = 0; i < participants.length; i += RAW_BATCH_SIZE) {
+        const rows = participants.slice(i, i + RAW_BATCH_SIZE).map(p => [
+          market.conditionId, p.address, market.slug, market.title,
+          toTimestamp(p.firstSeen), toTimestamp(p.lastSeen), p.entryRank, p.tradeCount, p.notionalUsd,
+          truncated, runId
+        ]);
+        const batch = buildBatchInsert(
+          'market_participants',
+          ['condition_id', 'address', 'market_slug', 'market_title', 'first_trade_at', 'last_trade_at',
+            'entry_rank', 'trade_count', 'notional_usd', 'history_truncated', 'run_id'],
+          rows, 'condition_id, address',
+          `DO UPDATE SET
+            market_slug = COALESCE(EXCLUDED.market_slug, market_participants.market_slug),
+            market_title = COALESCE(EXCLUDED.market_title, market_participants.market_title),
+            first_trade_at = EXCLUDED.first_trade_at,
+            last_trade_at = EXCLUDED.last_trade_at,
+            entry_rank = EXCLUDED.entry_rank,
+            trade_count = EXCLUDED.trade_count,
+            notional_usd = EXCLUDED.notional_usd,
+            history_truncated = EXCLUDED.history_truncated,
+            run_id = EXCLUDED.run_id,
+            updated_at = NOW()`
+        );
+        await client.query(batch.text, batch.values);
+      }
+      
+      await client.query('COMMIT');
+      this.logger.info(`[Storage] Recorded ${participants.length} participants for market ${market.conditionId}`);
+      
+    } catch (error) {
+      await client.query('ROLLBACK');
+      this.logger.error(`[Storage] Failed to record market participants: ${error.message}`);
+      throw error;
+    } finally {
+      client.release();
+    }
+  }
+
+  /**
+   * Load cached market metadata
+   * @param {Array} conditionIds - Market conditionIds
+   * @param {Object} options - Options
+   * @param {number} options.maxAgeHours - Skip open markets fetched longer ago than this
+   *   (default: null = any age); closed markets never go stale
+   * @returns {Array} - markets rows
+   */
+  async loadMarkets(conditionIds, options = {}) {
+    const result = await query(
+      `SELECT * FROM markets
+       WHERE condition_id = ANY($1)
+         AND ($2::int IS NULL OR closed OR fetched_at > NOW() - make_interval(hours => $2::int))`,
+      [conditionIds, options.maxAgeHours ?? null]
+    );
+    return result.rows;
+  }
+
+  /**
+   * Insert or refresh market metadata
+   * @param {Array} markets - Records from toMarketRecord (markets.js)
+   * @returns {number} - Markets written
+   */
+  async upsertMarkets(markets) {
+    if (markets.length === 0) return 0;
+    
+    const client = await getClient();
+    
+    try {
+      await client.query('BEGIN');
+      
+      for (let i = 0; i < markets.length; i += RAW_BATCH_SIZE) {
+        const rows = uniqueByKey(markets.slice(i, i + RAW_BATCH_SIZE).map(m => [
+          m.conditionId, m.slug, m.question, m.category, m.gammaCategory, m.tags, m.outcomes,
+          toTimestamp(m.endDate), m.closed, m.resolvedOutcome, m.volumeUsd, m.liquidityUsd
+        ]), 0);
+        const batch = buildBatchInsert(
+          'markets',
+          ['condition_id', 'slug', 'question', 'category', 'gamma_category', 'tags', 'outcomes',
+            'end_date', 'closed', 'resolved_outcome', 'volume_usd', 'liquidity_usd'],
+          rows, 'condition_id',
+          `DO UPDATE SET
+            slug = EXCLUDED.slug,
+            question = EXCLUDED.question,
+            category = EXCLUDED.category,
+            gamma_category = EXCLUDED.gamma_category,
+            tags = EXCLUDED.tags,
+            outcomes = EXCLUDED.outcomes,
+            end_date = EXCLUDED.end_date,
+            closed = EXCLUDED.closed,
+            resolved_outcome = EXCLUDED.resolved_outcome,
+            volume_usd = EXCLUDED.volume_usd,
+            liquidity_usd = EXCLUDED.liquidity_usd,
+            fetched_at = NOW()`
+        );
+        await client.query(batch.text, batch.values);
+      }
+      
+      await client.query('COMMIT');
+      this.logger.info(`[Storage] Cached metadata for ${markets.length} markets`);
+      return markets.length;
+      
+    } catch (error) {
+      await client.query('ROLLBACK');
+      this.logger.error(`[Storage] Failed to cache market metadata: ${error.message}`);
+      throw error;
+    } finally {
+      client.release();
+    }
+  }
 }
 
-module.exports = { Storage };
\ No newline at end of file
+module.exports = { Storage, LEADERBOARD_SORTS };
\ No newline at end of file
@@ -0,0 +1,198 @@
+/**
+ * Scoring strategies - named scorer presets and profile files
+ *
+ * A strategy is a named set of AccountScorer defaults. A profile file
+ * (JSON or YAML) overrides weights, win-rate settings, normalization caps
+ * and tag thresholds on top of it:
+ *
+ *   scorer: pnl
+ *   weights: { winRate: 0.4, volume: 0.1, roi: 0.3, drawdown: 0.2 }
+ *   winRate: { basis: shrunk, prior: population }
+ *   normalization: { volumeCapUsd: 250000 }
+ *   tags: { highWinRate: 0.65 }
+ *
+ * Runs keep the profile text verbatim in runs.config.scoringProfile, and
+ * resumed or re-scored runs rebuild the scorer from that copy, not from the
+ * file on disk.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const yaml = require('js-yaml');
+const { AccountScorer, DEFAULT_TAG_THRESHOLDS } = require('./scorer');
+
+const DEFAULT_STRATEGY = 'bayesian';
+
+const STRATEGIES = {
+  weighted: {
+    description: 'Raw win rate, log volume and confidence (0.5 / 0.3 / 0.2)',
+    defaults: { winRateWeight: 0.5, volumeWeight: 0.3, confidenceWeight: 0.2, winRateBasis: 'raw' }
+  },
+  bayesian: {
+    description: 'Beta-shrunk win rate, log volume and confidence (0.5 / 0.3 / 0.2)',
+    defaults: { winRateWeight: 0.5, volumeWeight: 0.3, confidenceWeight: 0.2, winRateBasis: 'shrunk' }
+  },
+  pnl: {
+    description: 'Shrunk win rate plus ROI, profit factor and Sharpe, penalizing drawdown',
+    defaults: {
+      winRateWeight: 0.3,
+      volumeWeight: 0.1,
+      confidenceWeight: 0.1,
+      roiWeight: 0.2,
+      profitFactorWeight: 0.15,
+      sharpeWeight: 0.15,
+      drawdownWeight: 0.2,
+      winRateBasis: 'shrunk'
+    }
+  },
+  custom: {
+    description: 'Only what the profile file sets (scorer defaults otherwise)',
+    defaults: {},
+    requiresProfile: true
+  }
+};
+
+// Profile keys -> AccountScorer options
+const PROFILE_KEYS = {
+  weights: {
+    winRate: 'winRateWeight',
+    volume: 'volumeWeight',
+    confidence: 'confidenceWeight',
+    roi: 'roiWeight',
+    profitFactor: 'profitFactorWeight',
+    sharpe: 'sharpeWeight',
+    drawdown: 'drawdownWeight',
+    suspicion: 'suspicionWeight'
+  },
+  winRate: {
+    basis: 'winRateBasis',
+    prior: 'priorMode',
+    priorAlpha: 'priorAlpha',
+    priorBeta: 'priorBeta',
+    wilsonZ: 'wilsonZ'
+  },
+  normalization: {
+    volumeCapUsd: 'volumeCapUsd'
+  }
+};
+
+// Profile keys that take a name; every other value must be a number
+const TEXT_PROFILE_KEYS = ['winRate.basis', 'winRate.prior'];
+
+/**
+ * Read a scoring profile file
+ * @param {string} filePath - Path to a .json, .yaml or .yml file
+ * @returns {Object} - { path, format, content } (content is the file text, verbatim)
+ */
+function loadProfile(filePath) {
+  const ext = path.extname(filePath).toLowerCase();
+  const format = ext === '.yaml' || ext === '.yml' ? 'yaml' : 'json';
+  const content = fs.readFileSync(filePath, 'utf8');
+  const profile = { path: filePath, format, content };
+  parseProfile(profile);   // Fail fast on syntax errors and unknown keys
+  return profile;
+}
+
+/**
+ * Parse and validate a stored profile
+ * @param {Object} profile - { path, format, content } from loadProfile / runs.config
+ * @returns {Object} - Parsed profile object
+ */
+function parseProfile(profile) {
+  let parsed;
+  try {
+    parsed = profile.format === 'yaml' ? yaml.load(profile.content) : JSON.parse(profile.content);
+  } catch (error) {
+    throw new Error(`Invalid scoring profile ${profile.path}: ${error.message}`);
+  }
+  parsed = parsed || {};
+  
+  const allowed = ['scorer', 'tags', ...Object.keys(PROFILE_KEYS)];
+  for (const key of Object.keys(parsed)) {
+    if (!allowed.includes(key)) {
+      throw new Error(`Unknown key '${key}' in scoring profile ${profile.path} (expected: ${allowed.join(', ')})`);
+    }
+  }
+  for (const section of [...Object.keys(PROFILE_KEYS), 'tags']) {
+    const value = parsed[section];
+    if (value !== undefined && (value === null || typeof value !== 'object' || Array.isArray(value))) {
+      throw new Error(`'${section}' in scoring profile ${profile.path} must be a mapping of keys to values`);
+    }
+  }
+  for (const [section, keys] of Object.entries(PROFILE_KEYS)) {
+    for (const key of Object.keys(parsed[section] || {})) {
+      if (!(key in keys)) {
+        throw new Error(`Unknown key '${section}.${key}' in scoring profile ${profile.path} (expected: ${Object.keys(keys).join(', ')})`);
+      }
+    }
+  }
+  for (const key of Object.keys(parsed.tags || {})) {
+    if (!(key in DEFAULT_TAG_THRESHOLDS)) {
+      throw new Error(`Unknown key 'tags.${key}' in scoring profile ${profile.path} (expected: ${Object.keys(DEFAULT_TAG_THRESHOLDS).join(', ')})`);
+    }
+  }
+  
+  // A string or empty weight would turn every score into NaN
+  for (const section of [...Object.keys(PROFILE_KEYS), 'tags']) {
+    for (const [key, value] of Object.entries(parsed[section] || {})) {
+      const name = `${section}.${key}`;
+      if (TEXT_PROFILE_KEYS.includes(name)) {
+        if (typeof value !== 'string') {
+          throw new Error(`'${name}' in scoring profile ${profile.path} must be a name, got ${JSON.stringify(value)}`);
+        }
+      } else if (typeof value !== 'number' || !Number.isFinite(value)) {
+        throw new Error(`'${name}' in scoring profile ${profile.path} must be a number, got ${JSON.stringify(value)}`);
+      }
+    }
+  }
+  
+  return parsed;
+}
+
+/**
+ * Convert a parsed profile to AccountScorer options
+ * @param {Object} parsed - Parsed profile
+ * @returns {Object} - Scorer options
+ */
+function profileToOptions(parsed) {
+  const options = {};
+  for (const [section, keys] of Object.entries(PROFILE_KEYS)) {
+    for (const [key, option] of Object.entries(keys)) {
+      if (parsed[section]?.[key] !== undefined) options[option] = parsed[section][key];
+    }
+  }
+  if (parsed.tags) options.tagThresholds = { ...parsed.tags };
+  return options;
+}
+
+/**
+ * Build a scorer from a strategy name, an optional profile and overrides
+ * Precedence: strategy defaults < profile < overrides (CLI flags).
+ * The strategy comes from `strategy`, else the profile's `scorer`, else DEFAULT_STRATEGY.
+ * @param {Object} options - Options
+ * @param {string} options.strategy - Strategy name (weighted | bayesian | pnl | custom)
+ * @param {Object} options.profile - { path, format, content } or null
+ * @param {Object} options.overrides - Scorer options that win over everything
+ * @returns {AccountScorer} - Configured scorer
+ */
+function createScorer({ strategy = null, profile = null, overrides = {} } = {}) {
+  const parsed = profile ? parseProfile(profile) : {};
+  const name = strategy || parsed.scorer || DEFAULT_STRATEGY;
+  
+  const preset = STRATEGIES[name];
+  if (!preset) {
+    throw new Error(`Unknown scorer '${name}' (expected one of: ${Object.keys(STRATEGIES).join(', ')})`);
+  }
+  if (preset.requiresProfile && !profile) {
+    throw new Error(`Scorer '${name}' needs a scoring profile (--scoring-profile <file>)`);
+  }
+  
+  return new AccountScorer({
+    ...preset.defaults,
+    ...profileToOptions(parsed),
+    ...overrides,
+    strategy: name
+  });
+}
+
+module.exports = { STRATEGIES, DEFAULT_STRATEGY, loadProfile, parseProfile, createScorer };
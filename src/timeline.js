@@ -0,0 +1,85 @@
+/**
+ * Timeline Module - An account's metrics across runs
+ *
+ * - Turn snapshot rows (storage.loadAccountTimeline) into timeline entries
+ * - Summarize selection history (times selected, current streak, best rank)
+ * - Render series as terminal sparklines
+ */
+
+const SPARK_BLOCKS = '▁▂▃▄▅▆▇█';
+const SPARK_ASCII = '_.-=+*#@';
+
+const toNumber = value => (value === null || value === undefined ? null : parseFloat(value));
+
+/**
+ * Convert a snapshot row to a timeline entry
+ * @param {Object} row - Row from storage.loadAccountTimeline
+ * @returns {Object} - Timeline entry (numbers parsed, selection status resolved)
+ */
+function toTimelineEntry(row) {
+  const selectedRank = row.selected_rank !== null && row.selected_rank !== undefined
+    ? parseInt(row.selected_rank)
+    : null;
+  return {
+    runId: row.run_id,
+    startedAt: row.started_at ? new Date(row.started_at).toISOString() : null,
+    runType: row.run_type || 'sync',
+    strictWinRate: toNumber(row.strict_win_rate),
+    shrunkWinRate: toNumber(row.shrunk_win_rate),
+    realizedPnl: toNumber(row.realized_pnl) ?? 0,
+    closedRealizedPnl: toNumber(row.closed_realized_pnl),
+    roi: toNumber(row.roi),
+    totalVolumeUsd: toNumber(row.total_volume_usd) ?? 0,
+    totalTrades: row.total_trades ?? 0,
+    closedPositions: row.closed_positions ?? 0,
+    score: toNumber(row.score),
+    status: selectedRank !== null ? 'selected' : (row.near_miss ? 'near_miss' : 'not_selected'),
+    selectedRank,
+    rejectionReasons: row.reasons || []
+  };
+}
+
+/**
+ * Summarize an account's selection history
+ * @param {Array} entries - Timeline entries, oldest first
+ * @returns {Object} - { runs, timesSelected, currentStreak, bestRank, firstRun, lastRun }
+ */
+function summarizeTimeline(entries) {
+  const selected = entries.filter(e => e.status === 'selected');
+  let currentStreak = 0;
+  for (let i = entries.length - 1; i >= 0 && entries[i].status === 'selected'; i--) {
+    currentStreak++;
+  }
+  return {
+    runs: entries.length,
+    timesSelected: selected.length,
+    currentStreak,
+    bestRank: selected.length > 0 ? Math.min(...selected.map(e => e.selectedRank)) : null,
+    firstRun: entries[0]?.startedAt ?? null,
+    lastRun: entries[entries.length - 1]?.startedAt ?? null
+  };
+}
+
+/**
+ * Render a series as a sparkline, scaled between its min and max
+ * Missing values render as a space; a flat series renders mid-height.
+ * @param {Array} values - Numbers (null for missing)
+ * @param {Object} options - Options
+ * @param {boolean} options.unicode - Use Unicode block glyphs instead of plain ASCII (default: false)
+ * @returns {string} - One character per value
+ */
+function sparkline(values, options = {}) {
+  const chars = options.unicode ? SPARK_BLOCKS : SPARK_ASCII;
+  const present = values.filter(v => v !== null && v !== undefined && Number.isFinite(v));
+  if (present.length === 0) return ' '.repeat(values.length);
+
+  const min = Math.min(...present);
+  const max = Math.max(...present);
+  return values.map(v => {
+    if (v === null || v === undefined || !Number.isFinite(v)) return ' ';
+    if (max === min) return chars[Math.floor(chars.length / 2)];
+    return chars[Math.round((v - min) / (max - min) * (chars.length - 1))];
+  }).join('');
+}
+
+module.exports = { toTimelineEntry, summarizeTimeline, sparkline };
@@ -0,0 +1,167 @@
+/**
+ * Wash Module - Wash-trading and self-matching patterns in account trades
+ *
+ * Volume and win rates can be manufactured by cycling positions between
+ * related wallets. Three patterns are measured; AccountScorer turns them
+ * into suspicious_* tags and a score penalty:
+ * - round trips: a BUY and a SELL of the same outcome within
+ *   ROUND_TRIP_SECONDS at (nearly) the same price
+ * - churn: closed positions whose realized PnL is near zero relative to
+ *   their cost, i.e. volume without a result
+ * - counterparty overlap: trades whose transaction also holds the opposite
+ *   side of the same market from other scanned wallets; needs every account
+ *   of a run, so it is computed per run (findCounterpartyOverlaps) and
+ *   merged in afterwards
+ */
+
+const { toEpochMs } = require('./records');
+
+// A BUY and SELL this close in time and price form a round trip
+const ROUND_TRIP_SECONDS = 60;
+const ROUND_TRIP_PRICE_TOLERANCE = 0.01;
+
+// A closed position is churn when |realizedPnl| is within 1% of its cost
+const CHURN_PNL_TOLERANCE = 0.01;
+
+// Counterparties listed per account
+const MAX_LISTED_COUNTERPARTIES = 5;
+
+const round4 = value => Math.round(value * 10000) / 10000;
+
+/**
+ * Whether an activity record is a BUY or SELL fill (not a REDEEM, SPLIT, MERGE...)
+ * @param {Object} a - Activity record
+ * @returns {boolean}
+ */
+const isTrade = a => (!a.type || a.type === 'TRADE') && (a.side === 'BUY' || a.side === 'SELL');
+
+/**
+ * Trade records of an activity list (BUY/SELL with a time and price)
+ * @param {Array} activity - Activity records
+ * @returns {Array} - [{ key, side, price, usd, time }]
+ */
+function tradesOf(activity) {
+  return activity
+    .filter(isTrade)
+    .map(a => ({
+      key: `${a.conditionId}:${a.outcome}`,
+      side: a.side,
+      price: parseFloat(a.price),
+      usd: parseFloat(a.usdcSize) || 0,
+      time: toEpochMs(a.timestamp)
+    }))
+    .filter(t => t.time !== null && Number.isFinite(t.price));
+}
+
+/**
+ * Pair BUYs and SELLs of the same outcome within ROUND_TRIP_SECONDS at
+ * prices within ROUND_TRIP_PRICE_TOLERANCE; each trade is paired once
+ * @param {Array} activity - Activity records
+ * @returns {Object} - { roundTrips, roundTripVolumeUsd }
+ */
+function detectRoundTrips(activity) {
+  const byOutcome = new Map();
+  for (const trade of tradesOf(activity)) {
+    if (!byOutcome.has(trade.key)) byOutcome.set(trade.key, []);
+    byOutcome.get(trade.key).push(trade);
+  }
+
+  let roundTrips = 0;
+  let roundTripVolumeUsd = 0;
+  for (const trades of byOutcome.values()) {
+    trades.sort((a, b) => a.time - b.time);
+    const unmatched = [];
+    for (const trade of trades) {
+      while (unmatched.length > 0 && trade.time - unmatched[0].time > ROUND_TRIP_SECONDS * 1000) unmatched.shift();
+      const i = unmatched.findIndex(u => u.side !== trade.side && Math.abs(u.price - trade.price) <= ROUND_TRIP_PRICE_TOLERANCE);
+      if (i === -1) {
+        unmatched.push(trade);
+        continue;
+      }
+      const [match] = unmatched.splice(i, 1);
+      roundTrips++;
+      roundTripVolumeUsd += match.usd + trade.usd;
+    }
+  }
+
+  return { roundTrips, roundTripVolumeUsd };
+}
+
+/**
+ * Wash-trading metrics of one account
+ * @param {Array} closedPositions - Closed positions
+ * @param {Array} activity - Activity records
+ * @returns {Object} - { roundTrips, roundTripVolumeUsd, roundTripShare, churnPositions, churnShare }
+ *   (shares: of the account's volume and of its closed positions with a cost basis)
+ */
+function detectWashTrading(closedPositions, activity) {
+  const { roundTrips, roundTripVolumeUsd } = detectRoundTrips(activity);
+  const totalVolumeUsd = activity.reduce((sum, a) => sum + (parseFloat(a.usdcSize) || 0), 0);
+
+  const costed = closedPositions
+    .map(p => ({ pnl: p.realizedPnl || 0, cost: (p.totalBought || 0) * (p.avgPrice || 0) }))
+    .filter(p => p.cost > 0);
+  const churnPositions = costed
+    .filter(p => Math.abs(p.pnl) <= p.cost * CHURN_PNL_TOLERANCE)
+    .length;
+
+  return {
+    roundTrips,
+    roundTripVolumeUsd: round4(roundTripVolumeUsd),
+    roundTripShare: totalVolumeUsd > 0 ? round4(Math.min(roundTripVolumeUsd / totalVolumeUsd, 1)) : 0,
+    churnPositions,
+    churnShare: costed.length > 0 ? round4(churnPositions / costed.length) : 0
+  };
+}
+
+/**
+ * Trades shared with other wallets of the same run
+ * Two wallets on opposite sides of the same market in one transaction were
+ * matched against each other. Other trades in the same transaction (batched
+ * settlements of unrelated fills) and non-trade records (redemptions,
+ * splits, merges) do not count. A few wallets that keep
+ * meeting each other point at self-matching.
+ * @param {Map} activityByAddress - address => activity records
+ * @returns {Map} - address => { sharedTrades, sharedShare, counterpartyCount, counterparties }
+ *   for addresses with at least one shared trade (counterparties: [{ address, trades }], most first)
+ */
+function findCounterpartyOverlaps(activityByAddress) {
+  const tradesByTx = new Map();
+  for (const [address, activity] of activityByAddress) {
+    for (const a of activity) {
+      if (!a.transactionHash || !isTrade(a)) continue;
+      if (!tradesByTx.has(a.transactionHash)) tradesByTx.set(a.transactionHash, []);
+      tradesByTx.get(a.transactionHash).push({ address, conditionId: a.conditionId, side: a.side });
+    }
+  }
+
+  const overlaps = new Map();
+  for (const [address, activity] of activityByAddress) {
+    const hashed = activity.filter(a => a.transactionHash && isTrade(a));
+    const counterparties = new Map();
+    let sharedTrades = 0;
+    for (const a of hashed) {
+      const others = [...new Set(tradesByTx.get(a.transactionHash)
+        .filter(t => t.address !== address && t.conditionId === a.conditionId && t.side !== a.side)
+        .map(t => t.address))];
+      if (others.length === 0) continue;
+      sharedTrades++;
+      for (const other of others) counterparties.set(other, (counterparties.get(other) || 0) + 1);
+    }
+    if (sharedTrades === 0) continue;
+
+    overlaps.set(address, {
+      sharedTrades,
+      sharedShare: round4(sharedTrades / hashed.length),
+      counterpartyCount: counterparties.size,
+      counterparties: [...counterparties.entries()]
+        .map(([other, trades]) => ({ address: other, trades }))
+        .sort((a, b) => b.trades - a.trades || a.address.localeCompare(b.address))
+        .slice(0, MAX_LISTED_COUNTERPARTIES)
+    });
+  }
+
+  return overlaps;
+}
+
+module.exports = { detectWashTrading, detectRoundTrips, findCounterpartyOverlaps };
@@ -0,0 +1,277 @@
+/**
+ * Copy-trade signal daemon
+ *
+ * Polls /positions and /activity for the accounts selected by the latest
+ * completed sync run (derived runs via --run) and diffs each trader's open positions against the state
+ * stored in watch_state. Changes become signals (new_position, size_increase,
+ * exit, market_resolved) that are written to stdout as NDJSON, stored in the
+ * signals table and optionally posted to webhooks. A signal whose dedupe key
+ * is already stored is never emitted again, and signals below the minimum
+ * notional are dropped. The first poll of an address only records its
+ * positions as the baseline.
+ *
+ * Usage: npm run watch -- [options]
+ * Options:
+ *   --interval <s>       Seconds between polls (default: 60)
+ *   --min-notional <usd> Drop signals below this notional (default: 100)
+ *   --run <run-id>       Watch this run's selection instead of the latest
+ *   --top <n>            Watch only the top N selected accounts (default: all)
+ *   --webhook <spec>     Post signals to a webhook: <url> or json=|slack=|discord=<url> (repeatable)
+ *   --once               Poll once and exit
+ */
+
+const { PolymarketCollector } = require('./collector');
+const { Storage } = require('./storage');
+const { Notifier, parseWebhookSpec, parseWebhookList } = require('./notifier');
+const { toPositionState, diffPositions, advanceActivityMark } = require('./signals');
+const { mapWithConcurrency } = require('./pool');
+const { close } = require('./db');
+require('dotenv').config();
+
+// /activity records read on an address's first poll, which only sets the mark
+const BASELINE_ACTIVITY_LIMIT = 100;
+
+function showHelp() {
+  console.log(`
+Usage: npm run watch -- [options]
+
+Watch the selected traders and emit a signal when they open, add to or exit
+a position, or when one of their markets resolves. Signals are written to
+stdout as NDJSON (one JSON object per line); logs go to stderr.
+
+Options:
+  --interval <s>       Seconds between polls (default: 60)
+  --min-notional <usd> Drop signals below this notional (default: 100)
+  --run <run-id>       Watch this run's selection instead of the latest
+  --top <n>            Watch only the top N selected accounts (default: all)
+  --webhook <spec>     Post signals to a webhook: <url> or json=|slack=|discord=<url> (repeatable)
+  --once               Poll once and exit
+  --help, -h           Show this help message
+
+Environment variables:
+  WATCH_INTERVAL_SEC, WATCH_MIN_NOTIONAL, SIGNAL_WEBHOOKS, WEBHOOK_SECRET, CONCURRENCY
+`);
+  process.exit(0);
+}
+
+function parseArgs() {
+  const args = process.argv.slice(2);
+  const config = {
+    intervalSec: parseInt(process.env.WATCH_INTERVAL_SEC || '60'),
+    minNotional: parseFloat(process.env.WATCH_MIN_NOTIONAL || '100'),
+    runId: null,
+    top: 0,
+    concurrency: parseInt(process.env.CONCURRENCY || '4'),
+    webhooks: parseWebhookList(process.env.SIGNAL_WEBHOOKS),
+    once: false
+  };
+
+  for (let i = 0; i < args.length; i++) {
+    switch (args[i]) {
+      case '--help':
+      case '-h':
+        showHelp();
+        break;
+      case '--interval':
+        config.intervalSec = parseInt(args[++i]);
+        break;
+      case '--min-notional':
+        config.minNotional = parseFloat(args[++i]);
+        break;
+      case '--run':
+        config.runId = args[++i];
+        break;
+      case '--top':
+        config.top = parseInt(args[++i]);
+        break;
+      case '--webhook':
+        config.webhooks.push(parseWebhookSpec(args[++i] || ''));
+        break;
+      case '--once':
+        config.once = true;
+        break;
+    }
+  }
+
+  if (!(config.intervalSec > 0)) throw new Error('--interval must be a positive number of seconds');
+  if (!(config.minNotional >= 0)) throw new Error('--min-notional must be a non-negative amount');
+  return config;
+}
+
+/**
+ * Load the selection to watch
+ * @param {Storage} storage - Storage
+ * @param {Object} config - Parsed config
+ * @returns {Object} - { runId, selection }
+ */
+async function loadWatchlist(storage, config) {
+  let watched;
+  if (config.runId) {
+    watched = { runId: config.runId, selection: await storage.loadSelection(config.runId) };
+  } else {
+    watched = await storage.loadLatestSelection();
+  }
+  if (!watched || watched.selection.length === 0) {
+    throw new Error(config.runId ? `Run ${config.runId} has no selected accounts` : 'No completed sync run with selected accounts');
+  }
+  if (config.top > 0) watched.selection = watched.selection.slice(0, config.top);
+  return watched;
+}
+
+/**
+ * Fetch a trader's activity since the last poll (every page of it)
+ * @param {PolymarketCollector} collector - Collector
+ * @param {string} address - Trader address
+ * @param {number|null} mark - Activity mark of the last poll (null = first poll)
+ * @returns {Array} - Activity records newer than the mark
+ */
+async function fetchNewActivity(collector, address, mark) {
+  if (mark === null) {
+    return collector.fetchActivity(address, { limit: BASELINE_ACTIVITY_LIMIT });
+  }
+  const { records } = await collector.fetchAllActivity(address, { after: mark });
+  return records.filter(a => a.timestamp > mark);
+}
+
+/**
+ * Poll one trader: fetch positions and new activity, diff, record
+ * @param {Object} ctx - { collector, storage, config, runId, states }
+ * @param {Object} trader - { address, rank, score } from the selection
+ * @returns {Array} - New signals (not seen before), as emitted
+ */
+async function pollTrader(ctx, trader) {
+  const { collector, storage, config, runId, states } = ctx;
+  const previous = states.get(trader.address) || null;
+  const mark = previous ? previous.activityMark : null;
+
+  const [positions, activity] = await Promise.all([
+    collector.fetchAllPositions(trader.address),
+    fetchNewActivity(collector, trader.address, mark)
+  ]);
+  // Positions past the ceiling would look closed and signal false exits
+  if (positions.truncated) {
+    throw new Error(`More than ${positions.records.length} open positions, not diffed`);
+  }
+
+  const current = toPositionState(positions.records);
+  const detectedAt = new Date().toISOString();
+  const signals = diffPositions({
+    address: trader.address,
+    previous: previous ? previous.positions : null,
+    current,
+    activity,
+    since: mark,
+    minNotional: config.minNotional
+  }).map(s => ({ ...s, rank: trader.rank, score: trader.score, source_run_id: runId, detected_at: detectedAt }));
+
+  return storage.recordSignals(
+    trader.address,
+    { positions: current, activityMark: advanceActivityMark(activity, mark) },
+    signals,
+    runId
+  );
+}
+
+/**
+ * Run one poll over the watchlist
+ * @param {Object} ctx - { collector, storage, notifier, config }
+ * @returns {Object} - { runId, watched, baselined, signals, failed }
+ */
+async function pollOnce(ctx) {
+  const { storage, notifier, config } = ctx;
+  const { runId, selection } = await loadWatchlist(storage, config);
+  const addresses = selection.map(s => s.address);
+  await storage.pruneWatchState(addresses);
+  const states = await storage.loadWatchState(addresses);
+
+  const results = await mapWithConcurrency(selection, config.concurrency, async trader => {
+    try {
+      return { signals: await pollTrader({ ...ctx, runId, states }, trader), baselined: !states.has(trader.address) };
+    } catch (error) {
+      // State is left as it was, so the next poll diffs the same change again
+      console.error(`[Watch] ${trader.address} failed: ${error.message}`);
+      return { signals: [], failed: true };
+    }
+  });
+
+  const signals = results.flatMap(r => r.signals);
+  for (const signal of signals) {
+    process.stdout.write(`${JSON.stringify(signal)}\n`);
+    if (notifier.enabled) await notifier.signal(signal);
+  }
+
+  return {
+    runId,
+    watched: selection.length,
+    baselined: results.filter(r => r.baselined).length,
+    signals: signals.length,
+    failed: results.filter(r => r.failed).length
+  };
+}
+
+/**
+ * Main watch loop
+ */
+async function main() {
+  let config;
+  try {
+    config = parseArgs();
+  } catch (error) {
+    console.error(`[Watch] ${error.message}`);
+    process.exit(1);
+  }
+  const { webhooks, ...logged } = config;
+  // Stdout carries only signals; logs go to stderr
+  const logger = { info: console.error, warn: console.warn, error: console.error };
+  logger.info('[Watch] Starting signal watch with config:', { ...logged, webhooks: webhooks.length });
+
+  const collector = new PolymarketCollector({
+    logger: { info() {}, warn: console.warn, error: console.error },
+    maxRetries: 3,
+    retryDelayMs: 500
+  });
+  const storage = new Storage({ logger });
+  const notifier = new Notifier({ webhooks, secret: process.env.WEBHOOK_SECRET, logger });
+
+  let stopping = false;
+  let wakeUp = null;
+  const stop = (signal) => {
+    logger.info(`[Watch] Received ${signal}, stopping after current poll...`);
+    stopping = true;
+    if (wakeUp) wakeUp();
+  };
+  process.on('SIGINT', stop);
+  process.on('SIGTERM', stop);
+
+  let exitCode = 0;
+  try {
+    while (!stopping) {
+      try {
+        const poll = await pollOnce({ collector, storage, notifier, config });
+        logger.info(`[Watch] Run ${poll.runId.slice(0, 8)}: ${poll.watched} traders, ${poll.signals} signals${poll.baselined > 0 ? `, ${poll.baselined} baselined` : ''}${poll.failed > 0 ? `, ${poll.failed} failed` : ''}`);
+        if (config.once && poll.failed > 0) exitCode = 1;
+      } catch (error) {
+        console.error(`[Watch] Poll failed: ${error.message}`);
+        if (config.once) exitCode = 1;
+      }
+
+      if (config.once) break;
+
+      await new Promise(resolve => {
+        const timer = setTimeout(resolve, config.intervalSec * 1000);
+        wakeUp = () => {
+          clearTimeout(timer);
+          resolve();
+        };
+      });
+      wakeUp = null;
+    }
+  } finally {
+    await close();
+  }
+
+  logger.info('[Watch] Stopped');
+  process.exit(exitCode);
+}
+
+main();